@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+// Command-line export: turns project JSON files (as written by "Export to JSON")
+// into STAAD .STD files (or CalculiX, Gmsh and OpenSees models, or DXF plan
+// drawings) using the same engine as the editor.
+import { readFile, writeFile, mkdir } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import {
+  DEFAULT_PROJECT, EXPORT_FORMATS, checkModel, exportDxf, exportModelText, generateModel, readProjectFile,
+} from "../src/engine/index.js";
+
+const USAGE = `Usage: plate-geometry <project.json...> [options]
+
+Options:
+  -o, --output <file>   Output file (single input only)
+  -d, --out-dir <dir>   Directory for the generated files
+  -f, --format <name>   Model format: ${EXPORT_FORMATS.map((f) => f.value).join(", ")} (default staad)
+      --stdout          Write the model (or DXF) text to standard output
+      --dxf             Write DXF plan drawings (.dxf) instead of models
+      --strict          Refuse projects with model check errors
+  -h, --help            Show this help
+
+Without --output or --out-dir each file is written next to its input,
+with the .json extension replaced by that of the format (.STD, .inp, .msh,
+.tcl) or .dxf. Model check errors and
+warnings (overlapping pedestals, slivers, ...) are printed to stderr.`;
+
+const outputPathFor = (input, { output, "out-dir": outDir, dxf }, format) => {
+  if (output) return output;
+  const name = `${path.basename(input, path.extname(input))}.${dxf ? "dxf" : format.extension}`;
+  return path.join(outDir ?? path.dirname(input), name);
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      output: { type: "string", short: "o" },
+      "out-dir": { type: "string", short: "d" },
+      format: { type: "string", short: "f", default: "staad" },
+      stdout: { type: "boolean" },
+      dxf: { type: "boolean" },
+      strict: { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+  if (values.output && positionals.length > 1) {
+    console.error("--output can only be used with a single input; use --out-dir for batches.");
+    return 1;
+  }
+
+  const format = EXPORT_FORMATS.find((f) => f.value === values.format);
+  if (!format) {
+    console.error(`Unknown format "${values.format}"; use one of ${EXPORT_FORMATS.map((f) => f.value).join(", ")}.`);
+    return 1;
+  }
+
+  if (values["out-dir"]) await mkdir(values["out-dir"], { recursive: true });
+
+  let failures = 0;
+  for (const input of positionals) {
+    try {
+      // Missing fields fall back to the editor defaults; anything else must be valid
+      const { project, errors } = readProjectFile({ ...DEFAULT_PROJECT, ...JSON.parse(await readFile(input, "utf8")) });
+      if (errors.length > 0) throw new Error(`invalid project:\n  ${errors.join("\n  ")}`);
+      const issues = checkModel({ ...project, ...generateModel(project) });
+      issues.forEach((issue) => console.error(`${input}: ${issue.severity}: ${issue.message}`));
+      if (values.strict && issues.some((issue) => issue.severity === "error")) {
+        throw new Error("not exported, the model check found errors (--strict)");
+      }
+      const text = values.dxf ? exportDxf(project) : exportModelText(project, { format: format.value });
+      if (values.stdout) {
+        process.stdout.write(text + "\n");
+      } else {
+        const outPath = outputPathFor(input, values, format);
+        await writeFile(outPath, text);
+        console.error(`${input} -> ${outPath}`);
+      }
+    } catch (error) {
+      failures++;
+      console.error(`${input}: ${error.message}`);
+    }
+  }
+  return failures > 0 ? 1 : 0;
+};
+
+process.exitCode = await main();
@@ -1,9 +1,57 @@
-import React, { useMemo, useRef, useState, useCallback } from "react";
-import { format } from 'date-fns';
-import { clamp, round3, uniqSorted, findClosestIndex } from "./utils";
+import React, { useMemo, useRef, useState, useCallback, useEffect } from "react";
+import { clamp, round3 } from "./utils";
+import {
+  computeGridLines,
+  buildModel,
+  computePedestalGroups,
+  combineGroups,
+  computeGroupBoundingBoxes,
+  buildExportText,
+  EXPORT_FORMATS,
+  buildDxfText,
+  csvTableRows,
+  formatCsv,
+  parseStaad,
+  supportsOf,
+  resolveShape,
+  DEFAULT_PROJECT,
+  UNIT_SYSTEMS,
+  DIMENSIONS,
+  unitSystemOf,
+  toUnits,
+  fromUnits,
+  placePattern,
+  parseDxf,
+  dxfImportDefaults,
+  importDxfPedestals,
+  snapPosition,
+  nearestNeighbour,
+  pedestalsInBox,
+  movePedestals,
+  copyPedestals,
+  mirrorPedestals,
+  checkModel,
+  maxPlateAspectRatio,
+  MAX_PLATE_ASPECT_RATIO,
+  MESH_MODES,
+  readProjectFile,
+  writeProjectFile,
+} from "./engine";
 import SVGCanvas from "./components/SVGCanvas";
 import PedestalList from "./components/PedestalList";
 import ExportPanel from "./components/ExportPanel";
+import SupportsPanel from "./components/SupportsPanel";
+import LoadsPanel from "./components/LoadsPanel";
+import OutlinePanel from "./components/OutlinePanel";
+import PatternPanel from "./components/PatternPanel";
+import DxfImportPanel from "./components/DxfImportPanel";
+import SnapControls from "./components/SnapControls";
+import SelectionToolbar from "./components/SelectionToolbar";
+import MaterialsPanel from "./components/MaterialsPanel";
+import ProjectBrowser from "./components/ProjectBrowser";
+import ModelCheckPanel from "./components/ModelCheckPanel";
+import RefinementPanel from "./components/RefinementPanel";
+import ModelPreview3D from "./components/ModelPreview3D";
 import useStore from "./store";
 import { saveAs } from "file-saver";
 
@@ -31,41 +79,114 @@ import { saveAs } from "file-saver";
 // };
 
 
+// Snap distance on screen, in pixels
+const SNAP_PIXELS = 10;
+
 export default function App() {
   // Zustand state
   const {
     length,
     width,
     mesh,
+    meshMode,
+    minStrip,
+    refinement,
     pedestalHeight,
     plateThickness,
     zOrientation,
+    units,
+    gridAtPedestalFaces,
+    groupMode,
+    plateMaterial,
+    pedestalMaterial,
     fileName,
     points,
+    outline,
+    openings,
+    supportType,
+    subgradeModulus,
+    compressionOnly,
+    loadCases,
+    loadCombinations,
     showMomentGroup,
     showOneWayShear,
     showTwoWayShear,
+    snap,
+    blockExportOnErrors,
+    exportFormat,
     setLength,
     setWidth,
     setMesh,
+    setMeshMode,
+    setMinStrip,
+    setRefinement,
     setPedestalHeight,
     setPlateThickness,
     setZOrientation,
+    setUnits,
+    setGridAtPedestalFaces,
+    setGroupMode,
+    setPlateMaterial,
+    setPedestalMaterial,
     setFileName,
     setPoints,
+    setOutline,
+    setOpenings,
+    setSupportType,
+    setSubgradeModulus,
+    setCompressionOnly,
+    setLoadCases,
+    setLoadCombinations,
     setShowMomentGroup,
     setShowOneWayShear,
     setShowTwoWayShear,
+    setSnap,
+    setBlockExportOnErrors,
+    setExportFormat,
+    loadProject,
+    past,
+    future,
+    undo,
+    redo,
+    beginHistoryStep,
+    endHistoryStep,
+    projectId,
+    library,
+    newProject,
+    openProject,
+    duplicateProject,
+    renameProject,
+    deleteProject,
+    loadError,
+    dismissLoadError,
   } = useStore();
 
   // View / SVG
   const pxPerMeter = 120; // base scale; viewBox keeps it responsive
   const svgRef = useRef(null);
   
-  // Drag state
+  // Drag state, with the alignment guides found by snapping
   const [dragId, setDragId] = useState(null);
+  const [guides, setGuides] = useState([]);
+
+  // Selected pedestals (IDs), the copied pedestals and the offset of each paste (metres)
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [clipboard, setClipboard] = useState([]);
+  const [pasteOffset, setPasteOffset] = useState({ x: 1, z: 0 });
+
+  // Outline/opening drawing state: the mode ("outline" or "opening") and the vertices clicked so far
+  const [drawMode, setDrawMode] = useState(null);
+  const [draft, setDraft] = useState([]);
+
+  // Pattern generator settings (metres), or null when the generator is closed
+  const [pattern, setPattern] = useState(null);
+
+  // Inputs show lengths in the project units; the project itself stays in metres
+  const unitSystem = unitSystemOf(units);
+  const showLength = (v) => round3(toUnits(v, unitSystem, DIMENSIONS.length));
+  const readLength = (e) => fromUnits(parseFloat(e.target.value) || 0, unitSystem, DIMENSIONS.length);
 
-  // State for adding points manually
+  // State for adding points manually, in the project units
   const [newPointX, setNewPointX] = useState(0);
   const [newPointZ, setNewPointZ] = useState(0);
 
@@ -73,267 +194,140 @@ export default function App() {
   const addPointManually = () => {
     const maxId = points.length > 0 ? Math.max(...points.map((p) => p.id)) : 0;
     const newId = maxId + 1;
-    setPoints((p) => [...p, { id: newId, x: newPointX, z: newPointZ, length: 0.5, width: 0.3 }]);
+    const x = fromUnits(newPointX, unitSystem, DIMENSIONS.length);
+    const z = fromUnits(newPointZ, unitSystem, DIMENSIONS.length);
+    setPoints((p) => [...p, { id: newId, x, z, length: 0.5, width: 0.3 }]);
     setNewPointX(0);
     setNewPointZ(0);
   };
 
-  // Compute grid lines that "respect" user points
-  const { xLines, zLines } = useMemo(() => {
-    const xCuts = uniqSorted([0, length, ...points.map((p) => clamp(p.x, 0, length))]);
-    const zCuts = uniqSorted([0, width, ...points.map((p) => clamp(p.z, 0, width))]);
-
-    const addDivisions = (cuts, max, step) => {
-      const lines = new Set(cuts);
-      for (let i = 0; i < cuts.length - 1; i++) {
-        const a = cuts[i];
-        const b = cuts[i + 1];
-        const span = b - a;
-        if (span <= 0) continue;
-        const k = Math.floor(span / step);
-        for (let j = 1; j <= k; j++) {
-          const t = a + j * step;
-          if (t > a + 1e-9 && t < b - 1e-9) lines.add(t);
-        }
-      } 
-      const arr = Array.from(lines);
-      arr.sort((x, y) => x - y);
-      return arr;
-    };
+  const patternPlacement = useMemo(
+    () => (pattern ? placePattern(pattern, { points, length, width, outline, openings }) : null),
+    [pattern, points, length, width, outline, openings]
+  );
 
-    const xL = addDivisions(xCuts, length, mesh);
-    const zL = addDivisions(zCuts, width, mesh);
-    return { xLines: xL, zLines: zL };
-  }, [points, length, width, mesh]);
-
-  const { nodes, members, plates, plateIdByCoord } = useMemo(() => {
-    const allNodes = [];
-    const newMembers = [];
-    const newPlates = [];
-    const plateIdByCoord = new Map();
-    let nodeIdCounter = 1;
-    let plateIdCounter = 1;
-
-    // Generate surface nodes (Y=0) and store mapping from point coords to node ID
-    const surfaceNodesByCoord = {};
-    for (let zi = 0; zi < zLines.length; zi++) {
-      for (let xi = 0; xi < xLines.length; xi++) {
-        const x = xLines[xi];
-        const z = zLines[zi];
-        const id = nodeIdCounter++;
-        allNodes.push({ id, x, y: 0, z, type: 'surface' });
-        surfaceNodesByCoord[`${round3(x)},${round3(z)}`] = id;
-      }
-    }
+  const addPatternPedestals = () => {
+    setPoints((arr) => [...arr, ...patternPlacement.pedestals]);
+    setPattern(null);
+  };
 
-    // Generate pedestal nodes and members if pedestalHeight > 0
-    if (pedestalHeight > 1e-9) {
-      points.forEach(point => {
-        const surfaceNodeId = surfaceNodesByCoord[`${round3(point.x)},${round3(point.z)}`];
-        if (surfaceNodeId) {
-          const newPedestalNodeId = nodeIdCounter++;
-          allNodes.push({ id: newPedestalNodeId, x: point.x, y: pedestalHeight, z: point.z, type: 'pedestal' });
-          // Link member to the original point data
-          newMembers.push({
-            id: newMembers.length + 1,
-            startNode: surfaceNodeId,
-            endNode: newPedestalNodeId,
-            pointData: point
-          });
-        }
-      });
-    }
+  // A DXF drawing being imported, with its options, and the pedestals it gives
+  const [dxfImport, setDxfImport] = useState(null);
+  const dxfResult = useMemo(() => {
+    if (!dxfImport) return null;
+    const firstId = dxfImport.replace || points.length === 0 ? 1 : Math.max(...points.map((p) => p.id)) + 1;
+    return importDxfPedestals(dxfImport.drawing, { ...dxfImport, firstId });
+  }, [dxfImport, points]);
 
-    // Generate plates
-    const nX = xLines.length;
-    const nodeIdAt = (xi, zi) => zi * nX + xi + 1; // Assuming surface nodes are numbered sequentially
-
-    for (let zi = 0; zi < zLines.length - 1; zi++) {
-      for (let xi = 0; xi < xLines.length - 1; xi++) {
-        const tl = nodeIdAt(xi, zi); // top-left
-        const tr = nodeIdAt(xi + 1, zi); // top-right
-        const br = nodeIdAt(xi + 1, zi + 1); // bottom-right
-        const bl = nodeIdAt(xi, zi + 1); // bottom-left
-
-        const currentPlateId = plateIdCounter++;
-        plateIdByCoord.set(`${xi},${zi}`, currentPlateId);
-
-        let order;
-        if (zOrientation === "up") {
-          order = [bl, br, tr, tl];
-        } else {
-          order = [tl, tr, br, bl];
-        }
-        newPlates.push({ id: currentPlateId, nodes: order });
-      }
+  // The plate and the pedestals of the drawing, as one undo step
+  const applyDxfImport = () => {
+    const { pedestals, plate } = dxfResult;
+    beginHistoryStep();
+    if (plate) {
+      setLength(plate.length);
+      setWidth(plate.width);
+      setOutline(plate.outline);
+      setOpenings([]);
     }
+    setPoints((arr) => (dxfImport.replace ? pedestals : [...arr, ...pedestals]));
+    endHistoryStep();
+    setSelectedIds(pedestals.map((p) => p.id));
+    setDxfImport(null);
+  };
+
+  // Grid lines that "respect" user points, the model on that grid and its groups
+  const shape = useMemo(
+    () => resolveShape({ length, width, outline, openings }),
+    [length, width, outline, openings]
+  );
+
+  const { xLines, zLines } = useMemo(
+    () => computeGridLines({
+      length, width, mesh, meshMode, minStrip, refinement, points, ...shape, gridAtPedestalFaces, plateThickness,
+    }),
+    [points, length, width, mesh, meshMode, minStrip, refinement, shape, gridAtPedestalFaces, plateThickness]
+  );
+
+  const { nodes, members, plates, plateIdByCoord } = useMemo(
+    () => buildModel({ xLines, zLines, pedestalHeight, points, zOrientation, ...shape }),
+    [xLines, zLines, pedestalHeight, points, zOrientation, shape]
+  );
 
-    return { nodes: allNodes, members: newMembers, plates: newPlates, plateIdByCoord };
-  }, [xLines, zLines, pedestalHeight, points, zOrientation]);
+  // Graded strips are not `mesh` wide, so the groups follow the true extents
+  const pedestalGroups = useMemo(
+    () => computePedestalGroups({
+      points, xLines, zLines, plateIdByCoord, mesh, plateThickness, exact: gridAtPedestalFaces || refinement.enabled,
+    }),
+    [points, xLines, zLines, plateIdByCoord, mesh, plateThickness, gridAtPedestalFaces, refinement.enabled]
+  );
 
   // Combined plate groups for export
-  const { groupedPlates, shearPlates, twoWayShearPlates } = useMemo(() => {
-    const momentPlates = new Set();
-    const oneWayShearPlates = new Set();
-    const twoWayShearPlates = new Set();
-    const nx_plates = xLines.length - 1;
-    const nz_plates = zLines.length - 1;
-
-    points.forEach(p => {
-      const px_idx = findClosestIndex(xLines, p.x);
-      const pz_idx = findClosestIndex(zLines, p.z);
-      
-      const num_x_plates_moment = Math.round(p.length / mesh);
-      const num_z_plates_moment = Math.round(p.width / mesh);
-
-      const start_x_idx_moment = Math.floor(px_idx - num_x_plates_moment / 2);
-      const end_x_idx_moment = Math.ceil(px_idx + num_x_plates_moment / 2);
-
-      const start_z_idx_moment = Math.floor(pz_idx - num_z_plates_moment / 2);
-      const end_z_idx_moment = Math.ceil(pz_idx + num_z_plates_moment / 2);
-
-      for (let xi = Math.max(0, start_x_idx_moment); xi < Math.min(nx_plates, end_x_idx_moment); xi++) {
-        for (let zi = Math.max(0, start_z_idx_moment); zi < Math.min(nz_plates, end_z_idx_moment); zi++) {
-          const plateId = plateIdByCoord.get(`${xi},${zi}`);
-          if (plateId) {
-            momentPlates.add(plateId);
-          }
-        }
-      }
+  const { groupedPlates, shearPlates, twoWayShearPlates } = useMemo(
+    () => combineGroups(pedestalGroups),
+    [pedestalGroups]
+  );
 
-      const numPlatesToAddOneWay = Math.round(plateThickness / mesh);
-      const start_x_idx_oneWay = start_x_idx_moment - numPlatesToAddOneWay;
-      const end_x_idx_oneWay = end_x_idx_moment + numPlatesToAddOneWay;
-      const start_z_idx_oneWay = start_z_idx_moment - numPlatesToAddOneWay;
-      const end_z_idx_oneWay = end_z_idx_moment + numPlatesToAddOneWay;
-      
-      for (let xi = Math.max(0, start_x_idx_oneWay); xi < Math.min(nx_plates, end_x_idx_oneWay); xi++) {
-        for (let zi = Math.max(0, start_z_idx_oneWay); zi < Math.min(nz_plates, end_z_idx_oneWay); zi++) {
-          const plateId = plateIdByCoord.get(`${xi},${zi}`);
-          if (plateId) {
-            oneWayShearPlates.add(plateId);
-          }
-        }
-      }
+  // Separate bounding boxes for each pedestal's groups for visualization
+  const pedestalGroupBoundingBoxes = useMemo(
+    () => computeGroupBoundingBoxes(pedestalGroups, { nodes, plates }),
+    [pedestalGroups, nodes, plates]
+  );
 
-      const numPlatesToAddTwoWay = Math.round(plateThickness / (2 * mesh));
-      const start_x_idx_2way = start_x_idx_moment - numPlatesToAddTwoWay;
-      const end_x_idx_2way = end_x_idx_moment + numPlatesToAddTwoWay;
-      const start_z_idx_2way = start_z_idx_moment - numPlatesToAddTwoWay;
-      const end_z_idx_2way = end_z_idx_moment + numPlatesToAddTwoWay;
-      
-      for (let xi = Math.max(0, start_x_idx_2way); xi < Math.min(nx_plates, end_x_idx_2way); xi++) {
-        for (let zi = Math.max(0, start_z_idx_2way); zi < Math.min(nz_plates, end_z_idx_2way); zi++) {
-          const plateId = plateIdByCoord.get(`${xi},${zi}`);
-          if (plateId) {
-            twoWayShearPlates.add(plateId);
-          }
-        }
-      }
-    });
+  // Geometry and mesh problems, and the one clicked to highlight (by its message)
+  const issues = useMemo(
+    () => checkModel({ length, width, mesh, refinement, points, ...shape, xLines, zLines, plateIdByCoord, units }),
+    [length, width, mesh, refinement, points, shape, xLines, zLines, plateIdByCoord, units]
+  );
+  const [activeIssue, setActiveIssue] = useState(null);
+  const maxAspectRatio = useMemo(
+    () => maxPlateAspectRatio({ xLines, zLines, plateIdByCoord }),
+    [xLines, zLines, plateIdByCoord]
+  );
+  const exportErrors = issues.filter((i) => i.severity === "error").length;
+  const downloadBlocked = blockExportOnErrors && exportErrors > 0;
 
-    return {
-      groupedPlates: Array.from(momentPlates).sort((a,b) => a-b),
-      shearPlates: Array.from(oneWayShearPlates).sort((a,b) => a-b),
-      twoWayShearPlates: Array.from(twoWayShearPlates).sort((a,b) => a-b)
-    };
-  }, [points, xLines, zLines, plateIdByCoord, mesh, plateThickness]);
-
-  // Calculate separate bounding boxes for each pedestal's groups for visualization
-  const pedestalGroupBoundingBoxes = useMemo(() => {
-    const getBoundingBoxForPlates = (plateIds) => {
-      if (plateIds.length === 0) return null;
-      let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
-      plateIds.forEach(plateId => {
-        const plate = plates.find(p => p.id === plateId);
-        if (plate) {
-          plate.nodes.forEach(nodeId => {
-            const node = nodes.find(n => n.id === nodeId);
-            if (node) {
-              minX = Math.min(minX, node.x);
-              maxX = Math.max(maxX, node.x);
-              minZ = Math.min(minZ, node.z);
-              maxZ = Math.max(maxZ, node.z);
-            }
-          });
-        }
+  // The pedestals and plate rectangles (metres) of the highlighted problem
+  const highlight = useMemo(() => {
+    const issue = issues.find((i) => i.message === activeIssue);
+    if (!issue) return null;
+    const nodeById = new Map(nodes.map((n) => [n.id, n]));
+    const plateRects = plates
+      .filter((pl) => issue.plateIds.includes(pl.id))
+      .map((pl) => {
+        const corners = pl.nodes.map((id) => nodeById.get(id));
+        const xs = corners.map((n) => n.x);
+        const zs = corners.map((n) => n.z);
+        return { x0: Math.min(...xs), z0: Math.min(...zs), x1: Math.max(...xs), z1: Math.max(...zs) };
       });
-      return {
-        x: minX,
-        y: minZ,
-        width: maxX - minX,
-        height: maxZ - minZ,
-      };
-    };
+    return { pedestalIds: issue.pedestalIds, plates: plateRects };
+  }, [issues, activeIssue, nodes, plates]);
 
-    const momentBoxes = [];
-    const oneWayShearBoxes = [];
-    const twoWayShearBoxes = [];
-
-    points.forEach(p => {
-      const px_idx = findClosestIndex(xLines, p.x);
-      const pz_idx = findClosestIndex(zLines, p.z);
-      
-      const nx_plates = xLines.length - 1;
-      const nz_plates = zLines.length - 1;
-
-      // Moment Group
-      const momentPlatesForPedestal = new Set();
-      const num_x_plates_moment = Math.round(p.length / mesh);
-      const num_z_plates_moment = Math.round(p.width / mesh);
-      const start_x_idx_moment = Math.floor(px_idx - num_x_plates_moment / 2);
-      const end_x_idx_moment = Math.ceil(px_idx + num_x_plates_moment / 2);
-      const start_z_idx_moment = Math.floor(pz_idx - num_z_plates_moment / 2);
-      const end_z_idx_moment = Math.ceil(pz_idx + num_z_plates_moment / 2);
-      for (let xi = Math.max(0, start_x_idx_moment); xi < Math.min(nx_plates, end_x_idx_moment); xi++) {
-        for (let zi = Math.max(0, start_z_idx_moment); zi < Math.min(nz_plates, end_z_idx_moment); zi++) {
-          const plateId = plateIdByCoord.get(`${xi},${zi}`);
-          if (plateId) momentPlatesForPedestal.add(plateId);
-        }
-      }
-      const momentBox = getBoundingBoxForPlates(Array.from(momentPlatesForPedestal));
-      if (momentBox) momentBoxes.push(momentBox);
-
-      // 1-Way Shear Group
-      const oneWayShearPlatesForPedestal = new Set();
-      const numPlatesToAddOneWay = Math.round(plateThickness / mesh);
-      const start_x_idx_oneWay = start_x_idx_moment - numPlatesToAddOneWay;
-      const end_x_idx_oneWay = end_x_idx_moment + numPlatesToAddOneWay;
-      const start_z_idx_oneWay = start_z_idx_moment - numPlatesToAddOneWay;
-      const end_z_idx_oneWay = end_z_idx_moment + numPlatesToAddOneWay;
-      for (let xi = Math.max(0, start_x_idx_oneWay); xi < Math.min(nx_plates, end_x_idx_oneWay); xi++) {
-        for (let zi = Math.max(0, start_z_idx_oneWay); zi < Math.min(nz_plates, end_z_idx_oneWay); zi++) {
-          const plateId = plateIdByCoord.get(`${xi},${zi}`);
-          if (plateId) oneWayShearPlatesForPedestal.add(plateId);
-        }
-      }
-      const oneWayShearBox = getBoundingBoxForPlates(Array.from(oneWayShearPlatesForPedestal));
-      if (oneWayShearBox) oneWayShearBoxes.push(oneWayShearBox);
-
-      // 2-Way Shear Group
-      const twoWayShearPlatesForPedestal = new Set();
-      const numPlatesToAddTwoWay = Math.round(plateThickness / (2 * mesh));
-      const start_x_idx_2way = start_x_idx_moment - numPlatesToAddTwoWay;
-      const end_x_idx_2way = end_x_idx_moment + numPlatesToAddTwoWay;
-      const start_z_idx_2way = start_z_idx_moment - numPlatesToAddTwoWay;
-      const end_z_idx_2way = end_z_idx_moment + numPlatesToAddTwoWay;
-      for (let xi = Math.max(0, start_x_idx_2way); xi < Math.min(nx_plates, end_x_idx_2way); xi++) {
-        for (let zi = Math.max(0, start_z_idx_2way); zi < Math.min(nz_plates, end_z_idx_2way); zi++) {
-          const plateId = plateIdByCoord.get(`${xi},${zi}`);
-          if (plateId) twoWayShearPlatesForPedestal.add(plateId);
-        }
-      }
-      const twoWayShearBox = getBoundingBoxForPlates(Array.from(twoWayShearPlatesForPedestal));
-      if (twoWayShearBox) twoWayShearBoxes.push(twoWayShearBox);
-    });
-
-    return {
-      moment: momentBoxes,
-      oneWayShear: oneWayShearBoxes,
-      twoWayShear: twoWayShearBoxes,
-    };
-  }, [points, xLines, zLines, plateIdByCoord, mesh, plateThickness, plates, nodes]);
 
+  // Snaps a position for a pedestal, within about SNAP_PIXELS on screen
+  // whatever the canvas size; holding Alt places it freely
+  const snapPoint = useCallback((e, xMeters, zMeters, point, moving = [point.id]) => {
+    const metresToScreen = svgRef.current.getScreenCTM().a * pxPerMeter;
+    const settings = e.altKey ? { ...snap, enabled: false } : snap;
+    // The mesh lines as they are without the moving pedestals, which would
+    // otherwise snap to the lines they cut themselves
+    const standing = points.filter((p) => !moving.includes(p.id));
+    const grid = settings.enabled && settings.toMesh
+      ? computeGridLines({
+        length, width, mesh, meshMode, minStrip, refinement, points: standing, ...shape, gridAtPedestalFaces, plateThickness,
+      })
+      : {};
+    return snapPosition(xMeters, zMeters, {
+      point,
+      // Pedestals moving together do not snap to each other
+      points: [point, ...standing],
+      length,
+      width,
+      ...shape,
+      ...grid,
+      settings,
+      tolerance: SNAP_PIXELS / metresToScreen,
+    });
+  }, [points, length, width, mesh, meshMode, minStrip, refinement, shape, gridAtPedestalFaces, plateThickness, snap, pxPerMeter]);
 
   // Click to create a point
   const onSvgClick = useCallback((e) => {
@@ -349,17 +343,31 @@ export default function App() {
     const cursorpt = pt.matrixTransform(svg.getScreenCTM().inverse());
     const xMeters = clamp((cursorpt.x) / pxPerMeter, 0, length);
     const zMeters = clamp((cursorpt.y) / pxPerMeter, 0, width);
+    if (drawMode) {
+      setDraft((d) => [...d, { x: xMeters, z: zMeters }]);
+      return;
+    }
+    setSelectedIds([]);
     const maxId = points.length > 0 ? Math.max(...points.map(p => p.id)) : 0;
-    const newId = maxId + 1;
-    setPoints((p) => [...p, { id: newId, x: xMeters, z: zMeters, length: 0.5, width: 0.3 }]);
-  }, [dragId, length, width, points, pxPerMeter]);
+    const newPoint = { id: maxId + 1, length: 0.5, width: 0.3 };
+    const { x, z } = snapPoint(e, xMeters, zMeters, newPoint);
+    setPoints((p) => [...p, { ...newPoint, x, z }]);
+  }, [dragId, drawMode, length, width, points, pxPerMeter, snapPoint]);
 
   // Drag to move a point (simple pointer drag)
   const onPointerDownPoint = useCallback((id) => (e) => {
     // Stop event propagation to prevent the click event from bubbling up to the SVG.
     e.stopPropagation();
+    if (e.shiftKey) {
+      // Shift-click adds the pedestal to the selection or removes it
+      setSelectedIds((ids) => (ids.includes(id) ? ids.filter((i) => i !== id) : [...ids, id]));
+      return;
+    }
+    // The whole drag is one undo step; dragging a selected pedestal moves the whole selection
+    beginHistoryStep();
     setDragId(id);
-  }, []);
+    setSelectedIds((ids) => (ids.includes(id) ? ids : [id]));
+  }, [beginHistoryStep]);
 
   const onPointerMove = useCallback((e) => {
     if (dragId == null) return;
@@ -368,165 +376,161 @@ export default function App() {
     pt.x = e.clientX;
     pt.y = e.clientY;
     const cursorpt = pt.matrixTransform(svg.getScreenCTM().inverse());
-    const xMeters = clamp(cursorpt.x / pxPerMeter, 0, length);
-    const zMeters = clamp(cursorpt.y / pxPerMeter, 0, width);
-    setPoints((arr) => arr.map((p) => (p.id === dragId ? { ...p, x: xMeters, z: zMeters } : p)));
-  }, [dragId, length, width, pxPerMeter]);
+    const dragged = points.find((p) => p.id === dragId);
+    if (!dragged) return;
+    const moving = selectedIds.includes(dragId) ? selectedIds : [dragId];
+    const { x, z, guides } = snapPoint(e, cursorpt.x / pxPerMeter, cursorpt.y / pxPerMeter, dragged, moving);
+    setGuides(guides);
+    setPoints((arr) => movePedestals(arr, moving, x - dragged.x, z - dragged.z, { length, width }));
+  }, [dragId, points, selectedIds, length, width, pxPerMeter, snapPoint]);
 
   const onPointerUp = useCallback(() => {
     setDragId(null);
-  }, []);
-
-  // Helper function to format grouped lines with character limit
-  const formatGroupLines = (groupName, ids) => {
-    const lines = [];
-    const charLimit = 60; // STAAD's default line width is 79, but groups are indented
-    let currentLine = `_` + groupName.toUpperCase();
-    for (const id of ids) {
-      const idStr = String(id);
-      const potentialNextLine = currentLine + " " + idStr;
-      if (potentialNextLine.length > charLimit) {
-        lines.push(currentLine + " -");
-        currentLine = idStr;
-      } else {
-        currentLine = potentialNextLine;
-      }
-    }
-    if (currentLine !== `_` + groupName.toUpperCase()) {
-      lines.push(currentLine);
-    }
-    return lines;
-  };
+    setGuides([]);
+    endHistoryStep();
+  }, [endHistoryStep]);
 
-  // Export text in the prescribed format
-  const exportText = useMemo(() => {
-    const lines = [];
-    const formattedDate = format(new Date(), 'dd-MMM-yy');
-    lines.push("STAAD SPACE");
-    lines.push("START JOB INFORMATION");
-    lines.push("ENGINEER DATE " + formattedDate);
-    lines.push("END JOB INFORMATION");
-    lines.push("INPUT WIDTH 79");
-    lines.push("UNIT METER KN");
-    lines.push("JOINT COORDINATES");
-    
-    // Format joint coordinates with a 74 character limit
-    const charLimit = 74;
-    let currentLine = '';
-    nodes.forEach((n, index) => {
-      const jointStr = `${n.id} ${round3(n.x)} ${round3(n.y)} ${round3(n.z)}`;
-      if (currentLine === '') {
-        currentLine = jointStr;
-      } else if ((currentLine + '; ' + jointStr).length <= charLimit) {
-        currentLine += '; ' + jointStr;
-      } else {
-        lines.push(currentLine + ';');
-        currentLine = jointStr;
-      }
-    });
-    if (currentLine !== '') {
-      lines.push(currentLine + ';');
-    }
-    
-    lines.push("ELEMENT INCIDENCES SHELL");
-    
-    // Format plate incidences with a 74 character limit
-    currentLine = '';
-    plates.forEach((p, index) => {
-      const plateStr = `${p.id} ${p.nodes.join(" ")}`;
-      if (currentLine === '') {
-        currentLine = plateStr;
-      } else if ((currentLine + '; ' + plateStr).length <= charLimit) {
-        currentLine += '; ' + plateStr;
-      } else {
-        lines.push(currentLine + ';');
-        currentLine = plateStr;
-      }
-    });
-    if (currentLine !== '') {
-      lines.push(currentLine + ';');
-    }
+  // Selection actions
+  const onBoxSelect = useCallback((box, additive) => {
+    const ids = pedestalsInBox(points, box);
+    setSelectedIds((current) => (additive ? [...new Set([...current, ...ids])] : ids));
+  }, [points]);
 
-    if (groupedPlates.length > 0 || shearPlates.length > 0 || twoWayShearPlates.length > 0) {
-      lines.push("START GROUP DEFINITION");
-      lines.push("ELEMENT");
-      
-      // Moment group
-      if (groupedPlates.length > 0) {
-        lines.push(...formatGroupLines("MOMENT", groupedPlates));
-      }
+  const copySelection = useCallback(() => {
+    if (selectedIds.length > 0) setClipboard(points.filter((p) => selectedIds.includes(p.id)));
+  }, [points, selectedIds]);
 
-      // 1-Way Shear group
-      if (shearPlates.length > 0) {
-        lines.push(...formatGroupLines("1_WAY_SHEAR", shearPlates));
-      }
-      
-      // 2-Way Shear group
-      if (twoWayShearPlates.length > 0) {
-        lines.push(...formatGroupLines("2_WAY_SHEAR", twoWayShearPlates));
-      }
+  // Pastes the copied pedestals at the offset and selects them; pasting again offsets once more
+  const pasteClipboard = useCallback(() => {
+    if (clipboard.length === 0) return;
+    const copies = copyPedestals(points, clipboard, pasteOffset.x, pasteOffset.z, { length, width });
+    setPoints((arr) => [...arr, ...copies]);
+    setSelectedIds(copies.map((p) => p.id));
+    setClipboard(copies.length > 0 ? copies : clipboard);
+  }, [clipboard, points, pasteOffset, length, width, setPoints]);
 
-      lines.push("END GROUP DEFINITION");
-    }
+  const deleteSelection = useCallback(() => {
+    setPoints((arr) => arr.filter((p) => !selectedIds.includes(p.id)));
+    setSelectedIds([]);
+  }, [selectedIds, setPoints]);
 
-    // Add plate properties
-    if (plates.length > 0) {
-      lines.push("ELEMENT PROPERTY");
-      lines.push(`1 TO ${plates.length} THICKNESS ${round3(plateThickness)};`);
-    }
+  const mirrorSelection = (axis) => setPoints((arr) => mirrorPedestals(arr, selectedIds, axis));
 
-    const lastPlateId = plates.length > 0 ? plates[plates.length - 1].id : 0;
-    let memberIdCounter = lastPlateId + 1;
-
-    if (members.length > 0) {
-      lines.push("MEMBER INCIDENCES");
-      // Use the memberIdCounter for correct member IDs in STAAD
-      const memberIdMap = new Map();
-      members.forEach((m) => {
-        const memberId = memberIdCounter++;
-        memberIdMap.set(m.pointData.id, memberId); // Store mapping for property assignment
-        lines.push(`${memberId} ${m.startNode} ${m.endNode};`);
-      });
+  // Typing in a text or number field is one undo step per field: the step
+  // opens when the field gets the focus and closes when it loses it
+  useEffect(() => {
+    const isTypingField = (el) =>
+      el.tagName === "TEXTAREA" || (el.tagName === "INPUT" && ["text", "number", "search"].includes(el.type));
+    const onFocusIn = (e) => {
+      if (isTypingField(e.target)) beginHistoryStep();
+    };
+    const onFocusOut = (e) => {
+      if (isTypingField(e.target)) endHistoryStep();
+    };
+    document.addEventListener("focusin", onFocusIn);
+    document.addEventListener("focusout", onFocusOut);
+    return () => {
+      document.removeEventListener("focusin", onFocusIn);
+      document.removeEventListener("focusout", onFocusOut);
+    };
+  }, [beginHistoryStep, endHistoryStep]);
+
+  // Keyboard shortcuts, except while typing in a field:
+  // Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes, Ctrl+A/C/V select all, copy and
+  // paste pedestals, Delete removes the selection and Esc clears it
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      const tag = e.target.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || e.target.isContentEditable) return;
+      if (e.key === "Escape") {
+        setSelectedIds([]);
+        return;
+      }
+      if ((e.key === "Delete" || e.key === "Backspace") && selectedIds.length > 0) {
+        e.preventDefault();
+        deleteSelection();
+        return;
+      }
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      } else if (key === "a") {
+        e.preventDefault();
+        setSelectedIds(points.map((p) => p.id));
+      } else if (key === "c") {
+        copySelection();
+      } else if (key === "v") {
+        e.preventDefault();
+        pasteClipboard();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [undo, redo, points, selectedIds, deleteSelection, copySelection, pasteClipboard]);
+
+  // Export text in the chosen format
+  const exportText = useMemo(
+    () => buildExportText(exportFormat, {
+      nodes,
+      plates,
+      members,
+      plateThickness,
+      groupedPlates,
+      shearPlates,
+      twoWayShearPlates,
+      points,
+      pedestalGroups,
+      groupMode,
+      units,
+      plateMaterial,
+      pedestalMaterial,
+      supports: supportsOf({ supportType, subgradeModulus, compressionOnly }),
+      loadCases,
+      loadCombinations,
+    }),
+    [exportFormat, nodes, plates, members, plateThickness, groupedPlates, shearPlates, twoWayShearPlates, points,
+      pedestalGroups, groupMode, units, plateMaterial, pedestalMaterial, supportType, subgradeModulus, compressionOnly, loadCases, loadCombinations]
+  );
 
-      lines.push("DEFINE MATERIAL START");
-      lines.push("ISOTROPIC CONCRETE");
-      lines.push("E 2.17185e+07");
-      lines.push("POISSON 0.17");
-      lines.push("DENSITY 23.5616");
-      lines.push("ALPHA 1e-05");
-      lines.push("DAMP 0.05");
-      lines.push("G 9.28139e+06");
-      lines.push("TYPE CONCRETE");
-      lines.push("STRENGTH FCU 27579");
-      lines.push("END DEFINE MATERIAL");
-
-      lines.push("CONSTANTS");
-      lines.push("MATERIAL CONCRETE ALL");
-      lines.push("MEMBER PROPERTY");
-      // Use the pointData linked to each member to get its dimensions
-      members.forEach((m) => {
-        const memberId = memberIdMap.get(m.pointData.id);
-        if (memberId) {
-          lines.push(`${memberId} PRISM YD ${round3(m.pointData.length)} ZD ${round3(m.pointData.width)};`);
-        }
-      });
-    }
 
-    lines.push("FINISH");
-    return lines.join("\n");
-  }, [nodes, plates, members, plateThickness, groupedPlates, shearPlates, twoWayShearPlates]);
+  // The other downloads are named after the .STD file
+  const exportBaseName = (fileName.trim() !== "" ? fileName : "mesh_nodes_plates.STD").replace(/\.[^.]*$/, "");
 
   // Export with filename
   const downloadTxt = () => {
+    if (downloadBlocked) return;
     const blob = new Blob([exportText], { type: "text/plain;charset=utf-8" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
-    a.download = fileName.trim() !== "" ? fileName : "mesh_nodes_plates.STD";
+    const format = EXPORT_FORMATS.find((f) => f.value === exportFormat) || EXPORT_FORMATS[0];
+    a.download =
+      format.value !== "staad" ? `${exportBaseName}.${format.extension}` : fileName.trim() !== "" ? fileName : "mesh_nodes_plates.STD";
     a.click();
     URL.revokeObjectURL(url);
   };
 
+  // Plan drawing of what the canvas shows
+  const downloadDxf = () => {
+    if (downloadBlocked) return;
+    const text = buildDxfText({
+      length, width, ...shape, xLines, zLines, plateIdByCoord, points, groupBoxes: pedestalGroupBoundingBoxes, units,
+    });
+    saveAs(new Blob([text], { type: "application/dxf" }), `${exportBaseName}.dxf`);
+  };
+
+  // One table of the project or the model
+  const downloadCsv = (table) => {
+    if (downloadBlocked) return;
+    const rows = csvTableRows(table, { points, nodes, plates, members, pedestalGroups, loadCases, units });
+    saveAs(new Blob([formatCsv(rows)], { type: "text/csv;charset=utf-8" }), `${exportBaseName}_${table}.csv`);
+  };
+
   // State and ref for clipboard functionality
   const exportTextRef = useRef(null);
   const [copyMessage, setCopyMessage] = useState("");
@@ -540,19 +544,32 @@ export default function App() {
   };
 
   const exportToJson = () => {
-    const state = {
+    const project = {
       length,
       width,
       mesh,
+      meshMode,
+      minStrip,
+      refinement,
       pedestalHeight,
       plateThickness,
       zOrientation,
+      units,
+      gridAtPedestalFaces,
+      groupMode,
+      plateMaterial,
+      pedestalMaterial,
       fileName,
       points,
-      showMomentGroup,
-      showOneWayShear,
-      showTwoWayShear,
+      outline,
+      openings,
+      supportType,
+      subgradeModulus,
+      compressionOnly,
+      loadCases,
+      loadCombinations,
     };
+    const state = writeProjectFile(project, { showMomentGroup, showOneWayShear, showTwoWayShear });
     const blob = new Blob([JSON.stringify(state, null, 2)], { type: "application/json" });
     saveAs(blob, "plate_geometry_state.json");
   };
@@ -563,40 +580,97 @@ export default function App() {
 
     const reader = new FileReader();
     reader.onload = (e) => {
+      let raw;
       try {
-        const importedState = JSON.parse(e.target.result);
-        setLength(importedState.length);
-        setWidth(importedState.width);
-        setMesh(importedState.mesh);
-        setPedestalHeight(importedState.pedestalHeight);
-        setPlateThickness(importedState.plateThickness);
-        setZOrientation(importedState.zOrientation);
-        setFileName(importedState.fileName);
-        setPoints(Array.isArray(importedState.points) ? importedState.points : []);
-        setShowMomentGroup(importedState.showMomentGroup);
-        setShowOneWayShear(importedState.showOneWayShear);
-        setShowTwoWayShear(importedState.showTwoWayShear);
+        raw = JSON.parse(e.target.result);
       } catch (error) {
-        alert("Invalid JSON file");
+        alert(`${file.name} is not valid JSON: ${error.message}`);
+        return;
+      }
+      // Nothing is applied unless the whole file is valid
+      const { project, view, errors } = readProjectFile(raw);
+      if (errors.length > 0) {
+        alert(`${file.name} was not imported (${errors.length} problem(s)):\n\n${errors.join("\n")}`);
+        return;
+      }
+      loadProject(project);
+      if (view.showMomentGroup !== undefined) setShowMomentGroup(view.showMomentGroup);
+      if (view.showOneWayShear !== undefined) setShowOneWayShear(view.showOneWayShear);
+      if (view.showTwoWayShear !== undefined) setShowTwoWayShear(view.showTwoWayShear);
+    };
+    reader.readAsText(file);
+    // Allow re-importing the same file
+    event.target.value = "";
+  };
+
+  const importFromStd = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const { project, warnings } = parseStaad(e.target.result);
+      loadProject({ ...project, fileName: file.name });
+      if (warnings.length > 0) {
+        alert(`Imported ${file.name} with ${warnings.length} issue(s):\n\n${warnings.join("\n")}`);
+      }
+    };
+    reader.readAsText(file);
+    // Allow re-importing the same file
+    event.target.value = "";
+  };
+
+  const importFromDxf = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const drawing = parseDxf(e.target.result);
+      if (drawing.entities.length === 0) {
+        alert(`${file.name} has no entities to import; is it an ASCII DXF?`);
+        return;
       }
+      setDxfImport({ fileName: file.name, drawing, ...dxfImportDefaults(drawing, unitSystem.length), replace: false });
     };
     reader.readAsText(file);
+    // Allow re-importing the same file
+    event.target.value = "";
   };
 
   // Render sizes in pixels via viewBox (meters * pxPerMeter)
   const viewW = length * pxPerMeter;
   const viewH = width * pxPerMeter;
 
-  const deletePoint = (id) => setPoints((arr) => arr.filter((p) => p.id !== id));
+  const deletePoint = (id) => {
+    setPoints((arr) => arr.filter((p) => p.id !== id));
+    setSelectedIds((ids) => ids.filter((i) => i !== id));
+  };
 
   // Ensure points is treated as an array before calling .map to prevent runtime errors
   const safePoints = Array.isArray(points) ? points : [];
 
+  // The pedestal being dragged and its nearest neighbour, shown live while dragging
+  const dragged = dragId != null ? safePoints.find((p) => p.id === dragId) : null;
+  const neighbour = dragged ? nearestNeighbour(dragged, safePoints) : null;
+
   console.log("Points state:", points); // Debugging to verify points value
 
   return (
     <div className="min-h-screen bg-slate-50 text-slate-900 p-4">
       <div className="max-w-7xl mx-auto space-y-4">
+        <ProjectBrowser
+          library={library}
+          projectId={projectId}
+          fileName={fileName}
+          newProject={newProject}
+          openProject={openProject}
+          duplicateProject={duplicateProject}
+          renameProject={renameProject}
+          deleteProject={deleteProject}
+          loadError={loadError}
+          dismissLoadError={dismissLoadError}
+        />
         <div className="mb-3 flex flex-wrap items-end gap-3">
           <div className="flex flex-col">
             <label className="text-xs">Z Orientation</label>
@@ -609,6 +683,20 @@ export default function App() {
               <option value="down">Z Down</option>
             </select>
           </div>
+          <div className="flex flex-col">
+            <label className="text-xs">Units</label>
+            <select
+              className="border rounded-xl px-3 py-2 w-40"
+              value={units}
+              onChange={(e) => setUnits(e.target.value)}
+            >
+              {UNIT_SYSTEMS.map((u) => (
+                <option key={u.value} value={u.value}>
+                  {u.label}
+                </option>
+              ))}
+            </select>
+          </div>
           <div className="flex flex-col">
             <label className="text-xs">Export File Name</label>
             <input
@@ -619,59 +707,93 @@ export default function App() {
             />
           </div>
           <div className="flex flex-col">
-            <label className="text-xs">Length X (m)</label>
+            <label className="text-xs">Length X ({unitSystem.length})</label>
             <input
               className="border rounded-xl px-3 py-2 w-28"
               type="number"
-              step="0.1"
-              min={0.1}
-              value={length}
-              onChange={(e) => setLength(Math.max(0.1, parseFloat(e.target.value) || 0.1))}
+              step={unitSystem.lengthStep}
+              value={showLength(length)}
+              onChange={(e) => setLength(Math.max(0.1, readLength(e)))}
             />
           </div>
           <div className="flex flex-col">
-            <label className="text-xs">Width Z (m)</label>
+            <label className="text-xs">Width Z ({unitSystem.length})</label>
             <input
               className="border rounded-xl px-3 py-2 w-28"
               type="number"
-              step="0.1"
-              min={0.1}
-              value={width}
-              onChange={(e) => setWidth(Math.max(0.1, parseFloat(e.target.value) || 0.1))}
+              step={unitSystem.lengthStep}
+              value={showLength(width)}
+              onChange={(e) => setWidth(Math.max(0.1, readLength(e)))}
             />
           </div>
           <div className="flex flex-col">
-            <label className="text-xs">Mesh (m)</label>
+            <label className="text-xs">Mesh ({unitSystem.length})</label>
             <input
               className="border rounded-xl px-3 py-2 w-28"
               type="number"
-              step="0.05"
-              min={0.05}
-              value={mesh}
-              onChange={(e) => setMesh(Math.max(0.01, parseFloat(e.target.value) || 0.5))}
+              step={unitSystem.lengthStep / 2}
+              value={showLength(mesh)}
+              onChange={(e) => setMesh(Math.max(0.01, readLength(e) || 0.5))}
             />
           </div>
           <div className="flex flex-col">
-            <label className="text-xs">Pedestal Height (m)</label>
+            <label className="text-xs">Mesh Mode</label>
+            <select
+              className="border rounded-xl px-3 py-2 w-40"
+              value={meshMode}
+              onChange={(e) => setMeshMode(e.target.value)}
+              title="Step the mesh size from each cut (remainder in the last strip), or divide each segment into equal strips closest to the mesh size"
+            >
+              {MESH_MODES.map((m) => (
+                <option key={m.value} value={m.value}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="flex flex-col">
+            <label className="text-xs">Min Strip ({unitSystem.length})</label>
+            <input
+              className="border rounded-xl px-3 py-2 w-28"
+              type="number"
+              min={0}
+              step={unitSystem.lengthStep / 2}
+              value={showLength(minStrip)}
+              onChange={(e) => setMinStrip(Math.max(0, readLength(e)))}
+              title="Narrowest strip the mesh divisions may leave (0 for no limit); gaps between pedestals and edges are kept"
+            />
+          </div>
+          <div className="flex flex-col">
+            <label className="text-xs">Pedestal Height ({unitSystem.length})</label>
             <input
               className="border rounded-xl px-3 py-2 w-28"
               type="number"
-              step="0.1"
-              value={pedestalHeight}
-              onChange={(e) => setPedestalHeight(parseFloat(e.target.value) || 0)}
+              step={unitSystem.lengthStep}
+              value={showLength(pedestalHeight)}
+              onChange={(e) => setPedestalHeight(readLength(e))}
             />
           </div>
           <div className="flex flex-col">
-            <label className="text-xs">Plate Thickness (m)</label>
+            <label className="text-xs">Plate Thickness ({unitSystem.length})</label>
             <input
               className="border rounded-xl px-3 py-2 w-28"
               type="number"
-              step="0.01"
-              min={0.01}
-              value={plateThickness}
-              onChange={(e) => setPlateThickness(parseFloat(e.target.value) || 0.01)}
+              step={unitSystem.lengthStep / 10}
+              value={showLength(plateThickness)}
+              onChange={(e) => setPlateThickness(readLength(e) || 0.01)}
             />
           </div>
+          <label
+            className="flex items-center gap-2 text-sm py-2"
+            title="Cut the grid at pedestal faces and shear critical sections so each group is exactly the plates inside its perimeter"
+          >
+            <input
+              type="checkbox"
+              checked={gridAtPedestalFaces}
+              onChange={(e) => setGridAtPedestalFaces(e.target.checked)}
+            />
+            Grid at Pedestal Faces
+          </label>
           <div className="flex flex-col">
             <label className="text-xs">Import JSON</label>
             <input
@@ -681,6 +803,24 @@ export default function App() {
               className="border rounded-xl px-3 py-2 w-56"
             />
           </div>
+          <div className="flex flex-col">
+            <label className="text-xs">Import STAAD (.STD)</label>
+            <input
+              type="file"
+              accept=".std,.STD"
+              onChange={importFromStd}
+              className="border rounded-xl px-3 py-2 w-56"
+            />
+          </div>
+          <div className="flex flex-col">
+            <label className="text-xs">Import DXF Pedestals</label>
+            <input
+              type="file"
+              accept=".dxf,.DXF"
+              onChange={importFromDxf}
+              className="border rounded-xl px-3 py-2 w-56"
+            />
+          </div>
           <div className="flex flex-col">
             <label className="text-xs">Export JSON</label>
             <button
@@ -690,24 +830,63 @@ export default function App() {
               Export to JSON
             </button>
           </div>
+          <div className="flex gap-2">
+            <button
+              onClick={undo}
+              disabled={past.length === 0}
+              className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-white disabled:opacity-40"
+              title="Undo (Ctrl+Z)"
+            >
+              Undo
+            </button>
+            <button
+              onClick={redo}
+              disabled={future.length === 0}
+              className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-white disabled:opacity-40"
+              title="Redo (Ctrl+Shift+Z)"
+            >
+              Redo
+            </button>
+          </div>
         </div>
         <div className="bg-white rounded-2xl shadow p-3">
-          <div className="flex items-center justify-between mb-2">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
             <div className="text-sm text-slate-600">
-              Origin at upper-left (0, 0, 0).
+              {dragged ? (
+                <>
+                  P{dragged.id} at ({showLength(dragged.x)}, {showLength(dragged.z)}) {unitSystem.length}
+                  {neighbour &&
+                    ` · P${neighbour.point.id}: ${showLength(neighbour.distance)} ${unitSystem.length}` +
+                      ` (ΔX ${showLength(neighbour.dx)}, ΔZ ${showLength(neighbour.dz)})`}
+                </>
+              ) : (
+                "Origin at upper-left (0, 0, 0). Hold Alt while dragging to place freely."
+              )}
             </div>
+            <SnapControls snap={snap} setSnap={setSnap} units={units} />
             <div className="text-sm">
-              Nodes: {nodes.length} · Plates: {plates.length} · Members: {members.length} · 2-Way Shear Plates: {twoWayShearPlates.length}
+              Nodes: {nodes.length} · Plates: {plates.length} · Members: {members.length} · 2-Way Shear Plates: {twoWayShearPlates.length} ·{" "}
+              <span className={maxAspectRatio > MAX_PLATE_ASPECT_RATIO ? "text-red-600" : ""}>
+                Max Aspect Ratio: {round3(maxAspectRatio)}:1
+              </span>
             </div>
           </div>
           <SVGCanvas
             length={length}
             width={width}
             pxPerMeter={pxPerMeter}
+            units={units}
             xLines={xLines}
             zLines={zLines}
             nodes={nodes}
             points={safePoints}
+            outline={shape.outline}
+            openings={shape.openings}
+            draft={draft}
+            patternPreview={patternPlacement}
+            guides={guides}
+            dragged={dragged}
+            neighbour={neighbour}
             pedestalGroupBoundingBoxes={pedestalGroupBoundingBoxes}
             showMomentGroup={showMomentGroup}
             showOneWayShear={showOneWayShear}
@@ -716,25 +895,43 @@ export default function App() {
             onPointerMove={onPointerMove}
             onPointerUp={onPointerUp}
             onPointerDownPoint={onPointerDownPoint}
+            svgRef={svgRef}
+            highlight={highlight}
+            selectedIds={selectedIds}
+            onBoxSelect={onBoxSelect}
           />
         </div>
+        <ModelPreview3D
+          nodes={nodes}
+          plates={plates}
+          members={members}
+          plateThickness={plateThickness}
+          zOrientation={zOrientation}
+        />
+        <ModelCheckPanel
+          issues={issues}
+          activeIssue={activeIssue}
+          setActiveIssue={setActiveIssue}
+          blockExportOnErrors={blockExportOnErrors}
+          setBlockExportOnErrors={setBlockExportOnErrors}
+        />
         <div className="bg-white rounded-2xl shadow p-3">
           <div className="flex flex-wrap items-center justify-between font-medium mb-2 gap-2">
             <div className="flex flex-wrap items-center gap-2">
               <span className="text-sm">Add Pedestal At :</span>
-              <label className="text-sm">X</label>
+              <label className="text-sm">X ({unitSystem.length})</label>
               <input
                 className="border rounded-lg px-2 py-1 w-20"
                 type="number"
-                step="0.1"
+                step={unitSystem.lengthStep}
                 value={newPointX}
                 onChange={(e) => setNewPointX(parseFloat(e.target.value) || 0)}
               />
-              <label className="text-sm">Z</label>
+              <label className="text-sm">Z ({unitSystem.length})</label>
               <input
                 className="border rounded-lg px-2 py-1 w-20"
                 type="number"
-                step="0.1"
+                step={unitSystem.lengthStep}
                 value={newPointZ}
                 onChange={(e) => setNewPointZ(parseFloat(e.target.value) || 0)}
               />
@@ -747,26 +944,104 @@ export default function App() {
               </button>
             </div>
             <button
-              onClick={() => setPoints([])}
+              onClick={() => {
+                setPoints([]);
+                setSelectedIds([]);
+              }}
               className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-white"
               title="This action will delete all the pedestals"
             >
               Delete All Pedestals
             </button>
           </div>
+          <SelectionToolbar
+            selectedCount={safePoints.filter((p) => selectedIds.includes(p.id)).length}
+            clipboardCount={clipboard.length}
+            onSelectAll={() => setSelectedIds(safePoints.map((p) => p.id))}
+            onClearSelection={() => setSelectedIds([])}
+            onCopy={copySelection}
+            onPaste={pasteClipboard}
+            onDelete={deleteSelection}
+            onMirror={mirrorSelection}
+            pasteOffset={pasteOffset}
+            setPasteOffset={setPasteOffset}
+            units={units}
+          />
           <PedestalList
+            selectedIds={selectedIds}
+            setSelectedIds={setSelectedIds}
             points={safePoints}
             setPoints={setPoints}
             length={length}
             width={width}
+            units={units}
             deletePoint={deletePoint}
+            loadCases={loadCases}
+            onExportCsv={() => downloadCsv("pedestals")}
+            exportBlocked={downloadBlocked ? `Fix the ${exportErrors} model error(s) to download` : null}
           />
         </div>
+        <PatternPanel
+          pattern={pattern}
+          setPattern={setPattern}
+          placement={patternPlacement}
+          onGenerate={addPatternPedestals}
+          units={units}
+        />
+        {dxfImport && (
+          <DxfImportPanel dxfImport={dxfImport} setDxfImport={setDxfImport} result={dxfResult} onImport={applyDxfImport} />
+        )}
+        <OutlinePanel
+          length={length}
+          width={width}
+          units={units}
+          outline={outline}
+          setOutline={setOutline}
+          openings={openings}
+          setOpenings={setOpenings}
+          drawMode={drawMode}
+          setDrawMode={setDrawMode}
+          draft={draft}
+          setDraft={setDraft}
+        />
+        <RefinementPanel refinement={refinement} setRefinement={setRefinement} mesh={mesh} units={units} />
+        <MaterialsPanel
+          plateMaterial={plateMaterial}
+          setPlateMaterial={setPlateMaterial}
+          pedestalMaterial={pedestalMaterial}
+          setPedestalMaterial={setPedestalMaterial}
+          units={units}
+        />
+        <SupportsPanel
+          supportType={supportType}
+          setSupportType={setSupportType}
+          subgradeModulus={subgradeModulus}
+          setSubgradeModulus={setSubgradeModulus}
+          compressionOnly={compressionOnly}
+          setCompressionOnly={setCompressionOnly}
+          units={units}
+        />
+        <LoadsPanel
+          units={units}
+          points={safePoints}
+          setPoints={setPoints}
+          loadCases={loadCases}
+          setLoadCases={setLoadCases}
+          loadCombinations={loadCombinations}
+          setLoadCombinations={setLoadCombinations}
+        />
         <ExportPanel
           exportText={exportText}
           fileName={fileName}
           setFileName={setFileName}
           downloadTxt={downloadTxt}
+          downloadDxf={downloadDxf}
+          downloadCsv={downloadCsv}
+          downloadBlocked={downloadBlocked ? `Fix the ${exportErrors} model error(s) to download` : null}
+          groupMode={groupMode}
+          setGroupMode={setGroupMode}
+          exportFormat={exportFormat}
+          setExportFormat={setExportFormat}
         />
       </div>
       <footer className="text-center text-xs text-slate-500 mt-6">
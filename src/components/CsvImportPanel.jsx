@@ -0,0 +1,203 @@
+import React, { useMemo, useState } from "react";
+import { round3 } from "../utils";
+import { DIMENSIONS, SCHEDULE_FIELDS, UNIT_SYSTEMS, guessScheduleMapping, parseCsv, readSchedule, toUnits, unitSystemOf } from "../engine";
+
+// Rows shown in the preview table
+const PREVIEW_ROWS = 50;
+
+const CsvImportPanel = ({ points, setPoints, units, loadCases, onClose }) => {
+  const [source, setSource] = useState({ text: "", mapping: {} });
+  const [hasHeader, setHasHeader] = useState(true);
+  const [scheduleUnits, setScheduleUnits] = useState(units);
+  const [loadCaseId, setLoadCaseId] = useState(loadCases[0]?.id ?? null);
+  const [replace, setReplace] = useState(false);
+
+  // A new table gets its columns guessed from the header
+  const setText = (text) => setSource({ text, mapping: guessScheduleMapping(parseCsv(text)[0] || []) });
+
+  const rows = useMemo(() => parseCsv(source.text), [source.text]);
+  const columns = (rows[0] || []).map((cell, i) => (hasHeader && cell.trim() !== "" ? cell.trim() : `Column ${i + 1}`));
+  const result = useMemo(
+    () =>
+      readSchedule(hasHeader ? rows.slice(1) : rows, {
+        mapping: source.mapping,
+        units: scheduleUnits,
+        loadCaseId,
+        takenIds: replace ? [] : points.map((p) => p.id),
+      }),
+    [rows, hasHeader, source.mapping, scheduleUnits, loadCaseId, replace, points]
+  );
+  const errorCount = result.rows.filter((r) => r.error).length;
+
+  // The preview shows the values back in the project units
+  const system = unitSystemOf(units);
+  const show = (v) => round3(toUnits(v, system, DIMENSIONS.length));
+  const pedestalById = new Map(result.pedestals.map((p) => [p.id, p]));
+
+  const onFile = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => setText(e.target.result);
+    reader.readAsText(file);
+    // Allow re-importing the same file
+    event.target.value = "";
+  };
+
+  const onImport = () => {
+    setPoints((arr) => (replace ? result.pedestals : [...arr, ...result.pedestals]));
+    onClose();
+  };
+
+  return (
+    <div className="border rounded-xl p-3 space-y-3 bg-slate-50">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="font-medium">Import Pedestal Schedule (CSV)</div>
+        <div className="flex flex-wrap items-center gap-2">
+          {rows.length > 0 && (
+            <span className="text-sm text-orange-700">
+              Preview: {result.pedestals.length} pedestal(s){errorCount > 0 && `, ${errorCount} row(s) skipped`}
+            </span>
+          )}
+          <button
+            onClick={onImport}
+            disabled={result.pedestals.length === 0}
+            className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-indigo-600 text-white disabled:opacity-50"
+          >
+            Import {result.pedestals.length} Pedestals
+          </button>
+          <button onClick={onClose} className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-white">
+            Cancel
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3">
+        <textarea
+          className="border rounded-lg p-2 text-xs font-mono w-full h-24"
+          placeholder={"Paste from a spreadsheet or type CSV, e.g.\nMark,X,Z,L,W\nC1,1.5,2.0,0.5,0.3"}
+          value={source.text}
+          onChange={(e) => setText(e.target.value)}
+        />
+        <div className="flex flex-col">
+          <label className="text-xs">Or upload a file</label>
+          <input type="file" accept=".csv,.txt,.tsv,text/csv" onChange={onFile} className="border rounded-xl px-3 py-1 w-56 bg-white" />
+        </div>
+        <label className="flex items-center gap-2 text-sm py-1">
+          <input type="checkbox" checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} />
+          First row is a header
+        </label>
+        <div className="flex flex-col">
+          <label className="text-xs">Values In</label>
+          <select className="border rounded-lg px-2 py-1" value={scheduleUnits} onChange={(e) => setScheduleUnits(e.target.value)}>
+            {UNIT_SYSTEMS.map((u) => (
+              <option key={u.value} value={u.value}>
+                {u.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="flex flex-col">
+          <label className="text-xs">Loads To</label>
+          <select
+            className="border rounded-lg px-2 py-1"
+            value={loadCaseId ?? ""}
+            onChange={(e) => setLoadCaseId(e.target.value === "" ? null : Number(e.target.value))}
+            title="The load case the FX…MZ columns are read into"
+          >
+            <option value="">Ignore loads</option>
+            {loadCases.map((c) => (
+              <option key={c.id} value={c.id}>
+                Load {c.id} ({c.name})
+              </option>
+            ))}
+          </select>
+        </div>
+        <label className="flex items-center gap-2 text-sm py-1">
+          <input type="checkbox" checked={replace} onChange={(e) => setReplace(e.target.checked)} />
+          Replace existing pedestals
+        </label>
+      </div>
+
+      {rows.length > 0 && (
+        <>
+          <div className="flex flex-wrap items-end gap-2">
+            <div className="text-sm py-1">Columns:</div>
+            {SCHEDULE_FIELDS.filter((f) => !f.load || loadCaseId != null).map((f) => (
+              <div key={f.key} className="flex flex-col">
+                <label className="text-xs">{f.label}</label>
+                <select
+                  className="border rounded-lg px-2 py-1 w-28"
+                  value={source.mapping[f.key] ?? ""}
+                  onChange={(e) =>
+                    setSource({
+                      ...source,
+                      mapping: { ...source.mapping, [f.key]: e.target.value === "" ? null : Number(e.target.value) },
+                    })
+                  }
+                >
+                  <option value="">—</option>
+                  {columns.map((name, i) => (
+                    <option key={i} value={i}>
+                      {name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+          <div className="max-h-48 overflow-auto">
+            <table className="text-xs w-full">
+              <thead>
+                <tr className="text-left text-slate-500">
+                  <th className="pr-2">Row</th>
+                  <th className="pr-2">Mark</th>
+                  <th className="pr-2">Pedestal</th>
+                  <th className="pr-2">X ({system.length})</th>
+                  <th className="pr-2">Z ({system.length})</th>
+                  <th className="pr-2">L / D ({system.length})</th>
+                  <th className="pr-2">W ({system.length})</th>
+                  <th className="pr-2">Shape</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.rows.slice(0, PREVIEW_ROWS).map((r) => {
+                  const p = pedestalById.get(r.id);
+                  return (
+                    <tr key={r.line} className={r.error ? "text-red-600" : ""}>
+                      <td className="pr-2">{r.line}</td>
+                      <td className="pr-2">{r.mark}</td>
+                      {r.error ? (
+                        <td className="pr-2" colSpan={6}>
+                          Skipped: {r.error}
+                        </td>
+                      ) : (
+                        <>
+                          <td className="pr-2">P{r.id}</td>
+                          <td className="pr-2">{show(p.x)}</td>
+                          <td className="pr-2">{show(p.z)}</td>
+                          <td className="pr-2">{show(p.length)}</td>
+                          <td className="pr-2">{show(p.width)}</td>
+                          <td className="pr-2">{p.shape || "rectangle"}</td>
+                        </>
+                      )}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            {result.rows.length > PREVIEW_ROWS && (
+              <div className="text-xs text-slate-500">… and {result.rows.length - PREVIEW_ROWS} more row(s)</div>
+            )}
+          </div>
+        </>
+      )}
+      <div className="text-xs text-slate-500">
+        X, Z and L / D are required; without W a pedestal is square, and a shape such as &quot;circle&quot; or
+        &quot;round&quot; makes it circular. Marks ending in a number (P7, C7) keep it as the pedestal ID when it is free.
+      </div>
+    </div>
+  );
+};
+
+export default CsvImportPanel;
@@ -0,0 +1,232 @@
+import React, { useMemo, useRef, useState } from "react";
+import { DRAWING_UNITS, footprintOf, outlineCandidates, pointInPolygon, signedArea2 } from "../engine";
+
+// Picks snap to drawing points within this many screen pixels
+const PICK_PIXELS = 10;
+
+// The corners of a rectangle footprint of footprintOf
+const rectangleCorners = ({ x, y, length, width, rotation }) => {
+  const a = (rotation * Math.PI) / 180;
+  const [c, s] = [Math.cos(a), Math.sin(a)];
+  return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([u, v]) => ({
+    x: x + (u * length * c) / 2 - (v * width * s) / 2,
+    y: y + (u * length * s) / 2 + (v * width * c) / 2,
+  }));
+};
+
+// The points an origin can snap to: vertices, circle centres and insertion points
+const snapPointsOf = (entity) => (entity.points ? entity.points : entity.x !== undefined ? [entity] : []);
+
+// Drawing Y is up; the preview draws it down the screen like the canvas
+const toPoints = (points) => points.map((v) => `${v.x},${-v.y}`).join(" ");
+
+const DxfImportPanel = ({ dxfImport, setDxfImport, result, onImport }) => {
+  const [pick, setPick] = useState(null);
+  const svgRef = useRef(null);
+  const { drawing, layer, units, outlineIndex, origin, replace } = dxfImport;
+  const update = (changes) => setDxfImport({ ...dxfImport, ...changes });
+
+  const candidates = useMemo(() => outlineCandidates(drawing), [drawing]);
+  const footprints = useMemo(
+    () => drawing.entities.map((e) => (e.layer === layer ? footprintOf(e, drawing.blocks) : null)),
+    [drawing, layer]
+  );
+  const bounds = useMemo(() => {
+    const points = drawing.entities.flatMap((e) =>
+      e.type === "CIRCLE" ? [{ x: e.x - e.r, y: e.y - e.r }, { x: e.x + e.r, y: e.y + e.r }] : snapPointsOf(e)
+    );
+    if (points.length === 0) return { x0: -1, y0: -1, x1: 1, y1: 1 };
+    const xs = points.map((v) => v.x);
+    const ys = points.map((v) => v.y);
+    return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+  }, [drawing]);
+
+  const size = Math.max(bounds.x1 - bounds.x0, bounds.y1 - bounds.y0, 1e-6);
+  const margin = size * 0.05;
+  const viewBox = [bounds.x0 - margin, -bounds.y1 - margin, bounds.x1 - bounds.x0 + 2 * margin, bounds.y1 - bounds.y0 + 2 * margin];
+  const mark = size / 60;
+
+  // Skipped entities of the layer, counted by type and reason
+  const skippedSummary = Object.entries(
+    result.skipped.reduce((counts, { type, reason }) => {
+      const key = `${type}: ${reason}`;
+      return { ...counts, [key]: (counts[key] || 0) + 1 };
+    }, {})
+  );
+
+  const onClickPreview = (e) => {
+    if (!pick) return;
+    const svg = svgRef.current;
+    const pt = svg.createSVGPoint();
+    pt.x = e.clientX;
+    pt.y = e.clientY;
+    const ctm = svg.getScreenCTM();
+    const local = pt.matrixTransform(ctm.inverse());
+    const at = { x: local.x, y: -local.y };
+    if (pick === "origin") {
+      const tolerance = PICK_PIXELS / ctm.a;
+      const nearest = drawing.entities
+        .flatMap(snapPointsOf)
+        .map((v) => ({ x: v.x, y: v.y, d: Math.hypot(v.x - at.x, v.y - at.y) }))
+        .sort((a, b) => a.d - b.d)[0];
+      update({ origin: nearest && nearest.d <= tolerance ? { x: nearest.x, y: nearest.y } : at });
+    } else {
+      // The smallest closed polyline around the click
+      const polygonOf = (i) => drawing.entities[i].points.map((v) => ({ x: v.x, z: v.y }));
+      const inside = candidates
+        .filter((i) => pointInPolygon(at.x, at.y, polygonOf(i)))
+        .sort((a, b) => Math.abs(signedArea2(polygonOf(a))) - Math.abs(signedArea2(polygonOf(b))));
+      if (inside.length > 0) update({ outlineIndex: inside[0] });
+    }
+    setPick(null);
+  };
+
+  const button = "border px-3 py-1 rounded-2xl shadow-sm hover:shadow bg-white text-sm";
+  const activeButton = "border px-3 py-1 rounded-2xl shadow-sm bg-indigo-600 text-white text-sm";
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-3 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="font-medium">DXF Import · {dxfImport.fileName}</div>
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm text-orange-700">
+            Preview: {result.pedestals.length} pedestal(s)
+            {result.skipped.length > 0 && `, ${result.skipped.length} entities skipped`}
+          </span>
+          <button
+            onClick={onImport}
+            disabled={result.pedestals.length === 0 && !result.plate}
+            className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-indigo-600 text-white disabled:opacity-50"
+          >
+            Import {result.pedestals.length} Pedestals
+          </button>
+          <button onClick={() => setDxfImport(null)} className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-white">
+            Cancel
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="flex flex-col">
+          <label className="text-xs">Pedestal Layer</label>
+          <select className="border rounded-lg px-2 py-1 w-44" value={layer} onChange={(e) => update({ layer: e.target.value })}>
+            {drawing.layers.map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="flex flex-col">
+          <label className="text-xs">Drawing Units</label>
+          <select className="border rounded-lg px-2 py-1" value={units} onChange={(e) => update({ units: e.target.value })}>
+            {DRAWING_UNITS.map((u) => (
+              <option key={u.value} value={u.value}>
+                {u.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="flex flex-col">
+          <label className="text-xs">Plate Outline</label>
+          <select
+            className="border rounded-lg px-2 py-1 w-56"
+            value={outlineIndex ?? ""}
+            onChange={(e) => update({ outlineIndex: e.target.value === "" ? null : Number(e.target.value) })}
+          >
+            <option value="">Keep the current plate</option>
+            {candidates.map((i) => (
+              <option key={i} value={i}>
+                #{i + 1} on {drawing.entities[i].layer} ({drawing.entities[i].points.length} vertices)
+              </option>
+            ))}
+          </select>
+        </div>
+        {["x", "y"].map((axis) => (
+          <div key={axis} className="flex flex-col">
+            <label className="text-xs">Origin {axis.toUpperCase()} ({units})</label>
+            <input
+              className="border rounded-lg px-2 py-1 w-28"
+              type="number"
+              value={origin[axis]}
+              onChange={(e) => update({ origin: { ...origin, [axis]: parseFloat(e.target.value) || 0 } })}
+            />
+          </div>
+        ))}
+        <label className="flex items-center gap-2 text-sm py-1">
+          <input type="checkbox" checked={replace} onChange={(e) => update({ replace: e.target.checked })} />
+          Replace existing pedestals
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <button className={pick === "origin" ? activeButton : button} onClick={() => setPick(pick === "origin" ? null : "origin")}>
+          Pick Origin
+        </button>
+        <button className={pick === "outline" ? activeButton : button} onClick={() => setPick(pick === "outline" ? null : "outline")}>
+          Pick Outline
+        </button>
+        <span className="text-slate-600">
+          {pick === "origin"
+            ? "Click the point that becomes the plate's (0, 0); it snaps to nearby vertices and centres."
+            : pick === "outline"
+              ? "Click inside the closed polyline of the plate edge."
+              : "The origin becomes the plate's (0, 0); the drawing's Y runs along −Z."}
+        </span>
+      </div>
+
+      <svg
+        ref={svgRef}
+        className={`w-full h-[360px] bg-slate-50 rounded-xl **:[vector-effect:non-scaling-stroke] ${pick ? "cursor-crosshair" : ""}`}
+        viewBox={viewBox.join(" ")}
+        onClick={onClickPreview}
+      >
+        {drawing.entities.map((e, i) => {
+          const footprint = footprints[i];
+          const onLayer = footprint !== null;
+          const stroke = i === outlineIndex ? "#0f172a" : !onLayer ? "#cbd5e1" : footprint.reason ? "#f97316" : "#1e40af";
+          const common = { fill: onLayer && !footprint.reason ? "#60a5fa" : "none", fillOpacity: 0.3, stroke, strokeWidth: i === outlineIndex ? 2 : 1 };
+          if (onLayer && footprint.circle) return <circle key={i} {...common} cx={footprint.circle.x} cy={-footprint.circle.y} r={footprint.circle.r} />;
+          if (onLayer && footprint.rectangle) return <polygon key={i} {...common} points={toPoints(rectangleCorners(footprint.rectangle))} />;
+          if (e.type === "CIRCLE") return <circle key={i} {...common} cx={e.x} cy={-e.y} r={e.r} />;
+          if (e.points) {
+            return e.closed ? <polygon key={i} {...common} points={toPoints(e.points)} /> : <polyline key={i} {...common} points={toPoints(e.points)} />;
+          }
+          if (e.x !== undefined) {
+            return <path key={i} {...common} d={`M${e.x - mark / 2},${-e.y} h${mark} M${e.x},${-e.y - mark / 2} v${mark}`} />;
+          }
+          return null;
+        })}
+        {/* The origin, with the plate's +X and +Z directions */}
+        <path
+          d={`M${origin.x},${-origin.y} h${mark * 3} M${origin.x},${-origin.y} v${mark * 3}`}
+          stroke="#dc2626"
+          strokeWidth={2}
+          fill="none"
+        />
+        <circle cx={origin.x} cy={-origin.y} r={mark / 3} fill="#dc2626" />
+      </svg>
+
+      {(result.warnings.length > 0 || skippedSummary.length > 0) && (
+        <ul className="text-sm space-y-1">
+          {result.warnings.map((w) => (
+            <li key={w} className="text-red-600">
+              {w}
+            </li>
+          ))}
+          {skippedSummary.map(([reason, count]) => (
+            <li key={reason} className="text-orange-700">
+              Skipped {count} × {reason}
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="text-xs text-slate-500">
+        Rectangles (LWPOLYLINE/POLYLINE), CIRCLEs and INSERTs of blocks drawing a rectangle or a circle on the chosen layer
+        become pedestals. Importing an outline sets the plate size and removes the openings.
+      </div>
+    </div>
+  );
+};
+
+export default DxfImportPanel;
@@ -1,8 +1,23 @@
 import React, { useRef } from "react";
+import { CSV_TABLES, EXPORT_FORMATS, GROUP_MODES } from "../engine";
 
-const ExportPanel = ({ exportText, fileName, setFileName, downloadTxt }) => {
+const ExportPanel = ({
+  exportText,
+  fileName,
+  setFileName,
+  downloadTxt,
+  downloadDxf,
+  downloadCsv,
+  downloadBlocked,
+  groupMode,
+  setGroupMode,
+  exportFormat,
+  setExportFormat,
+}) => {
   const exportTextRef = useRef(null);
   const [copyMessage, setCopyMessage] = React.useState("");
+  const [csvTable, setCsvTable] = React.useState(CSV_TABLES[0].value);
+  const format = EXPORT_FORMATS.find((f) => f.value === exportFormat) || EXPORT_FORMATS[0];
 
   const handleCopyToClipboard = () => {
     if (exportTextRef.current) {
@@ -16,8 +31,42 @@ const ExportPanel = ({ exportText, fileName, setFileName, downloadTxt }) => {
   return (
     <div className="bg-white rounded-2xl shadow p-3">
       <div className="flex justify-between items-center mb-2">
-        <div className="font-medium">Export Preview</div>
+        <div className="font-medium">Export Preview · {format.label}</div>
         <div className="flex items-center gap-2">
+          <label className="text-sm">Format</label>
+          <select
+            className="border rounded-lg px-2 py-1"
+            value={format.value}
+            onChange={(e) => setExportFormat(e.target.value)}
+            title="The open formats get the nodes, plates, pedestal members and groups; supports and loads are STAAD only"
+          >
+            {EXPORT_FORMATS.map((f) => (
+              <option key={f.value} value={f.value}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+          <label
+            className="text-sm"
+            title={
+              format.value === "staad"
+                ? "Combined groups cover all pedestals; per-pedestal groups are named _P<id>_MOMENT etc. with a _PEDESTALS member group"
+                : "Combined element sets cover all pedestals; per-pedestal sets are named P<id>_MOMENT etc."
+            }
+          >
+            {format.value === "staad" ? "STAAD Groups" : "Element Sets"}
+          </label>
+          <select
+            className="border rounded-lg px-2 py-1"
+            value={groupMode}
+            onChange={(e) => setGroupMode(e.target.value)}
+          >
+            {GROUP_MODES.map((m) => (
+              <option key={m.value} value={m.value}>
+                {m.label}
+              </option>
+            ))}
+          </select>
           <span className="text-sm text-green-600 transition-opacity duration-300">
             {copyMessage}
           </span>
@@ -35,12 +84,41 @@ const ExportPanel = ({ exportText, fileName, setFileName, downloadTxt }) => {
         readOnly
         value={exportText}
       />
-      <div className="flex justify-end mt-2">
+      <div className="flex justify-end items-center gap-2 mt-2">
+        {downloadBlocked && <span className="text-sm text-red-600">{downloadBlocked}</span>}
+        <select
+          className="border rounded-lg px-2 py-1"
+          value={csvTable}
+          onChange={(e) => setCsvTable(e.target.value)}
+          title="Table to download as CSV, for review in a spreadsheet"
+        >
+          {CSV_TABLES.map((t) => (
+            <option key={t.value} value={t.value}>
+              {t.label}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={() => downloadCsv(csvTable)}
+          disabled={Boolean(downloadBlocked)}
+          className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-white disabled:opacity-50"
+        >
+          Download CSV
+        </button>
+        <button
+          onClick={downloadDxf}
+          disabled={Boolean(downloadBlocked)}
+          className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-white disabled:opacity-50"
+          title="Plan drawing for CAD: outline, mesh, pedestals and groups on separate layers"
+        >
+          Download DXF
+        </button>
         <button
           onClick={downloadTxt}
-          className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-indigo-600 text-white"
+          disabled={Boolean(downloadBlocked)}
+          className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-indigo-600 text-white disabled:opacity-50"
         >
-          Download File
+          Download .{format.extension}
         </button>
       </div>
     </div>
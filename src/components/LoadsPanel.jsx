@@ -0,0 +1,192 @@
+import React, { useState } from "react";
+import { round3 } from "../utils";
+import { DIMENSIONS, LOAD_COMPONENTS, fromUnits, nextLoadId, pedestalLoad, toUnits, unitSystemOf } from "../engine";
+
+const LoadsPanel = ({
+  units,
+  points,
+  setPoints,
+  loadCases,
+  setLoadCases,
+  loadCombinations,
+  setLoadCombinations,
+}) => {
+  const system = unitSystemOf(units);
+  const dimensionOf = (component) => (component.startsWith("m") ? DIMENSIONS.moment : DIMENSIONS.force);
+  const [selectedCaseId, setSelectedCaseId] = useState(null);
+  const activeCase = loadCases.find((c) => c.id === selectedCaseId) || loadCases[0];
+
+  const addLoadCase = () => {
+    const id = nextLoadId(loadCases, loadCombinations);
+    setLoadCases([...loadCases, { id, name: `CASE ${id}` }]);
+    setSelectedCaseId(id);
+  };
+
+  const renameLoadCase = (id, name) =>
+    setLoadCases(loadCases.map((c) => (c.id === id ? { ...c, name } : c)));
+
+  const deleteLoadCase = (id) => {
+    setLoadCases(loadCases.filter((c) => c.id !== id));
+    setLoadCombinations(
+      loadCombinations.map((combo) => {
+        const { [id]: _removed, ...factors } = combo.factors;
+        return { ...combo, factors };
+      })
+    );
+    setPoints((arr) =>
+      arr.map((p) => {
+        if (!p.loads) return p;
+        const { [id]: _removed, ...loads } = p.loads;
+        return { ...p, loads };
+      })
+    );
+  };
+
+  const setPedestalLoad = (pointId, component, value) => {
+    setPoints((arr) =>
+      arr.map((p) => {
+        if (p.id !== pointId) return p;
+        const loads = p.loads || {};
+        return { ...p, loads: { ...loads, [activeCase.id]: { ...loads[activeCase.id], [component]: value } } };
+      })
+    );
+  };
+
+  const addCombination = () => {
+    const id = nextLoadId(loadCases, loadCombinations, 101);
+    const factors = Object.fromEntries(loadCases.map((c) => [c.id, 1]));
+    setLoadCombinations([...loadCombinations, { id, name: `COMB ${id}`, factors }]);
+  };
+
+  const updateCombination = (id, changes) =>
+    setLoadCombinations(loadCombinations.map((combo) => (combo.id === id ? { ...combo, ...changes } : combo)));
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-3 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="font-medium">Loads</div>
+        <button
+          onClick={addLoadCase}
+          className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-indigo-600 text-white"
+        >
+          Add Load Case
+        </button>
+      </div>
+
+      {loadCases.length === 0 && (
+        <div className="text-sm text-slate-500">
+          No load cases. Add one to attach FX, FY, FZ, MX and MZ ({system.force}, {system.force}·{system.length}, global
+          axes) to each pedestal.
+        </div>
+      )}
+
+      {loadCases.length > 0 && (
+        <>
+          <div className="flex flex-wrap items-center gap-2">
+            {loadCases.map((c) => (
+              <div
+                key={c.id}
+                className={`flex items-center gap-1 border rounded-xl px-2 py-1 ${c.id === activeCase.id ? "border-indigo-600" : ""}`}
+              >
+                <button className="text-sm w-8" onClick={() => setSelectedCaseId(c.id)} title="Edit pedestal loads">
+                  {c.id}
+                </button>
+                <input
+                  className="border rounded-lg px-2 py-1 w-32"
+                  type="text"
+                  value={c.name}
+                  onFocus={() => setSelectedCaseId(c.id)}
+                  onChange={(e) => renameLoadCase(c.id, e.target.value)}
+                />
+                <button onClick={() => deleteLoadCase(c.id)} className="text-red-600 text-sm hover:underline">
+                  Delete
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="text-sm">Pedestal loads in load {activeCase.id} ({activeCase.name}):</div>
+          <div className="space-y-2 max-h-64 overflow-auto pr-1">
+            {points
+              .slice()
+              .sort((a, b) => a.id - b.id)
+              .map((p) => {
+                const load = pedestalLoad(p, activeCase.id);
+                return (
+                  <div key={p.id} className="flex flex-wrap items-center gap-2">
+                    <span className="text-sm w-6">P{p.id}</span>
+                    {LOAD_COMPONENTS.map((component) => (
+                      <React.Fragment key={component}>
+                        <label className="text-sm">
+                          {component.toUpperCase()} ({system.force}
+                          {component.startsWith("m") ? `·${system.length}` : ""})
+                        </label>
+                        <input
+                          className="border rounded-lg px-2 py-1 w-24"
+                          type="number"
+                          step="1"
+                          value={round3(toUnits(load[component], system, dimensionOf(component)))}
+                          onChange={(e) =>
+                            setPedestalLoad(
+                              p.id,
+                              component,
+                              fromUnits(parseFloat(e.target.value) || 0, system, dimensionOf(component))
+                            )
+                          }
+                        />
+                      </React.Fragment>
+                    ))}
+                  </div>
+                );
+              })}
+          </div>
+
+          <div className="flex items-center justify-between">
+            <div className="text-sm font-medium">Load Combinations</div>
+            <button
+              onClick={addCombination}
+              className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-white"
+            >
+              Add Combination
+            </button>
+          </div>
+          {loadCombinations.map((combo) => (
+            <div key={combo.id} className="flex flex-wrap items-center gap-2">
+              <span className="text-sm w-8">{combo.id}</span>
+              <input
+                className="border rounded-lg px-2 py-1 w-40"
+                type="text"
+                value={combo.name}
+                onChange={(e) => updateCombination(combo.id, { name: e.target.value })}
+              />
+              {loadCases.map((c) => (
+                <React.Fragment key={c.id}>
+                  <label className="text-sm">× {c.name}</label>
+                  <input
+                    className="border rounded-lg px-2 py-1 w-20"
+                    type="number"
+                    step="0.1"
+                    value={combo.factors[c.id] ?? 0}
+                    onChange={(e) =>
+                      updateCombination(combo.id, {
+                        factors: { ...combo.factors, [c.id]: parseFloat(e.target.value) || 0 },
+                      })
+                    }
+                  />
+                </React.Fragment>
+              ))}
+              <button
+                onClick={() => setLoadCombinations(loadCombinations.filter((x) => x.id !== combo.id))}
+                className="ml-auto text-red-600 text-sm hover:underline"
+              >
+                Delete
+              </button>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LoadsPanel;
@@ -0,0 +1,98 @@
+import React from "react";
+import { round3 } from "../utils";
+import { DIMENSIONS, MATERIAL_PRESETS, editMaterial, fromUnits, materialFromPreset, toUnits, unitSystemOf } from "../engine";
+
+// Values are stored in kN and m and shown in the project units; steps are in kN and m
+const FIELDS = [
+  { key: "E", label: "E", dimension: DIMENSIONS.stress, step: 500000 },
+  { key: "poisson", label: "Poisson", dimension: {}, step: 0.01 },
+  { key: "density", label: "Density", dimension: DIMENSIONS.unitWeight, step: 0.5 },
+  { key: "fcu", label: "Strength", dimension: DIMENSIONS.stress, step: 1000 },
+];
+
+const unitLabel = (system, { length = 0, force = 0 }) => {
+  if (!force) return "";
+  const power = { 2: "²", 3: "³" }[-length] || "";
+  return ` (${system.force}/${system.length}${power})`;
+};
+
+const MaterialEditor = ({ title, material, setMaterial, system }) => (
+  <div className="flex flex-wrap items-end gap-3">
+    <div className="font-medium text-sm w-24 py-2">{title}</div>
+    <div className="flex flex-col">
+      <label className="text-xs">Grade</label>
+      <select
+        className="border rounded-xl px-3 py-2 w-48"
+        value={material.preset}
+        onChange={(e) => {
+          const preset = materialFromPreset(e.target.value);
+          if (preset) setMaterial(preset);
+        }}
+      >
+        {MATERIAL_PRESETS.map((group) => (
+          <optgroup key={group.standard} label={group.standard}>
+            {group.materials.map((entry) => (
+              <option key={entry.material.preset} value={entry.material.preset}>
+                {entry.label}
+              </option>
+            ))}
+          </optgroup>
+        ))}
+        <option value="custom" disabled>
+          Custom
+        </option>
+      </select>
+    </div>
+    <div className="flex flex-col">
+      <label className="text-xs">Name</label>
+      <input
+        className="border rounded-xl px-3 py-2 w-28"
+        type="text"
+        value={material.name}
+        onChange={(e) => setMaterial(editMaterial(material, { name: e.target.value }))}
+      />
+    </div>
+    {FIELDS.map(({ key, label, dimension, step }) => (
+      <div key={key} className="flex flex-col">
+        <label className="text-xs">
+          {label}
+          {unitLabel(system, dimension)}
+        </label>
+        <input
+          className="border rounded-xl px-3 py-2 w-28"
+          type="number"
+          step={round3(toUnits(step, system, dimension))}
+          min={0}
+          value={round3(toUnits(material[key], system, dimension))}
+          onChange={(e) =>
+            setMaterial(
+              editMaterial(material, {
+                [key]: fromUnits(Math.max(0, parseFloat(e.target.value) || 0), system, dimension),
+              })
+            )
+          }
+        />
+      </div>
+    ))}
+    <div className="flex flex-col">
+      <label className="text-xs">G{unitLabel(system, DIMENSIONS.stress)}</label>
+      <div className="px-3 py-2 w-28 text-sm">{round3(toUnits(material.G, system, DIMENSIONS.stress))}</div>
+    </div>
+  </div>
+);
+
+const MaterialsPanel = ({ plateMaterial, setPlateMaterial, pedestalMaterial, setPedestalMaterial, units }) => {
+  const system = unitSystemOf(units);
+  return (
+    <div className="bg-white rounded-2xl shadow p-3 space-y-3">
+      <div className="font-medium">Materials</div>
+      <MaterialEditor title="Mat" material={plateMaterial} setMaterial={setPlateMaterial} system={system} />
+      <MaterialEditor title="Pedestals" material={pedestalMaterial} setMaterial={setPedestalMaterial} system={system} />
+      <div className="text-xs text-slate-500">
+        Picking a grade derives E, G, density and strength from its code; editing E or Poisson re-derives G.
+      </div>
+    </div>
+  );
+};
+
+export default MaterialsPanel;
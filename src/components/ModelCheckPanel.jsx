@@ -0,0 +1,54 @@
+import React from "react";
+
+const SEVERITY_STYLES = {
+  error: { badge: "bg-red-600 text-white", label: "Error" },
+  warning: { badge: "bg-amber-400 text-slate-900", label: "Warning" },
+};
+
+const ModelCheckPanel = ({ issues, activeIssue, setActiveIssue, blockExportOnErrors, setBlockExportOnErrors }) => {
+  const errorCount = issues.filter((i) => i.severity === "error").length;
+  const warningCount = issues.length - errorCount;
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-3 space-y-2">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="font-medium">
+          Model Check{" "}
+          <span className={`text-sm font-normal ${errorCount > 0 ? "text-red-600" : "text-slate-600"}`}>
+            {issues.length === 0 ? "· no problems found" : `· ${errorCount} error(s), ${warningCount} warning(s)`}
+          </span>
+        </div>
+        <label className="flex items-center gap-2 text-sm" title="Disable Download File while the model has errors">
+          <input
+            type="checkbox"
+            checked={blockExportOnErrors}
+            onChange={(e) => setBlockExportOnErrors(e.target.checked)}
+          />
+          Block download while errors remain
+        </label>
+      </div>
+      {issues.length > 0 && (
+        <ul className="space-y-1 max-h-48 overflow-auto pr-1 text-sm">
+          {issues.map((issue) => {
+            const active = issue.message === activeIssue;
+            const style = SEVERITY_STYLES[issue.severity];
+            return (
+              <li key={issue.message}>
+                <button
+                  onClick={() => setActiveIssue(active ? null : issue.message)}
+                  className={`w-full text-left flex items-start gap-2 px-2 py-1 rounded-lg hover:bg-slate-100 ${active ? "bg-rose-50 ring-1 ring-rose-300" : ""}`}
+                  title={active ? "Clear the highlight" : "Highlight on the canvas"}
+                >
+                  <span className={`text-xs px-2 py-0.5 rounded-full shrink-0 ${style.badge}`}>{style.label}</span>
+                  <span>{issue.message}</span>
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ModelCheckPanel;
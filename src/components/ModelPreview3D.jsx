@@ -0,0 +1,199 @@
+import React, { useMemo, useRef, useState } from "react";
+import { DEFAULT_VIEW_3D, buildPreviewScene, projectScene } from "../engine";
+
+// Base colours of the faces, darkened by the lighting
+const FACE_COLOURS = {
+  plateTop: [226, 232, 240],
+  plateBottom: [203, 213, 225],
+  plateSide: [148, 163, 184],
+  pedestalSide: [96, 165, 250],
+  pedestalTop: [147, 197, 253],
+};
+
+const PRESETS = [
+  { label: "Iso", yaw: 35, pitch: 30 },
+  { label: "Top", yaw: 0, pitch: 90 },
+  { label: "Bottom", yaw: 0, pitch: -90 },
+  { label: "Front", yaw: 0, pitch: 0 },
+  { label: "Side", yaw: 90, pitch: 0 },
+];
+
+// Degrees of rotation per pixel dragged
+const DRAG_SPEED = 0.5;
+
+const shadeOf = (kind, shade) => `rgb(${FACE_COLOURS[kind].map((c) => Math.round(c * shade)).join(",")})`;
+
+const ModelPreview3D = ({ nodes, plates, members, plateThickness, zOrientation }) => {
+  const [open, setOpen] = useState(false);
+  const [view, setView] = useState(DEFAULT_VIEW_3D);
+  const drag = useRef(null);
+
+  const scene = useMemo(
+    () => (open ? buildPreviewScene({ nodes, plates, members, plateThickness }) : null),
+    [open, nodes, plates, members, plateThickness]
+  );
+  const projected = useMemo(
+    () => (scene ? projectScene(scene, { yaw: view.yaw, pitch: view.pitch }) : null),
+    [scene, view.yaw, view.pitch]
+  );
+
+  const button = "border px-3 py-1 rounded-2xl shadow-sm hover:shadow bg-white text-sm";
+
+  if (!open) {
+    return (
+      <div className="bg-white rounded-2xl shadow p-3 flex items-center justify-between">
+        <div className="font-medium">3D Preview</div>
+        <button
+          onClick={() => setOpen(true)}
+          className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-white"
+          title="Show the plates, pedestal members, nodes and plate normals in 3D"
+        >
+          Show 3D Preview
+        </button>
+      </div>
+    );
+  }
+
+  const { bounds } = projected;
+  const size = Math.max(bounds.x1 - bounds.x0, bounds.y1 - bounds.y0, 1e-3);
+  const margin = size * 0.05;
+  const viewBox = [
+    bounds.x0 - margin,
+    bounds.y0 - margin,
+    bounds.x1 - bounds.x0 + 2 * margin,
+    bounds.y1 - bounds.y0 + 2 * margin,
+  ];
+  // Node dots and arrow heads are sized to the drawing, in its units
+  const dot = size / 250;
+  const upCount = projected.normals.filter((n) => n.up).length;
+  const downCount = projected.normals.length - upCount;
+
+  const onPointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    drag.current = { clientX: e.clientX, clientY: e.clientY, yaw: view.yaw, pitch: view.pitch };
+  };
+  const onPointerMove = (e) => {
+    const start = drag.current;
+    if (!start) return;
+    setView({
+      ...view,
+      yaw: (start.yaw - (e.clientX - start.clientX) * DRAG_SPEED) % 360,
+      pitch: Math.max(-90, Math.min(90, start.pitch + (e.clientY - start.clientY) * DRAG_SPEED)),
+    });
+  };
+  const onPointerUp = () => {
+    drag.current = null;
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-3 space-y-2">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="font-medium">3D Preview</div>
+        <div className="flex flex-wrap items-center gap-2">
+          {PRESETS.map((preset) => (
+            <button
+              key={preset.label}
+              className={button}
+              onClick={() => setView({ ...view, yaw: preset.yaw, pitch: preset.pitch })}
+            >
+              {preset.label}
+            </button>
+          ))}
+          <label className="flex items-center gap-1 text-sm">
+            <input
+              type="checkbox"
+              checked={view.showNodes}
+              onChange={(e) => setView({ ...view, showNodes: e.target.checked })}
+            />
+            Nodes
+          </label>
+          <label className="flex items-center gap-1 text-sm">
+            <input
+              type="checkbox"
+              checked={view.showNormals}
+              onChange={(e) => setView({ ...view, showNormals: e.target.checked })}
+            />
+            Normals
+          </label>
+          <button onClick={() => setOpen(false)} className={button}>
+            Close
+          </button>
+        </div>
+      </div>
+      <div className="text-sm text-slate-600">
+        Drag to rotate. Z Orientation &quot;{zOrientation}&quot;:{" "}
+        {/* Plates of one mat should all face the same way */}
+        <span className={upCount > 0 && downCount > 0 ? "text-red-600" : undefined}>
+          {upCount} plate normal(s) up (+Y, green), {downCount} down (−Y, red)
+        </span>{" "}
+        · {members.length} pedestal member(s)
+      </div>
+      <svg
+        className="w-full h-[480px] touch-none select-none cursor-move bg-slate-50 rounded-xl **:[vector-effect:non-scaling-stroke]"
+        viewBox={viewBox.join(" ")}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerLeave={onPointerUp}
+      >
+        <defs>
+          {[["up", "#16a34a"], ["down", "#dc2626"]].map(([key, colour]) => (
+            <marker
+              key={key}
+              id={`normal-arrow-${key}`}
+              viewBox="0 0 10 10"
+              refX="8"
+              refY="5"
+              markerUnits="userSpaceOnUse"
+              markerWidth={dot * 5}
+              markerHeight={dot * 5}
+              orient="auto"
+            >
+              <path d="M0,0 L10,5 L0,10 z" fill={colour} />
+            </marker>
+          ))}
+        </defs>
+        {projected.faces.map((face, i) => {
+          const fill = shadeOf(face.kind, face.shade);
+          // Facets of round pedestals are outlined in their own colour so they look smooth
+          const stroke = face.smooth ? fill : face.kind.startsWith("pedestal") ? "#1e40af" : "#64748b";
+          return (
+            <polygon
+              key={`face-${i}`}
+              points={face.points.map((v) => `${v.x},${v.y}`).join(" ")}
+              fill={fill}
+              stroke={stroke}
+              strokeWidth={1}
+              strokeLinejoin="round"
+            />
+          );
+        })}
+        {view.showNormals &&
+          projected.normals.map((n) => (
+            <line
+              key={`normal-${n.plateId}`}
+              x1={n.from.x}
+              y1={n.from.y}
+              x2={n.to.x}
+              y2={n.to.y}
+              stroke={n.up ? "#16a34a" : "#dc2626"}
+              strokeWidth={1.5}
+              markerEnd={`url(#normal-arrow-${n.up ? "up" : "down"})`}
+            />
+          ))}
+        {view.showNodes &&
+          projected.nodes.map((n) => (
+            <circle
+              key={`node-${n.id}`}
+              cx={n.x}
+              cy={n.y}
+              r={n.type === "pedestal" ? dot * 1.6 : dot}
+              fill={n.type === "pedestal" ? "#1d4ed8" : "#334155"}
+            />
+          ))}
+      </svg>
+    </div>
+  );
+};
+
+export default ModelPreview3D;
@@ -0,0 +1,197 @@
+import React, { useState } from "react";
+import { clamp, round3 } from "../utils";
+import { DIMENSIONS, fromUnits, rectangleOutline, toUnits, unitSystemOf } from "../engine";
+
+const OutlinePanel = ({
+  length,
+  width,
+  units,
+  outline,
+  setOutline,
+  openings,
+  setOpenings,
+  drawMode,
+  setDrawMode,
+  draft,
+  setDraft,
+}) => {
+  // Values are stored in metres and shown in the project units; the
+  // rectangular opening inputs are kept in the project units
+  const system = unitSystemOf(units);
+  const show = (v) => round3(toUnits(v, system, DIMENSIONS.length));
+  const read = (e) => fromUnits(parseFloat(e.target.value) || 0, system, DIMENSIONS.length);
+  const [rect, setRect] = useState({ x: 0, z: 0, length: 1, width: 1 });
+
+  const nextOpeningId = () => (openings.length > 0 ? Math.max(...openings.map((o) => o.id)) : 0) + 1;
+
+  const startDrawing = (mode) => {
+    setDrawMode(mode);
+    setDraft([]);
+  };
+
+  const cancelDrawing = () => {
+    setDrawMode(null);
+    setDraft([]);
+  };
+
+  const finishDrawing = () => {
+    if (draft.length < 3) return;
+    if (drawMode === "outline") {
+      setOutline(draft);
+    } else {
+      setOpenings([...openings, { id: nextOpeningId(), points: draft }]);
+    }
+    cancelDrawing();
+  };
+
+  const addRectangularOpening = () => {
+    const toMetres = (v) => fromUnits(v, system, DIMENSIONS.length);
+    const x0 = clamp(toMetres(rect.x), 0, length);
+    const z0 = clamp(toMetres(rect.z), 0, width);
+    const x1 = clamp(toMetres(rect.x + rect.length), 0, length);
+    const z1 = clamp(toMetres(rect.z + rect.width), 0, width);
+    if (x1 - x0 <= 0 || z1 - z0 <= 0) return;
+    setOpenings([
+      ...openings,
+      { id: nextOpeningId(), points: [{ x: x0, z: z0 }, { x: x1, z: z0 }, { x: x1, z: z1 }, { x: x0, z: z1 }] },
+    ]);
+  };
+
+  const editableOutline = outline || rectangleOutline(length, width);
+  const updateVertex = (index, changes) =>
+    setOutline(editableOutline.map((v, i) => (i === index ? { ...v, ...changes } : v)));
+  const deleteVertex = (index) => {
+    if (editableOutline.length <= 3) return;
+    setOutline(editableOutline.filter((_, i) => i !== index));
+  };
+
+  const rectInput = (key, label) => (
+    <>
+      <label className="text-sm">{label}</label>
+      <input
+        className="border rounded-lg px-2 py-1 w-20"
+        type="number"
+        step={system.lengthStep}
+        value={rect[key]}
+        onChange={(e) => setRect({ ...rect, [key]: parseFloat(e.target.value) || 0 })}
+      />
+    </>
+  );
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-3 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="font-medium">Plate Outline &amp; Openings</div>
+        <div className="flex flex-wrap items-center gap-2">
+          {drawMode ? (
+            <>
+              <span className="text-sm text-purple-700">
+                Click on the canvas to add {drawMode === "outline" ? "outline" : "opening"} vertices ({draft.length})
+              </span>
+              <button
+                onClick={finishDrawing}
+                disabled={draft.length < 3}
+                className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-indigo-600 text-white disabled:opacity-50"
+              >
+                Finish
+              </button>
+              <button onClick={cancelDrawing} className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-white">
+                Cancel
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                onClick={() => startDrawing("outline")}
+                className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-white"
+              >
+                Draw Outline
+              </button>
+              <button
+                onClick={() => startDrawing("opening")}
+                className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-white"
+              >
+                Draw Opening
+              </button>
+              <button
+                onClick={() => setOutline(null)}
+                className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-white"
+                title="Use the full Length X × Width Z rectangle"
+              >
+                Reset to Rectangle
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm">Rectangular Opening ({system.length}) :</span>
+        {rectInput("x", "X")}
+        {rectInput("z", "Z")}
+        {rectInput("length", "L")}
+        {rectInput("width", "W")}
+        <button
+          onClick={addRectangularOpening}
+          className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-indigo-600 text-white"
+        >
+          Add Opening
+        </button>
+      </div>
+
+      {outline && (
+        <div className="space-y-2 max-h-48 overflow-auto pr-1">
+          <div className="text-sm">Outline vertices</div>
+          {editableOutline.map((v, i) => (
+            <div key={i} className="flex flex-wrap items-center gap-2">
+              <span className="text-sm w-6">{i + 1}</span>
+              <label className="text-sm">X ({system.length})</label>
+              <input
+                className="border rounded-lg px-2 py-1 w-20"
+                type="number"
+                step={system.lengthStep}
+                value={show(v.x)}
+                onChange={(e) => updateVertex(i, { x: clamp(read(e), 0, length) })}
+              />
+              <label className="text-sm">Z ({system.length})</label>
+              <input
+                className="border rounded-lg px-2 py-1 w-20"
+                type="number"
+                step={system.lengthStep}
+                value={show(v.z)}
+                onChange={(e) => updateVertex(i, { z: clamp(read(e), 0, width) })}
+              />
+              <button
+                onClick={() => deleteVertex(i)}
+                disabled={editableOutline.length <= 3}
+                className="ml-auto text-red-600 text-sm hover:underline disabled:opacity-50"
+              >
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {openings.length > 0 && (
+        <div className="space-y-1">
+          {openings.map((o) => (
+            <div key={o.id} className="flex items-center gap-2 text-sm">
+              <span>
+                Opening {o.id}: {o.points.map((v) => `(${show(v.x)}, ${show(v.z)})`).join(" ")}
+              </span>
+              <button
+                onClick={() => setOpenings(openings.filter((x) => x.id !== o.id))}
+                className="ml-auto text-red-600 text-sm hover:underline"
+              >
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OutlinePanel;
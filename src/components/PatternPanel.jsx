@@ -0,0 +1,152 @@
+import React from "react";
+import { round3 } from "../utils";
+import { DEFAULT_PATTERN, DIMENSIONS, PATTERN_TYPES, PEDESTAL_SHAPES, fromUnits, toUnits, unitSystemOf } from "../engine";
+
+// The inputs of each pattern type: [key, label, kind]; lengths are shown in the project units
+const PATTERN_FIELDS = {
+  grid: [
+    ["x0", "Start X", "length"],
+    ["z0", "Start Z", "length"],
+    ["columns", "Columns (X)", "count"],
+    ["rows", "Rows (Z)", "count"],
+    ["dx", "Spacing X", "length"],
+    ["dz", "Spacing Z", "length"],
+  ],
+  line: [
+    ["x0", "Start X", "length"],
+    ["z0", "Start Z", "length"],
+    ["count", "Count", "count"],
+    ["spacing", "Spacing", "length"],
+    ["angle", "Direction°", "angle"],
+  ],
+  circle: [
+    ["cx", "Centre X", "length"],
+    ["cz", "Centre Z", "length"],
+    ["radius", "Radius", "length"],
+    ["count", "Count", "count"],
+    ["startAngle", "Start°", "angle"],
+  ],
+};
+
+const PatternPanel = ({ pattern, setPattern, placement, onGenerate, units }) => {
+  // Pattern values are kept in metres and shown in the project units
+  const system = unitSystemOf(units);
+  const show = (v) => round3(toUnits(v, system, DIMENSIONS.length));
+  const read = (e) => fromUnits(parseFloat(e.target.value) || 0, system, DIMENSIONS.length);
+
+  const field = ([key, label, kind]) => (
+    <div key={key} className="flex flex-col">
+      <label className="text-xs">
+        {label}
+        {kind === "length" ? ` (${system.length})` : ""}
+      </label>
+      <input
+        className="border rounded-lg px-2 py-1 w-24"
+        type="number"
+        step={kind === "length" ? system.lengthStep : kind === "angle" ? 15 : 1}
+        min={kind === "count" ? 1 : undefined}
+        value={kind === "length" ? show(pattern[key]) : pattern[key]}
+        onChange={(e) => {
+          const value =
+            kind === "length"
+              ? read(e)
+              : kind === "count"
+                ? Math.max(1, Math.min(100, parseInt(e.target.value, 10) || 1))
+                : parseFloat(e.target.value) || 0;
+          setPattern({ ...pattern, [key]: value });
+        }}
+      />
+    </div>
+  );
+
+  if (!pattern) {
+    return (
+      <div className="bg-white rounded-2xl shadow p-3 flex items-center justify-between">
+        <div className="font-medium">Pedestal Patterns</div>
+        <button
+          onClick={() => setPattern(DEFAULT_PATTERN)}
+          className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-white"
+          title="Lay out a rectangular array, a row or a ring of pedestals"
+        >
+          Generate Pattern
+        </button>
+      </div>
+    );
+  }
+
+  const circle = pattern.shape === "circle";
+  return (
+    <div className="bg-white rounded-2xl shadow p-3 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="font-medium">Pedestal Patterns</div>
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm text-orange-700">
+            Preview: {placement.pedestals.length} pedestal(s)
+            {placement.skipped.length > 0 && `, ${placement.skipped.length} off the plate skipped`}
+          </span>
+          <button
+            onClick={onGenerate}
+            disabled={placement.pedestals.length === 0}
+            className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-indigo-600 text-white disabled:opacity-50"
+          >
+            Add {placement.pedestals.length} Pedestals
+          </button>
+          <button onClick={() => setPattern(null)} className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-white">
+            Cancel
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="flex flex-col">
+          <label className="text-xs">Pattern</label>
+          <select
+            className="border rounded-lg px-2 py-1 w-44"
+            value={pattern.type}
+            onChange={(e) => setPattern({ ...pattern, type: e.target.value })}
+          >
+            {PATTERN_TYPES.map((t) => (
+              <option key={t.value} value={t.value}>
+                {t.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {PATTERN_FIELDS[pattern.type].map(field)}
+        {pattern.type === "circle" && !circle && (
+          <label className="flex items-center gap-2 text-sm py-1">
+            <input
+              type="checkbox"
+              checked={pattern.radial}
+              onChange={(e) => setPattern({ ...pattern, radial: e.target.checked })}
+            />
+            Radial
+          </label>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="text-sm py-1">Pedestal size:</div>
+        <div className="flex flex-col">
+          <label className="text-xs">Shape</label>
+          <select
+            className="border rounded-lg px-2 py-1"
+            value={pattern.shape}
+            onChange={(e) => setPattern({ ...pattern, shape: e.target.value })}
+          >
+            {PEDESTAL_SHAPES.map((s) => (
+              <option key={s.value} value={s.value}>
+                {s.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {field(["length", circle ? "D" : "L", "length"])}
+        {!circle && field(["width", "W", "length"])}
+        {!circle && !(pattern.type === "circle" && pattern.radial) && field(["rotation", "Rot°", "angle"])}
+      </div>
+    </div>
+  );
+};
+
+export default PatternPanel;
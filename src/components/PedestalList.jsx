@@ -1,83 +1,224 @@
-import React from "react";
+import React, { useState } from "react";
 import { clamp, round3 } from "../utils";
+import { DIMENSIONS, PEDESTAL_SHAPES, fromUnits, isCircular, toUnits, unitSystemOf, updatePedestals } from "../engine";
+import CsvImportPanel from "./CsvImportPanel";
+
+// The value shared by every pedestal, or "" when they differ
+const common = (pedestals, get) => {
+  const values = new Set(pedestals.map(get));
+  return values.size === 1 ? [...values][0] : "";
+};
 
 const PedestalList = ({
   points,
   setPoints,
   length,
   width,
+  units,
   deletePoint,
+  selectedIds = [],
+  setSelectedIds,
+  loadCases = [],
+  onExportCsv,
+  exportBlocked,
 }) => {
+  const [csvOpen, setCsvOpen] = useState(false);
+  // Values are stored in metres and shown in the project units
+  const system = unitSystemOf(units);
+  const show = (v) => round3(toUnits(v, system, DIMENSIONS.length));
+  const read = (e) => fromUnits(parseFloat(e.target.value) || 0, system, DIMENSIONS.length);
+
+  const selected = points.filter((p) => selectedIds.includes(p.id));
+  const setSelected = (changes) => setPoints((arr) => updatePedestals(arr, selectedIds, changes));
+  const toggleSelected = (id) =>
+    setSelectedIds((ids) => (ids.includes(id) ? ids.filter((i) => i !== id) : [...ids, id]));
+
   return (
-    <div className="space-y-2 max-h-64 overflow-auto pr-1">
-      {points
-        .slice()
-        .sort((a, b) => a.id - b.id)
-        .map((p) => (
-          <div key={p.id} className="flex flex-wrap items-center gap-2">
-            <span className="text-sm w-6">P{p.id}</span>
-            <label className="text-sm">X</label>
-            <input
-              className="border rounded-lg px-2 py-1 w-20"
-              type="number"
-              step="0.1"
-              value={round3(p.x)}
-              onChange={(e) => {
-                const v = clamp(parseFloat(e.target.value) || 0, 0, length);
-                setPoints((arr) =>
-                  arr.map((q) => (q.id === p.id ? { ...q, x: v } : q))
-                );
-              }}
-            />
-            <label className="text-sm">Z</label>
-            <input
-              className="border rounded-lg px-2 py-1 w-20"
-              type="number"
-              step="0.1"
-              value={round3(p.z)}
-              onChange={(e) => {
-                const v = clamp(parseFloat(e.target.value) || 0, 0, width);
-                setPoints((arr) =>
-                  arr.map((q) => (q.id === p.id ? { ...q, z: v } : q))
-                );
-              }}
-            />
-            <label className="text-sm">L</label>
-            <input
-              className="border rounded-lg px-2 py-1 w-20"
-              type="number"
-              step="0.01"
-              min={0.1}
-              value={round3(p.length)}
-              onChange={(e) => {
-                const v = Math.max(0.1, parseFloat(e.target.value) || 0.1);
-                setPoints((arr) =>
-                  arr.map((q) => (q.id === p.id ? { ...q, length: v } : q))
-                );
-              }}
-            />
-            <label className="text-sm">W</label>
-            <input
-              className="border rounded-lg px-2 py-1 w-20"
-              type="number"
-              step="0.01"
-              min={0.1}
-              value={round3(p.width)}
-              onChange={(e) => {
-                const v = Math.max(0.1, parseFloat(e.target.value) || 0.1);
-                setPoints((arr) =>
-                  arr.map((q) => (q.id === p.id ? { ...q, width: v } : q))
-                );
-              }}
-            />
-            <button
-              onClick={() => deletePoint(p.id)}
-              className="ml-auto text-red-600 text-sm hover:underline"
+    <div className="space-y-2">
+      <div className="flex justify-end gap-2">
+        <button
+          onClick={() => setCsvOpen(!csvOpen)}
+          className="border px-3 py-1 rounded-2xl shadow-sm hover:shadow bg-white text-sm"
+          title="Add pedestals from a column schedule pasted or uploaded as CSV"
+        >
+          Import CSV
+        </button>
+        <button
+          onClick={onExportCsv}
+          disabled={points.length === 0 || Boolean(exportBlocked)}
+          className="border px-3 py-1 rounded-2xl shadow-sm hover:shadow bg-white text-sm disabled:opacity-40"
+          title={exportBlocked || "Download the pedestals, with their loads, as a CSV schedule"}
+        >
+          Export CSV
+        </button>
+      </div>
+      {csvOpen && (
+        <CsvImportPanel
+          points={points}
+          setPoints={setPoints}
+          units={units}
+          loadCases={loadCases}
+          onClose={() => setCsvOpen(false)}
+        />
+      )}
+      {selected.length > 1 && (
+        <div className="flex flex-wrap items-center gap-2 bg-amber-50 rounded-lg p-2">
+          <span className="text-sm font-medium">All {selected.length} selected:</span>
+          <select
+            className="border rounded-lg px-2 py-1"
+            value={common(selected, (p) => p.shape || "rectangle")}
+            onChange={(e) => setSelected({ shape: e.target.value })}
+          >
+            <option value="" disabled>
+              Mixed
+            </option>
+            {PEDESTAL_SHAPES.map((s) => (
+              <option key={s.value} value={s.value}>
+                {s.label}
+              </option>
+            ))}
+          </select>
+          <label className="text-sm">L / D ({system.length})</label>
+          <input
+            className="border rounded-lg px-2 py-1 w-20"
+            type="number"
+            step={system.lengthStep / 10}
+            placeholder="Mixed"
+            value={common(selected, (p) => show(p.length))}
+            onChange={(e) => setSelected({ length: Math.max(0.1, read(e)) })}
+          />
+          <label className="text-sm">W ({system.length})</label>
+          <input
+            className="border rounded-lg px-2 py-1 w-20"
+            type="number"
+            step={system.lengthStep / 10}
+            placeholder="Mixed"
+            value={common(selected, (p) => show(p.width))}
+            onChange={(e) => setSelected({ width: Math.max(0.1, read(e)) })}
+          />
+          <label className="text-sm">Rot°</label>
+          <input
+            className="border rounded-lg px-2 py-1 w-20"
+            type="number"
+            step="5"
+            placeholder="Mixed"
+            value={common(selected, (p) => round3(p.rotation || 0))}
+            onChange={(e) => setSelected({ rotation: parseFloat(e.target.value) || 0 })}
+          />
+        </div>
+      )}
+      <div className="space-y-2 max-h-64 overflow-auto pr-1">
+        {points
+          .slice()
+          .sort((a, b) => a.id - b.id)
+          .map((p) => (
+            <div
+              key={p.id}
+              className={`flex flex-wrap items-center gap-2 rounded-lg ${selectedIds.includes(p.id) ? "bg-amber-50" : ""}`}
             >
-              Delete
-            </button>
-          </div>
-        ))}
+              <input
+                type="checkbox"
+                checked={selectedIds.includes(p.id)}
+                onChange={() => toggleSelected(p.id)}
+                title="Select"
+              />
+              <span className="text-sm w-6">P{p.id}</span>
+              <label className="text-sm">X ({system.length})</label>
+              <input
+                className="border rounded-lg px-2 py-1 w-20"
+                type="number"
+                step={system.lengthStep}
+                value={show(p.x)}
+                onChange={(e) => {
+                  const v = clamp(read(e), 0, length);
+                  setPoints((arr) =>
+                    arr.map((q) => (q.id === p.id ? { ...q, x: v } : q))
+                  );
+                }}
+              />
+              <label className="text-sm">Z ({system.length})</label>
+              <input
+                className="border rounded-lg px-2 py-1 w-20"
+                type="number"
+                step={system.lengthStep}
+                value={show(p.z)}
+                onChange={(e) => {
+                  const v = clamp(read(e), 0, width);
+                  setPoints((arr) =>
+                    arr.map((q) => (q.id === p.id ? { ...q, z: v } : q))
+                  );
+                }}
+              />
+              <select
+                className="border rounded-lg px-2 py-1"
+                value={p.shape || "rectangle"}
+                onChange={(e) => {
+                  const shape = e.target.value;
+                  setPoints((arr) =>
+                    arr.map((q) => (q.id === p.id ? { ...q, shape } : q))
+                  );
+                }}
+              >
+                {PEDESTAL_SHAPES.map((s) => (
+                  <option key={s.value} value={s.value}>
+                    {s.label}
+                  </option>
+                ))}
+              </select>
+              <label className="text-sm">{isCircular(p) ? "D" : "L"} ({system.length})</label>
+              <input
+                className="border rounded-lg px-2 py-1 w-20"
+                type="number"
+                step={system.lengthStep / 10}
+                value={show(p.length)}
+                onChange={(e) => {
+                  const v = Math.max(0.1, read(e));
+                  setPoints((arr) =>
+                    arr.map((q) => (q.id === p.id ? { ...q, length: v } : q))
+                  );
+                }}
+              />
+              {!isCircular(p) && (
+                <>
+                  <label className="text-sm">W ({system.length})</label>
+                  <input
+                    className="border rounded-lg px-2 py-1 w-20"
+                    type="number"
+                    step={system.lengthStep / 10}
+                    value={show(p.width)}
+                    onChange={(e) => {
+                      const v = Math.max(0.1, read(e));
+                      setPoints((arr) =>
+                        arr.map((q) => (q.id === p.id ? { ...q, width: v } : q))
+                      );
+                    }}
+                  />
+                  <label className="text-sm" title="Counterclockwise in plan; exported as the member BETA angle">
+                    Rot°
+                  </label>
+                  <input
+                    className="border rounded-lg px-2 py-1 w-20"
+                    type="number"
+                    step="5"
+                    value={round3(p.rotation || 0)}
+                    onChange={(e) => {
+                      const v = parseFloat(e.target.value) || 0;
+                      setPoints((arr) =>
+                        arr.map((q) => (q.id === p.id ? { ...q, rotation: v } : q))
+                      );
+                    }}
+                  />
+                </>
+              )}
+              <button
+                onClick={() => deletePoint(p.id)}
+                className="ml-auto text-red-600 text-sm hover:underline"
+              >
+                Delete
+              </button>
+            </div>
+          ))}
+      </div>
     </div>
   );
 };
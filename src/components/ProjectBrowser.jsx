@@ -0,0 +1,82 @@
+import React from "react";
+
+const formatDate = (time) => new Date(time).toLocaleString();
+
+const ProjectBrowser = ({
+  library,
+  projectId,
+  fileName,
+  newProject,
+  openProject,
+  duplicateProject,
+  renameProject,
+  deleteProject,
+  loadError,
+  dismissLoadError,
+}) => (
+  <div className="bg-white rounded-2xl shadow p-3 space-y-2">
+    <div className="flex items-center justify-between">
+      <div className="font-medium">Projects</div>
+      <button
+        onClick={() => newProject()}
+        className="border px-3 py-2 rounded-2xl shadow-sm hover:shadow bg-indigo-600 text-white"
+      >
+        New Project
+      </button>
+    </div>
+    {loadError && (
+      <div className="flex items-start justify-between gap-2 border border-red-300 bg-red-50 rounded-xl p-2 text-sm text-red-700">
+        <div className="whitespace-pre-line">{loadError}</div>
+        <button onClick={dismissLoadError} className="border px-3 py-1 rounded-2xl shadow-sm hover:shadow bg-white">
+          Dismiss
+        </button>
+      </div>
+    )}
+    <div className="space-y-2 max-h-64 overflow-auto pr-1">
+      {library.map((entry) => {
+        const open = entry.id === projectId;
+        return (
+          <div key={entry.id} className="flex flex-wrap items-center gap-2">
+            <input
+              className={`border rounded-lg px-2 py-1 w-56 ${open ? "border-indigo-600 font-medium" : ""}`}
+              type="text"
+              value={entry.name}
+              onChange={(e) => renameProject(entry.id, e.target.value)}
+              title="Rename the project"
+            />
+            <span className="text-sm text-slate-600 w-48 truncate" title="Export file name">
+              {open ? fileName : entry.project.fileName}
+            </span>
+            <span className="text-xs text-slate-500 w-40">{open ? "Open" : formatDate(entry.updatedAt)}</span>
+            <button
+              onClick={() => openProject(entry.id)}
+              disabled={open}
+              className="border px-3 py-1 rounded-2xl shadow-sm hover:shadow bg-white disabled:opacity-40"
+            >
+              Open
+            </button>
+            <button
+              onClick={() => duplicateProject(entry.id)}
+              className="border px-3 py-1 rounded-2xl shadow-sm hover:shadow bg-white"
+            >
+              Duplicate
+            </button>
+            <button
+              onClick={() => {
+                if (window.confirm(`Delete the project "${entry.name}"?`)) deleteProject(entry.id);
+              }}
+              className="border px-3 py-1 rounded-2xl shadow-sm hover:shadow bg-white"
+            >
+              Delete
+            </button>
+          </div>
+        );
+      })}
+    </div>
+    <div className="text-xs text-slate-500">
+      Changes are saved in this browser automatically and restored on reload.
+    </div>
+  </div>
+);
+
+export default ProjectBrowser;
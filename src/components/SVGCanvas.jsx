@@ -1,14 +1,32 @@
-import React, { useCallback } from "react";
-import { clamp } from "../utils";
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { clampViewBox, fitViewBox, round3, zoomViewBox } from "../utils";
+import { DIMENSIONS, isCircular, pedestalFootprint, pedestalRotation, rectangleOutline, toUnits, unitSystemOf } from "../engine";
+
+// Narrowest visible area when zoomed in, in metres
+const MIN_VIEW_METRES = 0.25;
+// Widest visible area when zoomed out, as a multiple of the plate size
+const MAX_VIEW_FACTOR = 5;
+// Margin left around the plate or the selection when fitting, as a fraction of its size
+const FIT_MARGIN = 0.04;
+// Pointer travel in screen pixels before a press on the background pans instead of clicking
+const PAN_THRESHOLD = 4;
 
 const SVGCanvas = ({
   length,
   width,
   pxPerMeter,
+  units,
   xLines,
   zLines,
   nodes,
   points,
+  outline,
+  openings,
+  draft,
+  patternPreview,
+  guides = [],
+  dragged,
+  neighbour,
   pedestalGroupBoundingBoxes,
   showMomentGroup,
   showOneWayShear,
@@ -17,99 +35,449 @@ const SVGCanvas = ({
   onPointerMove,
   onPointerUp,
   onPointerDownPoint,
+  svgRef,
+  highlight,
+  selectedIds = [],
+  onBoxSelect,
 }) => {
+  const system = unitSystemOf(units);
+  const showLength = (v) => round3(toUnits(v, system, DIMENSIONS.length));
   const viewW = length * pxPerMeter;
   const viewH = width * pxPerMeter;
+  const toPoints = (polygon) => polygon.map((v) => `${v.x * pxPerMeter},${v.z * pxPerMeter}`).join(" ");
+  const outlinePoints = toPoints(outline || rectangleOutline(length, width));
+
+  // The visible area in view box units; null fits the whole plate
+  const [view, setView] = useState(null);
+  const plateBox = fitViewBox({ x0: 0, z0: 0, x1: viewW, z1: viewH }, 1, FIT_MARGIN);
+  const box = view || plateBox;
+
+  // Screen size of the canvas, to keep text, dots and strokes a fixed size on screen
+  const [screen, setScreen] = useState({ width: 1000, height: 480 });
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg || typeof ResizeObserver === "undefined") return undefined;
+    const observer = new ResizeObserver(([entry]) => {
+      const { width: w, height: h } = entry.contentRect;
+      if (w > 0 && h > 0) setScreen({ width: w, height: h });
+    });
+    observer.observe(svg);
+    return () => observer.disconnect();
+  }, [svgRef]);
+  // View box units per screen pixel (the view box is fitted inside the canvas)
+  const unit = Math.max(box.w / screen.width, box.h / screen.height);
+  const px = (n) => n * unit;
+
+  // Narrowest and widest view box widths
+  const minW = MIN_VIEW_METRES * pxPerMeter;
+  const maxW = MAX_VIEW_FACTOR * Math.max(viewW, viewH);
+
+  const toViewBox = useCallback((clientX, clientY) => {
+    const pt = svgRef.current.createSVGPoint();
+    pt.x = clientX;
+    pt.y = clientY;
+    return pt.matrixTransform(svgRef.current.getScreenCTM().inverse());
+  }, [svgRef]);
+
+  // Mouse-wheel zoom around the cursor; the listener is not passive so the page does not scroll
+  const boxRef = useRef(box);
+  boxRef.current = box;
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return undefined;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const scale = Math.exp(e.deltaY * 0.0015);
+      setView(zoomViewBox(boxRef.current, toViewBox(e.clientX, e.clientY), scale, minW, maxW));
+    };
+    svg.addEventListener("wheel", onWheel, { passive: false });
+    return () => svg.removeEventListener("wheel", onWheel);
+  }, [svgRef, toViewBox, minW, maxW]);
+
+  // Space held down: dragging pans even over pedestals
+  const [spaceDown, setSpaceDown] = useState(false);
+  useEffect(() => {
+    const typing = (e) => ["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName);
+    const onKeyDown = (e) => {
+      if (e.code === "Space" && !typing(e)) {
+        e.preventDefault();
+        setSpaceDown(true);
+      }
+    };
+    const onKeyUp = (e) => {
+      if (e.code === "Space") setSpaceDown(false);
+    };
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("keyup", onKeyUp);
+    return () => {
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("keyup", onKeyUp);
+    };
+  }, []);
+
+  // Panning: a drag on the background, a middle-button drag or a space-drag.
+  // Ctrl-drag (Cmd on a Mac) on the background draws a selection box that
+  // replaces the selection instead, Shift-drag one that adds to it.
+  const pan = useRef(null);
+  const [band, setBand] = useState(null);
+  // Set when a press turned into a pan or a box, so the click that ends it places nothing
+  const suppressClick = useRef(false);
+  const onPointerDownCanvas = (e) => {
+    const background = !e.target.closest("[data-pedestal]");
+    suppressClick.current = false;
+    if (e.button === 0 && background && (e.shiftKey || e.ctrlKey || e.metaKey) && !spaceDown && onBoxSelect) {
+      const start = toViewBox(e.clientX, e.clientY);
+      setBand({ x0: start.x, y0: start.y, x1: start.x, y1: start.y });
+    } else if (e.button === 1 || spaceDown || (e.button === 0 && background)) {
+      if (e.button === 1 || spaceDown) e.stopPropagation();
+      pan.current = { clientX: e.clientX, clientY: e.clientY, box, active: e.button === 1 || spaceDown };
+    }
+  };
+  const onPointerMoveCanvas = (e) => {
+    if (band) {
+      const end = toViewBox(e.clientX, e.clientY);
+      setBand({ ...band, x1: end.x, y1: end.y });
+      return;
+    }
+    const start = pan.current;
+    if (start) {
+      const dx = e.clientX - start.clientX;
+      const dy = e.clientY - start.clientY;
+      if (!start.active && Math.hypot(dx, dy) >= PAN_THRESHOLD) start.active = true;
+      if (start.active) {
+        suppressClick.current = true;
+        const k = Math.max(start.box.w / screen.width, start.box.h / screen.height);
+        setView({ ...start.box, x: start.box.x - dx * k, y: start.box.y - dy * k });
+        return;
+      }
+    }
+    onPointerMove(e);
+  };
+  const onPointerUpCanvas = (e) => {
+    pan.current = null;
+    if (band) {
+      suppressClick.current = true;
+      onBoxSelect(
+        { x0: band.x0 / pxPerMeter, z0: band.y0 / pxPerMeter, x1: band.x1 / pxPerMeter, z1: band.y1 / pxPerMeter },
+        e.shiftKey
+      );
+      setBand(null);
+    }
+    onPointerUp(e);
+  };
+  const onClickCanvas = (e) => {
+    if (suppressClick.current) {
+      suppressClick.current = false;
+      return;
+    }
+    onSvgClick(e);
+  };
+
+  const zoomBy = (scale) => setView(zoomViewBox(box, { x: box.x + box.w / 2, y: box.y + box.h / 2 }, scale, minW, maxW));
+
+  // Fits the selected pedestals, or every pedestal when none is selected
+  const zoomToSelection = () => {
+    const targets = selectedIds.length > 0 ? points.filter((p) => selectedIds.includes(p.id)) : points;
+    if (targets.length === 0) return;
+    const vertices = targets.flatMap((p) => pedestalFootprint(p));
+    const xs = vertices.map((v) => v.x * pxPerMeter);
+    const zs = vertices.map((v) => v.z * pxPerMeter);
+    const fitted = fitViewBox(
+      { x0: Math.min(...xs), z0: Math.min(...zs), x1: Math.max(...xs), z1: Math.max(...zs) },
+      2 * pxPerMeter,
+      FIT_MARGIN
+    );
+    setView(clampViewBox(fitted, minW, maxW));
+  };
+
+  const toolButton = "border px-2 py-1 rounded-lg shadow-sm hover:shadow bg-white/90 text-sm";
 
   return (
-    <svg
-      className={`w-full h-[480px] touch-none select-none`}
-      viewBox={`0 0 ${viewW} ${viewH}`}
-      onClick={onSvgClick}
-      onPointerMove={onPointerMove}
-      onPointerUp={onPointerUp}
-      onPointerLeave={onPointerUp}
-    >
-      {/* Surface background */}
-      <rect x={0} y={0} width={viewW} height={viewH} fill="#f8fafc" />
-      {/* Outer border */}
-      <rect x={0} y={0} width={viewW} height={viewH} fill="none" stroke="#0f172a" strokeWidth={2} />
-      {/* Grid lines (respecting points) */}
-      {xLines.map((x, i) => (
-        <line key={`vx-${i}`} x1={x * pxPerMeter} y1={0} x2={x * pxPerMeter} y2={viewH} stroke="#cbd5e1" strokeWidth={1} />
-      ))}
-      {zLines.map((z, i) => (
-        <line key={`hz-${i}`} x1={0} y1={z * pxPerMeter} x2={viewW} y2={z * pxPerMeter} stroke="#cbd5e1" strokeWidth={1} />
-      ))}
-      {/* Moment Group Bounding Box */}
-      {showMomentGroup && pedestalGroupBoundingBoxes.moment.map((box, i) => (
-        <rect
-          key={`moment-box-${i}`}
-          x={box.x * pxPerMeter}
-          y={box.y * pxPerMeter}
-          width={box.width * pxPerMeter}
-          height={box.height * pxPerMeter}
-          fill="none"
-          stroke="#3b82f6"
-          strokeWidth="2"
-          strokeDasharray="5,5"
-        />
-      ))}
-      {/* 1-Way Shear Group Bounding Box */}
-      {showOneWayShear && pedestalGroupBoundingBoxes.oneWayShear.map((box, i) => (
-        <rect
-          key={`one-way-box-${i}`}
-          x={box.x * pxPerMeter}
-          y={box.y * pxPerMeter}
-          width={box.width * pxPerMeter}
-          height={box.height * pxPerMeter}
-          fill="none"
-          stroke="#22c55e"
-          strokeWidth="2"
-          strokeDasharray="5,5"
-        />
-      ))}
-      {/* 2-Way Shear Group Bounding Box */}
-      {showTwoWayShear && pedestalGroupBoundingBoxes.twoWayShear.map((box, i) => (
-        <rect
-          key={`two-way-box-${i}`}
-          x={box.x * pxPerMeter}
-          y={box.y * pxPerMeter}
-          width={box.width * pxPerMeter}
-          height={box.height * pxPerMeter}
-          fill="none"
-          stroke="#ef4444"
-          strokeWidth="2"
-          strokeDasharray="5,5"
-        />
-      ))}
-      {/* Pedestal rectangles, circles, and labels */}
-      {points.map((p) => (
-        <g key={p.id} onPointerDown={onPointerDownPoint(p.id)}>
-          {/* Transparent rectangle for pedestal dimensions */}
+    <div className="relative">
+      <div className="absolute top-2 right-2 flex gap-1">
+        <button className={toolButton} onClick={() => zoomBy(1 / 1.25)} title="Zoom in (mouse wheel)">
+          +
+        </button>
+        <button className={toolButton} onClick={() => zoomBy(1.25)} title="Zoom out (mouse wheel)">
+          −
+        </button>
+        <button className={toolButton} onClick={() => setView(null)} title="Show the whole plate">
+          Fit Plate
+        </button>
+        <button
+          className={toolButton}
+          onClick={zoomToSelection}
+          disabled={points.length === 0}
+          title="Zoom to the selected pedestals (all pedestals when none is selected)"
+        >
+          Zoom to Selection
+        </button>
+      </div>
+      <svg
+        ref={svgRef}
+        className={`w-full h-[480px] touch-none select-none **:[vector-effect:non-scaling-stroke] ${spaceDown ? "cursor-grab" : ""}`}
+        viewBox={`${box.x} ${box.y} ${box.w} ${box.h}`}
+        onClick={onClickCanvas}
+        onPointerDown={onPointerDownCanvas}
+        onPointerMove={onPointerMoveCanvas}
+        onPointerUp={onPointerUpCanvas}
+        onPointerLeave={onPointerUpCanvas}
+      >
+        <defs>
+          <clipPath id="plate-outline-clip">
+            <polygon points={outlinePoints} />
+          </clipPath>
+        </defs>
+        {/* Bounding rectangle of the plate */}
+        <rect x={0} y={0} width={viewW} height={viewH} fill="none" stroke="#cbd5e1" strokeWidth={1} strokeDasharray="4,4" />
+        {/* Surface background */}
+        <polygon points={outlinePoints} fill="#f8fafc" />
+        {/* Grid lines (respecting points), clipped to the outline */}
+        <g clipPath="url(#plate-outline-clip)">
+          {xLines.map((x, i) => (
+            <line key={`vx-${i}`} x1={x * pxPerMeter} y1={0} x2={x * pxPerMeter} y2={viewH} stroke="#cbd5e1" strokeWidth={1} />
+          ))}
+          {zLines.map((z, i) => (
+            <line key={`hz-${i}`} x1={0} y1={z * pxPerMeter} x2={viewW} y2={z * pxPerMeter} stroke="#cbd5e1" strokeWidth={1} />
+          ))}
+        </g>
+        {/* Plates of the problem picked in the model check */}
+        {highlight &&
+          highlight.plates.map((r, i) => (
+            <rect
+              key={`highlight-plate-${i}`}
+              x={r.x0 * pxPerMeter}
+              y={r.z0 * pxPerMeter}
+              width={(r.x1 - r.x0) * pxPerMeter}
+              height={(r.z1 - r.z0) * pxPerMeter}
+              fill="#f43f5e"
+              fillOpacity="0.35"
+              stroke="#e11d48"
+              strokeWidth={1}
+              pointerEvents="none"
+            />
+          ))}
+        {/* Openings */}
+        {openings.map((o) => (
+          <polygon
+            key={`opening-${o.id}`}
+            points={toPoints(o.points)}
+            fill="#ffffff"
+            stroke="#dc2626"
+            strokeWidth={2}
+            strokeDasharray="6,4"
+          />
+        ))}
+        {/* Outer border */}
+        <polygon points={outlinePoints} fill="none" stroke="#0f172a" strokeWidth={2} />
+        {/* Moment Group Bounding Box */}
+        {showMomentGroup && pedestalGroupBoundingBoxes.moment.map((box, i) => (
           <rect
-            x={(p.x - p.length / 2) * pxPerMeter}
-            y={(p.z - p.width / 2) * pxPerMeter}
-            width={p.length * pxPerMeter}
-            height={p.width * pxPerMeter}
-            fill="#60a5fa"
-            fillOpacity="0.3"
-            stroke="#1e40af"
-            strokeWidth="1.5"
+            key={`moment-box-${i}`}
+            x={box.x * pxPerMeter}
+            y={box.y * pxPerMeter}
+            width={box.width * pxPerMeter}
+            height={box.height * pxPerMeter}
+            fill="none"
+            stroke="#3b82f6"
+            strokeWidth="2"
+            strokeDasharray="5,5"
           />
-          {/* Circle at the center of the pedestal */}
-          <circle cx={p.x * pxPerMeter} cy={p.z * pxPerMeter} r={8} fill="#1d4ed8" opacity={0.85} />
-          {/* Text label for the pedestal */}
-          <text x={p.x * pxPerMeter + 10} y={p.z * pxPerMeter - 10} fontSize={28} fill="#0f172a">
-            P{p.id} ({clamp(p.x, 0, length)}, {clamp(p.z, 0, width)})
-          </text>
-        </g>
-      ))}
-      {/* Tiny node dots to visualize intersections (optional) */}
-      {nodes.filter((n) => n.type === "surface").map((n) => (
-        <circle key={n.id} cx={n.x * pxPerMeter} cy={n.z * pxPerMeter} r={2.2} fill="#64748b" />
-      ))}
-    </svg>
+        ))}
+        {/* 1-Way Shear Group Bounding Box */}
+        {showOneWayShear && pedestalGroupBoundingBoxes.oneWayShear.map((box, i) => (
+          <rect
+            key={`one-way-box-${i}`}
+            x={box.x * pxPerMeter}
+            y={box.y * pxPerMeter}
+            width={box.width * pxPerMeter}
+            height={box.height * pxPerMeter}
+            fill="none"
+            stroke="#22c55e"
+            strokeWidth="2"
+            strokeDasharray="5,5"
+          />
+        ))}
+        {/* 2-Way Shear Group Bounding Box */}
+        {showTwoWayShear && pedestalGroupBoundingBoxes.twoWayShear.map((box, i) => (
+          <rect
+            key={`two-way-box-${i}`}
+            x={box.x * pxPerMeter}
+            y={box.y * pxPerMeter}
+            width={box.width * pxPerMeter}
+            height={box.height * pxPerMeter}
+            fill="none"
+            stroke="#ef4444"
+            strokeWidth="2"
+            strokeDasharray="5,5"
+          />
+        ))}
+        {/* Pedestal rectangles, circles, and labels */}
+        {points.map((p) => (
+          <g key={p.id} data-pedestal={p.id} onPointerDown={spaceDown ? undefined : onPointerDownPoint(p.id)}>
+            {/* Transparent footprint for pedestal dimensions; SVG rotates clockwise, pedestals counterclockwise */}
+            {isCircular(p) ? (
+              <circle
+                cx={p.x * pxPerMeter}
+                cy={p.z * pxPerMeter}
+                r={(p.length / 2) * pxPerMeter}
+                fill="#60a5fa"
+                fillOpacity="0.3"
+                stroke={selectedIds.includes(p.id) ? "#f59e0b" : "#1e40af"}
+                strokeWidth={selectedIds.includes(p.id) ? 3 : 1.5}
+              />
+            ) : (
+              <rect
+                x={(p.x - p.length / 2) * pxPerMeter}
+                y={(p.z - p.width / 2) * pxPerMeter}
+                width={p.length * pxPerMeter}
+                height={p.width * pxPerMeter}
+                transform={`rotate(${-pedestalRotation(p)} ${p.x * pxPerMeter} ${p.z * pxPerMeter})`}
+                fill="#60a5fa"
+                fillOpacity="0.3"
+                stroke={selectedIds.includes(p.id) ? "#f59e0b" : "#1e40af"}
+                strokeWidth={selectedIds.includes(p.id) ? 3 : 1.5}
+              />
+            )}
+            {/* Circle at the center of the pedestal */}
+            <circle cx={p.x * pxPerMeter} cy={p.z * pxPerMeter} r={px(5)} fill="#1d4ed8" opacity={0.85} />
+            {/* Text label for the pedestal */}
+            <text x={p.x * pxPerMeter + px(7)} y={p.z * pxPerMeter - px(7)} fontSize={px(13)} fill="#0f172a">
+              P{p.id} ({showLength(p.x)}, {showLength(p.z)})
+            </text>
+          </g>
+        ))}
+        {/* Pedestals of the problem picked in the model check */}
+        {highlight &&
+          points
+            .filter((p) => highlight.pedestalIds.includes(p.id))
+            .map((p) => (
+              <polygon
+                key={`highlight-${p.id}`}
+                points={toPoints(pedestalFootprint(p, 4 * unit / pxPerMeter))}
+                fill="none"
+                stroke="#e11d48"
+                strokeWidth={3}
+                pointerEvents="none"
+              />
+            ))}
+        {/* Tiny node dots to visualize intersections (optional) */}
+        {nodes.filter((n) => n.type === "surface").map((n) => (
+          <circle key={n.id} cx={n.x * pxPerMeter} cy={n.z * pxPerMeter} r={px(1.8)} fill="#64748b" />
+        ))}
+        {/* Alignment guides of the pedestal being dragged */}
+        {guides.map((g) =>
+          g.axis === "x" ? (
+            <line
+              key={`guide-x-${g.value}`}
+              x1={g.value * pxPerMeter}
+              y1={0}
+              x2={g.value * pxPerMeter}
+              y2={viewH}
+              stroke="#db2777"
+              strokeWidth={1.5}
+              strokeDasharray="8,4"
+              pointerEvents="none"
+            />
+          ) : (
+            <line
+              key={`guide-z-${g.value}`}
+              x1={0}
+              y1={g.value * pxPerMeter}
+              x2={viewW}
+              y2={g.value * pxPerMeter}
+              stroke="#db2777"
+              strokeWidth={1.5}
+              strokeDasharray="8,4"
+              pointerEvents="none"
+            />
+          )
+        )}
+        {/* Distance from the pedestal being dragged to its nearest neighbour */}
+        {dragged && neighbour && (
+          <g pointerEvents="none">
+            <line
+              x1={dragged.x * pxPerMeter}
+              y1={dragged.z * pxPerMeter}
+              x2={neighbour.point.x * pxPerMeter}
+              y2={neighbour.point.z * pxPerMeter}
+              stroke="#db2777"
+              strokeWidth={1.5}
+              strokeDasharray="3,3"
+            />
+            <text
+              x={((dragged.x + neighbour.point.x) / 2) * pxPerMeter + px(5)}
+              y={((dragged.z + neighbour.point.z) / 2) * pxPerMeter - px(5)}
+              fontSize={px(12)}
+              fill="#db2777"
+            >
+              {showLength(neighbour.distance)} {system.length}
+            </text>
+          </g>
+        )}
+        {/* Pedestals of the pattern being generated, and the positions skipped off the plate */}
+        {patternPreview && (
+          <g pointerEvents="none">
+            {patternPreview.pedestals.map((p) =>
+              isCircular(p) ? (
+                <circle
+                  key={`pattern-${p.id}`}
+                  cx={p.x * pxPerMeter}
+                  cy={p.z * pxPerMeter}
+                  r={(p.length / 2) * pxPerMeter}
+                  fill="#fb923c"
+                  fillOpacity="0.3"
+                  stroke="#c2410c"
+                  strokeWidth="1.5"
+                  strokeDasharray="5,3"
+                />
+              ) : (
+                <rect
+                  key={`pattern-${p.id}`}
+                  x={(p.x - p.length / 2) * pxPerMeter}
+                  y={(p.z - p.width / 2) * pxPerMeter}
+                  width={p.length * pxPerMeter}
+                  height={p.width * pxPerMeter}
+                  transform={`rotate(${-pedestalRotation(p)} ${p.x * pxPerMeter} ${p.z * pxPerMeter})`}
+                  fill="#fb923c"
+                  fillOpacity="0.3"
+                  stroke="#c2410c"
+                  strokeWidth="1.5"
+                  strokeDasharray="5,3"
+                />
+              )
+            )}
+            {patternPreview.skipped.map((v, i) => (
+              <circle key={`pattern-skipped-${i}`} cx={v.x * pxPerMeter} cy={v.z * pxPerMeter} r={px(4)} fill="#dc2626" opacity={0.6} />
+            ))}
+          </g>
+        )}
+        {/* Selection box being drawn */}
+        {band && (
+          <rect
+            x={Math.min(band.x0, band.x1)}
+            y={Math.min(band.y0, band.y1)}
+            width={Math.abs(band.x1 - band.x0)}
+            height={Math.abs(band.y1 - band.y0)}
+            fill="#f59e0b"
+            fillOpacity="0.1"
+            stroke="#f59e0b"
+            strokeWidth={1}
+            strokeDasharray="4,3"
+            pointerEvents="none"
+          />
+        )}
+        {/* Outline or opening being drawn */}
+        {draft.length > 0 && (
+          <g pointerEvents="none">
+            <polyline points={toPoints(draft)} fill="none" stroke="#9333ea" strokeWidth={2} />
+            {draft.map((v, i) => (
+              <circle key={`draft-${i}`} cx={v.x * pxPerMeter} cy={v.z * pxPerMeter} r={px(4)} fill="#9333ea" />
+            ))}
+          </g>
+        )}
+      </svg>
+    </div>
   );
 };
 
@@ -0,0 +1,76 @@
+import React from "react";
+import { round3 } from "../utils";
+import { DIMENSIONS, fromUnits, toUnits, unitSystemOf } from "../engine";
+
+const button = "border px-3 py-1 rounded-2xl shadow-sm hover:shadow bg-white disabled:opacity-40";
+
+const SelectionToolbar = ({
+  selectedCount,
+  clipboardCount,
+  onSelectAll,
+  onClearSelection,
+  onCopy,
+  onPaste,
+  onDelete,
+  onMirror,
+  pasteOffset,
+  setPasteOffset,
+  units,
+}) => {
+  // The paste offset is stored in metres and shown in the project units
+  const system = unitSystemOf(units);
+  const offsetInput = (axis) => (
+    <input
+      className="border rounded-lg px-2 py-1 w-20"
+      type="number"
+      step={system.lengthStep}
+      value={round3(toUnits(pasteOffset[axis], system, DIMENSIONS.length))}
+      onChange={(e) =>
+        setPasteOffset({ ...pasteOffset, [axis]: fromUnits(parseFloat(e.target.value) || 0, system, DIMENSIONS.length) })
+      }
+    />
+  );
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm mb-2">
+      <span className="w-24">{selectedCount} selected</span>
+      <button className={button} onClick={onSelectAll} title="Select all pedestals (Ctrl+A)">
+        All
+      </button>
+      <button className={button} onClick={onClearSelection} disabled={selectedCount === 0} title="Clear the selection (Esc)">
+        None
+      </button>
+      <button className={button} onClick={onCopy} disabled={selectedCount === 0} title="Copy the selection (Ctrl+C)">
+        Copy
+      </button>
+      <button className={button} onClick={onPaste} disabled={clipboardCount === 0} title="Paste at the offset (Ctrl+V)">
+        Paste
+      </button>
+      <span>Offset X ({system.length})</span>
+      {offsetInput("x")}
+      <span>Z</span>
+      {offsetInput("z")}
+      <button
+        className={button}
+        onClick={() => onMirror("x")}
+        disabled={selectedCount === 0}
+        title="Mirror left-right about the centre of the selection"
+      >
+        Mirror X
+      </button>
+      <button
+        className={button}
+        onClick={() => onMirror("z")}
+        disabled={selectedCount === 0}
+        title="Mirror top-bottom about the centre of the selection"
+      >
+        Mirror Z
+      </button>
+      <button className={button} onClick={onDelete} disabled={selectedCount === 0} title="Delete the selection (Del)">
+        Delete
+      </button>
+    </div>
+  );
+};
+
+export default SelectionToolbar;
@@ -0,0 +1,51 @@
+import React from "react";
+import { round3 } from "../utils";
+import { DIMENSIONS, fromUnits, toUnits, unitSystemOf } from "../engine";
+
+// The snap targets that can be switched on and off
+const TARGETS = [
+  { key: "toMesh", label: "Mesh" },
+  { key: "toPedestals", label: "Pedestals" },
+  { key: "toEdges", label: "Edges" },
+];
+
+const SnapControls = ({ snap, setSnap, units }) => {
+  // The increment is stored in metres and shown in the project units
+  const system = unitSystemOf(units);
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm">
+      <label className="flex items-center gap-1">
+        <input type="checkbox" checked={snap.enabled} onChange={(e) => setSnap({ enabled: e.target.checked })} />
+        Snap
+      </label>
+      <label className="flex items-center gap-1">
+        Step ({system.length})
+        <input
+          className="border rounded-lg px-2 py-1 w-20"
+          type="number"
+          min={0}
+          step={system.lengthStep / 2}
+          disabled={!snap.enabled}
+          value={round3(toUnits(snap.increment, system, DIMENSIONS.length))}
+          onChange={(e) =>
+            setSnap({ increment: fromUnits(Math.max(0, parseFloat(e.target.value) || 0), system, DIMENSIONS.length) })
+          }
+        />
+      </label>
+      {TARGETS.map(({ key, label }) => (
+        <label key={key} className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={snap[key]}
+            disabled={!snap.enabled}
+            onChange={(e) => setSnap({ [key]: e.target.checked })}
+          />
+          {label}
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default SnapControls;
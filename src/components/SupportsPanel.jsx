@@ -0,0 +1,67 @@
+import React from "react";
+import { DIMENSIONS, fromUnits, toUnits, unitSystemOf } from "../engine";
+
+const SupportsPanel = ({
+  supportType,
+  setSupportType,
+  subgradeModulus,
+  setSubgradeModulus,
+  compressionOnly,
+  setCompressionOnly,
+  units,
+}) => {
+  const system = unitSystemOf(units);
+  const soilSupport = supportType === "elasticMat" || supportType === "springs";
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-3">
+      <div className="font-medium mb-2">Supports</div>
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="flex flex-col">
+          <label className="text-xs">Support Type</label>
+          <select
+            className="border rounded-xl px-3 py-2 w-56"
+            value={supportType}
+            onChange={(e) => setSupportType(e.target.value)}
+          >
+            <option value="none">None</option>
+            <option value="elasticMat">Elastic Mat (STAAD)</option>
+            <option value="springs">Node Springs (FIXED BUT KFY)</option>
+            <option value="fixedPedestals">Fixed Pedestal Tops</option>
+          </select>
+        </div>
+        {soilSupport && (
+          <>
+            <div className="flex flex-col">
+              <label className="text-xs">Subgrade Modulus ({system.force}/{system.length}³)</label>
+              <input
+                className="border rounded-xl px-3 py-2 w-36"
+                type="number"
+                min={0}
+                value={Number(toUnits(subgradeModulus, system, DIMENSIONS.unitWeight).toPrecision(6))}
+                onChange={(e) =>
+                  setSubgradeModulus(fromUnits(Math.max(0, parseFloat(e.target.value) || 0), system, DIMENSIONS.unitWeight))
+                }
+              />
+            </div>
+            <label className="flex items-center gap-2 text-sm py-2">
+              <input
+                type="checkbox"
+                checked={compressionOnly}
+                onChange={(e) => setCompressionOnly(e.target.checked)}
+              />
+              Compression only
+            </label>
+          </>
+        )}
+      </div>
+      {supportType === "springs" && (
+        <div className="text-xs text-slate-500 mt-2">
+          Each surface node gets KFY = subgrade modulus × its tributary area on the mesh.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SupportsPanel;
@@ -0,0 +1,290 @@
+import { round3 } from "../utils.js";
+import { LOAD_COMPONENTS } from "./loads.js";
+import { isCircular, pedestalRotation } from "./pedestals.js";
+import { DIMENSIONS, fromUnits, roundLength, roundQuantity, toUnits, unitSystemOf } from "./units.js";
+
+/**
+ * Columns of a pedestal schedule and the header names each is recognised
+ * by (lower case, without units or punctuation). Load components are also
+ * recognised by prefix, e.g. "FY L1 (kN)".
+ */
+export const SCHEDULE_FIELDS = [
+  { key: "mark", label: "Mark", aliases: ["mark", "id", "name", "pedestal", "column", "col", "label", "ref"] },
+  { key: "x", label: "X", aliases: ["x"] },
+  { key: "z", label: "Z", aliases: ["z"] },
+  { key: "length", label: "L / D", aliases: ["l", "length", "d", "dia", "diameter", "size"] },
+  { key: "width", label: "W", aliases: ["w", "width"] },
+  { key: "shape", label: "Shape", aliases: ["shape", "type"] },
+  { key: "rotation", label: "Rotation°", aliases: ["rot", "rotation", "angle", "beta"] },
+  ...LOAD_COMPONENTS.map((c) => ({ key: c, label: c.toUpperCase(), aliases: [c], load: true })),
+];
+
+/**
+ * The tables that can be downloaded as CSV.
+ */
+export const CSV_TABLES = [
+  { value: "pedestals", label: "Pedestal Schedule" },
+  { value: "nodes", label: "Nodes" },
+  { value: "plates", label: "Plates" },
+  { value: "members", label: "Pedestal Members" },
+  { value: "groups", label: "Moment/Shear Groups" },
+];
+
+// Drops the floating point noise of the unit conversion (to a micrometre)
+const tidy = (v) => Math.round(v * 1e6) / 1e6;
+
+/**
+ * Splits CSV text into rows of cells. The delimiter is a tab (as pasted from
+ * a spreadsheet), a semicolon or a comma, whichever the first line uses;
+ * quoted cells may hold delimiters, doubled quotes and line breaks. Blank
+ * rows are dropped.
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} - The rows.
+ */
+export const parseCsv = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || "";
+  const count = (c) => firstLine.split(c).length - 1;
+  const delimiter = count("\t") > 0 ? "\t" : count(";") > count(",") ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"' && cell.trim() === "") {
+      quoted = true;
+      cell = "";
+    } else if (c === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+};
+
+/**
+ * Writes rows as CSV, quoting the cells that need it.
+ * @param {(string|number)[][]} rows - The rows.
+ * @returns {string} - The CSV text, with CRLF line ends.
+ */
+export const formatCsv = (rows) =>
+  rows
+    .map((row) =>
+      row
+        .map((value) => {
+          const cell = String(value ?? "");
+          return /[",\r\n]|^\s|\s$/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+        })
+        .join(",")
+    )
+    .join("\r\n") + "\r\n";
+
+// A header reduced to what identifies it: "L (mm)" -> "l"
+const headerKey = (header) =>
+  header.toLowerCase().replace(/\(.*?\)|\[.*?\]/g, "").replace(/[^a-z0-9]/g, "");
+
+/**
+ * Guesses which column holds each schedule field from the header row.
+ * @param {string[]} header - The header cells.
+ * @returns {Object<string, number|null>} - The column index of each field of SCHEDULE_FIELDS, null when missing.
+ */
+export const guessScheduleMapping = (header) => {
+  const keys = header.map(headerKey);
+  const used = new Set();
+  const find = (test) => {
+    const index = keys.findIndex((k, i) => !used.has(i) && test(k));
+    if (index < 0) return null;
+    used.add(index);
+    return index;
+  };
+  return Object.fromEntries(
+    SCHEDULE_FIELDS.map((f) => [
+      f.key,
+      find((k) => f.aliases.includes(k)) ?? (f.load ? find((k) => f.aliases.some((a) => k.startsWith(a))) : null),
+    ])
+  );
+};
+
+// Reads a number, accepting a decimal comma ("1,5")
+const toNumber = (cell) => {
+  const text = cell.trim();
+  if (text === "") return null;
+  const value = Number(text.includes(".") ? text : text.replace(",", "."));
+  return Number.isFinite(value) ? value : NaN;
+};
+
+/**
+ * Creates pedestals from the rows of a schedule. X, Z and L / D are
+ * required; a missing W makes a square, a shape naming a circle (or
+ * "round", "C") a circular pedestal. A mark ending in a number keeps that
+ * number as the pedestal ID when it is free; the others are numbered after
+ * the highest ID.
+ * @param {string[][]} rows - The data rows (without the header).
+ * @param {object} options
+ * @param {Object<string, number|null>} options.mapping - The column of each field, see guessScheduleMapping.
+ * @param {string} options.units - The unit system of the values.
+ * @param {number|null} [options.loadCaseId] - The load case the load columns go to; loads are ignored without one.
+ * @param {number[]} [options.takenIds] - The IDs already used by pedestals that are kept.
+ * @returns {{pedestals: object[], rows: {line: number, mark: string, id?: number, error?: string}[]}} - The pedestals (metres and kN) and the outcome of each row, `line` counting the data rows from 1.
+ */
+export const readSchedule = (rows, { mapping, units, loadCaseId = null, takenIds = [] }) => {
+  const system = unitSystemOf(units);
+  const cellOf = (row, key) => (mapping[key] != null ? String(row[mapping[key]] ?? "") : "");
+  const length = (v) => tidy(fromUnits(v, system, DIMENSIONS.length));
+
+  const parsed = rows.map((row, i) => {
+    const line = i + 1;
+    const mark = cellOf(row, "mark").trim();
+    const values = {};
+    for (const key of ["x", "z", "length", "width", "rotation", ...LOAD_COMPONENTS]) {
+      values[key] = toNumber(cellOf(row, key));
+      const label = SCHEDULE_FIELDS.find((f) => f.key === key).label;
+      if (Number.isNaN(values[key])) return { line, mark, error: `${label} "${cellOf(row, key).trim()}" is not a number` };
+    }
+    const missing = ["x", "z", "length"].filter((key) => values[key] === null);
+    if (missing.length > 0) {
+      return { line, mark, error: `no ${missing.map((key) => SCHEDULE_FIELDS.find((f) => f.key === key).label).join(", ")}` };
+    }
+    if (values.length <= 0 || (values.width !== null && values.width <= 0)) return { line, mark, error: "the size is not positive" };
+
+    const circle = /circ|round|^c$|^o$|ø/i.test(cellOf(row, "shape").trim());
+    const pedestal = {
+      x: length(values.x),
+      z: length(values.z),
+      length: length(values.length),
+      width: length(circle || values.width === null ? values.length : values.width),
+      ...(circle ? { shape: "circle" } : values.rotation ? { rotation: values.rotation } : {}),
+    };
+    const loaded = LOAD_COMPONENTS.filter((c) => values[c] !== null);
+    if (loadCaseId != null && loaded.length > 0) {
+      const load = Object.fromEntries(
+        loaded.map((c) => [
+          c,
+          roundQuantity(fromUnits(values[c], system, c.startsWith("m") ? DIMENSIONS.moment : DIMENSIONS.force)),
+        ])
+      );
+      pedestal.loads = { [loadCaseId]: load };
+    }
+    return { line, mark, pedestal };
+  });
+
+  // Marks like "P7" or "C7" keep their number when it is free
+  const taken = new Set(takenIds);
+  parsed.forEach((r) => {
+    const number = r.pedestal && /(\d+)\s*$/.exec(r.mark);
+    if (number && !taken.has(Number(number[1])) && Number(number[1]) > 0) {
+      r.id = Number(number[1]);
+      taken.add(r.id);
+    }
+  });
+  let nextId = Math.max(0, ...taken) + 1;
+  parsed.forEach((r) => {
+    if (r.pedestal && r.id === undefined) r.id = nextId++;
+  });
+
+  return {
+    pedestals: parsed.filter((r) => r.pedestal).map((r) => ({ id: r.id, ...r.pedestal })),
+    rows: parsed.map(({ line, mark, id, error }) => ({ line, mark, ...(id !== undefined ? { id } : {}), ...(error ? { error } : {}) })),
+  };
+};
+
+/**
+ * Builds one of CSV_TABLES as rows, the first being the header. Lengths and
+ * loads are written in the project units.
+ * @param {string} table - The table, see CSV_TABLES.
+ * @param {object} data
+ * @param {object[]} data.points - The pedestals.
+ * @param {object[]} data.nodes - The model nodes.
+ * @param {object[]} data.plates - The model plates.
+ * @param {object[]} data.members - The pedestal members.
+ * @param {object[]} data.pedestalGroups - The result of computePedestalGroups.
+ * @param {object[]} [data.loadCases] - The load cases, written as load columns of the schedule.
+ * @param {string} [data.units] - The unit system.
+ * @returns {(string|number)[][]} - The rows.
+ */
+export const csvTableRows = (table, { points, nodes, plates, members, pedestalGroups, loadCases = [], units }) => {
+  const system = unitSystemOf(units);
+  // Written with the digits of the STAAD export, so a re-import recovers the stored values
+  const show = (v) => roundLength(toUnits(v, system, DIMENSIONS.length), system);
+  const l = `(${system.length})`;
+
+  switch (table) {
+    case "pedestals": {
+      const loadColumns = loadCases.flatMap((c) =>
+        LOAD_COMPONENTS.map((component) => {
+          const moment = component.startsWith("m");
+          const unit = moment ? `${system.force}-${system.length}` : system.force;
+          return { caseId: c.id, component, moment, header: `${component.toUpperCase()} L${c.id} (${unit})` };
+        })
+      );
+      return [
+        ["Mark", `X ${l}`, `Z ${l}`, "Shape", `L ${l}`, `W ${l}`, "Rotation (deg)", ...loadColumns.map((c) => c.header)],
+        ...points
+          .slice()
+          .sort((a, b) => a.id - b.id)
+          .map((p) => [
+            `P${p.id}`,
+            show(p.x),
+            show(p.z),
+            isCircular(p) ? "circle" : "rectangle",
+            show(p.length),
+            show(isCircular(p) ? p.length : p.width),
+            round3(pedestalRotation(p)),
+            ...loadColumns.map(({ caseId, component, moment }) => {
+              const value = Number(p.loads?.[caseId]?.[component]) || 0;
+              return roundQuantity(toUnits(value, system, moment ? DIMENSIONS.moment : DIMENSIONS.force));
+            }),
+          ]),
+      ];
+    }
+    case "nodes":
+      return [["Node", `X ${l}`, `Y ${l}`, `Z ${l}`, "Type"], ...nodes.map((n) => [n.id, show(n.x), show(n.y), show(n.z), n.type])];
+    case "plates":
+      return [["Plate", "Node 1", "Node 2", "Node 3", "Node 4"], ...plates.map((p) => [p.id, ...p.nodes])];
+    case "members":
+      return [
+        ["Member", "Start Node", "End Node", "Pedestal", "Shape", `L ${l}`, `W ${l}`],
+        ...members.map((m) => [
+          m.id,
+          m.startNode,
+          m.endNode,
+          `P${m.pointData.id}`,
+          isCircular(m.pointData) ? "circle" : "rectangle",
+          show(m.pointData.length),
+          show(isCircular(m.pointData) ? m.pointData.length : m.pointData.width),
+        ]),
+      ];
+    case "groups": {
+      // One row per plate, named like the STAAD groups, so a spreadsheet can filter them
+      const names = { moment: "MOMENT", oneWayShear: "1_WAY_SHEAR", twoWayShear: "2_WAY_SHEAR" };
+      return [
+        ["Group", "Pedestal", "Plate"],
+        ...Object.entries(names).flatMap(([key, name]) =>
+          pedestalGroups.flatMap((g) => g[key].map((plateId) => [name, `P${g.point.id}`, plateId]))
+        ),
+      ];
+    }
+    default:
+      throw new Error(`unknown CSV table "${table}"`);
+  }
+};
@@ -0,0 +1,192 @@
+import { rectangleOutline } from "./outline.js";
+import { isCircular, pedestalFootprint } from "./pedestals.js";
+import { DIMENSIONS, toUnits, unitSystemOf } from "./units.js";
+
+/**
+ * Layers of the DXF export, with the colour each is drawn in on screen.
+ * The outline and the labels use ACI 7 (black or white, whichever shows on
+ * the CAD background); the other layers get the nearest AutoCAD colour.
+ */
+export const DXF_LAYERS = [
+  { name: "OUTLINE", screen: "#0f172a", aci: 7 },
+  { name: "OPENINGS", screen: "#dc2626", dashed: true },
+  { name: "MESH", screen: "#cbd5e1" },
+  { name: "PEDESTALS", screen: "#1e40af" },
+  { name: "MOMENT_GROUP", screen: "#3b82f6", dashed: true },
+  { name: "ONE_WAY_SHEAR", screen: "#22c55e", dashed: true },
+  { name: "TWO_WAY_SHEAR", screen: "#ef4444", dashed: true },
+];
+
+// Layer of each group of computeGroupBoundingBoxes
+const GROUP_LAYERS = { moment: "MOMENT_GROUP", oneWayShear: "ONE_WAY_SHEAR", twoWayShear: "TWO_WAY_SHEAR" };
+
+// $INSUNITS codes of the unit system lengths
+const INSUNITS = { m: 6, mm: 4, ft: 2 };
+
+// Sizes in metres: pedestal label height and the dash and gap of dashed layers
+const LABEL_HEIGHT = 0.1;
+const DASH = 0.05;
+
+// The AutoCAD Color Index palette: 1–9 named colours, 10–249 by hue in steps
+// of 15° (five shades, each solid and pale), 250–255 greys
+const ACI_PALETTE = (() => {
+  const palette = [null, [255, 0, 0], [255, 255, 0], [0, 255, 0], [0, 255, 255], [0, 0, 255], [255, 0, 255], null,
+    [128, 128, 128], [192, 192, 192]];
+  const shades = [255, 204, 153, 127, 76];
+  for (let i = 10; i < 250; i++) {
+    const hue = (Math.floor(i / 10) - 1) * 15;
+    const value = shades[Math.floor((i % 10) / 2)];
+    const low = i % 2 === 0 ? 0 : value / 2;
+    const channel = (n) => {
+      const k = (n + hue / 60) % 6;
+      return value - (value - low) * Math.max(0, Math.min(k, 4 - k, 1));
+    };
+    palette.push([channel(5), channel(3), channel(1)].map(Math.round));
+  }
+  [51, 80, 105, 130, 190, 255].forEach((g) => palette.push([g, g, g]));
+  return palette;
+})();
+
+/**
+ * Finds the AutoCAD Color Index closest to a screen colour (ACI 7 is left
+ * out, its colour depends on the CAD background).
+ * @param {string} hex - The colour as "#rrggbb".
+ * @returns {number} - The colour index, 1–255.
+ */
+export const nearestAciColour = (hex) => {
+  const rgb = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  let best = 1;
+  let bestDistance = Infinity;
+  ACI_PALETTE.forEach((colour, index) => {
+    if (!colour) return;
+    const distance = colour.reduce((s, c, i) => s + (c - rgb[i]) ** 2, 0);
+    if (distance < bestDistance) {
+      best = index;
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+// Merges the runs of grid cells along a line into segments: `has(i)` tells
+// whether the edge between lines[i] and lines[i + 1] is drawn
+const runs = (lines, has) => {
+  const segments = [];
+  let start = null;
+  for (let i = 0; i <= lines.length - 1; i++) {
+    const drawn = i < lines.length - 1 && has(i);
+    if (drawn && start === null) start = i;
+    if (!drawn && start !== null) {
+      segments.push([lines[start], lines[i]]);
+      start = null;
+    }
+  }
+  return segments;
+};
+
+/**
+ * Writes the plan of a model as an AutoCAD R12 ASCII DXF: the plate outline
+ * and openings, the plate edges of the mesh, the pedestal footprints with
+ * their labels, and the moment, one-way and two-way shear group boundaries,
+ * each on its own layer (see DXF_LAYERS). Coordinates are in the project
+ * units, named by $INSUNITS, with DXF Y = −Z, so the drawing reads like the
+ * canvas.
+ * @param {object} params
+ * @param {number} params.length - The plate length along X.
+ * @param {number} params.width - The plate width along Z.
+ * @param {object[]|null} [params.outline] - The plate outline (resolved), the rectangle when missing.
+ * @param {object[]} [params.openings] - The openings (resolved).
+ * @param {number[]} params.xLines - The X grid lines.
+ * @param {number[]} params.zLines - The Z grid lines.
+ * @param {Map<string, number>} params.plateIdByCoord - The plate ID of each grid cell ("xi,zi").
+ * @param {object[]} params.points - The pedestals.
+ * @param {{moment: object[], oneWayShear: object[], twoWayShear: object[]}} params.groupBoxes - The result of computeGroupBoundingBoxes.
+ * @param {string} [params.units] - The unit system the drawing is written in.
+ * @returns {string} - The .dxf file contents.
+ */
+export const buildDxfText = ({
+  length,
+  width,
+  outline = null,
+  openings = [],
+  xLines,
+  zLines,
+  plateIdByCoord,
+  points,
+  groupBoxes,
+  units,
+}) => {
+  const system = unitSystemOf(units);
+  const scale = (v) => toUnits(v, system, DIMENSIONS.length);
+  // Nine decimals, so the sides of rotated footprints read back to the
+  // micrometre, without a negative zero
+  const num = (v) => String(Number(v.toFixed(9)) || 0);
+  const out = [];
+  const put = (...pairs) => {
+    for (let i = 0; i < pairs.length; i += 2) out.push(String(pairs[i]), String(pairs[i + 1]));
+  };
+  const xy = (x, z) => [10, num(scale(x)), 20, num(-scale(z)), 30, 0];
+
+  put(0, "SECTION", 2, "HEADER", 9, "$ACADVER", 1, "AC1009", 9, "$INSBASE", 10, 0, 20, 0, 30, 0);
+  // R12 has no units variable; later readers take $INSUNITS, older ones skip it
+  put(9, "$INSUNITS", 70, INSUNITS[system.length]);
+  put(9, "$EXTMIN", 10, 0, 20, num(-scale(width)), 30, 0, 9, "$EXTMAX", 10, num(scale(length)), 20, 0, 30, 0);
+  put(0, "ENDSEC");
+
+  put(0, "SECTION", 2, "TABLES");
+  const dash = num(scale(DASH));
+  put(0, "TABLE", 2, "LTYPE", 70, 2);
+  put(0, "LTYPE", 2, "CONTINUOUS", 70, 0, 3, "Solid line", 72, 65, 73, 0, 40, 0);
+  put(0, "LTYPE", 2, "DASHED", 70, 0, 3, "Dashed __ __ __", 72, 65, 73, 2, 40, num(2 * scale(DASH)), 49, dash, 49, `-${dash}`);
+  put(0, "ENDTAB");
+  // Layer 0 always exists, and strict R12 readers expect it in the table
+  put(0, "TABLE", 2, "LAYER", 70, DXF_LAYERS.length + 1);
+  put(0, "LAYER", 2, "0", 70, 0, 62, 7, 6, "CONTINUOUS");
+  DXF_LAYERS.forEach((layer) =>
+    put(0, "LAYER", 2, layer.name, 70, 0, 62, layer.aci ?? nearestAciColour(layer.screen), 6, layer.dashed ? "DASHED" : "CONTINUOUS")
+  );
+  put(0, "ENDTAB", 0, "ENDSEC");
+
+  put(0, "SECTION", 2, "ENTITIES");
+  const polygon = (layer, vertices) => {
+    put(0, "POLYLINE", 8, layer, 66, 1, 10, 0, 20, 0, 30, 0, 70, 1);
+    vertices.forEach((v) => put(0, "VERTEX", 8, layer, ...xy(v.x, v.z)));
+    put(0, "SEQEND", 8, layer);
+  };
+  const line = (layer, a, b) => put(0, "LINE", 8, layer, ...xy(a.x, a.z), 11, num(scale(b.x)), 21, num(-scale(b.z)), 31, 0);
+
+  polygon("OUTLINE", outline || rectangleOutline(length, width));
+  openings.forEach((o) => polygon("OPENINGS", o.points));
+
+  // Plate edges: a grid line segment is drawn where a plate lies on either side of it
+  const plateAt = (xi, zi) => plateIdByCoord.has(`${xi},${zi}`);
+  xLines.forEach((x, xi) =>
+    runs(zLines, (zi) => plateAt(xi - 1, zi) || plateAt(xi, zi)).forEach(([z0, z1]) =>
+      line("MESH", { x, z: z0 }, { x, z: z1 })
+    )
+  );
+  zLines.forEach((z, zi) =>
+    runs(xLines, (xi) => plateAt(xi, zi - 1) || plateAt(xi, zi)).forEach(([x0, x1]) =>
+      line("MESH", { x: x0, z }, { x: x1, z })
+    )
+  );
+
+  points.forEach((p) => {
+    if (isCircular(p)) {
+      put(0, "CIRCLE", 8, "PEDESTALS", ...xy(p.x, p.z), 40, num(scale(p.length / 2)));
+    } else {
+      polygon("PEDESTALS", pedestalFootprint(p));
+    }
+    // Up and to the right of the centre, as on the canvas
+    put(0, "TEXT", 8, "PEDESTALS", ...xy(p.x + LABEL_HEIGHT / 2, p.z - LABEL_HEIGHT / 2), 40, num(scale(LABEL_HEIGHT)), 1, `P${p.id}`);
+  });
+
+  Object.entries(GROUP_LAYERS).forEach(([key, layer]) =>
+    groupBoxes[key].forEach((box) =>
+      polygon(layer, rectangleOutline(box.width, box.height).map((v) => ({ x: box.x + v.x, z: box.y + v.z })))
+    )
+  );
+
+  put(0, "ENDSEC", 0, "EOF");
+  return out.join("\n") + "\n";
+};
@@ -0,0 +1,377 @@
+import { signedArea2 } from "./outline.js";
+
+/**
+ * Units a DXF drawing can be read in, as the size of the unit in metres;
+ * `insunits` is the matching $INSUNITS header value.
+ */
+export const DRAWING_UNITS = [
+  { value: "m", label: "Metres", metres: 1, insunits: 6 },
+  { value: "mm", label: "Millimetres", metres: 0.001, insunits: 4 },
+  { value: "cm", label: "Centimetres", metres: 0.01, insunits: 5 },
+  { value: "ft", label: "Feet", metres: 0.3048, insunits: 2 },
+  { value: "in", label: "Inches", metres: 0.0254, insunits: 1 },
+];
+
+// Relative tolerance of the rectangle test, on the size of the shape
+const SHAPE_TOLERANCE = 1e-3;
+
+// Drops the floating point noise of the conversion (to a micrometre)
+const tidy = (v) => Math.round(v * 1e6) / 1e6;
+
+// Text, dimensions and fills: drawn around pedestals, never reported as skipped
+const ANNOTATIONS = new Set(["TEXT", "MTEXT", "ATTDEF", "ATTRIB", "DIMENSION", "LEADER", "MULTILEADER", "HATCH"]);
+
+const numberAt = (pairs, code, fallback = 0) => {
+  const pair = pairs.find(([c]) => c === code);
+  return pair ? Number(pair[1]) : fallback;
+};
+
+// The vertices of a polyline: each code 10 starts a vertex; a non-zero
+// bulge (42) makes the edge an arc
+const verticesOf = (pairs) => {
+  const vertices = [];
+  pairs.forEach(([code, value]) => {
+    if (code === 10) vertices.push({ x: Number(value), y: 0, bulge: 0 });
+    else if (code === 20 && vertices.length > 0) vertices[vertices.length - 1].y = Number(value);
+    else if (code === 42 && vertices.length > 0) vertices[vertices.length - 1].bulge = Number(value);
+  });
+  return vertices;
+};
+
+// Reads the entity made of group code pairs (the first being its type)
+const readEntity = (type, pairs, vertices) => {
+  const layer = pairs.find(([c]) => c === 8)?.[1] ?? "0";
+  switch (type) {
+    case "LWPOLYLINE":
+    case "POLYLINE": {
+      const flags = numberAt(pairs, 70);
+      const points = type === "LWPOLYLINE" ? verticesOf(pairs) : vertices;
+      return {
+        type,
+        layer,
+        points: points.map(({ x, y }) => ({ x, y })),
+        closed: (flags & 1) === 1,
+        arcs: points.some((v) => v.bulge !== 0),
+        // Polygon and polyface meshes are 3D surfaces, not outlines
+        mesh: (flags & (16 | 64)) !== 0,
+      };
+    }
+    case "CIRCLE":
+      return { type, layer, x: numberAt(pairs, 10), y: numberAt(pairs, 20), r: numberAt(pairs, 40) };
+    case "LINE":
+      return {
+        type,
+        layer,
+        points: [
+          { x: numberAt(pairs, 10), y: numberAt(pairs, 20) },
+          { x: numberAt(pairs, 11), y: numberAt(pairs, 21) },
+        ],
+      };
+    case "INSERT":
+      return {
+        type,
+        layer,
+        name: pairs.find(([c]) => c === 2)?.[1] ?? "",
+        x: numberAt(pairs, 10),
+        y: numberAt(pairs, 20),
+        sx: numberAt(pairs, 41, 1),
+        sy: numberAt(pairs, 42, 1),
+        rotation: numberAt(pairs, 50),
+      };
+    default:
+      return { type, layer };
+  }
+};
+
+/**
+ * Reads an ASCII DXF drawing: the entities of the ENTITIES section, the
+ * block definitions, and the drawing units from the $INSUNITS header.
+ * Only the plan (X and Y) is kept; the vertices of a POLYLINE and the
+ * attributes of an INSERT (up to their SEQEND) belong to it.
+ * @param {string} text - The .dxf file contents.
+ * @returns {{units: string|null, layers: string[], entities: object[], blocks: Map<string, {x: number, y: number, entities: object[]}>}} - Entities as {type, layer, ...}: polylines with {points, closed, arcs, mesh}, circles with {x, y, r}, lines with {points}, inserts with {name, x, y, sx, sy, rotation}.
+ */
+export const parseDxf = (text) => {
+  const lines = text.split(/\r?\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    pairs.push([parseInt(lines[i], 10), lines[i + 1].trim()]);
+  }
+
+  let units = null;
+  const entities = [];
+  const blocks = new Map();
+  let section = null;
+  let block = null;
+  let polyline = null;
+  // Inside the ATTRIB … SEQEND run after an INSERT with attributes
+  let attributes = false;
+
+  for (let i = 0; i < pairs.length; i++) {
+    const [code, value] = pairs[i];
+    if (code !== 0) continue;
+    // The group codes up to the next 0 belong to this record
+    let end = i + 1;
+    while (end < pairs.length && pairs[end][0] !== 0) end++;
+    const record = pairs.slice(i + 1, end);
+    i = end - 1;
+
+    if (value === "SECTION") {
+      section = record.find(([c]) => c === 2)?.[1] ?? null;
+    } else if (value === "ENDSEC") {
+      section = null;
+    } else if (section === "BLOCKS" && value === "BLOCK") {
+      block = { name: record.find(([c]) => c === 2)?.[1] ?? "", x: numberAt(record, 10), y: numberAt(record, 20), entities: [] };
+    } else if (section === "BLOCKS" && value === "ENDBLK") {
+      if (block) blocks.set(block.name, block);
+      block = null;
+    } else if (section === "ENTITIES" || (section === "BLOCKS" && block)) {
+      const target = section === "ENTITIES" ? entities : block.entities;
+      if (value === "POLYLINE") {
+        polyline = { record, vertices: [] };
+      } else if (value === "VERTEX" && polyline) {
+        polyline.vertices.push({ x: numberAt(record, 10), y: numberAt(record, 20), bulge: numberAt(record, 42) });
+      } else if (value === "SEQEND" && polyline) {
+        target.push(readEntity("POLYLINE", polyline.record, polyline.vertices));
+        polyline = null;
+      } else if (attributes && (value === "ATTRIB" || value === "SEQEND")) {
+        // The attribute values of the INSERT before, not entities of their own
+        attributes = value === "ATTRIB";
+      } else {
+        target.push(readEntity(value, record));
+        attributes = value === "INSERT" && numberAt(record, 66) === 1;
+      }
+    }
+  }
+
+  // $INSUNITS is a header variable: "9 $INSUNITS" followed by "70 <code>"
+  const insunitsAt = pairs.findIndex(([code, value]) => code === 9 && value === "$INSUNITS");
+  if (insunitsAt >= 0 && pairs[insunitsAt + 1]) {
+    const insunits = Number(pairs[insunitsAt + 1][1]);
+    units = DRAWING_UNITS.find((u) => u.insunits === insunits)?.value ?? null;
+  }
+
+  const layers = Array.from(new Set(entities.map((e) => e.layer))).sort();
+  return { units, layers, entities, blocks };
+};
+
+// Drops the closing vertex of a polygon that repeats its first one
+const openPolygon = (points) => {
+  const first = points[0];
+  const last = points[points.length - 1];
+  const size = Math.max(...points.map((v) => Math.abs(v.x - first.x) + Math.abs(v.y - first.y)), 1e-12);
+  return points.length > 1 && Math.hypot(last.x - first.x, last.y - first.y) < SHAPE_TOLERANCE * size
+    ? points.slice(0, -1)
+    : points;
+};
+
+// A polyline is closed by its flag or by ending on its first vertex
+const isClosed = (entity) => entity.closed || openPolygon(entity.points).length < entity.points.length;
+
+/**
+ * Recognises a rectangle: four vertices with square corners and equal
+ * opposite sides. The rotation is that of the side closest to the X axis,
+ * counterclockwise in the drawing.
+ * @param {{x: number, y: number}[]} points - The vertices, in either order.
+ * @returns {{x: number, y: number, length: number, width: number, rotation: number}|null} - The centre, the side along the rotation (length) and across it (width), or null.
+ */
+export const rectangleOf = (points) => {
+  const corners = openPolygon(points);
+  if (corners.length !== 4) return null;
+  const sides = corners.map((v, i) => {
+    const w = corners[(i + 1) % 4];
+    return { dx: w.x - v.x, dy: w.y - v.y, size: Math.hypot(w.x - v.x, w.y - v.y) };
+  });
+  const size = Math.max(...sides.map((s) => s.size));
+  if (size === 0) return null;
+  const square = sides.every((s, i) => {
+    const t = sides[(i + 1) % 4];
+    return Math.abs(s.dx * t.dx + s.dy * t.dy) < SHAPE_TOLERANCE * size * size;
+  });
+  if (!square || Math.abs(sides[0].size - sides[2].size) > SHAPE_TOLERANCE * size) return null;
+
+  // Side 0 or side 1, whichever is within 45° of X, gives the rotation
+  const angleOf = (s) => {
+    let angle = (Math.atan2(s.dy, s.dx) * 180) / Math.PI;
+    while (angle > 90) angle -= 180;
+    while (angle <= -90) angle += 180;
+    return angle;
+  };
+  const [along, across] = Math.abs(angleOf(sides[0])) <= 45 ? [sides[0], sides[1]] : [sides[1], sides[0]];
+  const rotation = angleOf(along);
+  return {
+    x: corners.reduce((s, v) => s + v.x, 0) / 4,
+    y: corners.reduce((s, v) => s + v.y, 0) / 4,
+    length: along.size,
+    width: across.size,
+    rotation: Math.abs(rotation) < 1e-6 ? 0 : rotation,
+  };
+};
+
+// Places a point of a block definition where an INSERT puts it
+const insertTransform = (insert, block) => {
+  const a = (insert.rotation * Math.PI) / 180;
+  return ({ x, y }) => {
+    const u = (x - block.x) * insert.sx;
+    const v = (y - block.y) * insert.sy;
+    return { x: insert.x + u * Math.cos(a) - v * Math.sin(a), y: insert.y + u * Math.sin(a) + v * Math.cos(a) };
+  };
+};
+
+/**
+ * Finds the footprint an entity draws: a circle, a rectangle, or the reason
+ * it is not a pedestal. A block reference takes the first circle or
+ * rectangle of its block, or else the bounding box of its lines.
+ * @param {object} entity - An entity of parseDxf.
+ * @param {Map<string, object>} blocks - The block definitions of parseDxf.
+ * @returns {{circle?: {x: number, y: number, r: number}, rectangle?: object, reason?: string}} - The footprint in drawing coordinates, or why it was skipped.
+ */
+export const footprintOf = (entity, blocks) => {
+  if (entity.type === "CIRCLE") {
+    return entity.r > 0 ? { circle: { x: entity.x, y: entity.y, r: entity.r } } : { reason: "circle without a radius" };
+  }
+  if (entity.type === "LWPOLYLINE" || entity.type === "POLYLINE") {
+    if (entity.mesh) return { reason: "3D mesh polyline" };
+    if (entity.arcs) return { reason: "polyline with arcs" };
+    if (!isClosed(entity)) return { reason: "open polyline" };
+    const rectangle = rectangleOf(entity.points);
+    if (rectangle) return { rectangle };
+    return { reason: `closed polyline with ${openPolygon(entity.points).length} vertices is not a rectangle` };
+  }
+  if (entity.type === "INSERT") {
+    const block = blocks.get(entity.name);
+    if (!block) return { reason: `block "${entity.name}" is not defined` };
+    const place = insertTransform(entity, block);
+    const inner = block.entities.map((e) => (e.type === "INSERT" ? { reason: "nested block" } : footprintOf(e, blocks)));
+    const circle = inner.find((f) => f.circle)?.circle;
+    if (circle) {
+      if (Math.abs(Math.abs(entity.sx) - Math.abs(entity.sy)) > SHAPE_TOLERANCE * Math.abs(entity.sx)) {
+        return { reason: `block "${entity.name}" is a circle scaled unevenly` };
+      }
+      return { circle: { ...place(circle), r: circle.r * Math.abs(entity.sx) } };
+    }
+    let corners;
+    const rectangle = block.entities.find((e, i) => inner[i].rectangle);
+    if (rectangle) {
+      corners = openPolygon(rectangle.points);
+    } else {
+      const vertices = block.entities.flatMap((e) => (e.points || []));
+      if (vertices.length === 0) return { reason: `block "${entity.name}" has no rectangle, circle or lines` };
+      const xs = vertices.map((v) => v.x);
+      const ys = vertices.map((v) => v.y);
+      const [x0, y0, x1, y1] = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+      corners = [{ x: x0, y: y0 }, { x: x1, y: y0 }, { x: x1, y: y1 }, { x: x0, y: y1 }];
+    }
+    const placed = rectangleOf(corners.map(place));
+    return placed ? { rectangle: placed } : { reason: `block "${entity.name}" is sheared by its scale and rotation` };
+  }
+  return { reason: "not a pedestal shape" };
+};
+
+/**
+ * Lists the closed polylines of a drawing that can be a plate outline.
+ * @param {object} drawing - The result of parseDxf.
+ * @returns {number[]} - Their indices in drawing.entities.
+ */
+export const outlineCandidates = (drawing) =>
+  drawing.entities.flatMap((e, i) =>
+    (e.type === "LWPOLYLINE" || e.type === "POLYLINE") && !e.mesh && !e.arcs && isClosed(e) &&
+    openPolygon(e.points).length >= 3
+      ? [i]
+      : []
+  );
+
+/**
+ * Creates pedestals from the rectangles, circles and block references on a
+ * layer of a drawing, and optionally the plate from one of its closed
+ * polylines. The origin becomes the plate's (0, 0) and the drawing's Y runs
+ * along −Z, so a plan drawn with Y up reads as on the canvas. Text,
+ * dimensions and hatches on the layer are passed over without a report.
+ * @param {object} drawing - The result of parseDxf.
+ * @param {object} options
+ * @param {string} options.layer - The layer the pedestals are drawn on.
+ * @param {{x: number, y: number}} options.origin - The drawing point placed at the plate's (0, 0).
+ * @param {string} options.units - The drawing units, see DRAWING_UNITS.
+ * @param {number|null} [options.outlineIndex] - The entity index of the plate outline, see outlineCandidates.
+ * @param {number} [options.firstId] - The ID of the first new pedestal.
+ * @returns {{pedestals: object[], plate: {length: number, width: number, outline: object[]|null}|null, skipped: {type: string, reason: string}[], warnings: string[]}} - Lengths in metres; the outline is null for a plain rectangle.
+ */
+export const importDxfPedestals = (drawing, { layer, origin, units, outlineIndex = null, firstId = 1 }) => {
+  const scale = (DRAWING_UNITS.find((u) => u.value === units) || DRAWING_UNITS[0]).metres;
+  const toPlan = ({ x, y }) => ({ x: tidy((x - origin.x) * scale), z: tidy((origin.y - y) * scale) });
+  const pedestals = [];
+  const skipped = [];
+  const warnings = [];
+
+  let nextId = firstId;
+  drawing.entities.forEach((entity, index) => {
+    if (entity.layer !== layer || index === outlineIndex || ANNOTATIONS.has(entity.type)) return;
+    const { circle, rectangle, reason } = footprintOf(entity, drawing.blocks);
+    if (reason) {
+      skipped.push({ type: entity.type, reason });
+    } else if (circle) {
+      pedestals.push({ id: nextId++, ...toPlan(circle), length: tidy(2 * circle.r * scale), width: tidy(2 * circle.r * scale), shape: "circle" });
+    } else {
+      pedestals.push({
+        id: nextId++,
+        ...toPlan(rectangle),
+        length: tidy(rectangle.length * scale),
+        width: tidy(rectangle.width * scale),
+        // Rotations to a thousandth of a degree, the precision of a drawing's coordinates
+        ...(rectangle.rotation ? { rotation: Math.round(rectangle.rotation * 1000) / 1000 } : {}),
+      });
+    }
+  });
+
+  let plate = null;
+  const outlineEntity = outlineIndex != null ? drawing.entities[outlineIndex] : null;
+  if (outlineEntity) {
+    const outline = openPolygon(outlineEntity.points).map(toPlan);
+    const xs = outline.map((v) => v.x);
+    const zs = outline.map((v) => v.z);
+    if (Math.min(...xs) < -1e-6 || Math.min(...zs) < -1e-6) {
+      warnings.push("The outline extends left of or above the origin; that part is cut off the plate.");
+    }
+    const length = tidy(Math.max(...xs));
+    const width = tidy(Math.max(...zs));
+    if (length <= 0 || width <= 0) {
+      warnings.push("The outline is not right of and below the origin; the plate is left unchanged.");
+    } else {
+      // An outline filling its bounding box from the origin is the plain rectangular plate
+      const box = rectangleOf(outline.map((v) => ({ x: v.x, y: v.z })));
+      const plain = box && box.rotation === 0 && Math.abs(Math.min(...xs)) < 1e-6 && Math.abs(Math.min(...zs)) < 1e-6;
+      plate = { length, width, outline: plain ? null : outline };
+    }
+  }
+
+  return { pedestals, plate, skipped, warnings };
+};
+
+/**
+ * Suggests the import options of a drawing: the layer with the most
+ * pedestal shapes, the largest closed polyline on another layer as the
+ * outline, with its top left corner as the origin, and the units from the
+ * drawing header.
+ * @param {object} drawing - The result of parseDxf.
+ * @param {string} [fallbackUnits] - The drawing units when the header has none.
+ * @returns {{layer: string, units: string, outlineIndex: number|null, origin: {x: number, y: number}}}
+ */
+export const dxfImportDefaults = (drawing, fallbackUnits = "m") => {
+  const shapes = new Map();
+  drawing.entities.forEach((e) => {
+    if (!footprintOf(e, drawing.blocks).reason) shapes.set(e.layer, (shapes.get(e.layer) || 0) + 1);
+  });
+  const layer = Array.from(shapes.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] ?? drawing.layers[0] ?? "0";
+
+  const area = (i) => Math.abs(signedArea2(drawing.entities[i].points.map((v) => ({ x: v.x, z: v.y }))));
+  const outlineIndex = outlineCandidates(drawing)
+    .filter((i) => drawing.entities[i].layer !== layer)
+    .sort((a, b) => area(b) - area(a))[0] ?? null;
+  const corner = outlineIndex != null ? drawing.entities[outlineIndex].points : [];
+  const origin = corner.length > 0
+    ? { x: Math.min(...corner.map((v) => v.x)), y: Math.max(...corner.map((v) => v.y)) }
+    : { x: 0, y: 0 };
+
+  const units = drawing.units ?? (DRAWING_UNITS.some((u) => u.value === fallbackUnits) ? fallbackUnits : "m");
+  return { layer, units, outlineIndex, origin };
+};
@@ -0,0 +1,313 @@
+import { isCircular, pedestalRotation } from "./pedestals.js";
+import { buildStaadText, memberElementIds } from "./staad.js";
+import { modelToUnits, roundLength, unitSystemOf } from "./units.js";
+
+/**
+ * The formats the model can be exported in, with their file extension.
+ * STAAD gets the whole model; the open formats get the nodes, plates,
+ * pedestal members, sections, materials and groups, without supports and
+ * loads.
+ */
+export const EXPORT_FORMATS = [
+  { value: "staad", label: "STAAD (.STD)", extension: "STD" },
+  { value: "calculix", label: "CalculiX/Abaqus (.inp)", extension: "inp" },
+  { value: "gmsh", label: "Gmsh (.msh)", extension: "msh" },
+  { value: "opensees", label: "OpenSees (.tcl)", extension: "tcl" },
+];
+
+// Standard gravity, to turn the weight densities of the materials into masses
+const GRAVITY = 9.80665;
+
+// Six significant digits, enough for material constants
+const num = (v) => String(Number(v.toPrecision(6)));
+
+// The smallest and largest of some IDs, 0 and 0 for none
+const idRange = (ids) => (ids.length > 0 ? [ids.reduce((a, b) => Math.min(a, b)), ids.reduce((a, b) => Math.max(a, b))] : [0, 0]);
+
+// Wraps IDs onto lines of `perLine`, each but the last ending in `end`
+const wrapIds = (ids, perLine, separator, end = "") => {
+  const lines = [];
+  for (let i = 0; i < ids.length; i += perLine) lines.push(ids.slice(i, i + perLine).join(separator));
+  return lines.map((line, i) => (i < lines.length - 1 ? line + end : line));
+};
+
+/**
+ * Lists the plate groups as named element sets, as chosen by the group mode:
+ * MOMENT, ONE_WAY_SHEAR and TWO_WAY_SHEAR over all pedestals, and/or
+ * P<id>_MOMENT etc. per pedestal. Empty sets are left out.
+ * @param {object} params
+ * @param {number[]} params.groupedPlates - The combined moment group.
+ * @param {number[]} params.shearPlates - The combined one-way shear group.
+ * @param {number[]} params.twoWayShearPlates - The combined two-way shear group.
+ * @param {object[]} [params.pedestalGroups=[]] - The per-pedestal plate sets, see computePedestalGroups.
+ * @param {string} [params.groupMode="combined"] - See GROUP_MODES.
+ * @returns {{name: string, ids: number[]}[]}
+ */
+export const plateElementSets = ({ groupedPlates, shearPlates, twoWayShearPlates, pedestalGroups = [], groupMode = "combined" }) => {
+  const sets = [];
+  if (groupMode !== "perPedestal") {
+    sets.push({ name: "MOMENT", ids: groupedPlates });
+    sets.push({ name: "ONE_WAY_SHEAR", ids: shearPlates });
+    sets.push({ name: "TWO_WAY_SHEAR", ids: twoWayShearPlates });
+  }
+  if (groupMode !== "combined") {
+    pedestalGroups.forEach((g) => {
+      sets.push({ name: `P${g.point.id}_MOMENT`, ids: g.moment });
+      sets.push({ name: `P${g.point.id}_ONE_WAY_SHEAR`, ids: g.oneWayShear });
+      sets.push({ name: `P${g.point.id}_TWO_WAY_SHEAR`, ids: g.twoWayShear });
+    });
+  }
+  return sets.filter((set) => set.ids.length > 0);
+};
+
+// The section axis of a pedestal along its length, in plan (rotation
+// counterclockwise from +X towards −Z)
+const lengthAxis = (p) => {
+  const a = (pedestalRotation(p) * Math.PI) / 180;
+  return { x: Math.cos(a), y: 0, z: -Math.sin(a) };
+};
+
+// Area, second moments about the length axis (across it: `along`) and
+// torsion constant of a pedestal section
+const sectionProperties = (p) => {
+  if (isCircular(p)) {
+    const r = p.length / 2;
+    const I = (Math.PI * r ** 4) / 4;
+    return { A: Math.PI * r * r, Ilength: I, Iwidth: I, J: 2 * I };
+  }
+  const [a, b] = [Math.max(p.length, p.width), Math.min(p.length, p.width)];
+  return {
+    A: p.length * p.width,
+    // Bending about the width axis stretches fibres along the length
+    Iwidth: (p.width * p.length ** 3) / 12,
+    Ilength: (p.length * p.width ** 3) / 12,
+    J: a * b ** 3 * (1 / 3 - 0.21 * (b / a) * (1 - b ** 4 / (12 * a ** 4))),
+  };
+};
+
+// The header comment lines of the open formats
+const headerLines = (system, format) => [
+  `Plate geometry export (${format}); units: ${system.length}, ${system.force}`,
+  "Nodes, plates, pedestal members and groups; supports and loads are not included",
+];
+
+/**
+ * Builds a CalculiX/Abaqus input file: S4 shells with the plate thickness,
+ * B31 beams with a RECT or CIRC section per pedestal (the first section axis
+ * along the pedestal length), an elastic material for each, and the plate
+ * groups as element sets. Values are in the project units, the mass density
+ * derived from the unit weight.
+ * @param {object} params - The parameters of buildStaadText (supports and loads are not written).
+ * @returns {string} - The .inp file contents.
+ */
+export const buildCalculixText = ({ units = "m-kN", ...model }) => {
+  const system = unitSystemOf(units);
+  const length = (v) => roundLength(v, system);
+  const { nodes, plates, members, plateThickness, plateMaterial, pedestalMaterial } = { ...model, ...modelToUnits(model, system) };
+  const memberIds = memberElementIds(plates, members);
+  const gravity = GRAVITY * system.lengthFactor;
+  const lines = headerLines(system, "CalculiX/Abaqus").map((l) => `** ${l}`);
+
+  lines.push("*NODE, NSET=NALL");
+  nodes.forEach((n) => lines.push(`${n.id}, ${length(n.x)}, ${length(n.y)}, ${length(n.z)}`));
+  if (plates.length > 0) {
+    lines.push("*ELEMENT, TYPE=S4, ELSET=PLATES");
+    plates.forEach((p) => lines.push(`${p.id}, ${p.nodes.join(", ")}`));
+  }
+  members.forEach((m) => {
+    lines.push(`*ELEMENT, TYPE=B31, ELSET=P${m.pointData.id}_PEDESTAL`);
+    lines.push(`${memberIds.get(m.pointData.id)}, ${m.startNode}, ${m.endNode}`);
+  });
+  if (members.length > 0) {
+    lines.push("*ELSET, ELSET=PEDESTALS");
+    lines.push(...wrapIds(members.map((m) => `P${m.pointData.id}_PEDESTAL`), 8, ", ", ","));
+  }
+  plateElementSets(model).forEach(({ name, ids }) => {
+    lines.push(`*ELSET, ELSET=${name}`);
+    lines.push(...wrapIds(ids, 16, ", ", ","));
+  });
+
+  [["PLATE_CONCRETE", plateMaterial], ["PEDESTAL_CONCRETE", pedestalMaterial]].forEach(([name, material]) => {
+    lines.push(`*MATERIAL, NAME=${name}`);
+    lines.push("*ELASTIC");
+    lines.push(`${num(material.E)}, ${num(material.poisson)}`);
+    lines.push("*DENSITY");
+    lines.push(num(material.density / gravity));
+  });
+
+  if (plates.length > 0) {
+    lines.push("*SHELL SECTION, ELSET=PLATES, MATERIAL=PLATE_CONCRETE");
+    lines.push(`${length(plateThickness)}`);
+  }
+  members.forEach((m) => {
+    const p = m.pointData;
+    const axis = lengthAxis(p);
+    if (isCircular(p)) {
+      lines.push(`*BEAM SECTION, ELSET=P${p.id}_PEDESTAL, MATERIAL=PEDESTAL_CONCRETE, SECTION=CIRC`);
+      lines.push(`${length(p.length / 2)}`);
+    } else {
+      lines.push(`*BEAM SECTION, ELSET=P${p.id}_PEDESTAL, MATERIAL=PEDESTAL_CONCRETE, SECTION=RECT`);
+      lines.push(`${length(p.length)}, ${length(p.width)}`);
+    }
+    lines.push(`${num(axis.x)}, ${num(axis.y)}, ${num(axis.z)}`);
+  });
+  return lines.join("\n");
+};
+
+/**
+ * Builds a Gmsh mesh file (MSH 4.1, ASCII): the plates as 4-node quads and
+ * the pedestal members as 2-node lines, with the plates, the pedestals and
+ * each plate group as physical groups. Elements are split into entities by
+ * the groups they belong to, since a physical group is a set of entities.
+ * Sections and materials have no place in the format.
+ * @param {object} params - The parameters of buildStaadText.
+ * @returns {string} - The .msh file contents.
+ */
+export const buildGmshText = ({ units = "m-kN", ...model }) => {
+  const system = unitSystemOf(units);
+  const length = (v) => roundLength(v, system);
+  const { nodes, plates, members } = { ...model, ...modelToUnits(model, system) };
+  const memberIds = memberElementIds(plates, members);
+  const nodeById = new Map(nodes.map((n) => [n.id, n]));
+  const sets = plateElementSets(model);
+
+  // Physical groups: PLATES and the plate sets on surfaces, PEDESTALS on curves
+  const surfacePhysicals = [{ name: "PLATES", ids: plates.map((p) => p.id) }, ...sets];
+  const physicalsOf = new Map(plates.map((p) => [p.id, [1]]));
+  sets.forEach(({ ids }, i) => ids.forEach((id) => physicalsOf.get(id)?.push(i + 2)));
+
+  // One surface entity per combination of groups
+  const entities = new Map();
+  plates.forEach((p) => {
+    const key = physicalsOf.get(p.id).join(" ");
+    if (!entities.has(key)) entities.set(key, { tag: entities.size + 1, physicals: physicalsOf.get(p.id), plates: [] });
+    entities.get(key).plates.push(p);
+  });
+  const surfaces = Array.from(entities.values());
+  const boundsOf = (nodeIds) => {
+    const vertices = nodeIds.map((id) => nodeById.get(id));
+    return ["x", "y", "z", "x", "y", "z"].map((axis, i) =>
+      length(vertices.map((v) => v[axis]).reduce((a, b) => (i < 3 ? Math.min(a, b) : Math.max(a, b))))
+    );
+  };
+
+  // $MeshFormat must come first; comments are not part of MSH, but Gmsh
+  // skips unknown sections, so they go in one after it
+  const lines = ["$MeshFormat", "4.1 0 8", "$EndMeshFormat", "$Comments"];
+  lines.push(...headerLines(system, "Gmsh").map((l) => `// ${l}`));
+  lines.push("$EndComments");
+
+  lines.push("$PhysicalNames", `${surfacePhysicals.length + (members.length > 0 ? 1 : 0)}`);
+  if (members.length > 0) lines.push('1 1 "PEDESTALS"');
+  surfacePhysicals.forEach(({ name }, i) => lines.push(`2 ${i + 1} "${name}"`));
+  lines.push("$EndPhysicalNames");
+
+  lines.push("$Entities", `0 ${members.length > 0 ? 1 : 0} ${surfaces.length} 0`);
+  if (members.length > 0) {
+    lines.push(`1 ${boundsOf(members.flatMap((m) => [m.startNode, m.endNode])).join(" ")} 1 1 0`);
+  }
+  surfaces.forEach((s) => {
+    lines.push(`${s.tag} ${boundsOf(s.plates.flatMap((p) => p.nodes)).join(" ")} ${s.physicals.length} ${s.physicals.join(" ")} 0`);
+  });
+  lines.push("$EndEntities");
+
+  // Plate nodes are classified on the first surface, pedestal top nodes on the curve
+  const surfaceNodes = nodes.filter((n) => n.type === "surface");
+  const pedestalNodes = nodes.filter((n) => n.type !== "surface");
+  const nodeBlocks = [
+    ...(surfaceNodes.length > 0 ? [{ dim: 2, tag: 1, nodes: surfaceNodes }] : []),
+    ...(pedestalNodes.length > 0 ? [{ dim: 1, tag: 1, nodes: pedestalNodes }] : []),
+  ];
+  lines.push("$Nodes", `${nodeBlocks.length} ${nodes.length} ${idRange(nodes.map((n) => n.id)).join(" ")}`);
+  nodeBlocks.forEach((block) => {
+    lines.push(`${block.dim} ${block.tag} 0 ${block.nodes.length}`);
+    block.nodes.forEach((n) => lines.push(`${n.id}`));
+    block.nodes.forEach((n) => lines.push(`${length(n.x)} ${length(n.y)} ${length(n.z)}`));
+  });
+  lines.push("$EndNodes");
+
+  const elementIds = [...plates.map((p) => p.id), ...memberIds.values()];
+  const elementBlocks = surfaces.length + (members.length > 0 ? 1 : 0);
+  lines.push("$Elements", `${elementBlocks} ${elementIds.length} ${idRange(elementIds).join(" ")}`);
+  if (members.length > 0) {
+    lines.push(`1 1 1 ${members.length}`);
+    members.forEach((m) => lines.push(`${memberIds.get(m.pointData.id)} ${m.startNode} ${m.endNode}`));
+  }
+  surfaces.forEach((s) => {
+    lines.push(`2 ${s.tag} 3 ${s.plates.length}`);
+    s.plates.forEach((p) => lines.push(`${p.id} ${p.nodes.join(" ")}`));
+  });
+  lines.push("$EndElements");
+  return lines.join("\n");
+};
+
+/**
+ * Builds an OpenSees Tcl model: ShellMITC4 plates on an elastic membrane
+ * plate section of the plate thickness, elastic beam-columns for the
+ * pedestals with the area, inertias and torsion constant of their L × W (or
+ * round) section, oriented by their rotation, and the plate groups as
+ * regions. Values are in the project units, masses derived from the unit
+ * weight.
+ * @param {object} params - The parameters of buildStaadText (supports and loads are not written).
+ * @returns {string} - The .tcl file contents.
+ */
+export const buildOpenSeesText = ({ units = "m-kN", ...model }) => {
+  const system = unitSystemOf(units);
+  const length = (v) => roundLength(v, system);
+  const { nodes, plates, members, plateThickness, plateMaterial, pedestalMaterial } = { ...model, ...modelToUnits(model, system) };
+  const memberIds = memberElementIds(plates, members);
+  const gravity = GRAVITY * system.lengthFactor;
+  const lines = headerLines(system, "OpenSees").map((l) => `# ${l}`);
+
+  lines.push("wipe", "model BasicBuilder -ndm 3 -ndf 6");
+  nodes.forEach((n) => lines.push(`node ${n.id} ${length(n.x)} ${length(n.y)} ${length(n.z)}`));
+
+  if (plates.length > 0) {
+    const { E, poisson, density } = plateMaterial;
+    lines.push(
+      `section ElasticMembranePlateSection 1 ${num(E)} ${num(poisson)} ${length(plateThickness)} ${num(density / gravity)}`
+    );
+    plates.forEach((p) => lines.push(`element ShellMITC4 ${p.id} ${p.nodes.join(" ")} 1`));
+  }
+
+  // The local z axis of each pedestal runs across its length, so local y
+  // runs along it; a transformation per member carries its rotation
+  const { E, G } = pedestalMaterial;
+  members.forEach((m) => {
+    const id = memberIds.get(m.pointData.id);
+    const axis = lengthAxis(m.pointData);
+    const { A, Ilength, Iwidth, J } = sectionProperties(m.pointData);
+    lines.push(`geomTransf Linear ${id} ${num(-axis.z)} 0 ${num(axis.x)}`);
+    lines.push(
+      `element elasticBeamColumn ${id} ${m.startNode} ${m.endNode} ${num(A)} ${num(E)} ${num(G)} ${num(J)} ` +
+        `${num(Ilength)} ${num(Iwidth)} ${id}`
+    );
+  });
+
+  [...plateElementSets(model), { name: "PEDESTALS", ids: Array.from(memberIds.values()) }]
+    .filter((set) => set.ids.length > 0)
+    .forEach(({ name, ids }, i) => {
+      lines.push(`# Region ${i + 1}: ${name}`);
+      lines.push(...wrapIds(ids, 16, " ", " \\").map((line, j) => (j === 0 ? `region ${i + 1} -ele ${line}` : `  ${line}`)));
+    });
+  return lines.join("\n");
+};
+
+/**
+ * Builds the export text of a model in one of EXPORT_FORMATS.
+ * @param {string} format - The format, see EXPORT_FORMATS.
+ * @param {object} params - The parameters of buildStaadText.
+ * @returns {string} - The file contents.
+ */
+export const buildExportText = (format, params) => {
+  switch (format) {
+    case "calculix":
+      return buildCalculixText(params);
+    case "gmsh":
+      return buildGmshText(params);
+    case "opensees":
+      return buildOpenSeesText(params);
+    default:
+      return buildStaadText(params);
+  }
+};
@@ -0,0 +1,230 @@
+import { clamp, uniqSorted } from "../utils.js";
+import { resolveShape, shapeCuts } from "./outline.js";
+import { pedestalGroupExtents } from "./groups.js";
+import { isAxisAligned } from "./pedestals.js";
+
+/**
+ * The ways a segment between two grid cuts is divided: stepped by the mesh
+ * size with the remainder as the last strip, or into equal strips.
+ */
+export const MESH_MODES = [
+  { value: "remainder", label: "Step from Cuts" },
+  { value: "equal", label: "Equal Strips" },
+];
+
+/**
+ * Default local mesh refinement: within `radius` of a pedestal centre (along
+ * X for the X grid lines, along Z for the Z lines) strips are `mesh` wide,
+ * and outside they grow by the factor `growth` per strip up to the project
+ * mesh size. Lengths in metres.
+ */
+export const DEFAULT_REFINEMENT = {
+  enabled: false,
+  radius: 1,
+  mesh: 0.1,
+  growth: 1.3,
+};
+
+// Samples per fine strip when equidistributing a graded size
+const GRADING_SAMPLES = 4;
+
+/**
+ * Builds the target strip size along one axis for a graded mesh: the fine
+ * size within the refinement radius of a pedestal centre, growing linearly
+ * with the distance outside it (so consecutive strips grow by about
+ * `growth`), capped at the coarse size.
+ * @param {number[]} centres - The pedestal centre coordinates along the axis.
+ * @param {object} refinement - The refinement settings, see DEFAULT_REFINEMENT.
+ * @param {number} coarse - The mesh size away from the pedestals.
+ * @returns {(v: number) => number} - The target size at a coordinate.
+ */
+export const gradedMeshSize = (centres, { radius, mesh: fine, growth }, coarse) => (v) => {
+  if (centres.length === 0 || fine >= coarse) return coarse;
+  const distance = Math.max(0, Math.min(...centres.map((c) => Math.abs(v - c))) - radius);
+  return Math.min(coarse, fine + (Math.max(growth, 1) - 1) * distance);
+};
+
+// Divides [a, b] so that every strip spans the same integral of 1 / sizeAt:
+// strips follow the target size and change size smoothly. Pedestal centres
+// are cuts, so the size is smallest at an end of the segment.
+const gradedDivisions = (a, b, sizeAt, minStrip) => {
+  const span = b - a;
+  const finest = Math.min(sizeAt(a), sizeAt(b));
+  const samples = Math.min(10000, Math.max(16, Math.ceil((GRADING_SAMPLES * span) / finest)));
+  const cumulative = [0];
+  for (let i = 1; i <= samples; i++) {
+    const mid = a + ((i - 0.5) * span) / samples;
+    cumulative.push(cumulative[i - 1] + span / samples / sizeAt(mid));
+  }
+  const total = cumulative[samples];
+  let n = Math.max(1, Math.round(total));
+  if (minStrip > 0) n = Math.max(1, Math.min(n, Math.floor(span / minStrip + 1e-9)));
+  const lines = [];
+  let i = 0;
+  for (let k = 1; k < n; k++) {
+    const target = (k * total) / n;
+    while (cumulative[i + 1] < target) i++;
+    const t = (target - cumulative[i]) / (cumulative[i + 1] - cumulative[i]);
+    lines.push(a + ((i + t) * span) / samples);
+  }
+  return lines;
+};
+
+/**
+ * Chooses the number of equal strips of a span: the count whose strip is
+ * closest to the target size (by ratio), with no strip narrower than
+ * `minStrip` unless the span itself is.
+ * @param {number} span - The span to divide.
+ * @param {number} step - The target mesh size.
+ * @param {number} [minStrip=0] - The minimum strip width.
+ * @returns {number} - The number of strips, at least 1.
+ */
+export const equalStripCount = (span, step, minStrip = 0) => {
+  const misfit = (n) => Math.max(span / n / step, (step * n) / span);
+  const below = Math.max(1, Math.floor(span / step));
+  const n = misfit(below + 1) < misfit(below) ? below + 1 : below;
+  return minStrip > 0 ? Math.max(1, Math.min(n, Math.floor(span / minStrip + 1e-9))) : n;
+};
+
+/**
+ * Adds mesh divisions between each pair of consecutive cuts. In "remainder"
+ * mode each segment is stepped by `step` from its start and the remainder
+ * forms the last strip; a remainder narrower than `minStrip` is merged into
+ * the strip before it. In "equal" mode each segment is divided into the
+ * equal strips closest to `step` (see equalStripCount). With `sizeAt` (a
+ * graded mesh, see gradedMeshSize) the mode is ignored and the strips follow
+ * the target size instead. The cuts themselves are never moved, so a
+ * segment narrower than `minStrip` stays as it is.
+ * @param {number[]} cuts - Sorted cut positions, including both plate edges.
+ * @param {number} step - The target mesh size.
+ * @param {object} [options]
+ * @param {string} [options.mode="remainder"] - A MESH_MODES value.
+ * @param {number} [options.minStrip=0] - The minimum strip width (0 for none).
+ * @param {(v: number) => number} [options.sizeAt] - The target strip size at a position, for a graded mesh.
+ * @returns {number[]} - The sorted grid line positions.
+ */
+export const addDivisions = (cuts, step, { mode = "remainder", minStrip = 0, sizeAt = null } = {}) => {
+  const lines = new Set(cuts);
+  for (let i = 0; i < cuts.length - 1; i++) {
+    const a = cuts[i];
+    const b = cuts[i + 1];
+    const span = b - a;
+    if (span <= 0) continue;
+    if (sizeAt) {
+      gradedDivisions(a, b, sizeAt, minStrip).forEach((t) => lines.add(t));
+      continue;
+    }
+    if (mode === "equal") {
+      const n = equalStripCount(span, step, minStrip);
+      for (let j = 1; j < n; j++) lines.add(a + (j * span) / n);
+      continue;
+    }
+    let k = Math.floor(span / step);
+    // Drop the last division when it leaves too narrow a remainder
+    if (k >= 1 && minStrip > 0 && b - (a + k * step) > 1e-9 && b - (a + k * step) < minStrip) k--;
+    for (let j = 1; j <= k; j++) {
+      const t = a + j * step;
+      if (t > a + 1e-9 && t < b - 1e-9) lines.add(t);
+    }
+  }
+  const arr = Array.from(lines);
+  arr.sort((x, y) => x - y);
+  return arr;
+};
+
+/**
+ * Collects the pedestal faces and the two-way and one-way shear critical
+ * sections of every axis-aligned rectangular pedestal as grid cuts, in that
+ * order of precedence (see mergeCloseCuts).
+ * @param {object[]} points - The pedestals.
+ * @param {number} plateThickness - The plate thickness.
+ * @returns {{xs: number[], zs: number[]}}
+ */
+export const pedestalFaceCuts = (points, plateThickness) => {
+  const xs = [];
+  const zs = [];
+  const extents = points.filter(isAxisAligned).map((p) => pedestalGroupExtents(p, plateThickness));
+  ["moment", "twoWayShear", "oneWayShear"].forEach((group) => {
+    extents.forEach(({ [group]: { x0, x1, z0, z1 } }) => {
+      xs.push(x0, x1);
+      zs.push(z0, z1);
+    });
+  });
+  return { xs, zs };
+};
+
+/**
+ * Thins the optional cuts along one axis so that none lies closer than `gap`
+ * to a fixed cut or to another, leaving no sliver strips. The cuts are taken
+ * in order, so of two close cuts the earlier one stays where it is and the
+ * later one is dropped.
+ * @param {number[]} fixed - The cuts that always stay (plate edges, outline vertices).
+ * @param {number[]} cuts - The cuts that may be dropped, in order of precedence.
+ * @param {number} gap - The narrowest strip the cuts may leave.
+ * @returns {number[]} - The sorted cuts that remain, besides the fixed ones.
+ */
+export const mergeCloseCuts = (fixed, cuts, gap) => {
+  // Cuts exactly `gap` apart stay apart, whatever the rounding
+  const close = (a, b) => Math.abs(a - b) < gap - 1e-9;
+  const kept = [];
+  cuts.forEach((v) => {
+    if (!fixed.some((f) => close(f, v)) && !kept.some((k) => close(k, v))) kept.push(v);
+  });
+  return uniqSorted(kept);
+};
+
+/**
+ * Computes the X and Z grid lines of the plate, cut at the plate edges, at
+ * every pedestal centre and at the outline and opening vertices, then
+ * subdivided by the mesh size (see addDivisions). With
+ * `gridAtPedestalFaces`, the pedestal faces and shear critical sections are
+ * cut as well; of those closer together than `minStrip` (or a quarter of
+ * the mesh size without one) only the face, or else the two-way section, is
+ * kept (see mergeCloseCuts). With refinement enabled the strips are graded
+ * from the fine size around each pedestal to `mesh`; the grid stays a
+ * conforming grid of quads, so a refined band runs across the whole plate.
+ * @param {object} project - The project geometry.
+ * @param {number} project.length - The plate length along X.
+ * @param {number} project.width - The plate width along Z.
+ * @param {number} project.mesh - The target mesh size.
+ * @param {object[]} project.points - The pedestals.
+ * @param {object[]|null} [project.outline] - The plate outline vertices.
+ * @param {object[]} [project.openings] - The openings.
+ * @param {boolean} [project.gridAtPedestalFaces=false] - Cut at pedestal faces and critical sections.
+ * @param {number} [project.plateThickness=0] - The plate thickness, for the critical sections.
+ * @param {string} [project.meshMode="remainder"] - How segments are divided, a MESH_MODES value.
+ * @param {number} [project.minStrip=0] - The minimum strip width of the divisions.
+ * @param {object} [project.refinement] - The local refinement, see DEFAULT_REFINEMENT.
+ * @returns {{xLines: number[], zLines: number[]}} - The grid lines.
+ */
+export const computeGridLines = ({
+  length,
+  width,
+  mesh,
+  points,
+  outline = null,
+  openings = [],
+  gridAtPedestalFaces = false,
+  plateThickness = 0,
+  meshMode = "remainder",
+  minStrip = 0,
+  refinement = DEFAULT_REFINEMENT,
+}) => {
+  const shape = resolveShape({ length, width, outline, openings });
+  const shapeCut = shapeCuts(shape.outline, shape.openings);
+  const faceCut = gridAtPedestalFaces ? pedestalFaceCuts(points, plateThickness) : { xs: [], zs: [] };
+  const xEdges = uniqSorted([0, length, ...shapeCut.xs.map((x) => clamp(x, 0, length))]);
+  const zEdges = uniqSorted([0, width, ...shapeCut.zs.map((z) => clamp(z, 0, width))]);
+  const gap = minStrip > 0 ? minStrip : mesh / 4;
+  const xs = mergeCloseCuts(xEdges, faceCut.xs.map((x) => clamp(x, 0, length)), gap);
+  const zs = mergeCloseCuts(zEdges, faceCut.zs.map((z) => clamp(z, 0, width)), gap);
+  const xCuts = uniqSorted([...xEdges, ...xs, ...points.map((p) => clamp(p.x, 0, length))]);
+  const zCuts = uniqSorted([...zEdges, ...zs, ...points.map((p) => clamp(p.z, 0, width))]);
+
+  const graded = (centres) => (refinement.enabled ? gradedMeshSize(centres, refinement, mesh) : null);
+
+  return {
+    xLines: addDivisions(xCuts, mesh, { mode: meshMode, minStrip, sizeAt: graded(points.map((p) => p.x)) }),
+    zLines: addDivisions(zCuts, mesh, { mode: meshMode, minStrip, sizeAt: graded(points.map((p) => p.z)) }),
+  };
+};
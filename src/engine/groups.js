@@ -0,0 +1,220 @@
+import { findClosestIndex } from "../utils.js";
+import { cellsInFootprint, isAxisAligned } from "./pedestals.js";
+
+const GROUP_KEYS = ["moment", "oneWayShear", "twoWayShear"];
+
+/**
+ * Which element groups are written to the STAAD file: the combined groups of
+ * all pedestals, one set of groups per pedestal, or both.
+ */
+export const GROUP_MODES = [
+  { value: "combined", label: "Combined" },
+  { value: "perPedestal", label: "Per Pedestal" },
+  { value: "both", label: "Both" },
+];
+
+const sortedIds = (set) => Array.from(set).sort((a, b) => a - b);
+
+/**
+ * Computes the true extents (in metres) of the moment, one-way shear and
+ * two-way shear groups of a pedestal: its footprint, and the footprint grown
+ * by the plate thickness and by half of it.
+ * @param {object} p - The pedestal.
+ * @param {number} plateThickness - The plate thickness.
+ * @returns {{moment: object, oneWayShear: object, twoWayShear: object}} - Extents as {x0, x1, z0, z1}.
+ */
+export const pedestalGroupExtents = (p, plateThickness) => {
+  const extent = (offset) => ({
+    x0: p.x - p.length / 2 - offset,
+    x1: p.x + p.length / 2 + offset,
+    z0: p.z - p.width / 2 - offset,
+    z1: p.z + p.width / 2 + offset,
+  });
+  return {
+    moment: extent(0),
+    oneWayShear: extent(plateThickness),
+    twoWayShear: extent(plateThickness / 2),
+  };
+};
+
+/**
+ * Computes the plate index ranges (end exclusive, not yet clamped to the
+ * grid) of the moment, one-way shear and two-way shear groups of a pedestal.
+ * By default the moment group covers the pedestal footprint rounded to whole
+ * mesh strips and the shear groups extend it by the plate thickness and half
+ * of it, in strips; this assumes strips `mesh` wide. With `exact`, each
+ * range runs between the grid lines closest to the true extents: exactly
+ * the extents when the grid is cut at the pedestal faces and critical
+ * sections (see computeGridLines), and the nearest strip boundaries on a
+ * graded grid.
+ * @param {object} p - The pedestal.
+ * @param {object} params
+ * @param {number[]} params.xLines - The X grid lines.
+ * @param {number[]} params.zLines - The Z grid lines.
+ * @param {number} params.mesh - The mesh size.
+ * @param {number} params.plateThickness - The plate thickness.
+ * @param {boolean} [params.exact=false] - Use the true extents.
+ * @returns {{moment: object, oneWayShear: object, twoWayShear: object}} - Ranges as {x0, x1, z0, z1}.
+ */
+export const pedestalGroupRanges = (p, { xLines, zLines, mesh, plateThickness, exact = false }) => {
+  if (exact) {
+    const toRange = ({ x0, x1, z0, z1 }) => ({
+      x0: findClosestIndex(xLines, x0),
+      x1: findClosestIndex(xLines, x1),
+      z0: findClosestIndex(zLines, z0),
+      z1: findClosestIndex(zLines, z1),
+    });
+    const extents = pedestalGroupExtents(p, plateThickness);
+    return {
+      moment: toRange(extents.moment),
+      oneWayShear: toRange(extents.oneWayShear),
+      twoWayShear: toRange(extents.twoWayShear),
+    };
+  }
+
+  const px_idx = findClosestIndex(xLines, p.x);
+  const pz_idx = findClosestIndex(zLines, p.z);
+
+  const num_x_plates_moment = Math.round(p.length / mesh);
+  const num_z_plates_moment = Math.round(p.width / mesh);
+
+  const moment = {
+    x0: Math.floor(px_idx - num_x_plates_moment / 2),
+    x1: Math.ceil(px_idx + num_x_plates_moment / 2),
+    z0: Math.floor(pz_idx - num_z_plates_moment / 2),
+    z1: Math.ceil(pz_idx + num_z_plates_moment / 2),
+  };
+
+  const grow = (range, n) => ({ x0: range.x0 - n, x1: range.x1 + n, z0: range.z0 - n, z1: range.z1 + n });
+
+  return {
+    moment,
+    oneWayShear: grow(moment, Math.round(plateThickness / mesh)),
+    twoWayShear: grow(moment, Math.round(plateThickness / (2 * mesh))),
+  };
+};
+
+/**
+ * Computes the moment and shear plate sets of every pedestal. Circular and
+ * rotated pedestals take the plates whose centre lies inside their real
+ * footprint, grown by the plate thickness and by half of it for the shear
+ * groups; axis-aligned rectangles use pedestalGroupRanges.
+ * @param {object} params
+ * @param {object[]} params.points - The pedestals.
+ * @param {number[]} params.xLines - The X grid lines.
+ * @param {number[]} params.zLines - The Z grid lines.
+ * @param {Map<string, number>} params.plateIdByCoord - Plate IDs keyed by "xi,zi".
+ * @param {number} params.mesh - The mesh size.
+ * @param {number} params.plateThickness - The plate thickness.
+ * @param {boolean} [params.exact=false] - Select plates by the true pedestal extents.
+ * @returns {object[]} - One entry per pedestal: {point, moment, oneWayShear, twoWayShear} with sorted plate IDs.
+ */
+export const computePedestalGroups = ({ points, xLines, zLines, plateIdByCoord, mesh, plateThickness, exact = false }) => {
+  const nx_plates = xLines.length - 1;
+  const nz_plates = zLines.length - 1;
+
+  const platesInRange = ({ x0, x1, z0, z1 }) => {
+    const ids = new Set();
+    for (let xi = Math.max(0, x0); xi < Math.min(nx_plates, x1); xi++) {
+      for (let zi = Math.max(0, z0); zi < Math.min(nz_plates, z1); zi++) {
+        const plateId = plateIdByCoord.get(`${xi},${zi}`);
+        if (plateId) ids.add(plateId);
+      }
+    }
+    return sortedIds(ids);
+  };
+
+  const platesInFootprint = (point, offset) =>
+    sortedIds(
+      cellsInFootprint(point, offset, { xLines, zLines })
+        .map(({ xi, zi }) => plateIdByCoord.get(`${xi},${zi}`))
+        .filter(Boolean)
+    );
+
+  return points.map((point) => {
+    if (!isAxisAligned(point)) {
+      return {
+        point,
+        moment: platesInFootprint(point, 0),
+        oneWayShear: platesInFootprint(point, plateThickness),
+        twoWayShear: platesInFootprint(point, plateThickness / 2),
+      };
+    }
+    const ranges = pedestalGroupRanges(point, { xLines, zLines, mesh, plateThickness, exact });
+    return {
+      point,
+      moment: platesInRange(ranges.moment),
+      oneWayShear: platesInRange(ranges.oneWayShear),
+      twoWayShear: platesInRange(ranges.twoWayShear),
+    };
+  });
+};
+
+/**
+ * Merges the per-pedestal plate sets into the combined groups written to the export.
+ * @param {object[]} pedestalGroups - The result of computePedestalGroups.
+ * @returns {{groupedPlates: number[], shearPlates: number[], twoWayShearPlates: number[]}}
+ */
+export const combineGroups = (pedestalGroups) => {
+  const momentPlates = new Set();
+  const oneWayShearPlates = new Set();
+  const twoWayShearPlates = new Set();
+
+  pedestalGroups.forEach((g) => {
+    g.moment.forEach((id) => momentPlates.add(id));
+    g.oneWayShear.forEach((id) => oneWayShearPlates.add(id));
+    g.twoWayShear.forEach((id) => twoWayShearPlates.add(id));
+  });
+
+  return {
+    groupedPlates: sortedIds(momentPlates),
+    shearPlates: sortedIds(oneWayShearPlates),
+    twoWayShearPlates: sortedIds(twoWayShearPlates),
+  };
+};
+
+/**
+ * Calculates the bounding box of each pedestal's groups for visualization.
+ * @param {object[]} pedestalGroups - The result of computePedestalGroups.
+ * @param {object} params
+ * @param {object[]} params.nodes - The model nodes.
+ * @param {object[]} params.plates - The model plates.
+ * @returns {{moment: object[], oneWayShear: object[], twoWayShear: object[]}} - Boxes as {x, y, width, height}, y being Z.
+ */
+export const computeGroupBoundingBoxes = (pedestalGroups, { nodes, plates }) => {
+  const nodeById = new Map(nodes.map((n) => [n.id, n]));
+  const plateById = new Map(plates.map((p) => [p.id, p]));
+
+  const getBoundingBoxForPlates = (plateIds) => {
+    if (plateIds.length === 0) return null;
+    let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+    plateIds.forEach((plateId) => {
+      const plate = plateById.get(plateId);
+      if (!plate) return;
+      plate.nodes.forEach((nodeId) => {
+        const node = nodeById.get(nodeId);
+        if (node) {
+          minX = Math.min(minX, node.x);
+          maxX = Math.max(maxX, node.x);
+          minZ = Math.min(minZ, node.z);
+          maxZ = Math.max(maxZ, node.z);
+        }
+      });
+    });
+    return {
+      x: minX,
+      y: minZ,
+      width: maxX - minX,
+      height: maxZ - minZ,
+    };
+  };
+
+  const boxes = { moment: [], oneWayShear: [], twoWayShear: [] };
+  pedestalGroups.forEach((g) => {
+    GROUP_KEYS.forEach((key) => {
+      const box = getBoundingBoxForPlates(g[key]);
+      if (box) boxes[key].push(box);
+    });
+  });
+  return boxes;
+};
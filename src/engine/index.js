@@ -0,0 +1,121 @@
+import { computeGridLines } from "./grid.js";
+import { buildModel } from "./model.js";
+import { computePedestalGroups, combineGroups, computeGroupBoundingBoxes } from "./groups.js";
+import { buildExportText } from "./feExport.js";
+import { buildDxfText } from "./dxf.js";
+import { supportsOf } from "./supports.js";
+import { normalizeProject } from "./project.js";
+import { resolveShape } from "./outline.js";
+
+export * from "./grid.js";
+export * from "./outline.js";
+export * from "./model.js";
+export * from "./pedestals.js";
+export * from "./patterns.js";
+export * from "./snapping.js";
+export * from "./pedestalEdits.js";
+export * from "./modelCheck.js";
+export * from "./preview3d.js";
+export * from "./materials.js";
+export * from "./units.js";
+export * from "./groups.js";
+export * from "./staad.js";
+export * from "./staadFormat.js";
+export * from "./supports.js";
+export * from "./loads.js";
+export * from "./staadImport.js";
+export * from "./feExport.js";
+export * from "./dxf.js";
+export * from "./dxfImport.js";
+export * from "./csv.js";
+export * from "./project.js";
+export * from "./projectFile.js";
+
+/**
+ * Runs the whole mesh pipeline on a project: grid lines, nodes, plates,
+ * members and the moment/shear groups.
+ * @param {object} project - The project, as written by "Export to JSON".
+ * @returns {object} - {xLines, zLines, nodes, members, plates, plateIdByCoord, pedestalGroups, groupedPlates, shearPlates, twoWayShearPlates}
+ */
+export const generateModel = (project) => {
+  const {
+    length, width, mesh, meshMode, minStrip, refinement, pedestalHeight, plateThickness, zOrientation, points, outline,
+    openings, gridAtPedestalFaces,
+  } = normalizeProject(project);
+  const { xLines, zLines } = computeGridLines({
+    length, width, mesh, meshMode, minStrip, refinement, points, outline, openings, gridAtPedestalFaces, plateThickness,
+  });
+  const model = buildModel({ xLines, zLines, pedestalHeight, points, zOrientation, outline, openings });
+  const pedestalGroups = computePedestalGroups({
+    points,
+    xLines,
+    zLines,
+    plateIdByCoord: model.plateIdByCoord,
+    mesh,
+    plateThickness,
+    // Graded strips are not `mesh` wide, so the groups follow the true extents
+    exact: gridAtPedestalFaces || refinement.enabled,
+  });
+
+  return {
+    xLines,
+    zLines,
+    ...model,
+    pedestalGroups,
+    ...combineGroups(pedestalGroups),
+  };
+};
+
+/**
+ * Generates the model text of a project in one of EXPORT_FORMATS.
+ * @param {object} project - The project, as written by "Export to JSON".
+ * @param {object} [options]
+ * @param {string} [options.format="staad"] - The format, see EXPORT_FORMATS.
+ * @param {Date} [options.date] - The date written to the STAAD job information.
+ * @returns {string} - The file contents.
+ */
+export const exportModelText = (project, { format = "staad", date } = {}) => {
+  const normalized = normalizeProject(project);
+  const model = generateModel(normalized);
+  return buildExportText(format, {
+    ...model,
+    plateThickness: normalized.plateThickness,
+    points: normalized.points,
+    groupMode: normalized.groupMode,
+    units: normalized.units,
+    plateMaterial: normalized.plateMaterial,
+    pedestalMaterial: normalized.pedestalMaterial,
+    supports: supportsOf(normalized),
+    loadCases: normalized.loadCases,
+    loadCombinations: normalized.loadCombinations,
+    date,
+  });
+};
+
+/**
+ * Generates the .STD text of a project.
+ * @param {object} project - The project, as written by "Export to JSON".
+ * @param {object} [options]
+ * @param {Date} [options.date] - The date written to the job information.
+ * @returns {string} - The .STD file contents.
+ */
+export const exportStd = (project, { date } = {}) => exportModelText(project, { date });
+
+/**
+ * Generates the DXF plan drawing of a project.
+ * @param {object} project - The project, as written by "Export to JSON".
+ * @returns {string} - The .dxf file contents.
+ */
+export const exportDxf = (project) => {
+  const normalized = normalizeProject(project);
+  const model = generateModel(normalized);
+  return buildDxfText({
+    ...model,
+    ...resolveShape(normalized),
+    length: normalized.length,
+    width: normalized.width,
+    points: normalized.points,
+    groupBoxes: computeGroupBoundingBoxes(model.pedestalGroups, model),
+    units: normalized.units,
+  });
+};
@@ -0,0 +1,79 @@
+import { roundQuantity } from "./units.js";
+import { wrapCommand } from "./staadFormat.js";
+import { findPedestalTopNodes } from "./supports.js";
+
+// Load components a pedestal can carry, in the order they are written
+export const LOAD_COMPONENTS = ["fx", "fy", "fz", "mx", "mz"];
+
+/**
+ * Returns the loads of a pedestal in a load case, with missing components as 0.
+ * @param {object} point - The pedestal.
+ * @param {number} caseId - The load case ID.
+ * @returns {{fx: number, fy: number, fz: number, mx: number, mz: number}}
+ */
+export const pedestalLoad = (point, caseId) => {
+  const load = (point.loads && point.loads[caseId]) || {};
+  return Object.fromEntries(LOAD_COMPONENTS.map((c) => [c, Number(load[c]) || 0]));
+};
+
+/**
+ * Returns the next free load number, shared by load cases and combinations
+ * since STAAD numbers both in one sequence.
+ * @param {object[]} loadCases - The load cases.
+ * @param {object[]} loadCombinations - The load combinations.
+ * @param {number} [min=1] - The smallest number to hand out.
+ * @returns {number} - The next load number.
+ */
+export const nextLoadId = (loadCases, loadCombinations, min = 1) => {
+  const ids = [...loadCases, ...loadCombinations].map((l) => l.id);
+  return Math.max(min - 1, ...ids) + 1;
+};
+
+/**
+ * Builds the loading section of the STAAD file: one LOAD block per load case
+ * with a JOINT LOAD on each loaded pedestal's top node (the surface node when
+ * there are no pedestal members), then one LOAD COMB block per combination.
+ * @param {object} params
+ * @param {object[]} params.nodes - The model nodes.
+ * @param {object[]} params.members - The pedestal members.
+ * @param {object[]} params.points - The pedestals, with their loads keyed by load case ID.
+ * @param {object[]} [params.loadCases=[]] - The load cases: {id, name}.
+ * @param {object[]} [params.loadCombinations=[]] - The combinations: {id, name, factors} with factors keyed by load case ID.
+ * @returns {string[]} - The lines (empty without load cases).
+ */
+export const buildLoadLines = ({ nodes, members, points, loadCases = [], loadCombinations = [] }) => {
+  if (loadCases.length === 0) return [];
+  const lines = [];
+  const topNodes = findPedestalTopNodes({ nodes, members, points });
+  const caseIds = new Set(loadCases.map((c) => c.id));
+
+  loadCases.forEach((loadCase) => {
+    lines.push(`LOAD ${loadCase.id} TITLE ${loadCase.name}`);
+    const records = [];
+    points.forEach((p) => {
+      const nodeId = topNodes.get(p.id);
+      if (!nodeId) return;
+      const load = pedestalLoad(p, loadCase.id);
+      const components = LOAD_COMPONENTS
+        .filter((c) => load[c] !== 0)
+        .map((c) => `${c.toUpperCase()} ${roundQuantity(load[c])}`);
+      if (components.length > 0) records.push(`${nodeId} ${components.join(" ")}`);
+    });
+    if (records.length > 0) {
+      lines.push("JOINT LOAD");
+      records.forEach((r) => lines.push(`${r};`));
+    }
+  });
+
+  loadCombinations.forEach((combo) => {
+    const factors = Object.entries(combo.factors || {})
+      .filter(([caseId, factor]) => caseIds.has(Number(caseId)) && Number(factor) !== 0)
+      .map(([caseId, factor]) => `${caseId} ${Number(factor)}`);
+    if (factors.length === 0) return;
+    lines.push(`LOAD COMB ${combo.id} ${combo.name}`);
+    lines.push(...wrapCommand(factors.join(" ")));
+  });
+
+  lines.push("PERFORM ANALYSIS");
+  return lines;
+};
@@ -0,0 +1,209 @@
+import { formatIdList, wrapCommand } from "./staadFormat.js";
+
+const PSI_TO_KN_M2 = 6.894757;
+
+const shearModulus = (E, poisson) => E / (2 * (1 + poisson));
+
+// Builds a concrete material (kN, m) from its modulus, Poisson ratio,
+// density and strength
+const concrete = ({ preset, name, E, poisson, density, fcu }) => ({
+  preset,
+  name,
+  E,
+  poisson,
+  density,
+  alpha: 1e-5,
+  damp: 0.05,
+  G: shearModulus(E, poisson),
+  fcu,
+});
+
+/**
+ * STAAD's own default concrete, written by earlier versions of the exporter.
+ */
+export const DEFAULT_MATERIAL = {
+  preset: "staad",
+  name: "CONCRETE",
+  E: 2.17185e7,
+  poisson: 0.17,
+  density: 23.5616,
+  alpha: 1e-5,
+  damp: 0.05,
+  G: 9.28139e6,
+  fcu: 27579,
+};
+
+/**
+ * Concrete grades by code, each {label, material}, with E, G, density and
+ * strength (kN, m) derived from the grade by the rules of the code:
+ * - IS 456: E = 5000 √fck (MPa), density 25 kN/m³, FCU = fck (cube).
+ * - EN 1992: Ecm = 22 ((fck + 8) / 10)^0.3 (GPa), density 25 kN/m³, FCU = cube strength.
+ * - ACI 318: Ec = 57000 √f'c (psi), density 150 pcf, FCU = f'c.
+ */
+export const MATERIAL_PRESETS = [
+  { standard: "STAAD", materials: [{ label: "STAAD default concrete", material: DEFAULT_MATERIAL }] },
+  {
+    standard: "IS 456",
+    materials: [25, 30, 35, 40, 45, 50].map((fck) => ({
+      label: `M${fck}`,
+      material: concrete({
+        preset: `M${fck}`,
+        name: `M${fck}`,
+        E: 5000 * Math.sqrt(fck) * 1000,
+        poisson: 0.2,
+        density: 25,
+        fcu: fck * 1000,
+      }),
+    })),
+  },
+  {
+    standard: "EN 1992",
+    materials: [[25, 30], [30, 37], [35, 45], [40, 50], [45, 55], [50, 60]].map(([fck, cube]) => ({
+      label: `C${fck}/${cube}`,
+      material: concrete({
+        preset: `C${fck}/${cube}`,
+        name: `C${fck}_${cube}`,
+        E: 22 * Math.pow((fck + 8) / 10, 0.3) * 1e6,
+        poisson: 0.2,
+        density: 25,
+        fcu: cube * 1000,
+      }),
+    })),
+  },
+  {
+    standard: "ACI 318",
+    materials: [3000, 4000, 5000, 6000].map((psi) => ({
+      label: `${psi} psi`,
+      material: concrete({
+        preset: `${psi}psi`,
+        name: `FC${psi}`,
+        E: 57000 * Math.sqrt(psi) * PSI_TO_KN_M2,
+        poisson: 0.17,
+        density: 23.5616,
+        fcu: psi * PSI_TO_KN_M2,
+      }),
+    })),
+  },
+];
+
+/**
+ * Returns the material of a preset.
+ * @param {string} presetId - The preset ID, e.g. "M30" or "C30/37".
+ * @returns {object|null} - The material, or null for an unknown preset.
+ */
+export const materialFromPreset = (presetId) => {
+  for (const group of MATERIAL_PRESETS) {
+    const found = group.materials.find((entry) => entry.material.preset === presetId);
+    if (found) return { ...found.material };
+  }
+  return null;
+};
+
+/**
+ * Applies edits to a material. Changing E or the Poisson ratio re-derives G;
+ * any edit detaches the material from its preset.
+ * @param {object} material - The material.
+ * @param {object} changes - The changed fields.
+ * @returns {object} - The edited material.
+ */
+export const editMaterial = (material, changes) => {
+  const edited = { ...material, ...changes, preset: "custom" };
+  if ("E" in changes || "poisson" in changes) edited.G = shearModulus(edited.E, edited.poisson);
+  return edited;
+};
+
+/**
+ * Recognises an unedited preset: a material with the name and (to the
+ * precision written to STAAD, in any unit) the values of a preset becomes
+ * that preset.
+ * @param {object} material - The material, in kN and m.
+ * @returns {object} - The preset, or the material marked "custom".
+ */
+export const matchMaterialPreset = (material) => {
+  const preset = MATERIAL_PRESETS.flatMap((group) => group.materials)
+    .map((entry) => entry.material)
+    .find((m) =>
+      staadMaterialName(m.name) === staadMaterialName(material.name) &&
+      ["E", "poisson", "density", "alpha", "damp", "G", "fcu"].every(
+        (key) => Math.abs(m[key] - material[key]) <= 1e-4 * Math.max(Math.abs(m[key]), Math.abs(material[key]))
+      )
+    );
+  return preset ? { ...preset } : { ...material, preset: "custom" };
+};
+
+/**
+ * Makes a name usable as a STAAD material name (letters, digits and "_").
+ * @param {string} name - The name.
+ * @returns {string} - The STAAD name.
+ */
+export const staadMaterialName = (name) =>
+  String(name || "").trim().toUpperCase().replace(/[^A-Z0-9_]+/g, "_") || "CONCRETE";
+
+/**
+ * Formats a number the way STAAD writes material constants: nine significant
+ * digits (see roundQuantity), in exponent form (e.g. 2.17185e+07) for very
+ * large or small values.
+ * @param {number} value - The value.
+ * @returns {string} - The formatted value.
+ */
+export const formatMaterialNumber = (value) => {
+  const abs = Math.abs(value);
+  if (abs !== 0 && (abs >= 1e6 || abs < 1e-3)) {
+    const [mantissa, exponent] = value.toExponential(8).split("e");
+    const sign = exponent[0] === "-" ? "-" : "+";
+    return `${Number(mantissa)}e${sign}${exponent.replace(/^[-+]/, "").padStart(2, "0")}`;
+  }
+  return String(Number(value.toPrecision(9)));
+};
+
+/**
+ * Builds the DEFINE MATERIAL block and the CONSTANTS material assignments:
+ * the mat material on every plate and the pedestal material on every member.
+ * One material used for both is assigned to ALL.
+ * @param {object} params
+ * @param {object[]} params.plates - The model plates.
+ * @param {number[]} params.memberIds - The STAAD IDs of the pedestal members.
+ * @param {object} [params.plateMaterial=DEFAULT_MATERIAL] - The mat material.
+ * @param {object} [params.pedestalMaterial=DEFAULT_MATERIAL] - The pedestal material.
+ * @returns {{definition: string[], assignments: string[]}} - The lines of both parts.
+ */
+export const buildMaterialLines = ({
+  plates,
+  memberIds,
+  plateMaterial = DEFAULT_MATERIAL,
+  pedestalMaterial = DEFAULT_MATERIAL,
+}) => {
+  const used = [];
+  if (plates.length > 0) {
+    used.push({ material: plateMaterial, name: staadMaterialName(plateMaterial.name), ids: plates.map((p) => p.id) });
+  }
+  if (memberIds.length > 0) {
+    used.push({ material: pedestalMaterial, name: staadMaterialName(pedestalMaterial.name), ids: memberIds });
+  }
+  if (used.length === 0) return { definition: [], assignments: [] };
+
+  const sameValues = (a, b) =>
+    ["E", "poisson", "density", "alpha", "damp", "G", "fcu"].every((key) => a[key] === b[key]);
+  const shared = used.length === 1 || (used[0].name === used[1].name && sameValues(used[0].material, used[1].material));
+  // Two different materials must not share a name
+  if (!shared && used[0].name === used[1].name) used[1].name += "_PED";
+
+  const definition = ["DEFINE MATERIAL START"];
+  (shared ? used.slice(0, 1) : used).forEach(({ material: m, name }) => {
+    definition.push(`ISOTROPIC ${name}`);
+    definition.push(`E ${formatMaterialNumber(m.E)}`);
+    definition.push(`POISSON ${formatMaterialNumber(m.poisson)}`);
+    definition.push(`DENSITY ${formatMaterialNumber(m.density)}`);
+    definition.push(`ALPHA ${formatMaterialNumber(m.alpha)}`);
+    definition.push(`DAMP ${formatMaterialNumber(m.damp)}`);
+    definition.push(`G ${formatMaterialNumber(m.G)}`);
+    definition.push("TYPE CONCRETE");
+    definition.push(`STRENGTH FCU ${formatMaterialNumber(m.fcu)}`);
+  });
+  definition.push("END DEFINE MATERIAL");
+
+  const assignments = shared
+    ? [`MATERIAL ${used[0].name} ALL`]
+    : used.flatMap(({ name, ids }) => wrapCommand(`MATERIAL ${name} MEMB ${formatIdList(ids)}`));
+  return { definition, assignments };
+};
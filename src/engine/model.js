@@ -0,0 +1,102 @@
+import { round3 } from "../utils.js";
+import { resolveShape, makeCellFilter } from "./outline.js";
+
+/**
+ * Builds the analytical model on the grid: one plate per grid cell inside
+ * the outline and outside the openings, the surface nodes those plates use
+ * numbered row by row (Z then X) so no orphan joints are exported, and
+ * pedestal top nodes and members when the pedestal height is non-zero.
+ * @param {object} params
+ * @param {number[]} params.xLines - The X grid lines.
+ * @param {number[]} params.zLines - The Z grid lines.
+ * @param {number} params.pedestalHeight - The pedestal height (0 for no members).
+ * @param {object[]} params.points - The pedestals.
+ * @param {string} params.zOrientation - "up" or "down"; sets the plate node order.
+ * @param {object[]|null} [params.outline=null] - The plate outline (null for the full grid).
+ * @param {object[]} [params.openings=[]] - The openings.
+ * @returns {{nodes: object[], members: object[], plates: object[], plateIdByCoord: Map<string, number>}}
+ */
+export const buildModel = ({ xLines, zLines, pedestalHeight, points, zOrientation, outline = null, openings = [] }) => {
+  const allNodes = [];
+  const newMembers = [];
+  const newPlates = [];
+  const plateIdByCoord = new Map();
+  let nodeIdCounter = 1;
+  let plateIdCounter = 1;
+
+  const shape = resolveShape({
+    length: xLines[xLines.length - 1],
+    width: zLines[zLines.length - 1],
+    outline,
+    openings,
+  });
+  const isCellActive = makeCellFilter({ xLines, zLines, ...shape });
+  const activeCells = new Set();
+  for (let zi = 0; zi < zLines.length - 1; zi++) {
+    for (let xi = 0; xi < xLines.length - 1; xi++) {
+      if (isCellActive(xi, zi)) activeCells.add(`${xi},${zi}`);
+    }
+  }
+  const nodeIsUsed = (xi, zi) =>
+    activeCells.has(`${xi - 1},${zi - 1}`) || activeCells.has(`${xi},${zi - 1}`) ||
+    activeCells.has(`${xi - 1},${zi}`) || activeCells.has(`${xi},${zi}`);
+
+  // Generate surface nodes (Y=0) and store mapping from point coords to node ID
+  const surfaceNodesByCoord = {};
+  const surfaceNodeIdByIndex = new Map();
+  for (let zi = 0; zi < zLines.length; zi++) {
+    for (let xi = 0; xi < xLines.length; xi++) {
+      if (!nodeIsUsed(xi, zi)) continue;
+      const x = xLines[xi];
+      const z = zLines[zi];
+      const id = nodeIdCounter++;
+      allNodes.push({ id, x, y: 0, z, type: 'surface' });
+      surfaceNodesByCoord[`${round3(x)},${round3(z)}`] = id;
+      surfaceNodeIdByIndex.set(`${xi},${zi}`, id);
+    }
+  }
+
+  // Generate pedestal nodes and members if pedestalHeight > 0
+  if (pedestalHeight > 1e-9) {
+    points.forEach(point => {
+      const surfaceNodeId = surfaceNodesByCoord[`${round3(point.x)},${round3(point.z)}`];
+      if (surfaceNodeId) {
+        const newPedestalNodeId = nodeIdCounter++;
+        allNodes.push({ id: newPedestalNodeId, x: point.x, y: pedestalHeight, z: point.z, type: 'pedestal' });
+        // Link member to the original point data
+        newMembers.push({
+          id: newMembers.length + 1,
+          startNode: surfaceNodeId,
+          endNode: newPedestalNodeId,
+          pointData: point
+        });
+      }
+    });
+  }
+
+  // Generate plates
+  const nodeIdAt = (xi, zi) => surfaceNodeIdByIndex.get(`${xi},${zi}`);
+
+  for (let zi = 0; zi < zLines.length - 1; zi++) {
+    for (let xi = 0; xi < xLines.length - 1; xi++) {
+      if (!activeCells.has(`${xi},${zi}`)) continue;
+      const tl = nodeIdAt(xi, zi); // top-left
+      const tr = nodeIdAt(xi + 1, zi); // top-right
+      const br = nodeIdAt(xi + 1, zi + 1); // bottom-right
+      const bl = nodeIdAt(xi, zi + 1); // bottom-left
+
+      const currentPlateId = plateIdCounter++;
+      plateIdByCoord.set(`${xi},${zi}`, currentPlateId);
+
+      let order;
+      if (zOrientation === "up") {
+        order = [bl, br, tr, tl];
+      } else {
+        order = [tl, tr, br, bl];
+      }
+      newPlates.push({ id: currentPlateId, nodes: order });
+    }
+  }
+
+  return { nodes: allNodes, members: newMembers, plates: newPlates, plateIdByCoord };
+};
@@ -0,0 +1,192 @@
+import { round3 } from "../utils.js";
+import { pointInPolygon, rectangleOutline, resolveShape } from "./outline.js";
+import { isCircular, isInsideFootprint, pedestalFootprint } from "./pedestals.js";
+import { DIMENSIONS, toUnits, unitSystemOf } from "./units.js";
+
+/**
+ * Largest plate aspect ratio (long side over short side) STAAD recommends;
+ * plates beyond it are reported as warnings.
+ */
+export const MAX_PLATE_ASPECT_RATIO = 4;
+
+// Footprints closer than this are touching, not overlapping (metres)
+const EPS = 1e-6;
+
+// Tests whether two convex polygons overlap by more than EPS (separating axes)
+const polygonsOverlap = (a, b) =>
+  [a, b].every((polygon) =>
+    polygon.every((v, i) => {
+      const w = polygon[(i + 1) % polygon.length];
+      const axis = { x: w.z - v.z, z: v.x - w.x };
+      const size = Math.hypot(axis.x, axis.z);
+      if (size < EPS) return true;
+      const project = (p) => (p.x * axis.x + p.z * axis.z) / size;
+      const pa = a.map(project);
+      const pb = b.map(project);
+      return Math.min(Math.max(...pa), Math.max(...pb)) - Math.max(Math.min(...pa), Math.min(...pb)) > EPS;
+    })
+  );
+
+// The long side over the short side of the plate on a grid cell
+const cellAspectRatio = (xLines, zLines, xi, zi) => {
+  const dx = xLines[xi + 1] - xLines[xi];
+  const dz = zLines[zi + 1] - zLines[zi];
+  return Math.max(dx, dz) / Math.min(dx, dz);
+};
+
+/**
+ * Finds the largest aspect ratio (long side over short side) of the plates.
+ * @param {object} params
+ * @param {number[]} params.xLines - The X grid lines.
+ * @param {number[]} params.zLines - The Z grid lines.
+ * @param {Map<string, number>} params.plateIdByCoord - The plate ID of each grid cell ("xi,zi").
+ * @returns {number} - The largest ratio, 0 without plates.
+ */
+export const maxPlateAspectRatio = ({ xLines, zLines, plateIdByCoord }) => {
+  let max = 0;
+  plateIdByCoord.forEach((_, coord) => {
+    const [xi, zi] = coord.split(",").map(Number);
+    max = Math.max(max, cellAspectRatio(xLines, zLines, xi, zi));
+  });
+  return max;
+};
+
+/**
+ * Tests whether the footprints of two pedestals overlap. Faces that only
+ * touch do not count.
+ * @param {object} a - A pedestal.
+ * @param {object} b - Another pedestal.
+ * @returns {boolean}
+ */
+export const footprintsOverlap = (a, b) => {
+  if (isCircular(a) && isCircular(b)) return Math.hypot(a.x - b.x, a.z - b.z) < (a.length + b.length) / 2 - EPS;
+  return polygonsOverlap(pedestalFootprint(a), pedestalFootprint(b));
+};
+
+/**
+ * Checks the geometry and the mesh of a project before export:
+ *  - errors: pedestals whose centre is off the plate or in an opening (they
+ *    get no node and no member), and pedestals whose footprints overlap;
+ *  - warnings: footprints hanging over the plate edge or an opening,
+ *    pedestal centres closer than the mesh size (the refined size with
+ *    local refinement) along X or Z (the grid gets a sliver strip between
+ *    them), and plates whose aspect ratio exceeds
+ *    MAX_PLATE_ASPECT_RATIO, reported per grid strip.
+ * @param {object} params
+ * @param {number} params.length - The plate length along X.
+ * @param {number} params.width - The plate width along Z.
+ * @param {number} params.mesh - The mesh size.
+ * @param {object} [params.refinement] - The local refinement, see DEFAULT_REFINEMENT.
+ * @param {object[]} params.points - The pedestals.
+ * @param {object[]|null} [params.outline] - The plate outline.
+ * @param {object[]} [params.openings] - The openings.
+ * @param {number[]} params.xLines - The X grid lines.
+ * @param {number[]} params.zLines - The Z grid lines.
+ * @param {Map<string, number>} params.plateIdByCoord - The plate ID of each grid cell ("xi,zi").
+ * @param {string} [params.units] - The unit system the messages are written in.
+ * @returns {{severity: "error"|"warning", message: string, pedestalIds: number[], plateIds: number[]}[]} - The problems, errors first.
+ */
+export const checkModel = ({
+  length,
+  width,
+  mesh,
+  refinement,
+  points,
+  outline = null,
+  openings = [],
+  xLines,
+  zLines,
+  plateIdByCoord,
+  units,
+}) => {
+  const system = unitSystemOf(units);
+  const show = (v) => `${round3(toUnits(v, system, DIMENSIONS.length))} ${system.length}`;
+  const shape = resolveShape({ length, width, outline, openings });
+  const boundary = shape.outline || rectangleOutline(length, width);
+  const onPlate = (x, z) =>
+    x >= -EPS && x <= length + EPS && z >= -EPS && z <= width + EPS &&
+    (!shape.outline || pointInPolygon(x, z, shape.outline)) &&
+    !shape.openings.some((o) => pointInPolygon(x, z, o.points));
+
+  // Strips next to pedestals are refined ones when refinement is on
+  const refined = Boolean(refinement?.enabled) && refinement.mesh < mesh;
+  const pedestalMesh = refined ? refinement.mesh : mesh;
+
+  const errors = [];
+  const warnings = [];
+  const pedestalIssue = (list, message, ...pedestals) =>
+    list.push({ message, pedestalIds: pedestals.map((p) => p.id), plateIds: [] });
+
+  points.forEach((p) => {
+    if (!onPlate(p.x, p.z)) {
+      pedestalIssue(errors, `P${p.id} at (${show(p.x)}, ${show(p.z)}) is off the plate: it gets no node and no member`, p);
+      return;
+    }
+    // A footprint slightly shrunk, so pedestals flush with an edge do not hang over it
+    const hangsOver =
+      pedestalFootprint(p, -EPS).some((v) => !onPlate(v.x, v.z)) ||
+      [...boundary, ...shape.openings.flatMap((o) => o.points)].some((v) => isInsideFootprint(p, -2 * EPS, v.x, v.z));
+    if (hangsOver) pedestalIssue(warnings, `P${p.id} hangs over the plate edge or an opening`, p);
+  });
+
+  points.forEach((a, i) => {
+    points.slice(i + 1).forEach((b) => {
+      if (footprintsOverlap(a, b)) {
+        pedestalIssue(errors, `P${a.id} and P${b.id} overlap`, a, b);
+        return;
+      }
+      ["x", "z"].forEach((axis) => {
+        const gap = Math.abs(a[axis] - b[axis]);
+        if (gap > EPS && gap < pedestalMesh - EPS) {
+          pedestalIssue(
+            warnings,
+            `P${a.id} and P${b.id} are ${show(gap)} apart along ${axis.toUpperCase()}, less than the ` +
+              `${refined ? "refined " : ""}mesh size (${show(pedestalMesh)}): the grid gets a ${show(gap)} strip`,
+            a,
+            b
+          );
+        }
+      });
+    });
+  });
+
+  // Plates too long for their width, gathered by the X strips (narrow along X)
+  // or the Z strips (narrow along Z) they belong to; neighbouring strips are
+  // reported together
+  const strips = { X: new Map(), Z: new Map() };
+  plateIdByCoord.forEach((plateId, coord) => {
+    const [xi, zi] = coord.split(",").map(Number);
+    const ratio = cellAspectRatio(xLines, zLines, xi, zi);
+    if (!(ratio > MAX_PLATE_ASPECT_RATIO + 1e-9)) return;
+    const alongX = xLines[xi + 1] - xLines[xi] < zLines[zi + 1] - zLines[zi];
+    const [byIndex, index] = alongX ? [strips.X, xi] : [strips.Z, zi];
+    if (!byIndex.has(index)) byIndex.set(index, { ratio: 0, plateIds: [] });
+    const strip = byIndex.get(index);
+    strip.ratio = Math.max(strip.ratio, ratio);
+    strip.plateIds.push(plateId);
+  });
+  [["X", xLines], ["Z", zLines]].forEach(([axis, lines]) => {
+    const indices = Array.from(strips[axis].keys()).sort((a, b) => a - b);
+    indices.forEach((first, i) => {
+      if (i > 0 && indices[i - 1] === first - 1) return;
+      let last = first;
+      while (strips[axis].has(last + 1)) last++;
+      const run = indices.slice(i, i + last - first + 1).map((index) => strips[axis].get(index));
+      const plateIds = run.flatMap((strip) => strip.plateIds).sort((a, b) => a - b);
+      const where = run.length > 1 ? `${run.length} strips` : "the strip";
+      warnings.push({
+        message:
+          `${plateIds.length} plate(s) in ${where} ${axis} ${show(lines[first])} – ${show(lines[last + 1])} have an ` +
+          `aspect ratio up to ${round3(Math.max(...run.map((strip) => strip.ratio)))}:1 ` +
+          `(STAAD recommends at most ${MAX_PLATE_ASPECT_RATIO}:1)`,
+        pedestalIds: [],
+        plateIds,
+      });
+    });
+  });
+
+  return [
+    ...errors.map((issue) => ({ severity: "error", ...issue })),
+    ...warnings.map((issue) => ({ severity: "warning", ...issue })),
+  ];
+};
@@ -0,0 +1,158 @@
+import { clamp, round3 } from "../utils.js";
+
+/**
+ * Returns the outline of the full length × width plate.
+ * @param {number} length - The plate length along X.
+ * @param {number} width - The plate width along Z.
+ * @returns {{x: number, z: number}[]} - The four corners, clockwise from the origin.
+ */
+export const rectangleOutline = (length, width) => [
+  { x: 0, z: 0 },
+  { x: length, z: 0 },
+  { x: length, z: width },
+  { x: 0, z: width },
+];
+
+/**
+ * Returns the twice-signed area of a polygon in plan (positive when the
+ * vertices run from +X towards +Z).
+ * @param {{x: number, z: number}[]} polygon - The vertices.
+ * @returns {number} - The signed area times two.
+ */
+export const signedArea2 = (polygon) => {
+  let area = 0;
+  polygon.forEach((a, i) => {
+    const b = polygon[(i + 1) % polygon.length];
+    area += a.x * b.z - b.x * a.z;
+  });
+  return area;
+};
+
+/**
+ * Tests whether a point lies inside a polygon (even-odd rule).
+ * @param {number} x - The X coordinate.
+ * @param {number} z - The Z coordinate.
+ * @param {{x: number, z: number}[]} polygon - The vertices.
+ * @returns {boolean} - True when the point is inside.
+ */
+export const pointInPolygon = (x, z, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.z > z) !== (b.z > z) && x < ((b.x - a.x) * (z - a.z)) / (b.z - a.z) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Clamps the outline and openings into the length × width rectangle and
+ * drops degenerate polygons. A missing outline means the full rectangle.
+ * @param {object} project
+ * @param {number} project.length - The plate length along X.
+ * @param {number} project.width - The plate width along Z.
+ * @param {object[]|null} project.outline - The outline vertices, or null.
+ * @param {object[]} project.openings - The openings: {id, points}.
+ * @returns {{outline: object[]|null, openings: object[]}}
+ */
+export const resolveShape = ({ length, width, outline, openings }) => {
+  const clampPolygon = (polygon) =>
+    polygon.map((v) => ({ x: clamp(v.x, 0, length), z: clamp(v.z, 0, width) }));
+  const valid = (polygon) => Array.isArray(polygon) && polygon.length >= 3;
+  return {
+    outline: valid(outline) ? clampPolygon(outline) : null,
+    openings: (openings || [])
+      .filter((o) => valid(o.points))
+      .map((o) => ({ ...o, points: clampPolygon(o.points) })),
+  };
+};
+
+/**
+ * Collects the X and Z coordinates of the outline and opening vertices, so
+ * the grid is cut at every axis-aligned edge.
+ * @param {object[]|null} outline - The resolved outline.
+ * @param {object[]} openings - The resolved openings.
+ * @returns {{xs: number[], zs: number[]}}
+ */
+export const shapeCuts = (outline, openings) => {
+  const vertices = [...(outline || []), ...openings.flatMap((o) => o.points)];
+  return { xs: vertices.map((v) => v.x), zs: vertices.map((v) => v.z) };
+};
+
+/**
+ * Builds the test deciding which grid cells become plates: a cell is kept
+ * when its centre is inside the outline and outside every opening. Cells
+ * cut by a sloping edge are therefore kept or dropped as a whole.
+ * @param {object} params
+ * @param {number[]} params.xLines - The X grid lines.
+ * @param {number[]} params.zLines - The Z grid lines.
+ * @param {object[]|null} params.outline - The resolved outline (null for the full grid).
+ * @param {object[]} params.openings - The resolved openings.
+ * @returns {(xi: number, zi: number) => boolean}
+ */
+export const makeCellFilter = ({ xLines, zLines, outline, openings }) => {
+  if (!outline && openings.length === 0) return () => true;
+  return (xi, zi) => {
+    const cx = (xLines[xi] + xLines[xi + 1]) / 2;
+    const cz = (zLines[zi] + zLines[zi + 1]) / 2;
+    if (outline && !pointInPolygon(cx, cz, outline)) return false;
+    return !openings.some((o) => pointInPolygon(cx, cz, o.points));
+  };
+};
+
+/**
+ * Traces the boundary loops of a set of axis-aligned cells, merging
+ * collinear edges. Used to recover an outline and its openings from plates.
+ * @param {{x0: number, x1: number, z0: number, z1: number}[]} cells - The cells.
+ * @returns {{x: number, z: number}[][]} - The loops, largest first.
+ */
+export const traceCellBoundaries = (cells) => {
+  const key = (x, z) => `${round3(x)},${round3(z)}`;
+  // Directed edges, each cell wound the same way; shared edges cancel out
+  const edges = new Map();
+  const addEdge = (a, b) => {
+    const reverse = `${key(b.x, b.z)}>${key(a.x, a.z)}`;
+    if (edges.has(reverse)) {
+      edges.delete(reverse);
+    } else {
+      edges.set(`${key(a.x, a.z)}>${key(b.x, b.z)}`, { a, b });
+    }
+  };
+  cells.forEach(({ x0, x1, z0, z1 }) => {
+    const c = [{ x: x0, z: z0 }, { x: x1, z: z0 }, { x: x1, z: z1 }, { x: x0, z: z1 }];
+    c.forEach((v, i) => addEdge(v, c[(i + 1) % 4]));
+  });
+
+  const outgoing = new Map();
+  edges.forEach((edge) => {
+    const k = key(edge.a.x, edge.a.z);
+    if (!outgoing.has(k)) outgoing.set(k, []);
+    outgoing.get(k).push(edge);
+  });
+
+  const loops = [];
+  outgoing.forEach((list) => {
+    while (list.length > 0) {
+      const loop = [];
+      let edge = list.pop();
+      const start = key(edge.a.x, edge.a.z);
+      while (edge) {
+        loop.push(edge.a);
+        const next = outgoing.get(key(edge.b.x, edge.b.z));
+        if (key(edge.b.x, edge.b.z) === start || !next || next.length === 0) break;
+        edge = next.pop();
+      }
+      // Drop vertices in the middle of straight runs
+      const simplified = loop.filter((v, i) => {
+        const prev = loop[(i + loop.length - 1) % loop.length];
+        const next = loop[(i + 1) % loop.length];
+        return Math.abs((v.x - prev.x) * (next.z - v.z) - (v.z - prev.z) * (next.x - v.x)) > 1e-9;
+      });
+      if (simplified.length >= 3) loops.push(simplified);
+    }
+  });
+  loops.sort((a, b) => Math.abs(signedArea2(b)) - Math.abs(signedArea2(a)));
+  return loops;
+};
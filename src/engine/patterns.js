@@ -0,0 +1,119 @@
+import { pointInPolygon, resolveShape } from "./outline.js";
+
+/**
+ * The kinds of pedestal pattern the generator can lay out.
+ */
+export const PATTERN_TYPES = [
+  { value: "grid", label: "Rectangular Array" },
+  { value: "line", label: "Linear Row" },
+  { value: "circle", label: "Circular Pattern" },
+];
+
+/**
+ * Default pattern settings (metres, degrees). Every pattern type reads its own
+ * fields; the pedestal size and shape are shared by all generated pedestals.
+ * - grid: `columns` along X spaced `dx`, `rows` along Z spaced `dz`, first pedestal at (x0, z0)
+ * - line: `count` pedestals spaced `spacing` from (x0, z0), in the direction `angle`
+ * - circle: `count` pedestals on a ring of `radius` around (cx, cz), the first at
+ *   `startAngle`; with `radial` each pedestal's length points at the centre
+ * Angles are counterclockwise in plan (from +X towards −Z), like pedestal rotations.
+ */
+export const DEFAULT_PATTERN = {
+  type: "grid",
+  x0: 1,
+  z0: 1,
+  columns: 3,
+  rows: 2,
+  dx: 2,
+  dz: 2,
+  count: 6,
+  spacing: 1,
+  angle: 0,
+  cx: 3,
+  cz: 2,
+  radius: 1.5,
+  startAngle: 0,
+  radial: true,
+  shape: "rectangle",
+  length: 0.5,
+  width: 0.3,
+  rotation: 0,
+};
+
+const count = (n) => Math.max(0, Math.floor(Number(n) || 0));
+
+// Drops the floating point noise of the trigonometry (to a micrometre)
+const tidy = (v) => Math.round(v * 1e6) / 1e6;
+
+/**
+ * Computes the pedestal positions of a pattern.
+ * @param {object} pattern - The pattern settings, see DEFAULT_PATTERN.
+ * @returns {{x: number, z: number, rotation: number}[]} - The positions and rotations, in order.
+ */
+export const patternPositions = (pattern) => {
+  const { type, rotation = 0 } = pattern;
+  if (type === "grid") {
+    const positions = [];
+    for (let row = 0; row < count(pattern.rows); row++) {
+      for (let column = 0; column < count(pattern.columns); column++) {
+        positions.push({ x: pattern.x0 + column * pattern.dx, z: pattern.z0 + row * pattern.dz, rotation });
+      }
+    }
+    return positions;
+  }
+  if (type === "line") {
+    const a = (pattern.angle * Math.PI) / 180;
+    return Array.from({ length: count(pattern.count) }, (_, i) => ({
+      x: pattern.x0 + i * pattern.spacing * Math.cos(a),
+      z: pattern.z0 - i * pattern.spacing * Math.sin(a),
+      rotation,
+    }));
+  }
+  if (type === "circle") {
+    const n = count(pattern.count);
+    return Array.from({ length: n }, (_, i) => {
+      const degrees = pattern.startAngle + (360 * i) / n;
+      const a = (degrees * Math.PI) / 180;
+      return {
+        x: pattern.cx + pattern.radius * Math.cos(a),
+        z: pattern.cz - pattern.radius * Math.sin(a),
+        rotation: pattern.radial ? ((degrees % 360) + 360) % 360 : rotation,
+      };
+    });
+  }
+  return [];
+};
+
+/**
+ * Lays out a pattern on a plate. Positions off the plate (outside the
+ * length × width rectangle or the outline, or inside an opening) are skipped;
+ * the others become pedestals numbered after the existing ones.
+ * @param {object} pattern - The pattern settings, see DEFAULT_PATTERN.
+ * @param {object} project
+ * @param {object[]} project.points - The existing pedestals.
+ * @param {number} project.length - The plate length along X.
+ * @param {number} project.width - The plate width along Z.
+ * @param {object[]|null} [project.outline] - The plate outline.
+ * @param {object[]} [project.openings] - The openings.
+ * @returns {{pedestals: object[], skipped: {x: number, z: number}[]}} - The new pedestals and the skipped positions.
+ */
+export const placePattern = (pattern, { points, length, width, outline = null, openings = [] }) => {
+  const shape = resolveShape({ length, width, outline, openings });
+  const onPlate = ({ x, z }) =>
+    x >= -1e-9 && x <= length + 1e-9 && z >= -1e-9 && z <= width + 1e-9 &&
+    (!shape.outline || pointInPolygon(x, z, shape.outline)) &&
+    !shape.openings.some((o) => pointInPolygon(x, z, o.points));
+
+  const positions = patternPositions(pattern);
+  let nextId = (points.length > 0 ? Math.max(...points.map((p) => p.id)) : 0) + 1;
+  const circle = pattern.shape === "circle";
+  const pedestals = positions.filter(onPlate).map(({ x, z, rotation }) => ({
+    id: nextId++,
+    x: tidy(Math.min(Math.max(x, 0), length)),
+    z: tidy(Math.min(Math.max(z, 0), width)),
+    length: pattern.length,
+    width: circle ? pattern.length : pattern.width,
+    ...(circle ? { shape: "circle" } : rotation ? { rotation: tidy(rotation) } : {}),
+  }));
+  return { pedestals, skipped: positions.filter((p) => !onPlate(p)) };
+};
@@ -0,0 +1,98 @@
+import { pedestalFootprint } from "./pedestals.js";
+
+const nextIdOf = (points) => (points.length > 0 ? Math.max(...points.map((p) => p.id)) : 0) + 1;
+
+// Removes the rounding noise of adding offsets (to a micrometre)
+const tidy = (v) => Math.round(v * 1e6) / 1e6;
+
+/**
+ * Selects the pedestals whose centre lies in a box.
+ * @param {object[]} points - The pedestals.
+ * @param {{x0: number, z0: number, x1: number, z1: number}} box - The box corners, in any order.
+ * @returns {number[]} - The IDs of the pedestals inside.
+ */
+export const pedestalsInBox = (points, { x0, z0, x1, z1 }) => {
+  const [xa, xb] = [Math.min(x0, x1), Math.max(x0, x1)];
+  const [za, zb] = [Math.min(z0, z1), Math.max(z0, z1)];
+  return points.filter((p) => p.x >= xa && p.x <= xb && p.z >= za && p.z <= zb).map((p) => p.id);
+};
+
+/**
+ * Moves pedestals together. The move is shortened so that every moved
+ * pedestal centre stays on the length × width plate.
+ * @param {object[]} points - The pedestals.
+ * @param {number[]} ids - The IDs of the pedestals to move.
+ * @param {number} dx - The move along X.
+ * @param {number} dz - The move along Z.
+ * @param {{length: number, width: number}} plate - The plate size.
+ * @returns {object[]} - The pedestals after the move.
+ */
+export const movePedestals = (points, ids, dx, dz, { length, width }) => {
+  const moved = points.filter((p) => ids.includes(p.id));
+  if (moved.length === 0) return points;
+  const xs = moved.map((p) => p.x);
+  const zs = moved.map((p) => p.z);
+  const mx = Math.min(Math.max(dx, -Math.min(...xs)), length - Math.max(...xs));
+  const mz = Math.min(Math.max(dz, -Math.min(...zs)), width - Math.max(...zs));
+  return points.map((p) => (ids.includes(p.id) ? { ...p, x: tidy(p.x + mx), z: tidy(p.z + mz) } : p));
+};
+
+/**
+ * Copies pedestals (with their size, shape and loads) at an offset. Copies
+ * falling off the plate are left out; the others are numbered after the
+ * existing pedestals.
+ * @param {object[]} points - The existing pedestals.
+ * @param {object[]} copied - The pedestals to copy.
+ * @param {number} dx - The offset along X.
+ * @param {number} dz - The offset along Z.
+ * @param {{length: number, width: number}} plate - The plate size.
+ * @returns {object[]} - The new pedestals.
+ */
+export const copyPedestals = (points, copied, dx, dz, { length, width }) => {
+  let nextId = nextIdOf(points);
+  return copied
+    .map((p) => ({ ...p, x: tidy(p.x + dx), z: tidy(p.z + dz) }))
+    .filter((p) => p.x >= 0 && p.x <= length && p.z >= 0 && p.z <= width)
+    .map((p) => ({ ...p, id: nextId++ }));
+};
+
+// The load components a reflection reverses: flipping X reverses FX and MZ,
+// flipping Z reverses FZ and MX (moments are axial vectors)
+const MIRRORED_LOADS = { x: ["fx", "mz"], z: ["fz", "mx"] };
+
+/**
+ * Mirrors pedestals in place about the centre line of their footprints:
+ * `axis` "x" flips X coordinates (a mirror line along Z), "z" flips Z.
+ * Rotations and load components are reflected with them.
+ * @param {object[]} points - The pedestals.
+ * @param {number[]} ids - The IDs of the pedestals to mirror.
+ * @param {"x"|"z"} axis - The coordinate to flip.
+ * @returns {object[]} - The pedestals after mirroring.
+ */
+export const mirrorPedestals = (points, ids, axis) => {
+  const mirrored = points.filter((p) => ids.includes(p.id));
+  if (mirrored.length === 0) return points;
+  const values = mirrored.flatMap((p) => pedestalFootprint(p).map((v) => v[axis]));
+  const centre = (Math.min(...values) + Math.max(...values)) / 2;
+  const flipLoad = (load) =>
+    Object.fromEntries(Object.entries(load).map(([c, v]) => [c, MIRRORED_LOADS[axis].includes(c) ? -v : v]));
+  return points.map((p) => {
+    if (!ids.includes(p.id)) return p;
+    const flipped = { ...p, [axis]: tidy(2 * centre - p[axis]) };
+    if (p.rotation) flipped.rotation = -p.rotation;
+    if (p.loads) {
+      flipped.loads = Object.fromEntries(Object.entries(p.loads).map(([caseId, load]) => [caseId, flipLoad(load)]));
+    }
+    return flipped;
+  });
+};
+
+/**
+ * Applies the same changes (e.g. a new length and width) to several pedestals.
+ * @param {object[]} points - The pedestals.
+ * @param {number[]} ids - The IDs of the pedestals to change.
+ * @param {object} changes - The changed fields.
+ * @returns {object[]} - The pedestals after the change.
+ */
+export const updatePedestals = (points, ids, changes) =>
+  points.map((p) => (ids.includes(p.id) ? { ...p, ...changes } : p));
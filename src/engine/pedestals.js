@@ -0,0 +1,103 @@
+/**
+ * The pedestal cross-sections: a rectangle (length along X by width along Z
+ * before rotation) or a circle (diameter = length).
+ */
+export const PEDESTAL_SHAPES = [
+  { value: "rectangle", label: "Rectangle" },
+  { value: "circle", label: "Circle" },
+];
+
+// Number of sides of the polygon drawn for a circular footprint
+const CIRCLE_SEGMENTS = 32;
+
+/**
+ * Tells whether a pedestal is circular.
+ * @param {object} p - The pedestal.
+ * @returns {boolean}
+ */
+export const isCircular = (p) => p.shape === "circle";
+
+/**
+ * Returns the rotation of a pedestal in degrees, counterclockwise in plan
+ * (from +X towards −Z). This is the STAAD BETA angle of its member.
+ * @param {object} p - The pedestal.
+ * @returns {number} - The rotation, 0 for circles and unrotated pedestals.
+ */
+export const pedestalRotation = (p) => (isCircular(p) ? 0 : Number(p.rotation) || 0);
+
+/**
+ * Tells whether the footprint of a pedestal is a rectangle aligned with the
+ * grid, so its faces can be cut by grid lines.
+ * @param {object} p - The pedestal.
+ * @returns {boolean}
+ */
+export const isAxisAligned = (p) => !isCircular(p) && Math.abs(pedestalRotation(p) % 180) < 1e-9;
+
+/**
+ * Returns the footprint of a pedestal grown by an offset, as a polygon in plan.
+ * Circles are approximated by a regular polygon.
+ * @param {object} p - The pedestal.
+ * @param {number} [offset=0] - The distance to grow the footprint by.
+ * @returns {{x: number, z: number}[]} - The vertices.
+ */
+export const pedestalFootprint = (p, offset = 0) => {
+  if (isCircular(p)) {
+    const r = p.length / 2 + offset;
+    return Array.from({ length: CIRCLE_SEGMENTS }, (_, i) => {
+      const a = (2 * Math.PI * i) / CIRCLE_SEGMENTS;
+      return { x: p.x + r * Math.cos(a), z: p.z + r * Math.sin(a) };
+    });
+  }
+  const a = (pedestalRotation(p) * Math.PI) / 180;
+  // Local axes in plan: u along the length, v along the width
+  const u = { x: Math.cos(a), z: -Math.sin(a) };
+  const v = { x: Math.sin(a), z: Math.cos(a) };
+  const hl = p.length / 2 + offset;
+  const hw = p.width / 2 + offset;
+  return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([su, sv]) => ({
+    x: p.x + su * hl * u.x + sv * hw * v.x,
+    z: p.z + su * hl * u.z + sv * hw * v.z,
+  }));
+};
+
+/**
+ * Tests whether a point lies inside the footprint of a pedestal grown by an offset.
+ * @param {object} p - The pedestal.
+ * @param {number} offset - The distance to grow the footprint by.
+ * @param {number} x - The X coordinate.
+ * @param {number} z - The Z coordinate.
+ * @returns {boolean}
+ */
+export const isInsideFootprint = (p, offset, x, z) => {
+  const dx = x - p.x;
+  const dz = z - p.z;
+  if (isCircular(p)) return Math.hypot(dx, dz) <= p.length / 2 + offset + 1e-9;
+  const a = (pedestalRotation(p) * Math.PI) / 180;
+  const along = dx * Math.cos(a) - dz * Math.sin(a);
+  const across = dx * Math.sin(a) + dz * Math.cos(a);
+  return Math.abs(along) <= p.length / 2 + offset + 1e-9 && Math.abs(across) <= p.width / 2 + offset + 1e-9;
+};
+
+/**
+ * Selects the grid cells whose centre lies inside the footprint of a pedestal
+ * grown by an offset. When the footprint is too small to contain any cell
+ * centre, the cells around the pedestal centre are taken instead.
+ * @param {object} p - The pedestal.
+ * @param {number} offset - The distance to grow the footprint by.
+ * @param {object} params
+ * @param {number[]} params.xLines - The X grid lines.
+ * @param {number[]} params.zLines - The Z grid lines.
+ * @returns {{xi: number, zi: number}[]} - The cell indices.
+ */
+export const cellsInFootprint = (p, offset, { xLines, zLines }) => {
+  const inside = [];
+  const touching = [];
+  for (let xi = 0; xi < xLines.length - 1; xi++) {
+    for (let zi = 0; zi < zLines.length - 1; zi++) {
+      const [x0, x1, z0, z1] = [xLines[xi], xLines[xi + 1], zLines[zi], zLines[zi + 1]];
+      if (isInsideFootprint(p, offset, (x0 + x1) / 2, (z0 + z1) / 2)) inside.push({ xi, zi });
+      if (x0 <= p.x + 1e-9 && x1 >= p.x - 1e-9 && z0 <= p.z + 1e-9 && z1 >= p.z - 1e-9) touching.push({ xi, zi });
+    }
+  }
+  return inside.length > 0 ? inside : touching;
+};
@@ -0,0 +1,190 @@
+import { isCircular, pedestalFootprint } from "./pedestals.js";
+
+/**
+ * Default 3D view: azimuth (`yaw`, about the vertical Y axis) and elevation
+ * (`pitch`, negative from below) in degrees, and the parts drawn.
+ */
+export const DEFAULT_VIEW_3D = {
+  yaw: 35,
+  pitch: 30,
+  showNodes: true,
+  showNormals: true,
+};
+
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+const unit = (v) => {
+  const size = Math.hypot(v.x, v.y, v.z);
+  return size > 0 ? { x: v.x / size, y: v.y / size, z: v.z / size } : { x: 0, y: 0, z: 0 };
+};
+
+/**
+ * Returns the local Z axis (normal) of a plate as STAAD derives it from the
+ * node order: by the right-hand rule, from the first node's corner
+ * towards the diagonal (node 1 → 2 crossed with node 1 → 3).
+ * @param {{x: number, y: number, z: number}[]} corners - The plate nodes in their exported order.
+ * @returns {{x: number, y: number, z: number}} - The unit normal.
+ */
+export const plateNormal = (corners) => unit(cross(sub(corners[1], corners[0]), sub(corners[2], corners[0])));
+
+/**
+ * Builds the 3D scene of a model: each plate as a slab of the plate
+ * thickness (top and bottom faces, walls on the free edges), the pedestal
+ * members as prisms of their real footprint from the top of the slab up to
+ * their top node, the nodes, and an arrow along each plate's local normal.
+ * Coordinates are the model's: Y up, the plate mid-plane at Y = 0.
+ * @param {object} params
+ * @param {object[]} params.nodes - The model nodes.
+ * @param {object[]} params.plates - The model plates.
+ * @param {object[]} params.members - The pedestal members, with their pointData.
+ * @param {number} params.plateThickness - The plate thickness.
+ * @returns {{faces: object[], nodes: object[], normals: object[]}} - Faces as {kind, points, inside?, smooth?} (walls keep a point inside their solid; the facets of round pedestals are smooth), nodes as {id, x, y, z, type}, normals as {plateId, from, to, up}.
+ */
+export const buildPreviewScene = ({ nodes, plates, members, plateThickness }) => {
+  const nodeById = new Map(nodes.map((n) => [n.id, n]));
+  const half = plateThickness / 2;
+  const lift = (v, y) => ({ x: v.x, y, z: v.z });
+  const faces = [];
+  const normals = [];
+
+  // Edges used by one plate only are on the slab boundary
+  const edgeUse = new Map();
+  const edgeKey = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+  plates.forEach((plate) =>
+    plate.nodes.forEach((id, i) => {
+      const key = edgeKey(id, plate.nodes[(i + 1) % plate.nodes.length]);
+      edgeUse.set(key, (edgeUse.get(key) || 0) + 1);
+    })
+  );
+
+  let sizeSum = 0;
+  plates.forEach((plate) => {
+    const corners = plate.nodes.map((id) => nodeById.get(id));
+    faces.push({ kind: "plateTop", points: corners.map((v) => lift(v, half)) });
+    faces.push({ kind: "plateBottom", points: corners.map((v) => lift(v, -half)) });
+    const centre = {
+      x: corners.reduce((s, v) => s + v.x, 0) / corners.length,
+      y: 0,
+      z: corners.reduce((s, v) => s + v.z, 0) / corners.length,
+    };
+    corners.forEach((a, i) => {
+      const b = corners[(i + 1) % corners.length];
+      if (edgeUse.get(edgeKey(plate.nodes[i], plate.nodes[(i + 1) % corners.length])) === 1) {
+        faces.push({
+          kind: "plateSide",
+          points: [lift(a, half), lift(b, half), lift(b, -half), lift(a, -half)],
+          inside: centre,
+        });
+      }
+    });
+    sizeSum += Math.sqrt(Math.abs(cross(sub(corners[2], corners[0]), sub(corners[3], corners[1])).y) / 2);
+    normals.push({ plateId: plate.id, centre, normal: plateNormal(corners) });
+  });
+
+  // Normal arrows start on the face they point out of and are about half a plate long
+  const arrow = plates.length > 0 ? (0.5 * sizeSum) / plates.length : 0;
+  const arrows = normals.map(({ plateId, centre, normal }) => {
+    const from = {
+      x: centre.x + normal.x * half,
+      y: centre.y + normal.y * half,
+      z: centre.z + normal.z * half,
+    };
+    return {
+      plateId,
+      from,
+      to: { x: from.x + normal.x * arrow, y: from.y + normal.y * arrow, z: from.z + normal.z * arrow },
+      up: normal.y > 0,
+    };
+  });
+
+  members.forEach((m) => {
+    const base = nodeById.get(m.startNode);
+    const top = nodeById.get(m.endNode);
+    if (!base || !top) return;
+    const y0 = Math.min(base.y + half, top.y);
+    const footprint = pedestalFootprint({ ...m.pointData, x: base.x, z: base.z });
+    footprint.forEach((a, i) => {
+      const b = footprint[(i + 1) % footprint.length];
+      faces.push({
+        kind: "pedestalSide",
+        points: [lift(a, y0), lift(b, y0), lift(b, top.y), lift(a, top.y)],
+        inside: { x: base.x, y: y0, z: base.z },
+        smooth: isCircular(m.pointData),
+      });
+    });
+    faces.push({ kind: "pedestalTop", points: footprint.map((v) => lift(v, top.y)) });
+  });
+
+  return { faces, nodes, normals: arrows };
+};
+
+// The outward normal of a face of the scene: up or down for plate and
+// pedestal caps, horizontal and away from the solid's centre line for walls
+const faceNormal = (face, centre) => {
+  if (face.kind === "plateTop" || face.kind === "pedestalTop") return { x: 0, y: 1, z: 0 };
+  if (face.kind === "plateBottom") return { x: 0, y: -1, z: 0 };
+  const [a, b] = face.points;
+  const along = unit(sub(b, a));
+  const out = { x: along.z, y: 0, z: -along.x };
+  // Walls are wound either way; turn the normal away from the solid's inside
+  const inward = sub(face.inside, centre);
+  return out.x * inward.x + out.z * inward.z > 0 ? { x: -out.x, y: 0, z: -out.z } : out;
+};
+
+/**
+ * Projects a 3D scene onto the screen (orthographic) for a view direction.
+ * X runs to the right and Z down the screen in the top view, matching the
+ * plan. Faces turned away from the viewer are dropped and the rest are
+ * sorted far to near, so they can be painted in order.
+ * @param {object} scene - The result of buildPreviewScene.
+ * @param {object} view
+ * @param {number} view.yaw - The azimuth in degrees.
+ * @param {number} view.pitch - The elevation in degrees (negative from below).
+ * @returns {{faces: object[], nodes: object[], normals: object[], bounds: {x0: number, y0: number, x1: number, y1: number}}} - Screen coordinates with a depth and, for faces, the lighting factor `shade` (0–1).
+ */
+export const projectScene = ({ faces, nodes, normals }, { yaw, pitch }) => {
+  const a = (yaw * Math.PI) / 180;
+  const p = (pitch * Math.PI) / 180;
+  const [ca, sa, cp, sp] = [Math.cos(a), Math.sin(a), Math.cos(p), Math.sin(p)];
+  const project = (v) => {
+    const x1 = v.x * ca + v.z * sa;
+    const z1 = -v.x * sa + v.z * ca;
+    return { x: x1, y: z1 * sp - v.y * cp, depth: -z1 * cp - v.y * sp };
+  };
+  // Unit vector from the scene towards the viewer
+  const toViewer = { x: -sa * cp, y: sp, z: ca * cp };
+  const bounds = { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity };
+  const grow = ({ x, y }) => {
+    bounds.x0 = Math.min(bounds.x0, x);
+    bounds.x1 = Math.max(bounds.x1, x);
+    bounds.y0 = Math.min(bounds.y0, y);
+    bounds.y1 = Math.max(bounds.y1, y);
+  };
+
+  const projectedFaces = [];
+  faces.forEach((face) => {
+    // The faces close solids, so only those facing the viewer are drawn
+    const centre = face.points.reduce((s, v) => ({ x: s.x + v.x, y: s.y + v.y, z: s.z + v.z }), { x: 0, y: 0, z: 0 });
+    const n = face.points.length;
+    const points = face.points.map(project);
+    points.forEach(grow);
+    const normal = faceNormal(face, { x: centre.x / n, y: centre.y / n, z: centre.z / n });
+    const facing = normal.x * toViewer.x + normal.y * toViewer.y + normal.z * toViewer.z;
+    if (facing <= 1e-9) return;
+    projectedFaces.push({
+      kind: face.kind,
+      smooth: Boolean(face.smooth),
+      points,
+      depth: points.reduce((s, v) => s + v.depth, 0) / n,
+      shade: 0.55 + 0.45 * Math.max(0, normal.x * 0.3 + normal.y * 0.8 + normal.z * -0.5),
+    });
+  });
+  projectedFaces.sort((f, g) => g.depth - f.depth);
+
+  const projectedNodes = nodes.map((node) => ({ ...node, ...project(node) }));
+  projectedNodes.forEach(grow);
+  const projectedNormals = normals.map((arrow) => ({ ...arrow, from: project(arrow.from), to: project(arrow.to) }));
+  projectedNormals.forEach((arrow) => grow(arrow.to));
+
+  return { faces: projectedFaces, nodes: projectedNodes, normals: projectedNormals, bounds };
+};
@@ -0,0 +1,50 @@
+import { DEFAULT_MATERIAL } from "./materials.js";
+import { DEFAULT_REFINEMENT } from "./grid.js";
+
+/**
+ * Default values of a project, matching a fresh editor session.
+ */
+export const DEFAULT_PROJECT = {
+  length: 6,
+  width: 4,
+  mesh: 0.2,
+  meshMode: "remainder",
+  minStrip: 0,
+  refinement: DEFAULT_REFINEMENT,
+  pedestalHeight: 0.0,
+  plateThickness: 0.3,
+  zOrientation: "down",
+  units: "m-kN",
+  gridAtPedestalFaces: false,
+  groupMode: "combined",
+  plateMaterial: DEFAULT_MATERIAL,
+  pedestalMaterial: DEFAULT_MATERIAL,
+  fileName: "Plate Geometry.STD",
+  points: [],
+  outline: null,
+  openings: [],
+  supportType: "none",
+  subgradeModulus: 40000,
+  compressionOnly: false,
+  loadCases: [],
+  loadCombinations: [],
+};
+
+/**
+ * Fills a project read from JSON (as written by "Export to JSON") with the
+ * defaults for any missing field.
+ * @param {object} raw - The parsed project.
+ * @returns {object} - The project with every field present.
+ */
+export const normalizeProject = (raw = {}) => ({
+  ...DEFAULT_PROJECT,
+  ...raw,
+  points: Array.isArray(raw.points) ? raw.points : [],
+  outline: Array.isArray(raw.outline) ? raw.outline : null,
+  openings: Array.isArray(raw.openings) ? raw.openings : [],
+  loadCases: Array.isArray(raw.loadCases) ? raw.loadCases : [],
+  loadCombinations: Array.isArray(raw.loadCombinations) ? raw.loadCombinations : [],
+  plateMaterial: { ...DEFAULT_MATERIAL, ...raw.plateMaterial },
+  pedestalMaterial: { ...DEFAULT_MATERIAL, ...raw.pedestalMaterial },
+  refinement: { ...DEFAULT_REFINEMENT, ...raw.refinement },
+});
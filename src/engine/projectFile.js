@@ -0,0 +1,309 @@
+import { DEFAULT_PROJECT } from "./project.js";
+import { GROUP_MODES } from "./groups.js";
+import { DEFAULT_REFINEMENT, MESH_MODES } from "./grid.js";
+import { LOAD_COMPONENTS } from "./loads.js";
+import { pointInPolygon } from "./outline.js";
+import { PEDESTAL_SHAPES } from "./pedestals.js";
+import { SUPPORT_TYPES } from "./supports.js";
+import { UNIT_SYSTEMS } from "./units.js";
+
+/**
+ * Version of the project file format written by "Export to JSON".
+ *
+ * Version 3 is a JSON object with `version: 3`, every field of
+ * DEFAULT_PROJECT (lengths in metres and forces in kN, whatever `units` says)
+ * and optionally the view settings showMomentGroup, showOneWayShear and
+ * showTwoWayShear:
+ * - length, width, mesh, plateThickness: numbers > 0; pedestalHeight, minStrip: numbers ≥ 0
+ * - meshMode: a MESH_MODES value
+ * - refinement: {enabled: boolean, radius: number ≥ 0, mesh: number > 0, growth: number ≥ 1}
+ * - zOrientation: "up" | "down"; units: a UNIT_SYSTEMS value; groupMode: a GROUP_MODES value
+ * - gridAtPedestalFaces, compressionOnly: booleans; fileName: string
+ * - plateMaterial, pedestalMaterial: {preset, name, E, poisson, density, alpha, damp, G, fcu}
+ * - points: pedestals {id, x, z, length, width, shape?, rotation?, loads?}, with
+ *   unique positive integer IDs, centres on the plate and loads keyed by load case ID
+ * - outline: null or ≥ 3 vertices {x, z}; openings: {id, points} with ≥ 3 vertices
+ * - supportType: a SUPPORT_TYPES value; subgradeModulus: number ≥ 0 (kN/m³)
+ * - loadCases: {id, name}; loadCombinations: {id, name, factors} with factors keyed
+ *   by load case ID; all load IDs unique positive integers
+ *
+ * Version 2 had no refinement, and version 1 no meshMode or minStrip either.
+ * Files without a version are version 0, written before the format was
+ * versioned. Older files are migrated on reading.
+ */
+export const PROJECT_FILE_VERSION = 3;
+
+// The view settings saved with a project
+const VIEW_KEYS = ["showMomentGroup", "showOneWayShear", "showTwoWayShear"];
+
+// Fields every version 0 file has; later fields default when missing
+const V0_REQUIRED = ["length", "width", "mesh", "pedestalHeight", "plateThickness", "zOrientation", "points"];
+
+// Fields added after version 1, filled by their own migrations
+const LATER_FIELDS = ["meshMode", "minStrip", "refinement"];
+
+/**
+ * Migrations from each older version to the next: MIGRATIONS[n] turns a
+ * version n file into a version n + 1 file.
+ */
+const MIGRATIONS = {
+  0: (file) => {
+    const filled = Object.fromEntries(
+      Object.entries(DEFAULT_PROJECT).filter(
+        ([key]) => !V0_REQUIRED.includes(key) && !LATER_FIELDS.includes(key) && file[key] === undefined
+      )
+    );
+    return { ...file, ...filled, version: 1 };
+  },
+  // Earlier files were meshed stepping from each cut, with no minimum strip
+  1: (file) => ({ meshMode: "remainder", minStrip: 0, ...file, version: 2 }),
+  2: (file) => ({ refinement: DEFAULT_REFINEMENT, ...file, version: 3 }),
+};
+
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isPositiveInteger = (v) => Number.isInteger(v) && v > 0;
+
+// Checks a number field, adding a problem when it is missing or out of range
+const checkNumber = (errors, value, label, { min = -Infinity, exclusive = false } = {}) => {
+  if (!isNumber(value)) {
+    errors.push(`${label} must be a number (got ${JSON.stringify(value)})`);
+  } else if (exclusive ? value <= min : value < min) {
+    errors.push(`${label} must be ${exclusive ? "greater than" : "at least"} ${min} (got ${value})`);
+  }
+};
+
+const checkChoice = (errors, value, label, choices) => {
+  if (!choices.includes(value)) errors.push(`${label} must be one of ${choices.join(", ")} (got ${JSON.stringify(value)})`);
+};
+
+const checkPolygon = (errors, polygon, label) => {
+  if (!Array.isArray(polygon) || polygon.length < 3) {
+    errors.push(`${label} must be a list of at least 3 vertices`);
+    return;
+  }
+  polygon.forEach((v, i) => {
+    if (!isObject(v) || !isNumber(v.x) || !isNumber(v.z)) errors.push(`${label} vertex ${i + 1} must have numeric x and z`);
+  });
+};
+
+const checkMaterial = (errors, material, label) => {
+  if (!isObject(material)) {
+    errors.push(`${label} must be an object`);
+    return;
+  }
+  if (typeof material.name !== "string") errors.push(`${label}.name must be a string`);
+  checkNumber(errors, material.E, `${label}.E`, { min: 0, exclusive: true });
+  checkNumber(errors, material.G, `${label}.G`, { min: 0, exclusive: true });
+  checkNumber(errors, material.poisson, `${label}.poisson`, { min: 0 });
+  if (isNumber(material.poisson) && material.poisson >= 0.5) errors.push(`${label}.poisson must be below 0.5`);
+  ["density", "alpha", "damp", "fcu"].forEach((key) => checkNumber(errors, material[key], `${label}.${key}`, { min: 0 }));
+};
+
+const checkRefinement = (errors, refinement) => {
+  if (!isObject(refinement)) {
+    errors.push("refinement must be an object");
+    return;
+  }
+  if (typeof refinement.enabled !== "boolean") errors.push("refinement.enabled must be true or false");
+  checkNumber(errors, refinement.radius, "refinement.radius", { min: 0 });
+  checkNumber(errors, refinement.mesh, "refinement.mesh", { min: 0, exclusive: true });
+  checkNumber(errors, refinement.growth, "refinement.growth", { min: 1 });
+};
+
+// Checks the load IDs of load cases and combinations, shared in one sequence
+const checkLoads = (errors, { loadCases, loadCombinations }) => {
+  const ids = new Set();
+  const checkId = (id, label) => {
+    if (!isPositiveInteger(id)) errors.push(`${label} must have a positive integer id (got ${JSON.stringify(id)})`);
+    else if (ids.has(id)) errors.push(`${label}: load number ${id} is used more than once`);
+    else ids.add(id);
+  };
+  if (!Array.isArray(loadCases)) errors.push("loadCases must be a list");
+  if (!Array.isArray(loadCombinations)) errors.push("loadCombinations must be a list");
+  if (!Array.isArray(loadCases) || !Array.isArray(loadCombinations)) return new Set();
+
+  loadCases.forEach((c, i) => {
+    const label = `Load case ${i + 1}`;
+    if (!isObject(c)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    checkId(c.id, label);
+    if (typeof c.name !== "string") errors.push(`${label}.name must be a string`);
+  });
+  const caseIds = new Set(ids);
+  loadCombinations.forEach((c, i) => {
+    const label = `Load combination ${i + 1}`;
+    if (!isObject(c)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    checkId(c.id, label);
+    if (typeof c.name !== "string") errors.push(`${label}.name must be a string`);
+    if (!isObject(c.factors)) {
+      errors.push(`${label}.factors must be an object`);
+      return;
+    }
+    Object.entries(c.factors).forEach(([caseId, factor]) => {
+      if (!caseIds.has(Number(caseId))) errors.push(`${label} refers to unknown load case ${caseId}`);
+      checkNumber(errors, factor, `${label} factor of case ${caseId}`);
+    });
+  });
+  return caseIds;
+};
+
+const checkPedestals = (errors, project, caseIds) => {
+  const { points, length, width, outline } = project;
+  if (!Array.isArray(points)) {
+    errors.push("points must be a list of pedestals");
+    return;
+  }
+  const ids = new Set();
+  const shapes = PEDESTAL_SHAPES.map((s) => s.value);
+  const onPlate = isNumber(length) && isNumber(width);
+  points.forEach((p, i) => {
+    if (!isObject(p)) {
+      errors.push(`Pedestal ${i + 1} must be an object`);
+      return;
+    }
+    const label = isPositiveInteger(p.id) ? `Pedestal P${p.id}` : `Pedestal ${i + 1}`;
+    if (!isPositiveInteger(p.id)) errors.push(`${label} must have a positive integer id (got ${JSON.stringify(p.id)})`);
+    else if (ids.has(p.id)) errors.push(`${label}: id ${p.id} is used by more than one pedestal`);
+    else ids.add(p.id);
+    checkNumber(errors, p.x, `${label} x`);
+    checkNumber(errors, p.z, `${label} z`);
+    checkNumber(errors, p.length, `${label} length`, { min: 0, exclusive: true });
+    checkNumber(errors, p.width, `${label} width`, { min: 0, exclusive: true });
+    if (p.shape !== undefined) checkChoice(errors, p.shape, `${label} shape`, shapes);
+    if (p.rotation !== undefined) checkNumber(errors, p.rotation, `${label} rotation`);
+    if (onPlate && isNumber(p.x) && isNumber(p.z)) {
+      if (p.x < 0 || p.x > length || p.z < 0 || p.z > width) {
+        errors.push(`${label} at (${p.x}, ${p.z}) is outside the ${length} × ${width} plate`);
+      } else if (Array.isArray(outline) && outline.length >= 3 && !pointInPolygon(p.x, p.z, outline)) {
+        errors.push(`${label} at (${p.x}, ${p.z}) is outside the plate outline`);
+      }
+    }
+    if (p.loads !== undefined) {
+      if (!isObject(p.loads)) {
+        errors.push(`${label} loads must be an object`);
+        return;
+      }
+      Object.entries(p.loads).forEach(([caseId, load]) => {
+        if (!caseIds.has(Number(caseId))) errors.push(`${label} has loads for unknown load case ${caseId}`);
+        if (!isObject(load)) {
+          errors.push(`${label} loads of case ${caseId} must be an object`);
+          return;
+        }
+        LOAD_COMPONENTS.filter((c) => c in load).forEach((c) =>
+          checkNumber(errors, load[c], `${label} ${c.toUpperCase()} in case ${caseId}`)
+        );
+      });
+    }
+  });
+};
+
+/**
+ * Validates a project in the current file format and lists every problem.
+ * @param {object} file - The project file contents (version PROJECT_FILE_VERSION).
+ * @returns {string[]} - The problems, empty when the project is valid.
+ */
+export const validateProject = (file) => {
+  const errors = [];
+  if (!isObject(file)) return ["The file does not contain a project object"];
+
+  Object.keys(DEFAULT_PROJECT)
+    .filter((key) => file[key] === undefined)
+    .forEach((key) => errors.push(`${key} is missing`));
+
+  ["length", "width", "mesh", "plateThickness"]
+    .filter((key) => file[key] !== undefined)
+    .forEach((key) => checkNumber(errors, file[key], key, { min: 0, exclusive: true }));
+  if (file.pedestalHeight !== undefined) checkNumber(errors, file.pedestalHeight, "pedestalHeight", { min: 0 });
+  if (file.minStrip !== undefined) checkNumber(errors, file.minStrip, "minStrip", { min: 0 });
+  if (file.meshMode !== undefined) checkChoice(errors, file.meshMode, "meshMode", MESH_MODES.map((m) => m.value));
+  if (file.refinement !== undefined) checkRefinement(errors, file.refinement);
+  if (file.subgradeModulus !== undefined) checkNumber(errors, file.subgradeModulus, "subgradeModulus", { min: 0 });
+  if (file.zOrientation !== undefined) checkChoice(errors, file.zOrientation, "zOrientation", ["up", "down"]);
+  if (file.units !== undefined) checkChoice(errors, file.units, "units", UNIT_SYSTEMS.map((u) => u.value));
+  if (file.groupMode !== undefined) checkChoice(errors, file.groupMode, "groupMode", GROUP_MODES.map((m) => m.value));
+  if (file.supportType !== undefined) checkChoice(errors, file.supportType, "supportType", SUPPORT_TYPES);
+  ["gridAtPedestalFaces", "compressionOnly"]
+    .filter((key) => file[key] !== undefined && typeof file[key] !== "boolean")
+    .forEach((key) => errors.push(`${key} must be true or false`));
+  if (file.fileName !== undefined && typeof file.fileName !== "string") errors.push("fileName must be a string");
+  if (file.plateMaterial !== undefined) checkMaterial(errors, file.plateMaterial, "plateMaterial");
+  if (file.pedestalMaterial !== undefined) checkMaterial(errors, file.pedestalMaterial, "pedestalMaterial");
+
+  if (file.outline !== undefined && file.outline !== null) checkPolygon(errors, file.outline, "outline");
+  if (file.openings !== undefined) {
+    if (!Array.isArray(file.openings)) errors.push("openings must be a list");
+    else file.openings.forEach((o, i) => checkPolygon(errors, o?.points, `Opening ${i + 1}`));
+  }
+
+  const caseIds = checkLoads(errors, {
+    loadCases: file.loadCases ?? [],
+    loadCombinations: file.loadCombinations ?? [],
+  });
+  if (file.points !== undefined) checkPedestals(errors, file, caseIds);
+  return errors;
+};
+
+/**
+ * Brings a project file of any known version up to the current version.
+ * @param {object} file - The parsed file.
+ * @returns {{file: object|null, errors: string[]}} - The migrated file, or the reason it cannot be read.
+ */
+export const migrateProjectFile = (file) => {
+  if (!isObject(file)) return { file: null, errors: ["The file does not contain a project object"] };
+  let version = file.version ?? 0;
+  if (!Number.isInteger(version) || version < 0) {
+    return { file: null, errors: [`version must be a whole number (got ${JSON.stringify(file.version)})`] };
+  }
+  if (version > PROJECT_FILE_VERSION) {
+    return {
+      file: null,
+      errors: [`The file is version ${version}, newer than this editor supports (${PROJECT_FILE_VERSION}); please update`],
+    };
+  }
+  const errors = [];
+  if (version === 0) {
+    V0_REQUIRED.filter((key) => file[key] === undefined).forEach((key) => errors.push(`${key} is missing`));
+    if (errors.length > 0) return { file: null, errors };
+  }
+  let migrated = file;
+  while (version < PROJECT_FILE_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version++;
+  }
+  return { file: migrated, errors };
+};
+
+/**
+ * Reads a project file: migrates it to the current version and validates it.
+ * Nothing should be applied when errors are returned.
+ * @param {object} raw - The parsed JSON.
+ * @returns {{project: object|null, view: object, errors: string[]}} - The project fields, the saved view settings and every problem found.
+ */
+export const readProjectFile = (raw) => {
+  const { file, errors } = migrateProjectFile(raw);
+  if (!file) return { project: null, view: {}, errors };
+  const problems = validateProject(file);
+  if (problems.length > 0) return { project: null, view: {}, errors: problems };
+
+  const project = Object.fromEntries(Object.keys(DEFAULT_PROJECT).map((key) => [key, file[key]]));
+  const view = Object.fromEntries(VIEW_KEYS.filter((key) => typeof file[key] === "boolean").map((key) => [key, file[key]]));
+  return { project, view, errors: [] };
+};
+
+/**
+ * Builds the contents of a project file in the current version.
+ * @param {object} project - The project (every field of DEFAULT_PROJECT).
+ * @param {object} [view={}] - The view settings to save with it.
+ * @returns {object} - The file contents, ready for JSON.stringify.
+ */
+export const writeProjectFile = (project, view = {}) => ({
+  version: PROJECT_FILE_VERSION,
+  ...Object.fromEntries(Object.keys(DEFAULT_PROJECT).map((key) => [key, project[key]])),
+  ...Object.fromEntries(VIEW_KEYS.filter((key) => key in view).map((key) => [key, view[key]])),
+});
@@ -0,0 +1,119 @@
+import { shapeCuts } from "./outline.js";
+import { pedestalFootprint } from "./pedestals.js";
+
+/**
+ * Default snapping settings: round to `increment` (metres), and snap to the
+ * nearest mesh line, another pedestal's X or Z, or a plate edge when one is
+ * within the snap tolerance.
+ */
+export const DEFAULT_SNAP = {
+  enabled: true,
+  increment: 0.05,
+  toMesh: true,
+  toPedestals: true,
+  toEdges: true,
+};
+
+// Snap targets of the same distance are preferred in this order
+const KIND_PRIORITY = { pedestal: 0, edge: 1, mesh: 2 };
+
+// Removes the rounding noise of multiplying by the increment
+const tidy = (v) => Number(v.toFixed(9));
+
+// Half the size of a pedestal's footprint along X and Z (a pedestal being
+// placed has no position yet)
+const halfExtents = (p) => {
+  const footprint = pedestalFootprint({ ...p, x: 0, z: 0 });
+  const xs = footprint.map((v) => v.x);
+  const zs = footprint.map((v) => v.z);
+  return { x: (Math.max(...xs) - Math.min(...xs)) / 2, z: (Math.max(...zs) - Math.min(...zs)) / 2 };
+};
+
+/**
+ * Lists the values a pedestal centre can snap to along one axis: the other
+ * pedestals' centres, the plate edges (centre on the edge or a face flush
+ * with it) and the grid lines of the mesh.
+ * @param {"x"|"z"} axis - The axis.
+ * @param {object} params
+ * @param {object} params.point - The pedestal being placed (for its size and ID).
+ * @param {object[]} params.points - All pedestals.
+ * @param {number} params.size - The plate size along the axis.
+ * @param {number[]} [params.edges=[]] - The outline and opening vertex coordinates along the axis, besides 0 and `size`.
+ * @param {number[]} [params.lines=[]] - The grid lines along the axis, see computeGridLines.
+ * @param {object} params.settings - The snapping settings, see DEFAULT_SNAP.
+ * @returns {{value: number, kind: string}[]} - The candidates.
+ */
+export const snapCandidates = (axis, { point, points, size, edges = [], lines = [], settings }) => {
+  const candidates = [];
+  if (settings.toPedestals) {
+    points.filter((p) => p.id !== point.id).forEach((p) => candidates.push({ value: p[axis], kind: "pedestal" }));
+  }
+  if (settings.toEdges) {
+    const half = halfExtents(point)[axis];
+    new Set([0, size, ...edges]).forEach((edge) =>
+      [edge - half, edge, edge + half].forEach((v) => candidates.push({ value: tidy(v), kind: "edge" }))
+    );
+  }
+  if (settings.toMesh) {
+    lines.forEach((v) => candidates.push({ value: tidy(v), kind: "mesh" }));
+  }
+  return candidates.filter((c) => c.value >= 0 && c.value <= size);
+};
+
+/**
+ * Snaps a pedestal position. On each axis the closest target within the
+ * tolerance wins (pedestals before edges before mesh lines at equal
+ * distance); otherwise the value is rounded to the snap increment.
+ * @param {number} x - The unsnapped X coordinate.
+ * @param {number} z - The unsnapped Z coordinate.
+ * @param {object} params
+ * @param {object} params.point - The pedestal being placed (for its size and ID).
+ * @param {object[]} params.points - All pedestals.
+ * @param {number} params.length - The plate length along X.
+ * @param {number} params.width - The plate width along Z.
+ * @param {object[]|null} [params.outline] - The resolved plate outline, see resolveShape.
+ * @param {object[]} [params.openings=[]] - The resolved openings.
+ * @param {number[]} [params.xLines=[]] - The grid lines along X, best computed without the pedestals being placed.
+ * @param {number[]} [params.zLines=[]] - The grid lines along Z.
+ * @param {object} params.settings - The snapping settings, see DEFAULT_SNAP.
+ * @param {number} params.tolerance - The snap distance in metres.
+ * @returns {{x: number, z: number, guides: {axis: string, value: number, kind: string}[]}} - The snapped position and the alignments found.
+ */
+export const snapPosition = (
+  x,
+  z,
+  { point, points, length, width, outline = null, openings = [], xLines = [], zLines = [], settings, tolerance }
+) => {
+  const clampTo = (v, size) => Math.min(Math.max(v, 0), size);
+  if (!settings.enabled) return { x: clampTo(x, length), z: clampTo(z, width), guides: [] };
+
+  // Axis-aligned outline and opening edges lie on their vertex coordinates
+  const edges = shapeCuts(outline, openings);
+  const guides = [];
+  const snapAxis = (axis, value, size, lines) => {
+    const best = snapCandidates(axis, { point, points, size, edges: edges[`${axis}s`], lines, settings })
+      .map((c) => ({ ...c, distance: Math.abs(c.value - value) }))
+      .filter((c) => c.distance <= tolerance)
+      .sort((a, b) => a.distance - b.distance || KIND_PRIORITY[a.kind] - KIND_PRIORITY[b.kind])[0];
+    if (best) {
+      if (best.kind !== "mesh") guides.push({ axis, value: best.value, kind: best.kind });
+      return best.value;
+    }
+    const increment = settings.increment > 0 ? settings.increment : 0;
+    return clampTo(increment ? tidy(Math.round(value / increment) * increment) : value, size);
+  };
+
+  return { x: snapAxis("x", x, length, xLines), z: snapAxis("z", z, width, zLines), guides };
+};
+
+/**
+ * Finds the pedestal nearest to another one.
+ * @param {object} point - The pedestal.
+ * @param {object[]} points - All pedestals.
+ * @returns {{point: object, dx: number, dz: number, distance: number}|null} - The neighbour and the centre-to-centre offsets, or null when alone.
+ */
+export const nearestNeighbour = (point, points) =>
+  points
+    .filter((p) => p.id !== point.id)
+    .map((p) => ({ point: p, dx: p.x - point.x, dz: p.z - point.z, distance: Math.hypot(p.x - point.x, p.z - point.z) }))
+    .sort((a, b) => a.distance - b.distance)[0] || null;
@@ -0,0 +1,160 @@
+import { format } from "date-fns";
+import { round3 } from "../utils.js";
+import { formatGroupLines, packRecords } from "./staadFormat.js";
+import { buildSupportLines } from "./supports.js";
+import { buildLoadLines } from "./loads.js";
+import { isCircular, pedestalRotation } from "./pedestals.js";
+import { buildMaterialLines } from "./materials.js";
+import { modelToUnits, roundLength, unitSystemOf } from "./units.js";
+
+/**
+ * Numbers the pedestal members after the last plate, so plates and members
+ * share one sequence of element IDs.
+ * @param {object[]} plates - The model plates.
+ * @param {object[]} members - The pedestal members.
+ * @returns {Map<number, number>} - The member ID of each pedestal, keyed by pedestal ID.
+ */
+export const memberElementIds = (plates, members) => {
+  const lastPlateId = plates.length > 0 ? plates[plates.length - 1].id : 0;
+  return new Map(members.map((m, i) => [m.pointData.id, lastPlateId + 1 + i]));
+};
+
+/**
+ * Builds the STAAD input file for the model.
+ * @param {object} params
+ * @param {object[]} params.nodes - The model nodes.
+ * @param {object[]} params.plates - The model plates.
+ * @param {object[]} params.members - The pedestal members.
+ * @param {number} params.plateThickness - The plate thickness.
+ * @param {number[]} params.groupedPlates - The combined moment group.
+ * @param {number[]} params.shearPlates - The combined one-way shear group.
+ * @param {number[]} params.twoWayShearPlates - The combined two-way shear group.
+ * @param {object[]} [params.points=[]] - The pedestals.
+ * @param {object[]} [params.pedestalGroups=[]] - The per-pedestal plate sets, see computePedestalGroups.
+ * @param {string} [params.groupMode="combined"] - "combined", "perPedestal" or "both", see GROUP_MODES.
+ * @param {object} [params.plateMaterial] - The mat material, see buildMaterialLines.
+ * @param {object} [params.pedestalMaterial] - The pedestal material, see buildMaterialLines.
+ * @param {object} [params.supports] - The support settings, see buildSupportLines.
+ * @param {object[]} [params.loadCases] - The load cases, see buildLoadLines.
+ * @param {object[]} [params.loadCombinations] - The load combinations, see buildLoadLines.
+ * @param {string} [params.units="m-kN"] - The unit system written to the file, see UNIT_SYSTEMS.
+ * @param {Date} [params.date=new Date()] - The date written to the job information.
+ * @returns {string} - The .STD file contents.
+ */
+export const buildStaadText = ({ units = "m-kN", ...model }) => {
+  // Everything is built in metres and kN, and written in the project units
+  const system = unitSystemOf(units);
+  const length = (v) => roundLength(v, system);
+  const {
+    nodes,
+    plates,
+    members,
+    plateThickness,
+    groupedPlates,
+    shearPlates,
+    twoWayShearPlates,
+    points,
+    pedestalGroups = [],
+    groupMode = "combined",
+    plateMaterial,
+    pedestalMaterial,
+    supports,
+    loadCases,
+    loadCombinations,
+    date = new Date(),
+  } = { ...model, ...modelToUnits(model, system) };
+  const lines = [];
+  const formattedDate = format(date, 'dd-MMM-yy');
+  lines.push("STAAD SPACE");
+  lines.push("START JOB INFORMATION");
+  lines.push("ENGINEER DATE " + formattedDate);
+  lines.push("END JOB INFORMATION");
+  lines.push("INPUT WIDTH 79");
+  lines.push(`UNIT ${system.staad}`);
+
+  lines.push("JOINT COORDINATES");
+  lines.push(...packRecords(nodes.map((n) => `${n.id} ${length(n.x)} ${length(n.y)} ${length(n.z)}`)));
+
+  lines.push("ELEMENT INCIDENCES SHELL");
+  lines.push(...packRecords(plates.map((p) => `${p.id} ${p.nodes.join(" ")}`)));
+
+  const memberIdMap = memberElementIds(plates, members);
+
+  const groupLines = [];
+  if (groupMode !== "perPedestal") {
+    groupLines.push(...formatGroupLines("MOMENT", groupedPlates));
+    groupLines.push(...formatGroupLines("1_WAY_SHEAR", shearPlates));
+    groupLines.push(...formatGroupLines("2_WAY_SHEAR", twoWayShearPlates));
+  }
+  if (groupMode !== "combined") {
+    pedestalGroups.forEach((g) => {
+      groupLines.push(...formatGroupLines(`P${g.point.id}_MOMENT`, g.moment));
+      groupLines.push(...formatGroupLines(`P${g.point.id}_1_WAY_SHEAR`, g.oneWayShear));
+      groupLines.push(...formatGroupLines(`P${g.point.id}_2_WAY_SHEAR`, g.twoWayShear));
+    });
+  }
+  const pedestalMemberLines = groupMode !== "combined" ? formatGroupLines("PEDESTALS", Array.from(memberIdMap.values())) : [];
+  if (groupLines.length > 0 || pedestalMemberLines.length > 0) {
+    lines.push("START GROUP DEFINITION");
+    if (pedestalMemberLines.length > 0) {
+      lines.push("MEMBER");
+      lines.push(...pedestalMemberLines);
+    }
+    if (groupLines.length > 0) {
+      lines.push("ELEMENT");
+      lines.push(...groupLines);
+    }
+    lines.push("END GROUP DEFINITION");
+  }
+
+  // Add plate properties
+  if (plates.length > 0) {
+    lines.push("ELEMENT PROPERTY");
+    lines.push(`1 TO ${plates.length} THICKNESS ${length(plateThickness)};`);
+  }
+
+  if (members.length > 0) {
+    lines.push("MEMBER INCIDENCES");
+    members.forEach((m) => {
+      lines.push(`${memberIdMap.get(m.pointData.id)} ${m.startNode} ${m.endNode};`);
+    });
+  }
+
+  const { definition, assignments } = buildMaterialLines({
+    plates,
+    memberIds: Array.from(memberIdMap.values()),
+    plateMaterial,
+    pedestalMaterial,
+  });
+  lines.push(...definition);
+  if (assignments.length > 0) {
+    lines.push("CONSTANTS");
+    // Rotated pedestals turn their member about its axis by the BETA angle
+    members.forEach((m) => {
+      const beta = round3(pedestalRotation(m.pointData));
+      if (beta !== 0) lines.push(`BETA ${beta} MEMB ${memberIdMap.get(m.pointData.id)}`);
+    });
+    lines.push(...assignments);
+  }
+
+  if (members.length > 0) {
+    lines.push("MEMBER PROPERTY");
+    // Use the pointData linked to each member to get its dimensions;
+    // a PRISM with YD only is circular with diameter YD
+    members.forEach((m) => {
+      const memberId = memberIdMap.get(m.pointData.id);
+      if (!memberId) return;
+      if (isCircular(m.pointData)) {
+        lines.push(`${memberId} PRISM YD ${length(m.pointData.length)};`);
+      } else {
+        lines.push(`${memberId} PRISM YD ${length(m.pointData.length)} ZD ${length(m.pointData.width)};`);
+      }
+    });
+  }
+
+  lines.push(...buildSupportLines({ nodes, plates, members, points, supports }));
+  lines.push(...buildLoadLines({ nodes, members, points, loadCases, loadCombinations }));
+
+  lines.push("FINISH");
+  return lines.join("\n");
+};
@@ -0,0 +1,105 @@
+/**
+ * Formats a STAAD group definition, wrapping the IDs with a trailing " -"
+ * continuation once a line would exceed 60 characters.
+ * @param {string} groupName - The group name, without the leading underscore.
+ * @param {number[]} ids - The IDs in the group.
+ * @returns {string[]} - The formatted lines (empty when there are no IDs).
+ */
+export const formatGroupLines = (groupName, ids) => {
+  const lines = [];
+  const charLimit = 60; // STAAD's default line width is 79, but groups are indented
+  let currentLine = `_` + groupName.toUpperCase();
+  for (const id of ids) {
+    const idStr = String(id);
+    const potentialNextLine = currentLine + " " + idStr;
+    if (potentialNextLine.length > charLimit) {
+      lines.push(currentLine + " -");
+      currentLine = idStr;
+    } else {
+      currentLine = potentialNextLine;
+    }
+  }
+  if (currentLine !== `_` + groupName.toUpperCase()) {
+    lines.push(currentLine);
+  }
+  return lines;
+};
+
+/**
+ * Packs records onto lines of at most 74 characters, separated by "; ".
+ * @param {string[]} records - The records to pack.
+ * @returns {string[]} - The packed lines, each terminated by ";".
+ */
+export const packRecords = (records) => {
+  const lines = [];
+  const charLimit = 74;
+  let currentLine = '';
+  records.forEach((record) => {
+    if (currentLine === '') {
+      currentLine = record;
+    } else if ((currentLine + '; ' + record).length <= charLimit) {
+      currentLine += '; ' + record;
+    } else {
+      lines.push(currentLine + ';');
+      currentLine = record;
+    }
+  });
+  if (currentLine !== '') {
+    lines.push(currentLine + ';');
+  }
+  return lines;
+};
+
+/**
+ * Compresses a list of IDs into STAAD list syntax, e.g. [1, 2, 3, 7] -> "1 TO 3 7".
+ * @param {number[]} ids - The IDs.
+ * @returns {string} - The STAAD ID list.
+ */
+export const formatIdList = (ids) => {
+  const sorted = Array.from(new Set(ids)).sort((a, b) => a - b);
+  const parts = [];
+  for (let i = 0; i < sorted.length; i++) {
+    let j = i;
+    while (j + 1 < sorted.length && sorted[j + 1] === sorted[j] + 1) j++;
+    if (j - i >= 2) {
+      parts.push(`${sorted[i]} TO ${sorted[j]}`);
+    } else {
+      for (let k = i; k <= j; k++) parts.push(String(sorted[k]));
+    }
+    i = j;
+  }
+  return parts.join(" ");
+};
+
+/**
+ * Wraps a long STAAD command onto several lines, ending each broken line with
+ * the " -" continuation. Words (and "n TO m" ranges) are never split.
+ * @param {string} text - The command.
+ * @param {number} [charLimit=74] - The maximum line length.
+ * @returns {string[]} - The wrapped lines.
+ */
+export const wrapCommand = (text, charLimit = 74) => {
+  const lines = [];
+  const words = text.split(" ").reduce((acc, word) => {
+    // Keep "n TO m" together
+    if (acc.length >= 2 && acc[acc.length - 1] === "TO") {
+      acc.splice(acc.length - 2, 2, `${acc[acc.length - 2]} TO ${word}`);
+    } else {
+      acc.push(word);
+    }
+    return acc;
+  }, []);
+  let currentLine = '';
+  words.forEach((word) => {
+    if (currentLine === '') {
+      currentLine = word;
+    } else if ((currentLine + ' ' + word).length <= charLimit - 2) {
+      currentLine += ' ' + word;
+    } else {
+      lines.push(currentLine + ' -');
+      currentLine = word;
+    }
+  });
+  if (currentLine !== '') lines.push(currentLine);
+  return lines;
+};
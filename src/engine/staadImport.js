@@ -0,0 +1,648 @@
+import { round3 } from "../utils.js";
+import { DEFAULT_PROJECT } from "./project.js";
+import { computeTributaryAreas } from "./supports.js";
+import { LOAD_COMPONENTS } from "./loads.js";
+import { signedArea2, traceCellBoundaries } from "./outline.js";
+import { pedestalGroupExtents } from "./groups.js";
+import { isAxisAligned } from "./pedestals.js";
+import { DEFAULT_MATERIAL, matchMaterialPreset } from "./materials.js";
+import { DIMENSIONS, findUnitSystem, fromUnits, materialToUnits, parseStaadUnit, projectToUnits, tidyProject, toUnits } from "./units.js";
+
+// Commands the exporter writes that carry nothing the editor needs back;
+// they are skipped without a warning.
+const REGENERATED_COMMANDS = [
+  "STAAD",
+  "INPUT",
+  "FINISH",
+  "CONSTANTS",
+  "START JOB INFORMATION",
+  "ENGINEER",
+  "END JOB INFORMATION",
+  "PERFORM ANALYSIS",
+];
+
+// Blocks whose contents are regenerated by the editor.
+const SKIPPED_BLOCKS = [
+  { start: "START GROUP DEFINITION", end: "END GROUP DEFINITION" },
+];
+
+// Material constants read from the DEFINE MATERIAL block
+const MATERIAL_KEYWORDS = {
+  E: "E",
+  POISSON: "poisson",
+  DENSITY: "density",
+  ALPHA: "alpha",
+  DAMP: "damp",
+  G: "G",
+};
+
+const DATA_BLOCKS = {
+  "JOINT COORDINATES": "joints",
+  "ELEMENT INCIDENCES": "plates",
+  "MEMBER INCIDENCES": "members",
+  "MEMBER PROPERTY": "memberProperty",
+  "ELEMENT PROPERTY": "elementProperty",
+  "SUPPORTS": "supports",
+  "SPRING COMPRESSION": "springCompression",
+  "JOINT LOAD": "jointLoads",
+};
+
+const isNumber = (token) => token !== "" && !Number.isNaN(Number(token));
+
+/**
+ * Splits STAAD input into statements: comments ("*") are dropped, lines
+ * ending in " -" are joined with the next one, and ";" separates records.
+ * @param {string} text - The .STD file contents.
+ * @returns {{tokens: string[], line: number}[]} - The statements with their source line.
+ */
+export const tokenizeStaad = (text) => {
+  const statements = [];
+  let pending = "";
+  let pendingLine = 0;
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const trimmed = raw.trim();
+    if (trimmed.startsWith("*")) return;
+    if (pending === "") pendingLine = index + 1;
+    if (/\s-$/.test(trimmed) || trimmed === "-") {
+      pending += " " + trimmed.slice(0, -1);
+      return;
+    }
+    const full = pending + " " + trimmed;
+    pending = "";
+    full.split(";").forEach((record) => {
+      const tokens = record.trim().toUpperCase().split(/\s+/).filter(Boolean);
+      if (tokens.length > 0) statements.push({ tokens, line: pendingLine });
+    });
+  });
+  return statements;
+};
+
+/**
+ * Reads a STAAD ID list ("1 2 5 TO 9") from the start of the tokens.
+ * @param {string[]} tokens - The statement tokens.
+ * @returns {{ids: number[], rest: string[]}} - The IDs and the tokens after the list.
+ */
+export const parseIdList = (tokens) => {
+  const ids = [];
+  let i = 0;
+  while (i < tokens.length) {
+    if (isNumber(tokens[i])) {
+      ids.push(Number(tokens[i]));
+      i++;
+    } else if (tokens[i] === "TO" && ids.length > 0 && isNumber(tokens[i + 1])) {
+      const from = ids[ids.length - 1];
+      const to = Number(tokens[i + 1]);
+      for (let id = from + 1; id <= to; id++) ids.push(id);
+      i += 2;
+    } else {
+      break;
+    }
+  }
+  return { ids, rest: tokens.slice(i) };
+};
+
+const startsWith = (tokens, phrase) => {
+  const words = phrase.split(" ");
+  return words.every((w, i) => tokens[i] === w);
+};
+
+const keywordValue = (tokens, keyword) => {
+  const i = tokens.indexOf(keyword);
+  return i >= 0 && isNumber(tokens[i + 1]) ? Number(tokens[i + 1]) : null;
+};
+
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.forEach((v) => counts.set(v, (counts.get(v) || 0) + 1));
+  let best = null;
+  let bestCount = 0;
+  counts.forEach((count, v) => {
+    if (count > bestCount) {
+      best = v;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+/**
+ * Reads the blocks of a STAAD file into raw tables.
+ * @param {string} text - The .STD file contents.
+ * @returns {object} - {joints, plates, members, prisms, betas, groups, materials, materialAssignments,
+ *   thicknesses, supports, springCompression, loadCases, loadCombinations, units, warnings}
+ */
+export const readStaadTables = (text) => {
+  const joints = new Map();
+  const plates = new Map();
+  const members = new Map();
+  const prisms = new Map();
+  const betas = new Map();
+  // Group name -> IDs, e.g. "_P7_MOMENT" -> plate IDs
+  const groups = new Map();
+  const materials = new Map();
+  const materialAssignments = [];
+  let inMaterials = false;
+  let material = null;
+  const thicknesses = new Map();
+  const supports = [];
+  let springCompression = false;
+  const loadCases = [];
+  const loadCombinations = [];
+  const warnings = [];
+  let units = { lengthFactor: 1, forceFactor: 1 };
+  let unitSeen = false;
+  let block = null;
+  let skipUntil = null;
+
+  tokenizeStaad(text).forEach(({ tokens, line }) => {
+    if (skipUntil) {
+      if (startsWith(tokens, skipUntil)) skipUntil = null;
+      else if (tokens[0].startsWith("_")) groups.set(tokens[0], parseIdList(tokens.slice(1)).ids);
+      return;
+    }
+
+    if (inMaterials) {
+      const key = MATERIAL_KEYWORDS[tokens[0]];
+      if (startsWith(tokens, "END DEFINE MATERIAL")) {
+        inMaterials = false;
+      } else if (tokens[0] === "ISOTROPIC" && tokens[1]) {
+        material = { name: tokens[1] };
+        materials.set(tokens[1], material);
+      } else if (material && key && isNumber(tokens[1])) {
+        material[key] = Number(tokens[1]);
+      } else if (material && startsWith(tokens, "STRENGTH FCU") && isNumber(tokens[2])) {
+        material.fcu = Number(tokens[2]);
+      } else if (tokens[0] !== "TYPE") {
+        warnings.push(`Line ${line}: unsupported material data, skipped "${tokens.join(" ")}"`);
+      }
+      return;
+    }
+
+    if (!isNumber(tokens[0])) {
+      block = null;
+      const skipped = SKIPPED_BLOCKS.find((b) => startsWith(tokens, b.start));
+      const dataBlock = Object.keys(DATA_BLOCKS).find((phrase) => startsWith(tokens, phrase));
+      if (skipped) {
+        skipUntil = skipped.end;
+      } else if (startsWith(tokens, "DEFINE MATERIAL")) {
+        inMaterials = true;
+      } else if (dataBlock) {
+        block = DATA_BLOCKS[dataBlock];
+      } else if (tokens[0] === "UNIT") {
+        const read = parseStaadUnit(tokens.slice(1), units);
+        if (read.unknown.length > 0) {
+          warnings.push(`Line ${line}: unknown unit ${read.unknown.join(" ")} ignored`);
+        }
+        if (unitSeen && (read.lengthFactor !== units.lengthFactor || read.forceFactor !== units.forceFactor)) {
+          warnings.push(`Line ${line}: only the first UNIT command is honoured; "${tokens.join(" ")}" ignored`);
+        } else {
+          units = { lengthFactor: read.lengthFactor, forceFactor: read.forceFactor };
+        }
+        unitSeen = true;
+      } else if (startsWith(tokens, "LOAD COMB") && isNumber(tokens[2])) {
+        loadCombinations.push({ id: Number(tokens[2]), name: tokens.slice(3).join(" "), factors: {} });
+        block = "loadComb";
+      } else if (tokens[0] === "BETA" && isNumber(tokens[1])) {
+        const memb = tokens.indexOf("MEMB");
+        if (memb >= 0) {
+          parseIdList(tokens.slice(memb + 1)).ids.forEach((id) => betas.set(id, Number(tokens[1])));
+        } else {
+          warnings.push(`Line ${line}: only BETA angles given per member are supported, skipped "${tokens.join(" ")}"`);
+        }
+      } else if (tokens[0] === "MATERIAL" && tokens[1]) {
+        if (tokens[2] === "ALL") {
+          materialAssignments.push({ name: tokens[1], ids: null });
+        } else if (tokens[2] === "MEMB") {
+          materialAssignments.push({ name: tokens[1], ids: parseIdList(tokens.slice(3)).ids });
+        } else {
+          warnings.push(`Line ${line}: only MATERIAL ... ALL or MEMB assignments are supported, skipped "${tokens.join(" ")}"`);
+        }
+      } else if (tokens[0] === "LOAD" && isNumber(tokens[1])) {
+        const title = tokens.indexOf("TITLE");
+        const name = title >= 0 ? tokens.slice(title + 1).join(" ") : `LOAD ${tokens[1]}`;
+        loadCases.push({ id: Number(tokens[1]), name, joints: [] });
+      } else if (!REGENERATED_COMMANDS.some((c) => startsWith(tokens, c))) {
+        // Unknown command: report it once and skip the data that follows
+        block = "ignored";
+        warnings.push(`Line ${line}: ignored "${tokens.join(" ")}"`);
+      }
+      return;
+    }
+
+    const values = tokens.map(Number);
+    switch (block) {
+      case "joints":
+        if (tokens.length === 4 && tokens.every(isNumber)) {
+          joints.set(values[0], { x: values[1], y: values[2], z: values[3] });
+        } else {
+          warnings.push(`Line ${line}: unreadable joint "${tokens.join(" ")}"`);
+        }
+        break;
+      case "plates":
+        if (tokens.length === 5 && tokens.every(isNumber)) {
+          plates.set(values[0], values.slice(1));
+        } else {
+          warnings.push(`Line ${line}: only 4-node shells are supported, skipped "${tokens.join(" ")}"`);
+        }
+        break;
+      case "members":
+        if (tokens.length === 3 && tokens.every(isNumber)) {
+          members.set(values[0], { startNode: values[1], endNode: values[2] });
+        } else {
+          warnings.push(`Line ${line}: unreadable member "${tokens.join(" ")}"`);
+        }
+        break;
+      case "memberProperty": {
+        const { ids, rest } = parseIdList(tokens);
+        const yd = keywordValue(rest, "YD");
+        const zd = keywordValue(rest, "ZD");
+        if (rest[0] === "PRISM" && yd !== null) {
+          ids.forEach((id) => prisms.set(id, { yd, zd }));
+        } else {
+          warnings.push(`Line ${line}: only PRISM YD/ZD member properties are supported, skipped "${tokens.join(" ")}"`);
+        }
+        break;
+      }
+      case "elementProperty": {
+        const { ids, rest } = parseIdList(tokens);
+        const t = keywordValue(rest, "THICKNESS");
+        if (t !== null) {
+          ids.forEach((id) => thicknesses.set(id, t));
+        } else {
+          warnings.push(`Line ${line}: unreadable element property "${tokens.join(" ")}"`);
+        }
+        break;
+      }
+      case "supports": {
+        const { ids, rest } = parseIdList(tokens);
+        supports.push({ ids, spec: rest, line });
+        break;
+      }
+      case "springCompression":
+        springCompression = true;
+        break;
+      case "jointLoads": {
+        const loadCase = loadCases[loadCases.length - 1];
+        const { ids, rest } = parseIdList(tokens);
+        const load = {};
+        for (let i = 0; i + 1 < rest.length; i += 2) {
+          const component = rest[i].toLowerCase();
+          if (LOAD_COMPONENTS.includes(component) && isNumber(rest[i + 1])) {
+            load[component] = Number(rest[i + 1]);
+          } else {
+            warnings.push(`Line ${line}: unsupported joint load "${rest[i]} ${rest[i + 1]}" ignored`);
+          }
+        }
+        if (loadCase) {
+          ids.forEach((nodeId) => loadCase.joints.push({ nodeId, load, line }));
+        } else {
+          warnings.push(`Line ${line}: joint load outside a LOAD case ignored`);
+        }
+        break;
+      }
+      case "loadComb": {
+        const combo = loadCombinations[loadCombinations.length - 1];
+        for (let i = 0; i + 1 < values.length; i += 2) combo.factors[values[i]] = values[i + 1];
+        break;
+      }
+      case "ignored":
+        break;
+      default:
+        warnings.push(`Line ${line}: data outside a known block, skipped "${tokens.join(" ")}"`);
+    }
+  });
+
+  return {
+    joints, plates, members, prisms, betas, groups, materials, materialAssignments,
+    thicknesses, supports, springCompression, loadCases, loadCombinations, units, warnings,
+  };
+};
+
+// Maps the SUPPORTS statements back onto the project support settings
+const readSupports = ({ supports, springCompression, joints, plates, units, warnings, project }) => {
+  if (supports.length === 0) return;
+  const spec = (s) => s.spec.join(" ");
+  const mat = supports.find((s) => s.spec[0] === "ELASTIC");
+  const springs = supports.filter((s) => s.spec.includes("KFY"));
+  const fixed = supports.filter((s) => spec(s) === "FIXED");
+
+  if (mat) {
+    project.supportType = "elasticMat";
+    project.compressionOnly = mat.spec.includes("YONLY");
+    project.subgradeModulus = keywordValue(mat.spec, "SUBGRADE") ?? project.subgradeModulus;
+  } else if (springs.length > 0) {
+    project.supportType = "springs";
+    project.compressionOnly = springCompression;
+    // The modulus is the spring stiffness over the node's tributary area
+    const areas = computeTributaryAreas({
+      nodes: Array.from(joints, ([id, j]) => ({ id, ...j })),
+      plates: Array.from(plates, ([id, nodeIds]) => ({ id, nodes: nodeIds })),
+    });
+    const first = springs[0];
+    const area = areas.get(first.ids[0]);
+    const k = keywordValue(first.spec, "KFY");
+    if (area && k !== null) {
+      // Rounded in kN/m³, as the areas carry the precision of the joint coordinates
+      const modulus = Number(fromUnits(k / area, units, DIMENSIONS.unitWeight).toPrecision(6));
+      project.subgradeModulus = toUnits(modulus, units, DIMENSIONS.unitWeight);
+    } else {
+      warnings.push(`Line ${first.line}: could not recover the modulus of subgrade reaction from the springs`);
+    }
+  } else if (fixed.length > 0) {
+    project.supportType = "fixedPedestals";
+  }
+
+  supports
+    .filter((s) => s !== mat && !springs.includes(s) && !fixed.includes(s))
+    .forEach((s) => warnings.push(`Line ${s.line}: unsupported support "${spec(s)}" ignored`));
+};
+
+// Recovers the outline and openings from the boundary of the plates
+const readShape = ({ joints, plates, minX, minZ, round, warnings, project }) => {
+  const cells = [];
+  plates.forEach((nodeIds) => {
+    const corners = nodeIds.map((id) => joints.get(id)).filter(Boolean);
+    if (corners.length !== 4) return;
+    const xs = corners.map((c) => round(c.x - minX));
+    const zs = corners.map((c) => round(c.z - minZ));
+    cells.push({ x0: Math.min(...xs), x1: Math.max(...xs), z0: Math.min(...zs), z1: Math.max(...zs) });
+  });
+  const loops = traceCellBoundaries(cells);
+  // Cells are wound with positive area, so outer boundaries are positive and holes negative
+  const outers = loops.filter((loop) => signedArea2(loop) > 0);
+  const holes = loops.filter((loop) => signedArea2(loop) < 0);
+  if (outers.length > 1) {
+    warnings.push(`The plates form ${outers.length} separate areas; only the largest was kept as the outline`);
+  }
+  const outline = outers[0];
+  const isRectangle = outline && outline.length === 4 &&
+    Math.abs(signedArea2(outline) / 2 - project.length * project.width) < 1e-6;
+  project.outline = outline && !isRectangle ? outline : null;
+  project.openings = holes.map((loop, i) => ({ id: i + 1, points: loop }));
+};
+
+// Attaches the joint loads of each load case to the pedestal on that node
+const readLoads = ({ loadCases, loadCombinations, pointByTopNode, warnings, project }) => {
+  project.loadCases = loadCases.map(({ id, name }) => ({ id, name }));
+  loadCases.forEach((loadCase) => {
+    loadCase.joints.forEach(({ nodeId, load, line }) => {
+      const point = pointByTopNode.get(nodeId);
+      if (!point) {
+        warnings.push(`Line ${line}: joint load on node ${nodeId} is not on a pedestal top; ignored`);
+        return;
+      }
+      point.loads = { ...point.loads, [loadCase.id]: { ...point.loads?.[loadCase.id], ...load } };
+    });
+  });
+  project.loadCombinations = loadCombinations;
+};
+
+// Maps the DEFINE MATERIAL block and the CONSTANTS assignments back onto the
+// mat and pedestal materials
+const readMaterials = ({ materials, materialAssignments, plates, members, units, warnings, project }) => {
+  if (materials.size === 0) return;
+  const toMaterial = (name) => ({ ...materialToUnits(DEFAULT_MATERIAL, units), ...materials.get(name), name, preset: "custom" });
+
+  let plateName = null;
+  let pedestalName = null;
+  materialAssignments.forEach(({ name, ids }) => {
+    if (!materials.has(name)) {
+      warnings.push(`Material ${name} is assigned but not defined; ignored`);
+      return;
+    }
+    if (ids === null || ids.some((id) => plates.has(id))) plateName = name;
+    if (ids === null || ids.some((id) => members.has(id))) pedestalName = name;
+  });
+  if (plateName === null && pedestalName === null) {
+    warnings.push("No MATERIAL assignment found; the first defined material was used for the mat and pedestals");
+    plateName = pedestalName = materials.keys().next().value;
+  }
+  if (plateName !== null) project.plateMaterial = toMaterial(plateName);
+  if (pedestalName !== null) project.pedestalMaterial = toMaterial(pedestalName);
+};
+
+// Gives the pedestals back the IDs in the names of their per-pedestal groups:
+// the plates of the _P<id>_ groups (the moment group, the tightest, when it
+// has any) surround pedestal <id>, so it is the one whose base is nearest the
+// middle of their extent. The other pedestals keep their number unless it is
+// taken, then they are numbered after the highest
+const readPedestalIds = ({ groups, joints, plates, minX, minZ, points }) => {
+  const plateIdsOf = new Map();
+  groups.forEach((ids, name) => {
+    const match = /^_P(\d+)_(.*)$/.exec(name);
+    if (!match || ids.length === 0) return;
+    const id = Number(match[1]);
+    if (match[2] === "MOMENT") plateIdsOf.set(id, ids);
+    else if (!groups.get(`_P${id}_MOMENT`)?.length) plateIdsOf.set(id, [...(plateIdsOf.get(id) || []), ...ids]);
+  });
+  const named = new Map();
+  plateIdsOf.forEach((plateIds, id) => {
+    const corners = plateIds.flatMap((plateId) => (plates.get(plateId) || []).map((nodeId) => joints.get(nodeId))).filter(Boolean);
+    if (corners.length === 0) return;
+    const xs = corners.map((j) => j.x - minX);
+    const zs = corners.map((j) => j.z - minZ);
+    const [x0, x1, z0, z1] = [Math.min(...xs), Math.max(...xs), Math.min(...zs), Math.max(...zs)];
+    const nearest = points
+      .filter((p) => !named.has(p) && p.x >= x0 - 1e-6 && p.x <= x1 + 1e-6 && p.z >= z0 - 1e-6 && p.z <= z1 + 1e-6)
+      .sort((a, b) => Math.hypot(a.x - (x0 + x1) / 2, a.z - (z0 + z1) / 2) - Math.hypot(b.x - (x0 + x1) / 2, b.z - (z0 + z1) / 2))[0];
+    if (nearest) named.set(nearest, id);
+  });
+  if (named.size === 0) return;
+
+  const taken = new Set(named.values());
+  let nextId = Math.max(...taken, ...points.map((p) => p.id)) + 1;
+  points.forEach((p) => {
+    if (named.has(p)) {
+      p.id = named.get(p);
+    } else if (taken.has(p.id)) {
+      p.id = nextId++;
+    } else {
+      taken.add(p.id);
+    }
+  });
+};
+
+// Builds the project from the tables, in the units of the file
+const readProject = ({
+  joints, plates, members, prisms, betas, groups, materials, materialAssignments,
+  thicknesses, supports, springCompression, loadCases, loadCombinations, units, warnings,
+}) => {
+  const project = projectToUnits({ ...DEFAULT_PROJECT, points: [] }, units);
+  // Lengths are read to the micrometre, in the units of the file
+  const step = toUnits(1e-6, units, DIMENSIONS.length);
+  const round = (v) => Math.round(v / step) * step;
+
+  if (joints.size === 0) {
+    warnings.push("No JOINT COORDINATES found");
+    return project;
+  }
+
+  // Surface joints are the plate corners; everything else hangs off members
+  const plateNodeIds = new Set();
+  plates.forEach((nodeIds) => nodeIds.forEach((id) => plateNodeIds.add(id)));
+  const surface = Array.from(plateNodeIds).map((id) => joints.get(id)).filter(Boolean);
+  if (surface.length === 0) {
+    warnings.push("No ELEMENT INCIDENCES found; plate size taken from all joints");
+    surface.push(...joints.values());
+  }
+
+  const xs = surface.map((j) => j.x);
+  const zs = surface.map((j) => j.z);
+  const minX = Math.min(...xs);
+  const minZ = Math.min(...zs);
+  if (Math.abs(minX) > 1e-6 || Math.abs(minZ) > 1e-6) {
+    warnings.push(`Plate corner at (${round3(minX)}, ${round3(minZ)}) moved to the origin`);
+  }
+  project.length = round(Math.max(...xs) - minX);
+  project.width = round(Math.max(...zs) - minZ);
+  if (surface.some((j) => Math.abs(j.y - surface[0].y) > 1e-6)) {
+    warnings.push("Plate joints are not all at the same Y; the plate was flattened");
+  }
+
+  const gridX = Array.from(new Set(xs.map(round))).sort((a, b) => a - b);
+  const gridZ = Array.from(new Set(zs.map(round))).sort((a, b) => a - b);
+  const spacings = [];
+  [gridX, gridZ].forEach((g) => {
+    for (let i = 1; i < g.length; i++) spacings.push(round(g[i] - g[i - 1]));
+  });
+  if (spacings.length > 0) project.mesh = mostCommon(spacings);
+
+  if (plates.size > 0 && plates.size !== (gridX.length - 1) * (gridZ.length - 1)) {
+    readShape({ joints, plates, minX, minZ, round, warnings, project });
+  }
+
+  const thicknessValues = Array.from(thicknesses.values());
+  if (thicknessValues.length > 0) {
+    project.plateThickness = mostCommon(thicknessValues);
+    if (new Set(thicknessValues).size > 1) {
+      warnings.push(`Several plate thicknesses found; using ${project.plateThickness}`);
+    }
+  } else {
+    warnings.push(`No ELEMENT PROPERTY thickness found; using ${project.plateThickness}`);
+  }
+  const unassigned = Array.from(plates.keys()).filter((id) => !thicknesses.has(id));
+  if (thicknesses.size > 0 && unassigned.length > 0) {
+    warnings.push(`${unassigned.length} plates have no thickness assigned`);
+  }
+
+  // Plate winding in plan: positive signed area is the "Z down" node order
+  const firstPlate = plates.values().next().value;
+  if (firstPlate) {
+    const corners = firstPlate.map((id) => joints.get(id));
+    if (corners.every(Boolean)) {
+      let area = 0;
+      corners.forEach((a, i) => {
+        const b = corners[(i + 1) % corners.length];
+        area += a.x * b.z - b.x * a.z;
+      });
+      project.zOrientation = area > 0 ? "down" : "up";
+    }
+  }
+
+  const heights = [];
+  const pointByTopNode = new Map();
+  members.forEach((m, memberId) => {
+    const start = joints.get(m.startNode);
+    const end = joints.get(m.endNode);
+    if (!start || !end) {
+      warnings.push(`Member ${memberId} references a missing joint; skipped`);
+      return;
+    }
+    const startIsBase = plateNodeIds.has(m.startNode) || start.y <= end.y;
+    const [base, top] = startIsBase ? [start, end] : [end, start];
+    if (Math.abs(base.x - top.x) > 1e-6 || Math.abs(base.z - top.z) > 1e-6) {
+      warnings.push(`Member ${memberId} is not vertical; pedestal placed at its base`);
+    }
+    heights.push(round(top.y - base.y));
+
+    const prism = prisms.get(memberId);
+    if (!prism) {
+      warnings.push(`Member ${memberId} has no PRISM property; pedestal given the default 0.5 x 0.3 size`);
+    }
+    const point = {
+      id: project.points.length + 1,
+      x: round(base.x - minX),
+      z: round(base.z - minZ),
+      length: prism ? prism.yd : toUnits(0.5, units, DIMENSIONS.length),
+      width: prism ? prism.zd ?? prism.yd : toUnits(0.3, units, DIMENSIONS.length),
+    };
+    if (prism && prism.zd === null) {
+      point.shape = "circle";
+    } else if (betas.has(memberId)) {
+      point.rotation = betas.get(memberId);
+    }
+    project.points.push(point);
+    pointByTopNode.set(startIsBase ? m.endNode : m.startNode, point);
+  });
+  betas.forEach((_, memberId) => {
+    if (!members.has(memberId)) warnings.push(`BETA angle on unknown member ${memberId} ignored`);
+  });
+  prisms.forEach((_, memberId) => {
+    if (!members.has(memberId)) warnings.push(`PRISM property on unknown member ${memberId} ignored`);
+  });
+
+  if (heights.length > 0) {
+    project.pedestalHeight = mostCommon(heights);
+    if (new Set(heights).size > 1) {
+      warnings.push(`Pedestals have different heights; using ${project.pedestalHeight}`);
+    }
+  } else {
+    project.pedestalHeight = 0;
+    warnings.push("No MEMBER INCIDENCES found; pedestals cannot be recovered from a model without pedestal members");
+  }
+
+  // A grid cut at every pedestal face was exported with face-aligned groups
+  const onGrid = (grid, v) => grid.some((g) => Math.abs(g - round3(v)) < 1e-3);
+  const alignedPoints = project.points.filter(isAxisAligned);
+  project.gridAtPedestalFaces = alignedPoints.length > 0 && alignedPoints.every((p) =>
+    Object.values(pedestalGroupExtents(p, project.plateThickness)).every(({ x0, x1, z0, z1 }) =>
+      [x0, x1].every((x) => x <= 0 || x >= project.length || onGrid(gridX, x + minX)) &&
+      [z0, z1].every((z) => z <= 0 || z >= project.width || onGrid(gridZ, z + minZ))
+    )
+  );
+
+  // Per-pedestal groups are named _P<id>_MOMENT etc., the combined ones _MOMENT etc.
+  const groupNames = Array.from(groups.keys());
+  const perPedestal = groupNames.some((name) => /^_P\d+_/.test(name));
+  const combined = groupNames.some((name) => ["_MOMENT", "_1_WAY_SHEAR", "_2_WAY_SHEAR"].includes(name));
+  if (perPedestal) project.groupMode = combined ? "both" : "perPedestal";
+  readPedestalIds({ groups, joints, plates, minX, minZ, points: project.points });
+
+  readMaterials({ materials, materialAssignments, plates, members, units, warnings, project });
+  readSupports({ supports, springCompression, joints, plates, units, warnings, project });
+  readLoads({ loadCases, loadCombinations, pointByTopNode, warnings, project });
+
+  return project;
+};
+
+/**
+ * Parses a STAAD file written by this tool (or hand-edited from one) back
+ * into a project. Plate length/width come from the joint extents, the mesh
+ * from the most common grid spacing, the outline and openings from the
+ * boundary of the plates, pedestals from the members, their PRISM
+ * sizes (YD only for circles) and BETA angles, their IDs and the group mode
+ * from the group names, the mat and pedestal materials from DEFINE MATERIAL and
+ * the CONSTANTS assignments, the Z orientation from the winding of the plates, and the
+ * support settings and loads from the SUPPORTS, LOAD and LOAD COMB blocks
+ * written by buildSupportLines and buildLoadLines. Values are converted
+ * from the file's UNIT to metres and kN and tidied (see tidyProject), and
+ * the unit system is kept.
+ * @param {string} text - The .STD file contents.
+ * @returns {{project: object, warnings: string[]}} - The recovered project and everything that could not be mapped.
+ */
+export const parseStaad = (text) => {
+  const tables = readStaadTables(text);
+  const { units, warnings } = tables;
+  const project = tidyProject(
+    projectToUnits(readProject(tables), {
+      lengthFactor: 1 / units.lengthFactor,
+      forceFactor: 1 / units.forceFactor,
+    })
+  );
+  const system = findUnitSystem(units);
+  if (!system) warnings.push("The file units have no matching unit system; values were converted to metres and kN");
+  project.units = system ? system.value : DEFAULT_PROJECT.units;
+  project.plateMaterial = matchMaterialPreset(project.plateMaterial);
+  project.pedestalMaterial = matchMaterialPreset(project.pedestalMaterial);
+  return { project, warnings };
+};
@@ -0,0 +1,118 @@
+import { roundQuantity } from "./units.js";
+import { formatIdList, wrapCommand } from "./staadFormat.js";
+
+export const SUPPORT_TYPES = ["none", "elasticMat", "springs", "fixedPedestals"];
+
+/**
+ * Collects the support settings of a project for buildSupportLines.
+ * @param {object} project - The project.
+ * @returns {{type: string, subgradeModulus: number, compressionOnly: boolean}}
+ */
+export const supportsOf = ({ supportType, subgradeModulus, compressionOnly }) => ({
+  type: supportType,
+  subgradeModulus,
+  compressionOnly,
+});
+
+/**
+ * Computes the tributary plan area of every surface node: each plate gives a
+ * quarter of its area to each of its corners.
+ * @param {object} params
+ * @param {object[]} params.nodes - The model nodes.
+ * @param {object[]} params.plates - The model plates.
+ * @returns {Map<number, number>} - Tributary areas keyed by node ID.
+ */
+export const computeTributaryAreas = ({ nodes, plates }) => {
+  const nodeById = new Map(nodes.map((n) => [n.id, n]));
+  const areas = new Map();
+  plates.forEach((plate) => {
+    const corners = plate.nodes.map((id) => nodeById.get(id));
+    if (!corners.every(Boolean)) return;
+    let twiceArea = 0;
+    corners.forEach((a, i) => {
+      const b = corners[(i + 1) % corners.length];
+      twiceArea += a.x * b.z - b.x * a.z;
+    });
+    const share = Math.abs(twiceArea) / 2 / corners.length;
+    plate.nodes.forEach((id) => areas.set(id, (areas.get(id) || 0) + share));
+  });
+  return areas;
+};
+
+/**
+ * Finds the node at the top of each pedestal: the pedestal node when there
+ * are members, otherwise the surface node under the pedestal centre.
+ * @param {object} params
+ * @param {object[]} params.nodes - The model nodes.
+ * @param {object[]} params.members - The pedestal members.
+ * @param {object[]} params.points - The pedestals.
+ * @returns {Map<number, number>} - Node IDs keyed by pedestal ID.
+ */
+export const findPedestalTopNodes = ({ nodes, members, points }) => {
+  const topNodes = new Map();
+  members.forEach((m) => topNodes.set(m.pointData.id, m.endNode));
+  points.forEach((p) => {
+    if (topNodes.has(p.id)) return;
+    const node = nodes.find(
+      (n) => n.type === "surface" && Math.abs(n.x - p.x) < 5e-4 && Math.abs(n.z - p.z) < 5e-4
+    );
+    if (node) topNodes.set(p.id, node.id);
+  });
+  return topNodes;
+};
+
+/**
+ * Builds the SUPPORTS section of the STAAD file.
+ * - "elasticMat": STAAD's ELASTIC MAT on every surface node, with the
+ *   modulus of subgrade reaction.
+ * - "springs": FIXED BUT supports with an explicit KFY spring per node,
+ *   from its tributary area times the modulus of subgrade reaction.
+ * - "fixedPedestals": fixed supports at the pedestal top nodes.
+ * Compression-only applies to the soil options.
+ * @param {object} params
+ * @param {object[]} params.nodes - The model nodes.
+ * @param {object[]} params.plates - The model plates.
+ * @param {object[]} params.members - The pedestal members.
+ * @param {object[]} params.points - The pedestals.
+ * @param {object} params.supports - {type, subgradeModulus, compressionOnly}
+ * @returns {string[]} - The lines (empty for "none").
+ */
+export const buildSupportLines = ({ nodes, plates, members, points, supports }) => {
+  const { type = "none", subgradeModulus = 0, compressionOnly = false } = supports || {};
+  const lines = [];
+  const surfaceIds = nodes.filter((n) => n.type === "surface").map((n) => n.id);
+
+  if (type === "elasticMat" && surfaceIds.length > 0) {
+    lines.push("SUPPORTS");
+    const direction = compressionOnly ? "YONLY" : "Y";
+    lines.push(...wrapCommand(`${formatIdList(surfaceIds)} ELASTIC MAT DIRECTION ${direction} SUBGRADE ${roundQuantity(subgradeModulus)}`));
+  } else if (type === "springs") {
+    const areas = computeTributaryAreas({ nodes, plates });
+    // Nodes with the same spring stiffness share one command
+    const nodesByStiffness = new Map();
+    surfaceIds.forEach((id) => {
+      const area = areas.get(id);
+      if (!area) return;
+      const k = roundQuantity(subgradeModulus * area);
+      if (!nodesByStiffness.has(k)) nodesByStiffness.set(k, []);
+      nodesByStiffness.get(k).push(id);
+    });
+    if (nodesByStiffness.size > 0) {
+      lines.push("SUPPORTS");
+      nodesByStiffness.forEach((ids, k) => {
+        lines.push(...wrapCommand(`${formatIdList(ids)} FIXED BUT MX MY MZ KFY ${k}`));
+      });
+      if (compressionOnly) {
+        lines.push("SPRING COMPRESSION");
+        lines.push(...wrapCommand(`${formatIdList(surfaceIds.filter((id) => areas.get(id)))} KFY`));
+      }
+    }
+  } else if (type === "fixedPedestals") {
+    const topIds = Array.from(findPedestalTopNodes({ nodes, members, points }).values());
+    if (topIds.length > 0) {
+      lines.push("SUPPORTS");
+      lines.push(...wrapCommand(`${formatIdList(topIds)} FIXED`));
+    }
+  }
+  return lines;
+};
@@ -0,0 +1,250 @@
+import { LOAD_COMPONENTS } from "./loads.js";
+
+/**
+ * The unit systems a project can be edited and exported in. Projects are
+ * always stored in metres and kN; the factors convert a value in metres
+ * (or kN) to the unit system, `staad` is the matching UNIT command and
+ * `decimals` the places lengths are written with (a micrometre or finer).
+ */
+export const UNIT_SYSTEMS = [
+  {
+    value: "m-kN",
+    label: "Metres, kN",
+    length: "m",
+    force: "kN",
+    staad: "METER KN",
+    lengthFactor: 1,
+    forceFactor: 1,
+    lengthStep: 0.1,
+    decimals: 6,
+  },
+  {
+    value: "mm-kN",
+    label: "Millimetres, kN",
+    length: "mm",
+    force: "kN",
+    staad: "MMS KN",
+    lengthFactor: 1000,
+    forceFactor: 1,
+    lengthStep: 100,
+    decimals: 3,
+  },
+  {
+    value: "ft-kip",
+    label: "Feet, kip",
+    length: "ft",
+    force: "kip",
+    staad: "FEET KIP",
+    lengthFactor: 1 / 0.3048,
+    forceFactor: 1 / 4.4482216152605,
+    lengthStep: 0.5,
+    decimals: 7,
+  },
+];
+
+/**
+ * Dimensions of the quantities converted between unit systems, as powers of
+ * length and force.
+ */
+export const DIMENSIONS = {
+  length: { length: 1 },
+  force: { force: 1 },
+  moment: { force: 1, length: 1 },
+  stress: { force: 1, length: -2 },
+  unitWeight: { force: 1, length: -3 },
+};
+
+// STAAD UNIT keywords, as the size of the unit in metres or kN
+const STAAD_LENGTH_UNITS = {
+  METER: 1, METERS: 1, MMS: 0.001, MM: 0.001, CM: 0.01, CMS: 0.01, FEET: 0.3048, FT: 0.3048, FOOT: 0.3048,
+  INCHES: 0.0254, INCH: 0.0254, IN: 0.0254,
+};
+const STAAD_FORCE_UNITS = {
+  KN: 1, KNS: 1, NEWTON: 0.001, NEWTONS: 0.001, N: 0.001, KIP: 4.4482216152605, KIPS: 4.4482216152605,
+  POUND: 0.0044482216152605, LBS: 0.0044482216152605, MTON: 9.80665, KG: 0.00980665,
+};
+
+/**
+ * Returns the unit system with the given ID, or metres/kN when unknown.
+ * @param {string} id - The unit system ID, e.g. "ft-kip".
+ * @returns {object} - The unit system.
+ */
+export const unitSystemOf = (id) => UNIT_SYSTEMS.find((u) => u.value === id) || UNIT_SYSTEMS[0];
+
+/**
+ * Converts a value in metres and kN to a unit system.
+ * @param {number} value - The value in metres and kN.
+ * @param {object} system - The unit system (or any {lengthFactor, forceFactor}).
+ * @param {object} dimension - The dimension of the value, see DIMENSIONS.
+ * @returns {number} - The value in the unit system.
+ */
+export const toUnits = (value, system, { length = 0, force = 0 }) =>
+  value * Math.pow(system.lengthFactor, length) * Math.pow(system.forceFactor, force);
+
+/**
+ * Converts a value in a unit system back to metres and kN.
+ * @param {number} value - The value in the unit system.
+ * @param {object} system - The unit system (or any {lengthFactor, forceFactor}).
+ * @param {object} dimension - The dimension of the value, see DIMENSIONS.
+ * @returns {number} - The value in metres and kN.
+ */
+export const fromUnits = (value, system, dimension) => value / toUnits(1, system, dimension);
+
+/**
+ * Rounds a length in a unit system to the digits files are written with,
+ * enough that converting it back and tidying it (see tidyProject) recovers
+ * the stored metres.
+ * @param {number} value - The length in the unit system.
+ * @param {object} system - The unit system.
+ * @returns {number} - The rounded length.
+ */
+export const roundLength = (value, system) => Number(value.toFixed(system.decimals)) || 0;
+
+/**
+ * Rounds a force, moment, stress or unit weight to the nine significant
+ * digits files are written with.
+ * @param {number} value - The value in any unit system.
+ * @returns {number} - The rounded value.
+ */
+export const roundQuantity = (value) => Number(value.toPrecision(9)) || 0;
+
+/**
+ * Reads a STAAD UNIT command. Either word may be missing, in which case the
+ * previous unit is kept.
+ * @param {string[]} words - The words after UNIT, e.g. ["FEET", "KIP"].
+ * @param {object} [previous] - The unit in force before the command.
+ * @returns {{lengthFactor: number, forceFactor: number, unknown: string[]}} - The factors from metres/kN and any unknown words.
+ */
+export const parseStaadUnit = (words, previous = UNIT_SYSTEMS[0]) => {
+  let { lengthFactor, forceFactor } = previous;
+  const unknown = [];
+  words.forEach((word) => {
+    if (STAAD_LENGTH_UNITS[word]) {
+      lengthFactor = 1 / STAAD_LENGTH_UNITS[word];
+    } else if (STAAD_FORCE_UNITS[word]) {
+      forceFactor = 1 / STAAD_FORCE_UNITS[word];
+    } else {
+      unknown.push(word);
+    }
+  });
+  return { lengthFactor, forceFactor, unknown };
+};
+
+/**
+ * Finds the unit system matching conversion factors.
+ * @param {{lengthFactor: number, forceFactor: number}} factors - The factors.
+ * @returns {object|undefined} - The unit system, if any matches.
+ */
+export const findUnitSystem = ({ lengthFactor, forceFactor }) =>
+  UNIT_SYSTEMS.find(
+    (u) => Math.abs(u.lengthFactor / lengthFactor - 1) < 1e-9 && Math.abs(u.forceFactor / forceFactor - 1) < 1e-9
+  );
+
+// Applies `length` to every length of a pedestal and `quantity` to its loads
+const mapPedestal = (p, length, quantity) => {
+  const mapped = { ...p, x: length(p.x), z: length(p.z), length: length(p.length), width: length(p.width) };
+  if (p.loads) {
+    mapped.loads = Object.fromEntries(
+      Object.entries(p.loads).map(([caseId, load]) => [
+        caseId,
+        Object.fromEntries(
+          LOAD_COMPONENTS.filter((c) => c in load).map((c) => [
+            c,
+            quantity(load[c], c.startsWith("m") ? DIMENSIONS.moment : DIMENSIONS.force),
+          ])
+        ),
+      ])
+    );
+  }
+  return mapped;
+};
+
+const mapMaterial = (material, quantity) => ({
+  ...material,
+  E: quantity(material.E, DIMENSIONS.stress),
+  G: quantity(material.G, DIMENSIONS.stress),
+  fcu: quantity(material.fcu, DIMENSIONS.stress),
+  density: quantity(material.density, DIMENSIONS.unitWeight),
+});
+
+const mapProject = (project, length, quantity) => {
+  const polygon = (points) => points.map((v) => ({ ...v, x: length(v.x), z: length(v.z) }));
+  return {
+    ...project,
+    length: length(project.length),
+    width: length(project.width),
+    mesh: length(project.mesh),
+    minStrip: length(project.minStrip),
+    refinement: { ...project.refinement, radius: length(project.refinement.radius), mesh: length(project.refinement.mesh) },
+    pedestalHeight: length(project.pedestalHeight),
+    plateThickness: length(project.plateThickness),
+    points: project.points.map((p) => mapPedestal(p, length, quantity)),
+    outline: project.outline ? polygon(project.outline) : null,
+    openings: project.openings.map((o) => ({ ...o, points: polygon(o.points) })),
+    subgradeModulus: quantity(project.subgradeModulus, DIMENSIONS.unitWeight),
+    plateMaterial: mapMaterial(project.plateMaterial, quantity),
+    pedestalMaterial: mapMaterial(project.pedestalMaterial, quantity),
+  };
+};
+
+/**
+ * Converts a pedestal (position, size and loads) from metres and kN.
+ * @param {object} p - The pedestal.
+ * @param {object} system - The unit system.
+ * @returns {object} - The converted pedestal.
+ */
+export const pedestalToUnits = (p, system) =>
+  mapPedestal(p, (v) => toUnits(v, system, DIMENSIONS.length), (v, dimension) => toUnits(v, system, dimension));
+
+/**
+ * Converts a material from metres and kN.
+ * @param {object} material - The material.
+ * @param {object} system - The unit system.
+ * @returns {object} - The converted material.
+ */
+export const materialToUnits = (material, system) =>
+  mapMaterial(material, (v, dimension) => toUnits(v, system, dimension));
+
+/**
+ * Converts every dimensioned value of a project from metres and kN.
+ * Pass the inverse factors to convert back.
+ * @param {object} project - The project (all fields present, see normalizeProject).
+ * @param {object} system - The unit system (or any {lengthFactor, forceFactor}).
+ * @returns {object} - The converted project.
+ */
+export const projectToUnits = (project, system) =>
+  mapProject(project, (v) => toUnits(v, system, DIMENSIONS.length), (v, dimension) => toUnits(v, system, dimension));
+
+/**
+ * Removes the noise a conversion leaves in a project read from a file:
+ * lengths are rounded to the micrometre and the other quantities to the
+ * digits of roundQuantity.
+ * @param {object} project - The project in metres and kN.
+ * @returns {object} - The tidied project.
+ */
+export const tidyProject = (project) => mapProject(project, (v) => Math.round(v * 1e6) / 1e6 || 0, roundQuantity);
+
+/**
+ * Converts the parts of a built model that buildStaadText writes with units:
+ * node coordinates, pedestals (and the members' copies of them), the plate
+ * thickness, the subgrade modulus and the materials.
+ * @param {object} model - The buildStaadText parameters, in metres and kN.
+ * @param {object} system - The unit system.
+ * @returns {object} - The converted parameters.
+ */
+export const modelToUnits = ({ nodes, members, points = [], plateThickness, supports, plateMaterial, pedestalMaterial }, system) => {
+  const length = (v) => toUnits(v, system, DIMENSIONS.length);
+  const pointById = new Map(points.map((p) => [p.id, pedestalToUnits(p, system)]));
+  return {
+    nodes: nodes.map((n) => ({ ...n, x: length(n.x), y: length(n.y), z: length(n.z) })),
+    members: members.map((m) => ({ ...m, pointData: pointById.get(m.pointData.id) || pedestalToUnits(m.pointData, system) })),
+    points: Array.from(pointById.values()),
+    plateThickness: length(plateThickness),
+    supports: supports && {
+      ...supports,
+      subgradeModulus: toUnits(supports.subgradeModulus ?? 0, system, DIMENSIONS.unitWeight),
+    },
+    plateMaterial: plateMaterial && materialToUnits(plateMaterial, system),
+    pedestalMaterial: pedestalMaterial && materialToUnits(pedestalMaterial, system),
+  };
+};
@@ -1,37 +1,274 @@
 import { create } from 'zustand';
+import { createJSONStorage, persist } from 'zustand/middleware';
+import { DEFAULT_PROJECT, normalizeProject } from './engine/project.js';
+import { PROJECT_FILE_VERSION, readProjectFile, writeProjectFile } from './engine/projectFile.js';
+import { DEFAULT_SNAP } from './engine/snapping.js';
+import { EXPORT_FORMATS } from './engine/feExport.js';
 
-const useStore = create((set, get) => ({
-  // State variables
-  length: 6,
-  width: 4,
-  mesh: 0.2,
-  pedestalHeight: 0.0,
-  plateThickness: 0.3,
-  zOrientation: "down",
-  fileName: "Plate Geometry.STD",
-  points: [],
-  showMomentGroup: true,
-  showOneWayShear: true,
-  showTwoWayShear: true,
-
-  // Actions
-  setLength: (length) => set({ length }),
-  setWidth: (width) => set({ width }),
-  setMesh: (mesh) => set({ mesh }),
-  setPedestalHeight: (pedestalHeight) => set({ pedestalHeight }),
-  setPlateThickness: (plateThickness) => set({ plateThickness }),
-  setZOrientation: (zOrientation) => set({ zOrientation }),
-  setFileName: (fileName) => set({ fileName }),
-  setPoints: (pointsOrUpdater) => {
-    if (typeof pointsOrUpdater === 'function') {
-      set((state) => ({ points: Array.isArray(pointsOrUpdater(state.points)) ? pointsOrUpdater(state.points) : [] }));
-    } else {
-      set({ points: Array.isArray(pointsOrUpdater) ? pointsOrUpdater : [] });
-    }
+// Number of undo steps kept
+const HISTORY_LIMIT = 100;
+
+const PROJECT_KEYS = Object.keys(DEFAULT_PROJECT);
+
+// Every project field
+const projectOf = (state) => Object.fromEntries(PROJECT_KEYS.map((key) => [key, state[key]]));
+
+// The undoable part of the state: every project field but the export file name
+const HISTORY_KEYS = PROJECT_KEYS.filter((key) => key !== 'fileName');
+const historyOf = (state) => Object.fromEntries(HISTORY_KEYS.map((key) => [key, state[key]]));
+
+// Delay before a change is written to local storage
+const AUTOSAVE_DELAY = 500;
+
+const newProjectId = () => `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Library entries hold their project as a project file, so they are read
+// back (migrated and validated) like an imported file
+const libraryEntry = (name, project) => ({ id: newProjectId(), name, updatedAt: Date.now(), project: writeProjectFile(project) });
+
+// Reads a saved project like a project file. One that cannot be read is not
+// loaded: a fresh project is opened instead, with the reason as `loadError`
+const readSavedProject = (name, saved) => {
+  const { project, errors } = readProjectFile(saved);
+  if (project) return { project: normalizeProject(project), loadError: null };
+  return {
+    project: null,
+    loadError: `The project "${name}" could not be opened, so a new project was opened instead:\n${errors.join('\n')}`,
+  };
+};
+
+// Writes to localStorage at most once per AUTOSAVE_DELAY, so a drag does not
+// rewrite the whole library on every move; pending writes are flushed when
+// the page is hidden or closed. Without localStorage nothing is kept.
+const autosaveStorage = () => {
+  if (typeof localStorage === 'undefined') {
+    return { getItem: () => null, setItem: () => {}, removeItem: () => {} };
+  }
+  const pending = new Map();
+  let timer = null;
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    pending.forEach((value, name) => {
+      try {
+        localStorage.setItem(name, value);
+      } catch (error) {
+        console.warn('Autosave failed:', error);
+      }
+    });
+    pending.clear();
+  };
+  window.addEventListener('pagehide', flush);
+  window.addEventListener('beforeunload', flush);
+  return {
+    getItem: (name) => (pending.has(name) ? pending.get(name) : localStorage.getItem(name)),
+    setItem: (name, value) => {
+      pending.set(name, value);
+      if (!timer) timer = setTimeout(flush, AUTOSAVE_DELAY);
+    },
+    removeItem: (name) => {
+      pending.delete(name);
+      localStorage.removeItem(name);
+    },
+  };
+};
+
+const firstEntry = libraryEntry('Untitled project', DEFAULT_PROJECT);
+
+const useStore = create(persist((set, get) => {
+  // Applies project changes as one undo step, or as part of the step opened
+  // by beginHistoryStep; changes that alter nothing are not recorded
+  const freshHistory = { past: [], future: [], pendingStep: null };
+
+  // The library with the entry of the open project updated from the live state
+  const saveOpenProject = (state) =>
+    state.library.map((e) =>
+      e.id === state.projectId ? { ...e, updatedAt: Date.now(), project: writeProjectFile(projectOf(state)) } : e
+    );
+
+  // Opens a library entry, or a fresh project added to the library when the
+  // entry cannot be read (the entry is kept as it is)
+  const openEntry = (library, entry) => {
+    const { project, loadError } = readSavedProject(entry.name, entry.project);
+    if (project) return { ...projectOf(project), ...freshHistory, library, projectId: entry.id, loadError: null };
+    const fresh = libraryEntry('Untitled project', DEFAULT_PROJECT);
+    return { ...DEFAULT_PROJECT, ...freshHistory, library: [...library, fresh], projectId: fresh.id, loadError };
+  };
+
+  const setProject = (changes) =>
+    set((state) => {
+      const next = typeof changes === 'function' ? changes(state) : changes;
+      const changed = Object.keys(next).some((key) => next[key] !== state[key]);
+      if (!changed || state.pendingStep) return next;
+      return { ...next, past: [...state.past, historyOf(state)].slice(-HISTORY_LIMIT), future: [] };
+    });
+
+  return {
+    // State variables
+    ...DEFAULT_PROJECT,
+    showMomentGroup: true,
+    showOneWayShear: true,
+    showTwoWayShear: true,
+    snap: DEFAULT_SNAP,
+    blockExportOnErrors: false,
+    exportFormat: EXPORT_FORMATS[0].value,
+
+    // Undo history: project snapshots before (past) and after (future) the current state
+    past: [],
+    future: [],
+    pendingStep: null,
+
+    // Project library: every saved project as {id, name, updatedAt, project};
+    // the entry of the open project is brought up to date when switching
+    projectId: firstEntry.id,
+    library: [firstEntry],
+    // Why the last saved project could not be opened, until dismissed
+    loadError: null,
+
+    // Actions
+    setLength: (length) => setProject({ length }),
+    setWidth: (width) => setProject({ width }),
+    setMesh: (mesh) => setProject({ mesh }),
+    setMeshMode: (meshMode) => setProject({ meshMode }),
+    setMinStrip: (minStrip) => setProject({ minStrip }),
+    setRefinement: (changes) => setProject((state) => ({ refinement: { ...state.refinement, ...changes } })),
+    setPedestalHeight: (pedestalHeight) => setProject({ pedestalHeight }),
+    setPlateThickness: (plateThickness) => setProject({ plateThickness }),
+    setZOrientation: (zOrientation) => setProject({ zOrientation }),
+    setUnits: (units) => setProject({ units }),
+    setGridAtPedestalFaces: (gridAtPedestalFaces) => setProject({ gridAtPedestalFaces }),
+    setGroupMode: (groupMode) => setProject({ groupMode }),
+    setPlateMaterial: (plateMaterial) => setProject({ plateMaterial }),
+    setPedestalMaterial: (pedestalMaterial) => setProject({ pedestalMaterial }),
+    // Naming the export file is not an undoable change
+    setFileName: (fileName) => set({ fileName }),
+    setPoints: (pointsOrUpdater) => {
+      if (typeof pointsOrUpdater === 'function') {
+        setProject((state) => {
+          const points = pointsOrUpdater(state.points);
+          return { points: Array.isArray(points) ? points : [] };
+        });
+      } else {
+        setProject({ points: Array.isArray(pointsOrUpdater) ? pointsOrUpdater : [] });
+      }
+    },
+    setOutline: (outline) => setProject({ outline }),
+    setOpenings: (openings) => setProject({ openings }),
+    setSupportType: (supportType) => setProject({ supportType }),
+    setSubgradeModulus: (subgradeModulus) => setProject({ subgradeModulus }),
+    setCompressionOnly: (compressionOnly) => setProject({ compressionOnly }),
+    setLoadCases: (loadCases) => setProject({ loadCases }),
+    setLoadCombinations: (loadCombinations) => setProject({ loadCombinations }),
+    // Replaces the whole project (e.g. on import) as one undo step
+    loadProject: (project) => setProject(projectOf(project)),
+    setShowMomentGroup: (showMomentGroup) => set({ showMomentGroup }),
+    setShowOneWayShear: (showOneWayShear) => set({ showOneWayShear }),
+    setShowTwoWayShear: (showTwoWayShear) => set({ showTwoWayShear }),
+    setSnap: (changes) => set((state) => ({ snap: { ...state.snap, ...changes } })),
+    setBlockExportOnErrors: (blockExportOnErrors) => set({ blockExportOnErrors }),
+    setExportFormat: (exportFormat) => set({ exportFormat }),
+    dismissLoadError: () => set({ loadError: null }),
+
+    // Project library actions; switching projects clears the undo history
+    newProject: (name = 'Untitled project') =>
+      set((state) => {
+        const entry = libraryEntry(name, DEFAULT_PROJECT);
+        return { ...DEFAULT_PROJECT, ...freshHistory, library: [...saveOpenProject(state), entry], projectId: entry.id, loadError: null };
+      }),
+    openProject: (id) =>
+      set((state) => {
+        const entry = state.library.find((e) => e.id === id);
+        if (!entry || id === state.projectId) return {};
+        return openEntry(saveOpenProject(state), entry);
+      }),
+    duplicateProject: (id) =>
+      set((state) => {
+        const library = saveOpenProject(state);
+        const index = library.findIndex((e) => e.id === id);
+        if (index < 0) return {};
+        // The copy keeps the saved project as it is, to be read when opened
+        const copy = { ...library[index], id: newProjectId(), name: `${library[index].name} (copy)`, updatedAt: Date.now() };
+        return { library: [...library.slice(0, index + 1), copy, ...library.slice(index + 1)] };
+      }),
+    renameProject: (id, name) =>
+      set((state) => ({ library: state.library.map((e) => (e.id === id ? { ...e, name, updatedAt: Date.now() } : e)) })),
+    deleteProject: (id) =>
+      set((state) => {
+        const library = state.library.filter((e) => e.id !== id);
+        if (id !== state.projectId) return { library };
+        // Deleting the open project opens the next one, or a new blank project
+        const next = library[0] || libraryEntry('Untitled project', DEFAULT_PROJECT);
+        return openEntry(library.length > 0 ? library : [next], next);
+      }),
+
+    // Groups every change until endHistoryStep into one undo step (e.g. a drag)
+    beginHistoryStep: () => {
+      if (!get().pendingStep) set((state) => ({ pendingStep: historyOf(state) }));
+    },
+    endHistoryStep: () =>
+      set((state) => {
+        if (!state.pendingStep) return {};
+        const changed = HISTORY_KEYS.some((key) => state[key] !== state.pendingStep[key]);
+        if (!changed) return { pendingStep: null };
+        return { pendingStep: null, past: [...state.past, state.pendingStep].slice(-HISTORY_LIMIT), future: [] };
+      }),
+    undo: () =>
+      set((state) => {
+        if (state.past.length === 0) return {};
+        return {
+          ...state.past[state.past.length - 1],
+          past: state.past.slice(0, -1),
+          future: [historyOf(state), ...state.future],
+          pendingStep: null,
+        };
+      }),
+    redo: () =>
+      set((state) => {
+        if (state.future.length === 0) return {};
+        return {
+          ...state.future[0],
+          past: [...state.past, historyOf(state)],
+          future: state.future.slice(1),
+          pendingStep: null,
+        };
+      }),
+  };
+}, {
+  // Autosave: the open project, the library, the snap settings and the export
+  // options survive a reload or a crash
+  name: 'plate-geometry',
+  storage: createJSONStorage(autosaveStorage),
+  partialize: (state) => ({
+    ...projectOf(state),
+    version: PROJECT_FILE_VERSION,
+    projectId: state.projectId,
+    library: state.library,
+    snap: state.snap,
+    blockExportOnErrors: state.blockExportOnErrors,
+    exportFormat: state.exportFormat,
+  }),
+  // The autosaved project is read like a project file; older autosaves are
+  // migrated, and one that cannot be read stays in its library entry while
+  // a fresh project opens
+  merge: (persisted, current) => {
+    if (!persisted || !Array.isArray(persisted.library) || persisted.library.length === 0) return current;
+    const settings = {
+      snap: { ...current.snap, ...persisted.snap },
+      blockExportOnErrors: persisted.blockExportOnErrors === true,
+      exportFormat: EXPORT_FORMATS.some((f) => f.value === persisted.exportFormat) ? persisted.exportFormat : current.exportFormat,
+    };
+    const projectId = persisted.library.some((e) => e.id === persisted.projectId) ? persisted.projectId : persisted.library[0].id;
+    const entry = persisted.library.find((e) => e.id === projectId);
+    const saved = Object.fromEntries(
+      ['version', ...PROJECT_KEYS].filter((key) => key in persisted).map((key) => [key, persisted[key]])
+    );
+    const { project, loadError } = readSavedProject(entry.name, saved);
+    if (project) return { ...current, ...settings, ...projectOf(project), library: persisted.library, projectId };
+
+    const library = persisted.library.map((e) => (e.id === projectId ? { ...e, project: saved } : e));
+    const fresh = libraryEntry('Untitled project', DEFAULT_PROJECT);
+    return { ...current, ...settings, ...DEFAULT_PROJECT, library: [...library, fresh], projectId: fresh.id, loadError };
   },
-  setShowMomentGroup: (showMomentGroup) => set({ showMomentGroup }),
-  setShowOneWayShear: (showOneWayShear) => set({ showOneWayShear }),
-  setShowTwoWayShear: (showTwoWayShear) => set({ showTwoWayShear }),
 }));
 
-export default useStore;
\ No newline at end of file
+export default useStore;
@@ -45,4 +45,47 @@ export const findClosestIndex = (arr, target) => {
     }
   }
   return closestIndex;
-};
\ No newline at end of file
+};
+/**
+ * Computes the view box showing a rectangle with a margin around it.
+ * @param {{x0: number, z0: number, x1: number, z1: number}} rect - The rectangle to show.
+ * @param {number} minSize - The smallest width and height shown, so a point or a line still gets an area.
+ * @param {number} margin - The margin on every side, as a fraction of the larger side.
+ * @returns {{x: number, y: number, w: number, h: number}} - The view box.
+ */
+export const fitViewBox = ({ x0, z0, x1, z1 }, minSize, margin) => {
+  const w = Math.max(x1 - x0, minSize);
+  const h = Math.max(z1 - z0, minSize);
+  const m = margin * Math.max(w, h);
+  return { x: (x0 + x1) / 2 - w / 2 - m, y: (z0 + z1) / 2 - h / 2 - m, w: w + 2 * m, h: h + 2 * m };
+};
+
+/**
+ * Scales a view box about its centre so its width stays within limits.
+ * @param {{x: number, y: number, w: number, h: number}} box - The view box.
+ * @param {number} minW - The narrowest width allowed.
+ * @param {number} maxW - The widest width allowed.
+ * @returns {{x: number, y: number, w: number, h: number}} - The clamped view box.
+ */
+export const clampViewBox = (box, minW, maxW) => {
+  const scale = box.w > maxW ? maxW / box.w : box.w < minW ? minW / box.w : 1;
+  if (scale === 1) return box;
+  const cx = box.x + box.w / 2;
+  const cy = box.y + box.h / 2;
+  return { x: cx - (box.w * scale) / 2, y: cy - (box.h * scale) / 2, w: box.w * scale, h: box.h * scale };
+};
+
+/**
+ * Zooms a view box about a point, which stays in place on screen even when
+ * the zoom is clamped (see clampViewBox).
+ * @param {{x: number, y: number, w: number, h: number}} box - The view box.
+ * @param {{x: number, y: number}} c - The point to zoom about, in view box units.
+ * @param {number} scale - The size factor: below 1 zooms in, above 1 zooms out.
+ * @param {number} minW - The narrowest width allowed.
+ * @param {number} maxW - The widest width allowed.
+ * @returns {{x: number, y: number, w: number, h: number}} - The zoomed view box.
+ */
+export const zoomViewBox = (box, c, scale, minW, maxW) => {
+  const k = clamp(box.w * scale, minW, maxW) / box.w;
+  return { x: c.x - (c.x - box.x) * k, y: c.y - (c.y - box.y) * k, w: box.w * k, h: box.h * k };
+};
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { csvTableRows, formatCsv, guessScheduleMapping, parseCsv, readSchedule } from "../src/engine/index.js";
+
+const [header, ...rows] = parseCsv(
+  "Mark,X (mm),Z (mm),L (mm),W (mm),Shape,FY\n" +
+    "P7,1500,2000,500,400,,-100\n" +
+    "C2,abc,1,1,1,,\n" +
+    "P7,3000,1000,600,,circle,\n"
+);
+const mapping = guessScheduleMapping(header);
+
+test("guesses the columns from the header", () => {
+  assert.deepEqual(
+    { mark: mapping.mark, x: mapping.x, z: mapping.z, length: mapping.length, width: mapping.width, shape: mapping.shape, fy: mapping.fy },
+    { mark: 0, x: 1, z: 2, length: 3, width: 4, shape: 5, fy: 6 }
+  );
+  assert.equal(mapping.rotation, null);
+});
+
+test("reads pedestals in metres and loads into the chosen case", () => {
+  const { pedestals } = readSchedule(rows, { mapping, units: "mm-kN", loadCaseId: 1, takenIds: [1] });
+  assert.deepEqual(pedestals, [
+    { id: 7, x: 1.5, z: 2, length: 0.5, width: 0.4, loads: { 1: { fy: -100 } } },
+    { id: 8, x: 3, z: 1, length: 0.6, width: 0.6, shape: "circle" },
+  ]);
+});
+
+test("reports bad rows and renumbers taken marks", () => {
+  const { rows: outcome } = readSchedule(rows, { mapping, units: "mm-kN", takenIds: [7] });
+  assert.deepEqual(outcome, [
+    { line: 1, mark: "P7", id: 8 },
+    { line: 2, mark: "C2", error: 'X "abc" is not a number' },
+    { line: 3, mark: "P7", id: 9 },
+  ]);
+});
+
+test("ignores the load columns without a load case", () => {
+  const { pedestals } = readSchedule(rows, { mapping, units: "mm-kN" });
+  assert.ok(pedestals.every((p) => p.loads === undefined));
+});
+
+test("splits quoted cells and semicolon files", () => {
+  assert.deepEqual(parseCsv('a;"b;c"\r\n\r\n"say ""hi""";2\n'), [["a", "b;c"], ['say "hi"', "2"]]);
+  assert.equal(formatCsv([["P1", 'say "hi"', 1.5], ["a,b", "", 2]]), 'P1,"say ""hi""",1.5\r\n"a,b",,2\r\n');
+});
+
+test("writes the schedule with the digits to read it back in any units", () => {
+  const points = [
+    { id: 3, x: 1.234567, z: 0.5, length: 0.4, width: 0.3, rotation: 30, loads: { 1: { fx: 0, fy: -123.456789, fz: 0, mx: 12.5, mz: 0 } } },
+    { id: 5, x: 2.5, z: 1.75, length: 0.45, width: 0.45, shape: "circle" },
+  ];
+  // Every load column is read back, zeros included
+  ["m-kN", "mm-kN", "ft-kip"].forEach((units) => {
+    const [header, ...rows] = parseCsv(formatCsv(csvTableRows("pedestals", { points, loadCases: [{ id: 1 }], units })));
+    const { pedestals } = readSchedule(rows, { mapping: guessScheduleMapping(header), units, loadCaseId: 1 });
+    assert.deepEqual(pedestals, [points[0], { ...points[1], loads: { 1: { fx: 0, fy: 0, fz: 0, mx: 0, mz: 0 } } }], units);
+  });
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DXF_LAYERS, exportDxf, nearestAciColour } from "../src/engine/index.js";
+
+const project = {
+  length: 2,
+  width: 1,
+  mesh: 1,
+  pedestalHeight: 1,
+  plateThickness: 0.2,
+  zOrientation: "up",
+  points: [{ id: 3, x: 0.5, z: 0.5, length: 0.4, width: 0.4, shape: "circle" }],
+};
+
+// The group code / value pairs of a DXF file
+const pairsOf = (text) => {
+  const lines = text.trimEnd().split("\n");
+  return Array.from({ length: lines.length / 2 }, (_, i) => [Number(lines[2 * i]), lines[2 * i + 1]]);
+};
+
+// The pairs of the first entity or table entry of a type, up to the next one
+const entity = (pairs, type) => {
+  const start = pairs.findIndex(([code, value]) => code === 0 && value === type);
+  const end = pairs.findIndex(([code], i) => i > start && code === 0);
+  return pairs.slice(start + 1, end);
+};
+
+test("names the units in the header", () => {
+  const insunits = (units) => {
+    const pairs = pairsOf(exportDxf({ ...project, units }));
+    return pairs[pairs.findIndex(([, value]) => value === "$INSUNITS") + 1];
+  };
+  assert.deepEqual(["m-kN", "mm-kN", "ft-kip"].map(insunits), [[70, "6"], [70, "4"], [70, "2"]]);
+});
+
+test("lists layer 0 and every drawing layer", () => {
+  const pairs = pairsOf(exportDxf(project));
+  const layers = pairs.filter(([code], i) => code === 2 && pairs[i - 1][1] === "LAYER").map(([, name]) => name);
+  assert.deepEqual(layers, ["0", ...DXF_LAYERS.map((l) => l.name)]);
+  const table = pairs.findIndex(([code, value]) => code === 2 && value === "LAYER");
+  assert.deepEqual(pairs[table + 1], [70, String(DXF_LAYERS.length + 1)]);
+});
+
+test("draws in the project units with Y = −Z", () => {
+  const pairs = pairsOf(exportDxf({ ...project, units: "mm-kN" }));
+  assert.deepEqual(entity(pairs, "CIRCLE"), [[8, "PEDESTALS"], [10, "500"], [20, "-500"], [30, "0"], [40, "200"]]);
+  assert.deepEqual(entity(pairs, "TEXT").slice(-1), [[1, "P3"]]);
+  assert.deepEqual(pairs.slice(-2), [[0, "ENDSEC"], [0, "EOF"]]);
+});
+
+test("picks the nearest AutoCAD colour", () => {
+  assert.equal(nearestAciColour("#ff0000"), 1);
+  assert.equal(nearestAciColour("#0000ff"), 5);
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { dxfImportDefaults, footprintOf, importDxfPedestals, parseDxf, rectangleOf } from "../src/engine/index.js";
+
+// Writes group code / value pairs as DXF text
+const dxf = (...pairs) => pairs.flat().join("\n") + "\n";
+const lwpolyline = (layer, points) => [0, "LWPOLYLINE", 8, layer, 90, points.length, 70, 1, ...points.flatMap(([x, y]) => [10, x, 20, y])];
+
+// A plan in millimetres: a 5 × 4 m plate drawn with Y up, a round pedestal,
+// a rectangular one, a block reference with an attribute, a label and a stray line
+const plan = parseDxf(dxf(
+  [0, "SECTION", 2, "HEADER", 9, "$INSUNITS", 70, 4, 0, "ENDSEC"],
+  [0, "SECTION", 2, "BLOCKS", 0, "BLOCK", 2, "COL", 10, 0, 20, 0],
+  lwpolyline("0", [[-200, -200], [200, -200], [200, 200], [-200, 200]]),
+  [0, "ENDBLK", 0, "ENDSEC"],
+  [0, "SECTION", 2, "ENTITIES"],
+  lwpolyline("PLATE", [[0, 0], [5000, 0], [5000, 4000], [0, 4000]]),
+  [0, "CIRCLE", 8, "PED", 10, 1000, 20, 3000, 40, 250],
+  lwpolyline("PED", [[2000, 2850], [2600, 2850], [2600, 3150], [2000, 3150]]),
+  [0, "INSERT", 8, "PED", 66, 1, 2, "COL", 10, 4000, 20, 1000, 50, 90],
+  [0, "ATTRIB", 8, "PED", 1, "C1", 0, "SEQEND", 8, "PED"],
+  [0, "TEXT", 8, "PED", 1, "P1"],
+  [0, "LINE", 8, "PED", 10, 0, 20, 0, 11, 1, 21, 1],
+  [0, "ENDSEC", 0, "EOF"]
+));
+
+test("recognises rectangles in any order and rotation", () => {
+  assert.deepEqual(rectangleOf([{ x: 0, y: 0 }, { x: 0, y: 2 }, { x: 4, y: 2 }, { x: 4, y: 0 }, { x: 0, y: 0 }]), {
+    x: 2,
+    y: 1,
+    length: 4,
+    width: 2,
+    rotation: 0,
+  });
+  const c = Math.cos(Math.PI / 6);
+  const s = Math.sin(Math.PI / 6);
+  const turned = rectangleOf([{ x: 0, y: 0 }, { x: 2 * c, y: 2 * s }, { x: 2 * c - s, y: 2 * s + c }, { x: -s, y: c }]);
+  assert.ok(Math.abs(turned.rotation - 30) < 1e-9 && Math.abs(turned.length - 2) < 1e-9);
+  assert.equal(rectangleOf([{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 5, y: 2 }, { x: 0, y: 2 }]), null);
+});
+
+test("reads the units, entities and block references of a plan", () => {
+  assert.equal(plan.units, "mm");
+  assert.deepEqual(plan.layers, ["PED", "PLATE"]);
+  assert.deepEqual(plan.entities.map((e) => e.type), ["LWPOLYLINE", "CIRCLE", "LWPOLYLINE", "INSERT", "TEXT", "LINE"]);
+  const { rectangle } = footprintOf(plan.entities[3], plan.blocks);
+  assert.deepEqual({ ...rectangle, rotation: Math.round(rectangle.rotation) }, { x: 4000, y: 1000, length: 400, width: 400, rotation: 0 });
+  assert.deepEqual(footprintOf(plan.entities[5], plan.blocks), { reason: "not a pedestal shape" });
+});
+
+test("imports the pedestals and the plate from the plan", () => {
+  const options = dxfImportDefaults(plan);
+  assert.deepEqual(options, { layer: "PED", units: "mm", outlineIndex: 0, origin: { x: 0, y: 4000 } });
+  const { pedestals, plate, skipped, warnings } = importDxfPedestals(plan, { ...options, firstId: 4 });
+  assert.deepEqual(pedestals, [
+    { id: 4, x: 1, z: 1, length: 0.5, width: 0.5, shape: "circle" },
+    { id: 5, x: 2.3, z: 1, length: 0.6, width: 0.3 },
+    { id: 6, x: 4, z: 3, length: 0.4, width: 0.4 },
+  ]);
+  assert.deepEqual(plate, { length: 5, width: 4, outline: null });
+  assert.deepEqual(skipped, [{ type: "LINE", reason: "not a pedestal shape" }], "the label and the attribute are not reported");
+  assert.deepEqual(warnings, []);
+});
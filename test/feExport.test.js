@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { exportModelText } from "../src/engine/index.js";
+
+// Four 0.5 plates around one pedestal, numbered as in the STAAD export
+const single = {
+  length: 1,
+  width: 1,
+  mesh: 1,
+  pedestalHeight: 1,
+  plateThickness: 0.3,
+  zOrientation: "up",
+  points: [{ id: 1, x: 0.5, z: 0.5, length: 0.4, width: 0.4 }],
+};
+
+// Sixteen plates, a square and a round pedestal, with every group written
+const grouped = {
+  ...single,
+  length: 2,
+  width: 2,
+  mesh: 0.5,
+  groupMode: "both",
+  points: [
+    { id: 7, x: 1, z: 1, length: 0.4, width: 0.4 },
+    { id: 8, x: 0.5, z: 1.5, length: 0.3, width: 0.3, shape: "circle" },
+  ],
+};
+
+const linesOf = (project, format) => exportModelText(project, { format }).trimEnd().split("\n");
+
+// The lines of a keyword block: from after the keyword line up to the next
+// keyword (CalculiX "*…") or section end (Gmsh "$End…")
+const block = (lines, keyword) => {
+  const start = lines.indexOf(keyword);
+  assert.ok(start >= 0, `${keyword} is missing`);
+  const end = lines.findIndex((line, i) => i > start && /^[*$]/.test(line));
+  return lines.slice(start + 1, end < 0 ? lines.length : end);
+};
+
+test("writes CalculiX nodes, S4 shells and B31 pedestal beams", () => {
+  const lines = linesOf(single, "calculix");
+  const nodes = block(lines, "*NODE, NSET=NALL");
+  assert.equal(nodes.length, 10);
+  assert.deepEqual([nodes[0], nodes[9]], ["1, 0, 0, 0", "10, 0.5, 1, 0.5"]);
+  assert.deepEqual(block(lines, "*ELEMENT, TYPE=S4, ELSET=PLATES"), ["1, 4, 5, 2, 1", "2, 5, 6, 3, 2", "3, 7, 8, 5, 4", "4, 8, 9, 6, 5"]);
+  assert.deepEqual(block(lines, "*ELEMENT, TYPE=B31, ELSET=P1_PEDESTAL"), ["5, 5, 10"]);
+  assert.deepEqual(block(lines, "*ELSET, ELSET=PEDESTALS"), ["P1_PEDESTAL"]);
+});
+
+test("writes the CalculiX sections and group element sets", () => {
+  const lines = linesOf(grouped, "calculix");
+  assert.deepEqual(block(lines, "*SHELL SECTION, ELSET=PLATES, MATERIAL=PLATE_CONCRETE"), ["0.3"]);
+  assert.deepEqual(block(lines, "*BEAM SECTION, ELSET=P7_PEDESTAL, MATERIAL=PEDESTAL_CONCRETE, SECTION=RECT"), ["0.4, 0.4", "1, 0, 0"]);
+  assert.deepEqual(block(lines, "*BEAM SECTION, ELSET=P8_PEDESTAL, MATERIAL=PEDESTAL_CONCRETE, SECTION=CIRC"), ["0.15", "1, 0, 0"]);
+  assert.deepEqual(block(lines, "*ELSET, ELSET=MOMENT"), ["6, 7, 9, 10, 11, 13, 14"]);
+  assert.deepEqual(block(lines, "*ELSET, ELSET=P7_MOMENT"), ["6, 7, 10, 11"]);
+  assert.deepEqual(block(lines, "*ELSET, ELSET=P8_TWO_WAY_SHEAR"), ["9, 10, 13, 14"]);
+});
+
+test("writes the Gmsh sections in order, the mesh format first", () => {
+  const lines = linesOf(single, "gmsh");
+  assert.deepEqual(
+    lines.filter((line) => line.startsWith("$") && !line.startsWith("$End")),
+    ["$MeshFormat", "$Comments", "$PhysicalNames", "$Entities", "$Nodes", "$Elements"]
+  );
+  assert.deepEqual(block(lines, "$MeshFormat"), ["4.1 0 8"]);
+  assert.deepEqual(block(lines, "$PhysicalNames"), ["2", '1 1 "PEDESTALS"', '2 1 "PLATES"']);
+  // One block of line elements (the pedestal), then one of quadrangles (the plates)
+  assert.deepEqual(block(lines, "$Elements"), [
+    "2 5 1 5",
+    "1 1 1 1",
+    "5 5 10",
+    "2 1 3 4",
+    "1 4 5 2 1",
+    "2 5 6 3 2",
+    "3 7 8 5 4",
+    "4 8 9 6 5",
+  ]);
+  assert.equal(block(linesOf(grouped, "gmsh"), "$PhysicalNames")[0], "11");
+});
+
+test("writes OpenSees shells, pedestal beams and group regions", () => {
+  const lines = linesOf(single, "opensees");
+  assert.ok(lines.includes("model BasicBuilder -ndm 3 -ndf 6"));
+  assert.deepEqual(
+    lines.filter((line) => line.startsWith("element ShellMITC4")),
+    [
+      "element ShellMITC4 1 4 5 2 1 1",
+      "element ShellMITC4 2 5 6 3 2 1",
+      "element ShellMITC4 3 7 8 5 4 1",
+      "element ShellMITC4 4 8 9 6 5 1",
+    ]
+  );
+  const beam = lines.find((line) => line.startsWith("element elasticBeamColumn")).split(" ");
+  // Tag, end nodes, area and the transformation defined just before it
+  assert.deepEqual([...beam.slice(2, 6), beam[beam.length - 1]], ["5", "5", "10", "0.16", "5"]);
+  assert.ok(lines.includes("geomTransf Linear 5 0 0 1"));
+  assert.deepEqual(lines.slice(-2), ["# Region 1: PEDESTALS", "region 1 -ele 5"]);
+
+  const regions = linesOf(grouped, "opensees").filter((line) => line.startsWith("region"));
+  assert.equal(regions.length, 10);
+  assert.equal(regions[3], "region 4 -ele 6 7 10 11");
+});
@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_REFINEMENT,
+  computeGridLines,
+  equalStripCount,
+  generateModel,
+  gradedMeshSize,
+  mergeCloseCuts,
+} from "../src/engine/index.js";
+
+// Compares grid lines to 1e-9, ignoring floating-point noise
+const assertLines = (actual, expected) => {
+  assert.equal(actual.length, expected.length, `${JSON.stringify(actual)} has ${actual.length} lines`);
+  actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) < 1e-9, `line ${i}: ${v} != ${expected[i]}`));
+};
+
+const project = {
+  length: 2,
+  width: 1,
+  mesh: 0.5,
+  points: [{ id: 1, x: 0.7, z: 0.5, length: 0.4, width: 0.4 }],
+};
+
+test("steps from each cut with the remainder as the last strip", () => {
+  const { xLines, zLines } = computeGridLines(project);
+  assertLines(xLines, [0, 0.5, 0.7, 1.2, 1.7, 2]);
+  assertLines(zLines, [0, 0.5, 1]);
+});
+
+test("divides each segment into equal strips", () => {
+  const { xLines } = computeGridLines({ ...project, meshMode: "equal" });
+  assertLines(xLines, [0, 0.7, 0.7 + 1.3 / 3, 0.7 + 2.6 / 3, 2]);
+  assert.equal(equalStripCount(1.3, 0.5, 0.5), 2, "no strip narrower than the minimum");
+});
+
+test("merges a remainder narrower than the minimum strip", () => {
+  const { xLines } = computeGridLines({ ...project, minStrip: 0.35 });
+  assertLines(xLines, [0, 0.7, 1.2, 2]);
+});
+
+test("grades the mesh size away from the pedestals", () => {
+  const sizeAt = gradedMeshSize([2], { radius: 0.5, mesh: 0.1, growth: 1.5 }, 0.5);
+  assert.deepEqual([2, 2.5, 3, 4].map(sizeAt), [0.1, 0.1, 0.35, 0.5]);
+  assert.equal(gradedMeshSize([], DEFAULT_REFINEMENT, 0.5)(1), 0.5);
+});
+
+test("refines the strips around the pedestals", () => {
+  const refinement = { ...DEFAULT_REFINEMENT, enabled: true, radius: 0.3 };
+  const { xLines } = computeGridLines({ ...project, length: 6, refinement, points: [{ ...project.points[0], x: 2 }] });
+  const strips = xLines.slice(1).map((v, i) => v - xLines[i]);
+  const near = strips.filter((_, i) => Math.abs(xLines[i] + strips[i] / 2 - 2) < 0.3);
+  assert.ok(near.length >= 4 && near.every((w) => Math.abs(w - 0.1) < 0.02), `fine strips ${near}`);
+  assert.ok(strips.every((w) => w < 0.5 * 1.02), "no strip coarser than the mesh");
+  assert.ok(strips.every((w, i) => i === 0 || Math.max(w / strips[i - 1], strips[i - 1] / w) < 1.4), "strips grow smoothly");
+  assert.deepEqual(computeGridLines({ ...project, refinement: DEFAULT_REFINEMENT }), computeGridLines(project));
+});
+
+test("clamps pedestals outside the plate to its edges", () => {
+  const { xLines } = computeGridLines({ ...project, points: [{ id: 1, x: 2.4, z: 0.5, length: 0.4, width: 0.4 }] });
+  assertLines(xLines, [0, 0.5, 1, 1.5, 2]);
+});
+
+test("cuts at the outline vertices", () => {
+  const outline = [
+    { x: 0, z: 0 },
+    { x: 2, z: 0 },
+    { x: 2, z: 1 },
+    { x: 1.1, z: 1 },
+    { x: 1.1, z: 0.6 },
+    { x: 0, z: 0.6 },
+  ];
+  const { xLines, zLines } = computeGridLines({ ...project, outline });
+  assertLines(xLines, [0, 0.5, 0.7, 1.1, 1.6, 2]);
+  assertLines(zLines, [0, 0.5, 0.6, 1]);
+});
+
+test("cuts at the pedestal faces and shear critical sections", () => {
+  const { xLines, zLines } = computeGridLines({ ...project, gridAtPedestalFaces: true, plateThickness: 0.3 });
+  assertLines(xLines, [0, 0.2, 0.35, 0.5, 0.7, 0.9, 1.05, 1.2, 1.7, 2]);
+  assertLines(zLines, [0, 0.15, 0.3, 0.5, 0.7, 0.85, 1]);
+});
+
+test("puts exactly the plates inside the pedestal faces in the moment group", () => {
+  const model = generateModel({ ...project, pedestalHeight: 1, plateThickness: 0.3, gridAtPedestalFaces: true });
+  const plateById = new Map(model.plates.map((p) => [p.id, p]));
+  const nodeById = new Map(model.nodes.map((n) => [n.id, n]));
+  const { moment } = model.pedestalGroups[0];
+  assert.equal(moment.length, 4);
+  moment.forEach((id) => {
+    plateById.get(id).nodes.forEach((nodeId) => {
+      const { x, z } = nodeById.get(nodeId);
+      assert.ok(x > 0.5 - 1e-9 && x < 0.9 + 1e-9 && z > 0.3 - 1e-9 && z < 0.7 + 1e-9, `plate ${id} corner (${x}, ${z})`);
+    });
+  });
+});
+
+test("keeps the earlier of two close cuts and drops those near a fixed cut", () => {
+  assertLines(mergeCloseCuts([0, 5], [1.45, 3, 1.4, 4.95], 0.125), [1.45, 3]);
+  assertLines(mergeCloseCuts([0, 5], [1, 1.125], 0.125), [1, 1.125]);
+});
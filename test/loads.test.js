@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildLoadLines, exportStd, generateModel, nextLoadId, parseStaad, pedestalLoad } from "../src/engine/index.js";
+
+const project = {
+  length: 2,
+  width: 1,
+  mesh: 0.5,
+  pedestalHeight: 1,
+  plateThickness: 0.3,
+  zOrientation: "up",
+  points: [
+    { id: 1, x: 0.7, z: 0.5, length: 0.4, width: 0.4, loads: { 1: { fy: -100, mx: 5 }, 2: { fx: 10 } } },
+    { id: 2, x: 1.5, z: 0.5, length: 0.4, width: 0.4 },
+  ],
+  loadCases: [
+    { id: 1, name: "DEAD" },
+    { id: 2, name: "WIND" },
+  ],
+  loadCombinations: [{ id: 101, name: "ULS", factors: { 1: 1.4, 2: 0, 3: 2 } }],
+};
+
+test("fills the missing load components with zero", () => {
+  assert.deepEqual(pedestalLoad(project.points[0], 1), { fx: 0, fy: -100, fz: 0, mx: 5, mz: 0 });
+  assert.deepEqual(pedestalLoad(project.points[1], 1), { fx: 0, fy: 0, fz: 0, mx: 0, mz: 0 });
+});
+
+test("numbers load cases and combinations in one sequence", () => {
+  assert.equal(nextLoadId(project.loadCases, project.loadCombinations), 102);
+  assert.equal(nextLoadId(project.loadCases, [], 101), 101);
+});
+
+test("writes a joint load per loaded pedestal and the combinations of known cases", () => {
+  const model = { ...generateModel(project), points: project.points };
+  const { loadCases, loadCombinations } = project;
+  assert.deepEqual(buildLoadLines({ ...model, loadCases, loadCombinations }), [
+    "LOAD 1 TITLE DEAD",
+    "JOINT LOAD",
+    "19 FY -100 MX 5;",
+    "LOAD 2 TITLE WIND",
+    "JOINT LOAD",
+    "19 FX 10;",
+    "LOAD COMB 101 ULS",
+    "1 1.4",
+    "PERFORM ANALYSIS",
+  ]);
+  assert.deepEqual(buildLoadLines(model), []);
+});
+
+test("reads the loads, cases and combinations back", () => {
+  const { project: read, warnings } = parseStaad(exportStd(project));
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(read.loadCases, project.loadCases);
+  assert.deepEqual(read.loadCombinations, [{ id: 101, name: "ULS", factors: { 1: 1.4 } }]);
+  const loaded = read.points.find((p) => Math.abs(p.x - 0.7) < 1e-6);
+  assert.deepEqual(loaded.loads, project.points[0].loads);
+});
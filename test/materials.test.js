@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildMaterialLines,
+  editMaterial,
+  exportStd,
+  formatMaterialNumber,
+  materialFromPreset,
+  parseStaad,
+  staadMaterialName,
+} from "../src/engine/index.js";
+
+const m30 = materialFromPreset("M30");
+
+test("derives the preset constants from the grade", () => {
+  assert.equal(m30.E, 5000 * Math.sqrt(30) * 1000);
+  assert.equal(m30.G, m30.E / (2 * (1 + 0.2)));
+  assert.deepEqual({ density: m30.density, fcu: m30.fcu }, { density: 25, fcu: 30000 });
+  assert.equal(materialFromPreset("M99"), null);
+});
+
+test("re-derives G and leaves the preset when edited", () => {
+  const edited = editMaterial(m30, { E: 3e7 });
+  assert.equal(edited.preset, "custom");
+  assert.equal(edited.G, 1.25e7);
+  assert.equal(editMaterial(m30, { density: 24 }).G, m30.G);
+});
+
+test("writes STAAD names and numbers", () => {
+  assert.equal(staadMaterialName("C30/37"), "C30_37");
+  assert.equal(staadMaterialName(" "), "CONCRETE");
+  assert.equal(formatMaterialNumber(2.17185e7), "2.17185e+07");
+  assert.equal(formatMaterialNumber(1e-5), "1e-05");
+  assert.equal(formatMaterialNumber(0.17), "0.17");
+});
+
+test("assigns one material to ALL and renames a different one of the same name", () => {
+  const plates = [{ id: 1 }, { id: 2 }];
+  assert.deepEqual(buildMaterialLines({ plates, memberIds: [3], plateMaterial: m30, pedestalMaterial: m30 }).assignments, [
+    "MATERIAL M30 ALL",
+  ]);
+  const pedestalMaterial = editMaterial(m30, { E: 3e7 });
+  const { definition, assignments } = buildMaterialLines({ plates, memberIds: [3], plateMaterial: m30, pedestalMaterial });
+  assert.deepEqual(assignments, ["MATERIAL M30 MEMB 1 2", "MATERIAL M30_PED MEMB 3"]);
+  assert.deepEqual(definition.filter((l) => l.startsWith("ISOTROPIC")), ["ISOTROPIC M30", "ISOTROPIC M30_PED"]);
+});
+
+test("recognises presets and keeps edited materials when reading back", () => {
+  const pedestalMaterial = editMaterial(m30, { E: 3e7 });
+  const project = {
+    length: 2,
+    width: 1,
+    mesh: 0.5,
+    pedestalHeight: 1,
+    plateThickness: 0.3,
+    zOrientation: "up",
+    points: [{ id: 1, x: 0.7, z: 0.5, length: 0.4, width: 0.4 }],
+    plateMaterial: m30,
+    pedestalMaterial,
+  };
+  const { project: read, warnings } = parseStaad(exportStd(project));
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(read.plateMaterial, m30);
+  assert.deepEqual(read.pedestalMaterial, { ...pedestalMaterial, name: "M30_PED" });
+});
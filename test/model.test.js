@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateModel } from "../src/engine/index.js";
+
+const project = {
+  length: 2,
+  width: 1,
+  mesh: 0.5,
+  pedestalHeight: 1,
+  plateThickness: 0.3,
+  zOrientation: "up",
+  points: [{ id: 1, x: 0.7, z: 0.5, length: 0.4, width: 0.4 }],
+};
+
+test("builds a plate per grid cell and a member up each pedestal", () => {
+  const { nodes, plates, members } = generateModel(project);
+  assert.equal(plates.length, 5 * 2);
+  assert.equal(nodes.length, 6 * 3 + 1);
+  assert.equal(members.length, 1);
+  const nodeById = new Map(nodes.map((n) => [n.id, n]));
+  const { x, y, z } = nodeById.get(members[0].startNode);
+  assert.deepEqual({ x, y, z }, { x: 0.7, y: 0, z: 0.5 });
+  assert.equal(nodeById.get(members[0].endNode).y, 1);
+});
+
+test("groups the plates under and around each pedestal", () => {
+  const { pedestalGroups, groupedPlates, shearPlates } = generateModel(project);
+  assert.equal(pedestalGroups.length, 1);
+  assert.deepEqual(groupedPlates, [2, 3, 7, 8]);
+  assert.deepEqual(shearPlates, [1, 2, 3, 4, 6, 7, 8, 9]);
+});
+
+test("leaves out the members without a pedestal height", () => {
+  const { nodes, members } = generateModel({ ...project, pedestalHeight: 0 });
+  assert.equal(members.length, 0);
+  assert.equal(nodes.length, 6 * 3);
+});
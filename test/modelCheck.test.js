@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkModel, footprintsOverlap, generateModel, maxPlateAspectRatio } from "../src/engine/index.js";
+
+const plate = { length: 4, width: 3, mesh: 0.5, pedestalHeight: 1, plateThickness: 0.5, zOrientation: "up" };
+
+// Checks a project on the grid it generates
+const check = (project) => checkModel({ ...project, ...generateModel(project) });
+
+test("passes a clean model", () => {
+  assert.deepEqual(check({ ...plate, points: [{ id: 1, x: 1, z: 1, length: 0.5, width: 0.5 }] }), []);
+});
+
+test("reports pedestals off the plate and overlapping footprints as errors", () => {
+  const issues = check({
+    ...plate,
+    points: [
+      { id: 1, x: 1, z: 1, length: 0.6, width: 0.6 },
+      { id: 2, x: 1.5, z: 1, length: 0.6, width: 0.6 },
+      { id: 3, x: 5, z: 1, length: 0.5, width: 0.5 },
+    ],
+  });
+  assert.deepEqual(
+    issues.filter((i) => i.severity === "error").map((i) => [i.message, i.pedestalIds]),
+    [
+      ["P3 at (5 m, 1 m) is off the plate: it gets no node and no member", [3]],
+      ["P1 and P2 overlap", [1, 2]],
+    ]
+  );
+});
+
+test("warns about overhangs, close pedestals and long plates", () => {
+  const issues = check({
+    ...plate,
+    points: [
+      { id: 1, x: 0.1, z: 1, length: 0.5, width: 0.5 },
+      { id: 2, x: 2, z: 1, length: 0.5, width: 0.5 },
+      { id: 3, x: 2.1, z: 2.5, length: 0.5, width: 0.5 },
+    ],
+  });
+  assert.ok(issues.every((i) => i.severity === "warning"));
+  assert.deepEqual(issues.slice(0, 2).map((i) => i.message), [
+    "P1 hangs over the plate edge or an opening",
+    "P2 and P3 are 0.1 m apart along X, less than the mesh size (0.5 m): the grid gets a 0.1 m strip",
+  ]);
+  assert.match(issues[2].message, /aspect ratio/);
+  assert.ok(issues[2].plateIds.length > 0);
+});
+
+test("tells touching footprints from overlapping ones", () => {
+  const a = { id: 1, x: 1, z: 1, length: 0.5, width: 0.5 };
+  assert.equal(footprintsOverlap(a, { ...a, id: 2, x: 1.5 }), false);
+  assert.equal(footprintsOverlap(a, { ...a, id: 2, x: 1.4, rotation: 45 }), true);
+  assert.equal(footprintsOverlap({ ...a, shape: "circle" }, { ...a, id: 2, x: 1.49, shape: "circle" }), true);
+});
+
+test("finds the largest plate aspect ratio", () => {
+  assert.equal(maxPlateAspectRatio(generateModel({ ...plate, points: [] })), 1);
+  // A 0.1 strip between pedestal centres against 0.5 plates along Z
+  const points = [{ id: 1, x: 1, z: 1, length: 0.1, width: 0.1 }, { id: 2, x: 1.1, z: 2, length: 0.1, width: 0.1 }];
+  assert.ok(Math.abs(maxPlateAspectRatio(generateModel({ ...plate, points })) - 5) < 1e-9);
+});
@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  exportStd,
+  generateModel,
+  parseStaad,
+  pointInPolygon,
+  resolveShape,
+  traceCellBoundaries,
+} from "../src/engine/index.js";
+
+// An L-shaped plate with a rectangular opening
+const outline = [
+  { x: 0, z: 0 },
+  { x: 2, z: 0 },
+  { x: 2, z: 1 },
+  { x: 1.1, z: 1 },
+  { x: 1.1, z: 0.6 },
+  { x: 0, z: 0.6 },
+];
+const opening = {
+  id: 1,
+  points: [
+    { x: 1.5, z: 0.2 },
+    { x: 1.8, z: 0.2 },
+    { x: 1.8, z: 0.5 },
+    { x: 1.5, z: 0.5 },
+  ],
+};
+const project = {
+  length: 2,
+  width: 1,
+  mesh: 0.5,
+  pedestalHeight: 1,
+  plateThickness: 0.3,
+  zOrientation: "up",
+  points: [{ id: 1, x: 0.7, z: 0.3, length: 0.4, width: 0.4 }],
+  outline,
+  openings: [opening],
+};
+
+test("tests points against the outline", () => {
+  assert.equal(pointInPolygon(1.5, 0.8, outline), true);
+  assert.equal(pointInPolygon(0.5, 0.8, outline), false);
+});
+
+test("clamps the outline to the plate and drops degenerate openings", () => {
+  const wide = [
+    { x: -1, z: 0 },
+    { x: 3, z: 0 },
+    { x: 3, z: 2 },
+    { x: -1, z: 2 },
+  ];
+  const line = { id: 2, points: [{ x: 0, z: 0 }, { x: 1, z: 0 }] };
+  assert.deepEqual(resolveShape({ length: 2, width: 1, outline: wide, openings: [line] }), {
+    outline: [
+      { x: 0, z: 0 },
+      { x: 2, z: 0 },
+      { x: 2, z: 1 },
+      { x: 0, z: 1 },
+    ],
+    openings: [],
+  });
+});
+
+test("keeps the cells inside the outline and outside the openings", () => {
+  // 6 × 5 cells, less 3 beyond the outline and 2 in the opening
+  assert.equal(generateModel(project).plates.length, 30 - 3 - 2);
+});
+
+test("traces the boundary of a set of cells", () => {
+  const cells = [
+    { x0: 0, x1: 1, z0: 0, z1: 1 },
+    { x0: 1, x1: 2, z0: 0, z1: 1 },
+    { x0: 0, x1: 1, z0: 1, z1: 2 },
+  ];
+  assert.deepEqual(traceCellBoundaries(cells), [
+    [
+      { x: 0, z: 0 },
+      { x: 2, z: 0 },
+      { x: 2, z: 1 },
+      { x: 1, z: 1 },
+      { x: 1, z: 2 },
+      { x: 0, z: 2 },
+    ],
+  ]);
+});
+
+test("recovers the outline and openings from an exported file", () => {
+  const { project: read, warnings } = parseStaad(exportStd(project));
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(read.outline, outline);
+  assert.equal(read.openings.length, 1);
+  const corners = (points) => points.map((p) => `${p.x},${p.z}`).sort();
+  assert.deepEqual(corners(read.openings[0].points), corners(opening.points));
+});
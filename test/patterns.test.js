@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_PATTERN, patternPositions, placePattern } from "../src/engine/index.js";
+
+const plate = { length: 6, width: 4, points: [{ id: 5, x: 3, z: 2, length: 0.5, width: 0.5 }] };
+
+test("lays out arrays, rows and rings", () => {
+  const grid = patternPositions({ ...DEFAULT_PATTERN, columns: 2, rows: 2, x0: 1, z0: 1, dx: 2, dz: 1.5 });
+  assert.deepEqual(grid.map(({ x, z }) => [x, z]), [[1, 1], [3, 1], [1, 2.5], [3, 2.5]]);
+
+  const line = patternPositions({ ...DEFAULT_PATTERN, type: "line", count: 2, x0: 1, z0: 3, spacing: 2, angle: 90 });
+  assert.ok(Math.abs(line[1].x - 1) < 1e-9);
+  assert.equal(line[1].z, 1, "90° points towards −Z");
+
+  const ring = patternPositions({ ...DEFAULT_PATTERN, type: "circle", count: 4, startAngle: 0 });
+  assert.deepEqual(ring.map((p) => p.rotation), [0, 90, 180, 270]);
+});
+
+test("numbers the new pedestals after the existing ones", () => {
+  const { pedestals, skipped } = placePattern({ ...DEFAULT_PATTERN, columns: 2, rows: 1, x0: 1, z0: 1, dx: 2 }, plate);
+  assert.deepEqual(pedestals, [
+    { id: 6, x: 1, z: 1, length: 0.5, width: 0.3 },
+    { id: 7, x: 3, z: 1, length: 0.5, width: 0.3 },
+  ]);
+  assert.deepEqual(skipped, []);
+});
+
+test("skips positions off the plate, outside the outline or in an opening", () => {
+  const { pedestals, skipped } = placePattern(
+    { ...DEFAULT_PATTERN, type: "line", count: 4, x0: 1, z0: 1, spacing: 2, shape: "circle" },
+    {
+      ...plate,
+      points: [],
+      openings: [{ points: [{ x: 2.5, z: 0.5 }, { x: 3.5, z: 0.5 }, { x: 3.5, z: 1.5 }, { x: 2.5, z: 1.5 }] }],
+    }
+  );
+  assert.deepEqual(pedestals, [
+    { id: 1, x: 1, z: 1, length: 0.5, width: 0.5, shape: "circle" },
+    { id: 2, x: 5, z: 1, length: 0.5, width: 0.5, shape: "circle" },
+  ]);
+  assert.deepEqual(skipped.map(({ x, z }) => [x, z]), [[3, 1], [7, 1]]);
+});
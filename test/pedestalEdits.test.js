@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { copyPedestals, mirrorPedestals, movePedestals, pedestalsInBox, updatePedestals } from "../src/engine/index.js";
+
+const plate = { length: 6, width: 4 };
+const points = [
+  { id: 1, x: 1, z: 1, length: 0.5, width: 0.5 },
+  { id: 2, x: 2, z: 1, length: 1, width: 0.5, rotation: 30, loads: { 1: { fx: 10, fy: -100, mz: 5, mx: 2 } } },
+  { id: 4, x: 5, z: 3, length: 0.5, width: 0.5 },
+];
+
+test("selects the pedestals whose centre is in the box", () => {
+  assert.deepEqual(pedestalsInBox(points, { x0: 2.5, z0: 0, x1: 0.5, z1: 1 }), [1, 2]);
+});
+
+test("moves pedestals together without leaving the plate", () => {
+  const moved = movePedestals(points, [1, 4], 2, 0.5, plate);
+  assert.deepEqual(moved.map(({ x, z }) => [x, z]), [[2, 1.5], [2, 1], [6, 3.5]]);
+});
+
+test("copies pedestals after the existing IDs and drops copies off the plate", () => {
+  const copies = copyPedestals(points, points.slice(0, 2), 0, 3.5, plate);
+  assert.deepEqual(copies, []);
+  const [copy] = copyPedestals(points, [points[1]], 0.1, 0.2, plate);
+  assert.deepEqual(copy, { ...points[1], id: 5, x: 2.1, z: 1.2 });
+});
+
+test("mirrors positions, rotations and loads about the footprints", () => {
+  const mirrored = mirrorPedestals(points, [1, 4], "x");
+  assert.deepEqual(mirrored.map(({ x, z }) => [x, z]), [[5, 1], [2, 1], [1, 3]]);
+  const [, alone] = mirrorPedestals(points, [2], "x");
+  assert.equal(alone.x, 2, "a lone pedestal stays where it is");
+  assert.equal(alone.rotation, -30);
+  assert.deepEqual(alone.loads, { 1: { fx: -10, fy: -100, mz: -5, mx: 2 } });
+  assert.deepEqual(mirrorPedestals(points, [], "z"), points);
+});
+
+test("applies one change to several pedestals", () => {
+  const updated = updatePedestals(points, [1, 4], { length: 0.8 });
+  assert.deepEqual(updated.map((p) => p.length), [0.8, 1, 0.8]);
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  cellsInFootprint,
+  exportStd,
+  isAxisAligned,
+  isInsideFootprint,
+  parseStaad,
+  pedestalFootprint,
+} from "../src/engine/index.js";
+
+const circle = { id: 1, x: 1, z: 1, length: 0.6, width: 0.6, shape: "circle" };
+const rotated = { id: 2, x: 2.2, z: 1, length: 0.5, width: 0.3, rotation: 30 };
+
+test("turns the footprint of a rotated pedestal counterclockwise", () => {
+  const turned = { id: 3, x: 1, z: 1, length: 1, width: 0.4, rotation: 90 };
+  const corners = pedestalFootprint(turned).map(({ x, z }) => [Math.round(x * 1e9) / 1e9, Math.round(z * 1e9) / 1e9]);
+  assert.deepEqual(corners, [[0.8, 1.5], [0.8, 0.5], [1.2, 0.5], [1.2, 1.5]]);
+  assert.equal(isInsideFootprint(turned, 0, 1, 1.45), true);
+  assert.equal(isInsideFootprint(turned, 0, 1.45, 1), false);
+});
+
+test("treats only unrotated rectangles as axis-aligned", () => {
+  assert.equal(isAxisAligned({ ...rotated, rotation: 0 }), true);
+  assert.equal(isAxisAligned({ ...rotated, rotation: 180 }), true);
+  assert.equal(isAxisAligned(rotated), false);
+  assert.equal(isAxisAligned(circle), false);
+});
+
+test("takes the cells whose centre lies inside a circle", () => {
+  const lines = [0, 0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+  const cells = cellsInFootprint(circle, 0, { xLines: lines, zLines: lines });
+  assert.deepEqual(cells.map(({ xi, zi }) => `${xi},${zi}`).sort(), ["3,3", "3,4", "4,3", "4,4"]);
+  // Grown by the plate thickness, the one-way shear perimeter reaches the next ring of cells
+  assert.equal(cellsInFootprint(circle, 0.3, { xLines: lines, zLines: lines }).length, 16);
+});
+
+test("exports circles as PRISM YD and rotations as BETA, and reads them back", () => {
+  const project = {
+    length: 3,
+    width: 2,
+    mesh: 0.25,
+    pedestalHeight: 1,
+    plateThickness: 0.3,
+    zOrientation: "up",
+    points: [circle, rotated],
+  };
+  const text = exportStd(project);
+  const lines = text.split("\n");
+  assert.ok(lines.includes("BETA 30 MEMB 106"));
+  assert.ok(lines.includes("105 PRISM YD 0.6;"));
+  assert.ok(lines.includes("106 PRISM YD 0.5 ZD 0.3;"));
+  const { project: read, warnings } = parseStaad(text);
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(read.points, project.points);
+});
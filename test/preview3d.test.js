@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildPreviewScene, generateModel, plateNormal, projectScene } from "../src/engine/index.js";
+
+// Four 0.5 plates around one pedestal
+const sceneOf = (zOrientation) => {
+  const model = generateModel({
+    length: 1,
+    width: 1,
+    mesh: 1,
+    pedestalHeight: 1,
+    plateThickness: 0.2,
+    zOrientation,
+    points: [{ id: 1, x: 0.5, z: 0.5, length: 0.4, width: 0.4 }],
+  });
+  return buildPreviewScene({ ...model, plateThickness: 0.2 });
+};
+
+const kinds = (faces) => faces.reduce((count, f) => ({ ...count, [f.kind]: (count[f.kind] || 0) + 1 }), {});
+
+test("derives the plate normal from the node order", () => {
+  const corners = [{ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }, { x: 1, y: 0, z: 1 }, { x: 0, y: 0, z: 1 }];
+  // Unit vectors, so a Y of ±1 leaves nothing along X or Z
+  assert.equal(plateNormal(corners).y, -1);
+  assert.equal(plateNormal([...corners].reverse()).y, 1);
+});
+
+test("builds slabs with walls on the free edges only, and the pedestal prism", () => {
+  const scene = sceneOf("up");
+  assert.deepEqual(kinds(scene.faces), { plateTop: 4, plateBottom: 4, plateSide: 8, pedestalSide: 4, pedestalTop: 1 });
+  assert.equal(scene.nodes.length, 10);
+  const pedestal = scene.faces.find((f) => f.kind === "pedestalSide");
+  assert.deepEqual(pedestal.points.map((v) => v.y), [0.1, 0.1, 1, 1], "from the top of the slab to the top node");
+});
+
+test("points the normal arrows along the Z orientation", () => {
+  const up = sceneOf("up").normals;
+  const down = sceneOf("down").normals;
+  assert.ok(up.every((n) => n.up && n.from.y === 0.1 && n.to.y > n.from.y));
+  assert.ok(down.every((n) => !n.up && n.from.y === -0.1 && n.to.y < n.from.y));
+});
+
+test("draws only the faces turned to the viewer", () => {
+  const top = projectScene(sceneOf("up"), { yaw: 0, pitch: 90 });
+  assert.deepEqual(kinds(top.faces), { plateTop: 4, pedestalTop: 1 });
+  assert.equal(top.faces[top.faces.length - 1].kind, "pedestalTop", "the nearest face is painted last");
+  const below = projectScene(sceneOf("up"), { yaw: 0, pitch: -90 });
+  assert.deepEqual(kinds(below.faces), { plateBottom: 4 });
+});
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_PROJECT,
+  DEFAULT_REFINEMENT,
+  PROJECT_FILE_VERSION,
+  migrateProjectFile,
+  readProjectFile,
+  writeProjectFile,
+} from "../src/engine/index.js";
+
+// A file saved before the format was versioned
+const v0 = {
+  length: 5,
+  width: 4,
+  mesh: 0.5,
+  pedestalHeight: 1,
+  plateThickness: 0.6,
+  zOrientation: "up",
+  points: [{ id: 1, x: 1, z: 1, length: 0.5, width: 0.5 }],
+};
+
+test("migrates an unversioned file to the current version", () => {
+  const { file, errors } = migrateProjectFile(v0);
+  assert.deepEqual(errors, []);
+  assert.equal(file.version, PROJECT_FILE_VERSION);
+  assert.equal(file.meshMode, "remainder");
+  assert.equal(file.minStrip, 0);
+  assert.deepEqual(file.refinement, DEFAULT_REFINEMENT);
+  assert.equal(file.units, DEFAULT_PROJECT.units);
+  assert.equal(file.supportType, DEFAULT_PROJECT.supportType);
+  assert.equal(file.plateThickness, 0.6);
+});
+
+test("keeps the fields a version 1 file already has", () => {
+  const { file } = migrateProjectFile({ ...v0, version: 1, meshMode: "equal", minStrip: 0.1 });
+  assert.equal(file.version, PROJECT_FILE_VERSION);
+  assert.equal(file.meshMode, "equal");
+  assert.equal(file.minStrip, 0.1);
+  assert.deepEqual(file.refinement, DEFAULT_REFINEMENT);
+});
+
+test("rejects files it cannot migrate", () => {
+  assert.deepEqual(migrateProjectFile([]).errors, ["The file does not contain a project object"]);
+  assert.equal(migrateProjectFile({ length: 5 }).errors.length, 6);
+  assert.match(migrateProjectFile({ ...v0, version: 9 }).errors[0], /newer than this editor supports/);
+  assert.match(migrateProjectFile({ ...v0, version: 1.5 }).errors[0], /version must be a whole number/);
+});
+
+test("reads back what it writes", () => {
+  const { project } = readProjectFile(v0);
+  const written = JSON.parse(JSON.stringify(writeProjectFile(project, { showMomentGroup: true })));
+  assert.equal(written.version, PROJECT_FILE_VERSION);
+  const read = readProjectFile(written);
+  assert.deepEqual(read.errors, []);
+  assert.deepEqual(read.project, project);
+  assert.deepEqual(read.view, { showMomentGroup: true });
+});
+
+test("reports invalid projects", () => {
+  const { project, errors } = readProjectFile({ ...v0, points: [{ id: 1, x: 9, z: 1, length: 0.5, width: 0.5 }] });
+  assert.equal(project, null);
+  assert.deepEqual(errors, ["Pedestal P1 at (9, 1) is outside the 5 × 4 plate"]);
+});
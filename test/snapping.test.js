@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_SNAP, nearestNeighbour, resolveShape, snapPosition } from "../src/engine/index.js";
+
+const point = { id: 9, x: 0, z: 0, length: 0.4, width: 0.4 };
+const points = [{ id: 1, x: 2, z: 1.5, length: 0.5, width: 0.5 }, point];
+const plate = { point, points, length: 6, width: 4, settings: DEFAULT_SNAP, tolerance: 0.1 };
+
+test("rounds to the increment away from any target", () => {
+  assert.deepEqual(snapPosition(3.52, 2.74, plate), { x: 3.5, z: 2.75, guides: [] });
+  assert.deepEqual(snapPosition(-1, 9, { ...plate, settings: { ...DEFAULT_SNAP, enabled: false } }), {
+    x: 0,
+    z: 4,
+    guides: [],
+  });
+});
+
+test("aligns with other pedestals before edges and mesh lines", () => {
+  const { x, z, guides } = snapPosition(2.04, 1.46, { ...plate, xLines: [2.1], zLines: [1.5] });
+  assert.deepEqual({ x, z }, { x: 2, z: 1.5 });
+  assert.deepEqual(guides, [
+    { axis: "x", value: 2, kind: "pedestal" },
+    { axis: "z", value: 1.5, kind: "pedestal" },
+  ]);
+});
+
+test("puts a face flush with a plate or outline edge", () => {
+  assert.deepEqual(snapPosition(0.25, 3.75, plate).guides, [
+    { axis: "x", value: 0.2, kind: "edge" },
+    { axis: "z", value: 3.8, kind: "edge" },
+  ]);
+  const shape = resolveShape({
+    length: 6,
+    width: 4,
+    outline: [{ x: 0, z: 0 }, { x: 5, z: 0 }, { x: 5, z: 4 }, { x: 0, z: 4 }],
+    openings: [],
+  });
+  assert.equal(snapPosition(4.75, 3, { ...plate, ...shape }).x, 4.8);
+});
+
+test("snaps to mesh lines without a guide", () => {
+  assert.deepEqual(snapPosition(3.33, 3.02, { ...plate, xLines: [3.3], zLines: [3] }), { x: 3.3, z: 3, guides: [] });
+});
+
+test("finds the nearest other pedestal", () => {
+  const near = nearestNeighbour({ id: 9, x: 1, z: 1.5 }, [...points, { id: 2, x: 5, z: 1.5 }]);
+  assert.deepEqual({ id: near.point.id, dx: near.dx, dz: near.dz, distance: near.distance }, { id: 1, dx: 1, dz: 0, distance: 1 });
+  assert.equal(nearestNeighbour(point, [point]), null);
+});
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { exportStd, parseStaad } from "../src/engine/index.js";
+
+const project = {
+  length: 2,
+  width: 1,
+  mesh: 0.5,
+  pedestalHeight: 1,
+  plateThickness: 0.3,
+  zOrientation: "up",
+  points: [{ id: 1, x: 0.7, z: 0.5, length: 0.4, width: 0.4 }],
+};
+
+test("writes the plates, groups and pedestal members", () => {
+  const lines = exportStd(project, { date: new Date(2024, 0, 2) }).split("\n");
+  assert.equal(lines[0], "STAAD SPACE");
+  assert.equal(lines[lines.length - 1], "FINISH");
+  assert.ok(lines.includes("ENGINEER DATE 02-Jan-24"));
+  assert.ok(lines.includes("_MOMENT 2 3 7 8"));
+  assert.ok(lines.includes("1 TO 10 THICKNESS 0.3;"));
+  assert.ok(lines.includes("11 9 19;"), "member 11 from the surface node up to the top node");
+  assert.ok(lines.includes("11 PRISM YD 0.4 ZD 0.4;"));
+});
+
+const pedestals = [
+  { id: 7, x: 1.5, z: 1.5, length: 0.5, width: 0.4 },
+  { id: 3, x: 4, z: 2, length: 0.6, width: 0.6 },
+  { id: 12, x: 0.2, z: 3.8, length: 0.4, width: 0.4 },
+];
+const mat = { length: 5, width: 4, mesh: 0.5, pedestalHeight: 1, plateThickness: 0.6, zOrientation: "up", points: pedestals };
+
+// Compares within the precision the export writes
+const assertNear = (actual, expected, label) =>
+  assert.ok(Math.abs(actual - expected) <= 1e-3 * Math.max(1, Math.abs(expected)), `${label}: ${actual} != ${expected}`);
+
+const byPosition = (points) => points.slice().sort((a, b) => a.x - b.x || a.z - b.z);
+
+const assertSamePedestals = (actual, expected) => {
+  assert.equal(actual.length, expected.length);
+  byPosition(actual).forEach((p, i) => {
+    const q = byPosition(expected)[i];
+    ["x", "z", "length", "width"].forEach((key) => assertNear(p[key], q[key], `P${q.id} ${key}`));
+  });
+};
+
+test("imports the plate and pedestals it exports", () => {
+  const { project: read, warnings } = parseStaad(exportStd(mat));
+  assert.deepEqual(warnings, []);
+  assertNear(read.length, 5, "length");
+  assertNear(read.width, 4, "width");
+  assertNear(read.mesh, 0.5, "mesh");
+  assertNear(read.pedestalHeight, 1, "pedestal height");
+  assertNear(read.plateThickness, 0.6, "plate thickness");
+  assert.equal(read.zOrientation, "up");
+  assertSamePedestals(read.points, pedestals);
+});
+
+test("lists what it could not map", () => {
+  const text = [
+    "STAAD SPACE",
+    "JOINT COORDINATES",
+    "1 0 0 0; 2 1 0 0; 3 1 0 1; 4 0 0 1;",
+    "ELEMENT INCIDENCES SHELL",
+    "1 1 2 3 4;",
+    "FOO BAR",
+    "FINISH",
+  ].join("\n");
+  const { project: read, warnings } = parseStaad(text);
+  assert.equal(read.points.length, 0);
+  assert.ok(warnings.includes('Line 6: ignored "FOO BAR"'), warnings.join("\n"));
+  assert.ok(warnings.some((w) => w.startsWith("No MEMBER INCIDENCES found")), warnings.join("\n"));
+});
+
+const groupLines = (text) => {
+  const lines = text.split("\n");
+  return lines.slice(lines.indexOf("START GROUP DEFINITION") + 1, lines.indexOf("END GROUP DEFINITION"));
+};
+
+test("writes per-pedestal groups and a pedestal member group", () => {
+  const single = { ...project, points: [{ ...project.points[0], id: 4 }] };
+  assert.deepEqual(groupLines(exportStd({ ...single, groupMode: "perPedestal" })), [
+    "MEMBER",
+    "_PEDESTALS 11",
+    "ELEMENT",
+    "_P4_MOMENT 2 3 7 8",
+    "_P4_1_WAY_SHEAR 1 2 3 4 6 7 8 9",
+    "_P4_2_WAY_SHEAR 2 3 7 8",
+  ]);
+  assert.deepEqual(groupLines(exportStd({ ...single, groupMode: "both" })).slice(3, 6), [
+    "_MOMENT 2 3 7 8",
+    "_1_WAY_SHEAR 1 2 3 4 6 7 8 9",
+    "_2_WAY_SHEAR 2 3 7 8",
+  ]);
+});
+
+test("keeps the group mode and the pedestal IDs named by per-pedestal groups", () => {
+  for (const groupMode of ["perPedestal", "both"]) {
+    const { project: read } = parseStaad(exportStd({ ...mat, groupMode }));
+    assert.equal(read.groupMode, groupMode);
+    const ids = byPosition(read.points).map((p) => p.id);
+    assert.deepEqual(ids, byPosition(pedestals).map((p) => p.id), groupMode);
+  }
+});
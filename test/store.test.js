@@ -0,0 +1,82 @@
+import { beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_PROJECT, writeProjectFile } from "../src/engine/index.js";
+import useStore from "../src/store.js";
+
+const initial = useStore.getState();
+const store = () => useStore.getState();
+
+beforeEach(() => useStore.setState(initial, true));
+
+test("undoes and redoes each change", () => {
+  store().setLength(5);
+  store().setWidth(3);
+  store().undo();
+  assert.deepEqual({ length: store().length, width: store().width }, { length: 5, width: initial.width });
+  store().undo();
+  assert.equal(store().length, initial.length);
+  store().redo();
+  assert.equal(store().length, 5);
+  assert.equal(store().future.length, 1);
+  store().setMesh(0.4);
+  assert.equal(store().future.length, 0, "a new change drops the redo steps");
+});
+
+test("makes a drag one undo step", () => {
+  const point = { id: 1, x: 1, z: 1, length: 0.5, width: 0.5 };
+  store().setPoints([point]);
+  store().beginHistoryStep();
+  [1.1, 1.2, 1.3].forEach((x) => store().setPoints((points) => points.map((p) => ({ ...p, x }))));
+  store().endHistoryStep();
+  assert.equal(store().points[0].x, 1.3);
+  store().undo();
+  assert.deepEqual(store().points, [point]);
+});
+
+test("records nothing for changes that alter nothing", () => {
+  store().setLength(initial.length);
+  store().beginHistoryStep();
+  store().endHistoryStep();
+  assert.equal(store().past.length, 0);
+});
+
+test("keeps the export file name out of the history", () => {
+  store().setLength(5);
+  store().setFileName("mat.STD");
+  assert.equal(store().past.length, 1);
+  store().undo();
+  assert.deepEqual({ length: store().length, fileName: store().fileName }, { length: initial.length, fileName: "mat.STD" });
+});
+
+test("keeps the open project in the library when switching projects", () => {
+  store().setLength(7);
+  const first = store().projectId;
+  store().newProject("Second");
+  assert.equal(store().length, initial.length);
+  assert.equal(store().past.length, 0, "switching projects clears the history");
+  store().openProject(first);
+  assert.equal(store().length, 7);
+  assert.deepEqual(store().library.map((e) => e.name), ["Untitled project", "Second"]);
+});
+
+test("restores the autosaved project and library", () => {
+  const { merge } = useStore.persist.getOptions();
+  const saved = writeProjectFile({ ...DEFAULT_PROJECT, length: 4, width: 2 });
+  const library = [{ id: "a", name: "Mat A", updatedAt: 0, project: saved }];
+  const restored = merge({ ...saved, library, projectId: "gone" }, store());
+  assert.deepEqual({ length: restored.length, width: restored.width, mesh: restored.mesh }, { length: 4, width: 2, mesh: initial.mesh });
+  assert.equal(restored.projectId, "a", "a missing open project falls back to the first entry");
+  assert.equal(merge({ length: 4, library: [] }, store()), store(), "an empty autosave is ignored");
+});
+
+test("opens a fresh project when the autosave cannot be read", () => {
+  const { merge } = useStore.persist.getOptions();
+  const saved = { ...writeProjectFile(DEFAULT_PROJECT), mesh: -1 };
+  const library = [{ id: "a", name: "Mat A", updatedAt: 0, project: saved }];
+  const restored = merge({ ...saved, library, projectId: "a" }, store());
+  assert.equal(restored.mesh, DEFAULT_PROJECT.mesh);
+  assert.equal(restored.library.length, 2);
+  assert.deepEqual(restored.library[0].project, saved, "the unreadable project is kept");
+  assert.equal(restored.projectId, restored.library[1].id);
+  assert.match(restored.loadError, /^The project "Mat A" could not be opened/);
+});
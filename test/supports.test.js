@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildSupportLines, computeTributaryAreas, exportStd, generateModel, parseStaad } from "../src/engine/index.js";
+
+const project = {
+  length: 2,
+  width: 1,
+  mesh: 0.5,
+  pedestalHeight: 1,
+  plateThickness: 0.3,
+  zOrientation: "up",
+  points: [{ id: 1, x: 0.7, z: 0.5, length: 0.4, width: 0.4 }],
+};
+const model = generateModel(project);
+const supportLines = (supports) => buildSupportLines({ ...model, points: project.points, supports });
+
+test("shares each plate's area among its corners", () => {
+  const areas = computeTributaryAreas(model);
+  assert.equal(areas.get(1), 0.5 * 0.5 / 4);
+  assert.equal(areas.get(10), 0.5 * 0.5);
+  assert.ok(Math.abs([...areas.values()].reduce((a, b) => a + b) - 2) < 1e-9);
+});
+
+test("writes an elastic mat on every surface node", () => {
+  assert.deepEqual(supportLines({ type: "elasticMat", subgradeModulus: 40000, compressionOnly: true }), [
+    "SUPPORTS",
+    "1 TO 18 ELASTIC MAT DIRECTION YONLY SUBGRADE 40000",
+  ]);
+});
+
+test("writes node springs from the tributary areas", () => {
+  const lines = supportLines({ type: "springs", subgradeModulus: 40000, compressionOnly: true });
+  assert.ok(lines.includes("1 13 FIXED BUT MX MY MZ KFY 2500"), "corner nodes take a sixteenth of a square plate");
+  assert.ok(lines.includes("10 FIXED BUT MX MY MZ KFY 10000"), "inner nodes take a whole plate");
+  assert.deepEqual(lines.slice(-2), ["SPRING COMPRESSION", "1 TO 18 KFY"]);
+});
+
+test("fixes the pedestal tops", () => {
+  assert.deepEqual(supportLines({ type: "fixedPedestals" }), ["SUPPORTS", "19 FIXED"]);
+  assert.deepEqual(supportLines({ type: "none" }), []);
+});
+
+test("reads the support settings back", () => {
+  const { project: read, warnings } = parseStaad(
+    exportStd({ ...project, supportType: "springs", subgradeModulus: 30000, compressionOnly: true })
+  );
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(
+    { type: read.supportType, modulus: read.subgradeModulus, compressionOnly: read.compressionOnly },
+    { type: "springs", modulus: 30000, compressionOnly: true }
+  );
+});
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_PROJECT,
+  DIMENSIONS,
+  SUPPORT_TYPES,
+  UNIT_SYSTEMS,
+  exportStd,
+  findUnitSystem,
+  fromUnits,
+  parseStaad,
+  parseStaadUnit,
+  roundLength,
+  toUnits,
+  unitSystemOf,
+} from "../src/engine/index.js";
+
+const ftKip = unitSystemOf("ft-kip");
+
+test("converts lengths, forces and derived quantities", () => {
+  assert.equal(toUnits(1.5, unitSystemOf("mm-kN"), DIMENSIONS.length), 1500);
+  assert.ok(Math.abs(toUnits(0.3048, ftKip, DIMENSIONS.length) - 1) < 1e-12);
+  assert.ok(Math.abs(toUnits(4.4482216152605, ftKip, DIMENSIONS.force) - 1) < 1e-12);
+  const stress = toUnits(40000, ftKip, DIMENSIONS.unitWeight);
+  assert.ok(Math.abs(fromUnits(stress, ftKip, DIMENSIONS.unitWeight) - 40000) < 1e-9);
+});
+
+test("reads STAAD UNIT commands", () => {
+  const { lengthFactor, forceFactor, unknown } = parseStaadUnit(["FEET", "KIP"]);
+  assert.equal(findUnitSystem({ lengthFactor, forceFactor }), ftKip);
+  assert.deepEqual(unknown, []);
+  assert.equal(parseStaadUnit(["MMS"], ftKip).forceFactor, ftKip.forceFactor);
+  assert.deepEqual(parseStaadUnit(["FURLONG"]).unknown, ["FURLONG"]);
+});
+
+test("rounds lengths to the micrometre in every unit system", () => {
+  assert.equal(roundLength(1500.00000001, unitSystemOf("mm-kN")), 1500);
+  assert.equal(roundLength(toUnits(1.2345678, ftKip, DIMENSIONS.length), ftKip), 4.0504193);
+  assert.equal(roundLength(-1e-9, unitSystemOf("m-kN")), 0);
+});
+
+// Every support type, a rotated pedestal, an opening and loads
+const project = {
+  ...DEFAULT_PROJECT,
+  length: 5,
+  width: 4,
+  mesh: 0.2,
+  pedestalHeight: 1,
+  subgradeModulus: 40000,
+  openings: [
+    {
+      id: 1,
+      points: [
+        { x: 2.3, z: 2.3 },
+        { x: 2.7, z: 2.3 },
+        { x: 2.7, z: 2.7 },
+        { x: 2.3, z: 2.7 },
+      ],
+    },
+  ],
+  points: [{ id: 1, x: 1.5, z: 1.5, length: 0.5, width: 0.4, rotation: 30, loads: { 1: { fy: -100, mx: 12.5 } } }],
+  loadCases: [{ id: 1, name: "DL" }],
+  loadCombinations: [],
+};
+
+test("reads back exactly what it exports in every unit system", () => {
+  UNIT_SYSTEMS.forEach(({ value: units }) => {
+    SUPPORT_TYPES.forEach((supportType) => {
+      const { project: read, warnings } = parseStaad(exportStd({ ...project, units, supportType }));
+      const label = `${units}, ${supportType}`;
+      assert.deepEqual(warnings, [], label);
+      assert.equal(read.units, units, label);
+      ["length", "width", "mesh", "pedestalHeight", "plateThickness"].forEach((key) =>
+        assert.equal(read[key], project[key], `${label}: ${key}`)
+      );
+      if (supportType === "elasticMat" || supportType === "springs") assert.equal(read.subgradeModulus, 40000, label);
+      assert.deepEqual(read.points, project.points, label);
+      assert.deepEqual(read.plateMaterial, project.plateMaterial, label);
+      const corners = (points) => points.map((p) => `${p.x},${p.z}`).sort();
+      assert.deepEqual(corners(read.openings[0].points), corners(project.openings[0].points), label);
+    });
+  });
+});
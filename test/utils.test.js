@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { clampViewBox, fitViewBox, zoomViewBox } from "../src/utils.js";
+
+const box = { x: 0, y: 0, w: 100, h: 50 };
+
+test("fits a rectangle with a margin", () => {
+  assert.deepEqual(fitViewBox({ x0: 10, z0: 20, x1: 110, z1: 70 }, 1, 0.1), { x: 0, y: 10, w: 120, h: 70 });
+  assert.deepEqual(fitViewBox({ x0: 5, z0: 5, x1: 5, z1: 5 }, 2, 0), { x: 4, y: 4, w: 2, h: 2 }, "a point gets the minimum size");
+});
+
+test("clamps the view box width about its centre", () => {
+  assert.equal(clampViewBox(box, 10, 200), box);
+  assert.deepEqual(clampViewBox(box, 200, 400), { x: -50, y: -25, w: 200, h: 100 });
+  assert.deepEqual(clampViewBox(box, 10, 50), { x: 25, y: 12.5, w: 50, h: 25 });
+});
+
+test("zooms about a point that stays in place", () => {
+  assert.deepEqual(zoomViewBox(box, { x: 20, y: 10 }, 0.5, 10, 200), { x: 10, y: 5, w: 50, h: 25 });
+  // Clamped at the narrowest width: the point keeps its place in the view
+  const zoomed = zoomViewBox(box, { x: 20, y: 10 }, 0.01, 40, 200);
+  assert.deepEqual(zoomed, { x: 12, y: 6, w: 40, h: 20 });
+  assert.equal((20 - zoomed.x) / zoomed.w, (20 - box.x) / box.w);
+});